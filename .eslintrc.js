@@ -12,7 +12,9 @@ module.exports = {
   },
 
   "globals": {
+    "ArrayBuffer": "readonly",
     "Promise": "readonly",
+    "Uint8Array": "readonly",
     "WebMidi": "readonly",
     "expect": "readonly",
     "sinon": "readonly"
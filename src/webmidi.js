@@ -84,8 +84,19 @@
     // Events triggered at the interface level (WebMidi)
     this._midiInterfaceEvents = ["connected", "disconnected"];
 
-    // the current nrpns being constructed, by channel
-    this._nrpnBuffer = [[],[],[],[], [],[],[],[], [],[],[],[], [],[],[],[]];
+    // Custom MIDI backend functions (see setBackend()). When undefined, the environment's
+    // `navigator.requestMIDIAccess()` and `performance.now()` functions are used.
+    this._backend = {requestAccess: undefined, clock: undefined};
+
+    // Musical time (tempo, time signature, etc.)
+    this._transport = new Transport();
+
+    // In-memory ports created with createVirtualPort() and the counter used to generate their IDs
+    this._virtualPorts = [];
+    this._virtualPortCount = 0;
+
+    // Ports that could not be opened (or not in time) by the last call to enable()
+    this._failedPorts = [];
 
     // Enable/Disable NRPN event dispatch
     this._nrpnEventsEnabled = true;
@@ -133,7 +144,12 @@
 
           // Custom WebMidi.js messages
           midimessage: 0,
-          unknownsystemmessage: -1
+          unknownsystemmessage: -1,
+          mtc: 0xF1,              // 241 (complete time code positions)
+          mmc: 0xF0,              // 240 (MIDI Machine Control commands)
+          beat: 0xF8,             // 248 (incoming clock position, see Input.clock)
+          bar: 0xF8,              // 248 (incoming clock position, see Input.clock)
+          tempochange: 0xF8       // 248 (incoming clock tempo, see Input.clock)
         },
         writable: false,
         enumerable: true,
@@ -158,6 +174,12 @@
           controlchange: 0xB,     // 11
           channelmode: 0xB,       // 11
           nrpn: 0xB,              // 11
+          rpn: 0xB,               // 11
+          notes: 0x9,             // 9 (changes in the notes that are playing)
+          controlchange14: 0xB,   // 11 (pairs of control changes, see Input.controlChange14Enabled)
+          notebend: 0xE,          // 14 (per-note expression, see Input.mpeEnabled)
+          notepressure: 0xD,      // 13 (per-note expression, see Input.mpeEnabled)
+          notetimbre: 0xB,        // 11 (per-note expression, see Input.mpeEnabled)
           programchange: 0xC,     // 12
           channelaftertouch: 0xD, // 13
           pitchbend: 0xE          // 14
@@ -187,6 +209,7 @@
           tuningprogram: [0x00, 0x03],
           tuningbank: [0x00, 0x04],
           modulationrange: [0x00, 0x05],
+          mpeconfiguration: [0x00, 0x06],
 
           azimuthangle: [0x3D, 0x00],
           elevationangle: [0x3D, 0x01],
@@ -305,6 +328,31 @@
         configurable: false
       },
 
+      /**
+       * [read-only] An object containing properties for MIDI control change messages
+       * that make up RPN messages
+       *
+       * @property MIDI_RPN_MESSAGES
+       * @type Object
+       * @static
+       *
+       * @since 2.6.0
+       */
+      MIDI_RPN_MESSAGES: {
+        value: {
+          entrymsb: 6,
+          entrylsb: 38,
+          increment: 96,
+          decrement: 97,
+          paramlsb: 100,
+          parammsb: 101,
+          nullactiveparameter: 127
+        },
+        writable: false,
+        enumerable: true,
+        configurable: false
+      },
+
       /**
        * [read-only] List of MIDI channel mode messages as defined in the official MIDI
        * specification.
@@ -331,6 +379,103 @@
         configurable: false
       },
 
+      /**
+       * [read-only] An object containing the system exclusive ID of some manufacturers. IDs are
+       * arrays of one byte or of three bytes (starting with 0x00). The name of the manufacturer is
+       * reported by the `manufacturer` property of
+       * {{#crossLink "Input/sysex:event"}}sysex{{/crossLink}} events.
+       *
+       * @property MIDI_MANUFACTURERS
+       * @type Object
+       * @static
+       *
+       * @since 2.6.0
+       */
+      MIDI_MANUFACTURERS: {
+        value: {
+          sequential: [0x01],
+          moog: [0x04],
+          lexicon: [0x06],
+          kurzweil: [0x07],
+          ensoniq: [0x0F],
+          oberheim: [0x10],
+          apple: [0x11],
+          emu: [0x18],
+          clavia: [0x33],
+          waldorf: [0x3E],
+          kawai: [0x40],
+          roland: [0x41],
+          korg: [0x42],
+          yamaha: [0x43],
+          casio: [0x44],
+          akai: [0x47],
+          noncommercial: [0x7D],
+          alesis: [0x00, 0x00, 0x0E],
+          mackie: [0x00, 0x00, 0x66],
+          novation: [0x00, 0x20, 0x29],
+          behringer: [0x00, 0x20, 0x32],
+          access: [0x00, 0x20, 0x33],
+          elektron: [0x00, 0x20, 0x3C],
+          arturia: [0x00, 0x20, 0x6B],
+          nativeinstruments: [0x00, 0x21, 0x09],
+          roli: [0x00, 0x21, 0x10]
+        },
+        writable: false,
+        enumerable: true,
+        configurable: false
+      },
+
+      /**
+       * [read-only] An object containing the commands of MIDI Machine Control (the second sub-ID
+       * of universal real-time system exclusive messages with a first sub-ID of 0x06).
+       *
+       * @property MIDI_MMC_COMMANDS
+       * @type Object
+       * @static
+       *
+       * @since 2.6.0
+       */
+      MIDI_MMC_COMMANDS: {
+        value: {
+          stop: 0x01,
+          play: 0x02,
+          deferredplay: 0x03,
+          fastforward: 0x04,
+          rewind: 0x05,
+          recordstrobe: 0x06,
+          recordexit: 0x07,
+          recordpause: 0x08,
+          pause: 0x09,
+          eject: 0x0A,
+          chase: 0x0B,
+          commanderrorreset: 0x0C,
+          mmcreset: 0x0D,
+          write: 0x40,
+          locate: 0x44,
+          shuttle: 0x47
+        },
+        writable: false,
+        enumerable: true,
+        configurable: false
+      },
+
+      /**
+       * [read-only] The constructor of the errors used to reject the promise returned by
+       * `WebMidi.enable()`. It can be used to identify such errors with `instanceof`.
+       *
+       * @property WebMidiError
+       * @type Function
+       * @static
+       *
+       * @since 2.6.0
+       */
+      WebMidiError: {
+        value: WebMidiError,
+        writable: false,
+        enumerable: true,
+        configurable: false
+      },
+
       /**
        * An integer to offset the octave both in inbound and outbound messages. By default, middle C
        * (MIDI note number 60) is placed on the 4th octave (C4).
@@ -364,6 +509,8 @@
        * WebMIDIAPIShim but no plugin, this property will be true even though actual support might
        * not be there.
        *
+       * If a custom backend has been defined with `setBackend()`, this will always report true.
+       *
        * @property supported
        * @type Boolean
        * @static
@@ -371,8 +518,8 @@
       supported: {
         enumerable: true,
         get: function() {
-          return "requestMIDIAccess" in navigator;
-        }
+          return typeof this._getRequestAccessFunction() === "function";
+        }.bind(this)
       },
 
       /**
@@ -390,6 +537,27 @@
         }.bind(this)
       },
 
+      /**
+       * [read-only] The MIDI ports that could not be opened (or not within the `timeout` delay)
+       * when `WebMidi` was enabled. Each port is described by an object with `id`, `name`,
+       * `manufacturer` and `type` properties. The array is empty if all the ports were opened. It
+       * can be checked in the callback of
+       * {{#crossLink "WebMidi/enable:method"}}enable(){{/crossLink}} or once its promise is
+       * fulfilled.
+       *
+       * @property failedPorts
+       * @type Array
+       * @static
+       *
+       * @since 2.6.0
+       */
+      failedPorts: {
+        enumerable: true,
+        get: function() {
+          return this._failedPorts.slice();
+        }.bind(this)
+      },
+
       /**
        * [read-only] An array of all currently available MIDI input ports.
        *
@@ -475,6 +643,9 @@
        * [read-only] Current MIDI performance time in milliseconds. This can be used to queue events
        * in the future.
        *
+       * By default, the value is provided by `performance.now()`. If a custom clock function has
+       * been defined with `setBackend()`, the value is provided by that function instead.
+       *
        * @property time
        * @type DOMHighResTimeStamp
        * @static
@@ -482,1016 +653,1525 @@
       time: {
         enumerable: true,
         get: function() {
-          return performance.now();
-        }
+          return this._backend.clock ? this._backend.clock() : performance.now();
+        }.bind(this)
+      },
+
+      /**
+       * [read-only] The `Transport` object used to resolve musical times (`"1:2:0"`, `"8n"`,
+       * etc.). Its `bpm`, `timeSignature` and `ppq` properties can be modified.
+       *
+       * @property transport
+       * @type Transport
+       * @static
+       *
+       * @since 2.6.0
+       */
+      transport: {
+        enumerable: true,
+        get: function() {
+          return this._transport;
+        }.bind(this)
       }
 
     });
 
   }
 
-  // WebMidi is a singleton so we instantiate it ourselves and keep it in a var for internal
-  // reference.
-  var wm = new WebMidi();
-
   /**
-   * Checks if the Web MIDI API is available and then tries to connect to the host's MIDI subsystem.
-   * This is an asynchronous operation. When it's done, the specified handler callback will be
-   * executed. If an error occurred, the callback function will receive an `Error` object as its
-   * sole parameter.
+   * The `WebMidiError` object is used to report failures of asynchronous operations such as
+   * `WebMidi.enable()`. On top of the usual `name` and `message` properties, it has a `code`
+   * property that identifies the type of failure:
    *
-   * To enable the use of system exclusive messages, the `sysex` parameter should be set to true.
-   * However, under some environments (e.g. Jazz-Plugin), the sysex parameter is ignored and sysex
-   * is always enabled.
+   *    * `notsupported`: the environment does not support the Web MIDI API;
+   *    * `permissiondenied`: the user (or the environment) denied access to MIDI devices;
+   *    * `accessfailed`: the MIDI subsystem could not be accessed for another reason.
    *
-   * Warning: starting with Chrome v77, the Web MIDI API must be hosted on a secure origin
-   * (`https://`, `localhost` or `file:///`) and the user will always be prompted to authorize the
-   * operation (no matter if `sysex` is requested or not).
+   * The constructor is available as `WebMidi.WebMidiError` so it can be used with `instanceof`.
    *
-   * @method enable
-   * @static
+   * @class WebMidiError
+   * @extends Error
    *
-   * @param [callback] {Function} A function to execute upon success. This function will receive an
-   * `Error` object upon failure to enable the Web MIDI API.
-   * @param [sysex=false] {Boolean} Whether to enable MIDI system exclusive messages or not.
+   * @param message {String} A human-readable description of the error.
+   * @param code {String} The identifier of the type of error (see above).
+   * @param [cause] {Error} The underlying error (if any).
    *
-   * @throws Error The Web MIDI API is not supported by your browser.
-   * @throws Error Jazz-Plugin must be installed to use WebMIDIAPIShim.
+   * @since 2.6.0
    */
-  WebMidi.prototype.enable = function(callback, sysex) {
+  function WebMidiError(message, code, cause) {
+    this.name = "WebMidiError";
+    this.message = message;
+    this.code = code;
+    this.cause = cause;
+    this.stack = (new Error(message)).stack;
+  }
 
-    // Why are you not using a Promise-based API for the enable() method?
-    //
-    // Short answer: because of IE.
-    //
-    // Long answer:
-    //
-    // IE 11 and below still do not support promises. Therefore, WebMIDIAPIShim has to implement a
-    // simple Promise look-alike object to handle the call to requestMIDIAccess(). This look-alike
-    // is not a fully-fledged Promise object. It does not support using catch() for example. This
-    // means that, to provide a real Promise-based interface for the enable() method, we would need
-    // to add a dependency in the form of a Promise polyfill. So, to keep things simpler, we will
-    // stick to the good old callback based enable() function.
-
-    if (this.enabled) return;
+  WebMidiError.prototype = Object.create(Error.prototype);
+  WebMidiError.prototype.constructor = WebMidiError;
 
-    if ( !this.supported) {
+  /**
+   * The `VirtualPort` object is an in-memory stand-in for the `MIDIInput` and `MIDIOutput` objects
+   * of the Web MIDI API. Virtual ports are created in pairs by `WebMidi.createVirtualPort()`:
+   * whatever is sent to the output port is received by its peer input port. This object is not
+   * meant to be used directly; it is wrapped in regular `Input` and `Output` objects.
+   *
+   * @class VirtualPort
+   * @param type {String} The type of port (`input` or `output`).
+   * @param id {String} The ID of the port.
+   * @param name {String} The name of the port.
+   * @protected
+   *
+   * @since 2.6.0
+   */
+  function VirtualPort(type, id, name) {
+    this.type = type;
+    this.id = id;
+    this.name = name;
+    this.manufacturer = "WebMidi.js";
+    this.version = "";
+    this.state = "connected";
+    this.connection = "open";
+    this.onmidimessage = null;
+    this.onstatechange = null;
+    this._peer = undefined;
+    this._pending = [];
+  }
 
-      if (typeof callback === "function") {
-        callback( new Error("The Web MIDI API is not supported by your browser.") );
-      }
+  /**
+   * Opens the port.
+   *
+   * @method open
+   * @return {Promise} A promise fulfilled with the port itself.
+   */
+  VirtualPort.prototype.open = function() {
+    if (this.state === "connected") this.connection = "open";
+    return Promise.resolve(this);
+  };
 
-      return;
+  /**
+   * Closes the port and cancels all the messages that are scheduled for delivery.
+   *
+   * @method close
+   * @return {Promise} A promise fulfilled with the port itself.
+   */
+  VirtualPort.prototype.close = function() {
+    this.clear();
+    this.connection = "closed";
+    return Promise.resolve(this);
+  };
+
+  /**
+   * Delivers the specified MIDI message to the peer input port. If the timestamp is in the future,
+   * delivery is postponed until that time. Otherwise, the message is delivered immediately.
+   * Postponed messages are always delivered in the order of their timestamps (timers with close
+   * delays are not guaranteed to fire in order).
+   *
+   * @method send
+   * @param data {Array} An array of MIDI bytes.
+   * @param [timestamp=0] {DOMHighResTimeStamp} The time at which to deliver the message.
+   */
+  VirtualPort.prototype.send = function(data, timestamp) {
+
+    var that = this,
+      delay = (parseFloat(timestamp) || 0) - wm.time;
 
+    if (this.state !== "connected") {
+      throw new Error("The virtual port is disconnected.");
     }
 
-    navigator.requestMIDIAccess({sysex: sysex}).then(
+    data = Array.prototype.slice.call(data);
 
-      function(midiAccess) {
+    if ( !(delay > 0) ) {
+      this._deliver(data);
+      return;
+    }
 
-        var events = [],
-          promises = [],
-          promiseTimeout;
+    var item = {data: data, timestamp: parseFloat(timestamp)},
+      index = this._pending.length;
 
-        this.interface = midiAccess;
-        this._resetInterfaceUserHandlers();
+    while (index > 0 && this._pending[index - 1].timestamp > item.timestamp) index--;
+    this._pending.splice(index, 0, item);
 
-        // We setup a temporary `statechange` handler that will catch all events triggered while we
-        // setup. Those events will be re-triggered after calling the user"s callback. This will
-        // allow the user to listen to "connected" events which can be very convenient.
-        this.interface.onstatechange = function (e) {
-          events.push(e);
-        };
+    // When a message is due, the messages scheduled before it are delivered first
+    item.timeout = setTimeout(function() {
+      var position = that._pending.indexOf(item);
+      if (position < 0) return;
+      that._pending.splice(0, position + 1).forEach(function(due) {
+        clearTimeout(due.timeout);
+        that._deliver(due.data);
+      });
+    }, delay);
 
-        // Here we manually open the inputs and outputs. Usually, this is optional. When the ports
-        // are not explicitely opened, they will be opened automatically (and asynchonously) by
-        // setting a listener on `midimessage` (MIDIInput) or calling `send()` (MIDIOutput).
-        // However, we do not want that here. We want to be sure that "connected" events will be
-        // available in the user"s callback. So, what we do is open all input and output ports and
-        // wait until all promises are resolved. Then, we re-trigger the events after the user"s
-        // callback has been executed. This seems like the most sensible and practical way.
-        var inputs = midiAccess.inputs.values();
-        for (var input = inputs.next(); input && !input.done; input = inputs.next()) {
-          promises.push(input.value.open());
-        }
+  };
 
-        var outputs = midiAccess.outputs.values();
-        for (var output = outputs.next(); output && !output.done; output = outputs.next()) {
-          promises.push(output.value.open());
-        }
+  /**
+   * Cancels all the messages that are scheduled for delivery.
+   *
+   * @method clear
+   */
+  VirtualPort.prototype.clear = function() {
+    this._pending.forEach(function(item) {
+      clearTimeout(item.timeout);
+    });
+    this._pending = [];
+  };
 
-        // Since this library might be used in environments without support for promises (such as
-        // Jazz-Midi) or in environments that are not properly opening the ports (such as Web MIDI
-        // Browser), we fall back to a timer-based approach if the promise-based approach fails.
-        function onPortsOpen() {
+  /**
+   * @method _deliver
+   * @param data {Array} The MIDI message to deliver to the peer input port.
+   * @protected
+   */
+  VirtualPort.prototype._deliver = function(data) {
 
-          clearTimeout(promiseTimeout);
+    var peer = this._peer;
 
-          this._updateInputsAndOutputs();
-          this.interface.onstatechange = this._onInterfaceStateChange.bind(this);
+    if (!peer || peer.state !== "connected" || typeof peer.onmidimessage !== "function") return;
 
-          // We execute the callback and then re-trigger the statechange events.
-          if (typeof callback === "function") { callback.call(this); }
+    peer.onmidimessage({
+      data: data,
+      timeStamp: wm.time,
+      target: peer
+    });
 
-          events.forEach(function (event) {
-            this._onInterfaceStateChange(event);
-          }.bind(this));
+  };
 
-        }
+  /**
+   * The `Transport` object keeps track of musical time: tempo, time signature and resolution. It
+   * is what allows times and durations to be expressed in bars, beats and note values instead of
+   * milliseconds. The unique instance is available as `WebMidi.transport` and cannot be
+   * instantiated directly.
+   *
+   * Musical times are strings in one of the following formats:
+   *
+   *    * `"bars:beats:ticks"` (e.g. `"1:2:0"`): an absolute position counted from zero since the
+   *    transport was started. Beats are counted in time signature units and ticks in fractions of a
+   *    quarter note (see `ppq`). The ticks part can be omitted (`"1:2"`).
+   *    * `"4n"`, `"8n"`, `"16n"`, etc.: a note value (quarter note, eighth note, etc.). Add a dot
+   *    to make it dotted (`"8n."`).
+   *    * `"4t"`, `"8t"`, etc.: a triplet note value.
+   *    * `"2m"`: a number of measures (bars).
+   *    * `"1.5b"`: a number of beats (quarter notes).
+   *    * `"96i"`: a number of ticks.
+   *
+   * When used as a time, all formats but the first are relative to the current time. Any format
+   * can also be prefixed with `+` to make it relative (`"+1:0:0"` means one bar from now).
+   *
+   * When a message is scheduled using a musical time, it remains tied to the transport: if the
+   * tempo changes before it is sent, its timestamp is adjusted accordingly.
+   *
+   * @class Transport
+   * @static
+   *
+   * @since 2.6.0
+   */
+  function Transport() {
 
-        promiseTimeout = setTimeout(onPortsOpen.bind(this), 200);
+    // Tempo (in quarter notes per minute), time signature and resolution (ticks per quarter note)
+    this._bpm = 120;
+    this._timeSignature = [4, 4];
+    this._ppq = 96;
 
-        if (Promise) {
-          Promise
-            .all(promises)
-            .catch(function(err) { console.warn(err); })
-            .then(onPortsOpen.bind(this));
-        }
+    // The tick position of the transport at the anchor time. Every tempo change moves the anchor
+    // so the position is continuous.
+    this._anchorTicks = 0;
+    this._anchorTime = 0;
 
-        // When MIDI access is requested, all input and output ports have their "state" set to
-        // "connected". However, the value of their "connection" property is "closed".
-        //
-        // A `MIDIInput` becomes `open` when you explicitely call its `open()` method or when you
-        // assign a listener to its `onmidimessage` property. A `MIDIOutput` becomes `open` when you
-        // use the `send()` method or when you can explicitely call its `open()` method.
-        //
-        // Calling `_updateInputsAndOutputs()` attaches listeners to all inputs. As per the spec,
-        // this triggers a `statechange` event on MIDIAccess.
+    Object.defineProperties(this, {
 
-      }.bind(this),
+      /**
+       * The tempo in beats (quarter notes) per minute. Changing the tempo adjusts the timestamp of
+       * all messages scheduled with a musical time that have not been sent yet. Default is 120.
+       *
+       * @property bpm
+       * @type Number
+       */
+      bpm: {
+        enumerable: true,
+        get: function() {
+          return this._bpm;
+        }.bind(this),
+        set: function(value) {
 
-      function (err) {
-        if (typeof callback === "function") { callback.call(this, err); }
-      }.bind(this)
+          value = parseFloat(value);
 
-    );
+          if ( !(value > 0) ) {
+            throw new RangeError("The tempo must be a positive number.");
+          }
 
-  };
+          this._moveAnchor();
+          this._bpm = value;
 
-  /**
-   * Completely disables `WebMidi` by unlinking the MIDI subsystem's interface and destroying all
-   * `Input` and `Output` objects that may be available. This also means that any listener(s) that
-   * may have been defined on `WebMidi` or any `Input` objects will be destroyed.
-   *
-   * @method disable
-   * @static
-   *
-   * @since 2.0.0
-   */
-  WebMidi.prototype.disable = function() {
+          wm.outputs.forEach(function(output) {
+            output._retimeQueue();
+          });
 
-    if ( !this.supported ) {
-      throw new Error("The Web MIDI API is not supported by your browser.");
-    }
+        }.bind(this)
+      },
 
-    if (this.enabled) {
+      /**
+       * The resolution of the transport in ticks per quarter note (pulses per quarter note).
+       * Changing the resolution does not change the timestamp of the messages scheduled with a
+       * musical time that have not been sent yet. Default is 96.
+       *
+       * @property ppq
+       * @type Number
+       */
+      ppq: {
+        enumerable: true,
+        get: function() {
+          return this._ppq;
+        }.bind(this),
+        set: function(value) {
 
-      this.removeListener();
+          value = Math.floor(value);
 
-      this.inputs.forEach(function (input) {
-        input.removeListener();
-      });
+          if ( !(value > 0) ) {
+            throw new RangeError("The resolution must be a positive integer.");
+          }
 
-    }
+          var ratio = value / this._ppq;
 
-    if (this.interface) this.interface.onstatechange = undefined;
-    this.interface = undefined; // also resets enabled, sysexEnabled, nrpnEventsEnabled
-    this._inputs = [];
-    this._outputs = [];
-    this._nrpnEventsEnabled = true;
-    this._resetInterfaceUserHandlers();
+          this._moveAnchor();
+          this._anchorTicks = this._anchorTicks * ratio;
+          this._ppq = value;
 
-  };
+          wm.outputs.forEach(function(output) {
+            output._retimeQueue(function(ticks) { return ticks * ratio; });
+          });
 
-  /**
-   * Adds an event listener on the `WebMidi` object that will trigger a function callback when the
-   * specified event happens.
-   *
-   * WebMidi must be enabled before adding event listeners.
-   *
-   * Currently, only one event is being dispatched by the `WebMidi` object:
-   *
-   *    * {{#crossLink "WebMidi/statechange:event"}}statechange{{/crossLink}}
-   *
-   * @method addListener
-   * @static
-   * @chainable
-   *
-   * @param type {String} The type of the event.
+        }.bind(this)
+      },
+
+      /**
+       * The time signature as an array of two numbers: the number of beats per bar and the note
+       * value of the beat (e.g. `[6, 8]`). Default is `[4, 4]`.
+       *
+       * @property timeSignature
+       * @type Array
+       */
+      timeSignature: {
+        enumerable: true,
+        get: function() {
+          return this._timeSignature.slice();
+        }.bind(this),
+        set: function(value) {
+
+          var beats = [].concat(value)[0],
+            unit = [].concat(value)[1];
+
+          if (
+            !(Math.floor(beats) === beats && beats > 0) ||
+            [1, 2, 4, 8, 16, 32, 64].indexOf(unit) < 0
+          ) {
+            throw new RangeError("Invalid time signature.");
+          }
+
+          this._timeSignature = [beats, unit];
+
+        }.bind(this)
+      },
+
+      /**
+       * [read-only] The current position of the transport in the `"bars:beats:ticks"` format.
+       *
+       * @property position
+       * @type String
+       */
+      position: {
+        enumerable: true,
+        get: function() {
+          return this._ticksToPosition(this._timestampToTicks(wm.time));
+        }.bind(this)
+      }
+
+    });
+
+  }
+
+  /**
+   * Sets the origin of musical positions (`"0:0:0"`) to the specified time. The messages scheduled
+   * with a musical time that have not been sent yet keep their timestamp.
    *
-   * @param listener {Function} A callback function to execute when the specified event is detected.
-   * This function will receive an event parameter object. For details on this object"s properties,
-   * check out the documentation for the various events (links above).
+   * @method start
+   * @chainable
    *
-   * @throws {Error} WebMidi must be enabled before adding event listeners.
-   * @throws {TypeError} The specified event type is not supported.
-   * @throws {TypeError} The "listener" parameter must be a function.
+   * @param [time=WebMidi.time] {DOMHighResTimeStamp} The time of the origin.
    *
-   * @return {WebMidi} Returns the `WebMidi` object so methods can be chained.
+   * @return {Transport} Returns the `Transport` object so methods can be chained.
    */
-  WebMidi.prototype.addListener = function(type, listener) {
+  Transport.prototype.start = function(time) {
 
-    if (!this.enabled) {
-      throw new Error("WebMidi must be enabled before adding event listeners.");
-    }
+    time = parseFloat(time) >= 0 ? parseFloat(time) : wm.time;
 
-    if (typeof listener !== "function") {
-      throw new TypeError("The 'listener' parameter must be a function.");
-    }
+    var offset = this._timestampToTicks(time);
 
-    if (this._midiInterfaceEvents.indexOf(type) >= 0) {
-      this._userHandlers[type].push(listener);
-    } else {
-      throw new TypeError("The specified event type is not supported.");
-    }
+    this._anchorTicks = 0;
+    this._anchorTime = time;
+
+    wm.outputs.forEach(function(output) {
+      output._retimeQueue(function(ticks) { return ticks - offset; });
+    });
 
     return this;
 
   };
 
   /**
-   * Checks if the specified event type is already defined to trigger the specified listener
-   * function.
+   * Converts a musical duration (`"4n"`, `"1m"`, `"1:0:0"`, etc.) to a number of milliseconds at
+   * the current tempo. Numbers are returned as is.
    *
-   * @method hasListener
-   * @static
-   *
-   * @param {String} type The type of the event.
-   * @param {Function} listener The callback function to check for.
+   * @method toMilliseconds
    *
-   * @throws {Error} WebMidi must be enabled before checking event listeners.
-   * @throws {TypeError} The "listener" parameter must be a function.
-   * @throws {TypeError} The specified event type is not supported.
+   * @param duration {Number|String} The duration to convert.
    *
-   * @return {Boolean} Boolean value indicating whether or not a callback is already defined for
-   * this event type.
+   * @returns {Number} The duration in milliseconds (or `NaN` if the duration is invalid).
    */
-  WebMidi.prototype.hasListener = function(type, listener) {
-
-    if (!this.enabled) {
-      throw new Error("WebMidi must be enabled before checking event listeners.");
-    }
-
-    if (typeof listener !== "function") {
-      throw new TypeError("The 'listener' parameter must be a function.");
-    }
-
-    if (this._midiInterfaceEvents.indexOf(type) >= 0) {
+  Transport.prototype.toMilliseconds = function(duration) {
 
-      for (var o = 0; o < this._userHandlers[type].length; o++) {
-        if (this._userHandlers[type][o] === listener) {
-          return true;
-        }
-      }
+    var parsed = this._parseMusicalTime(duration);
 
-    } else {
-      throw new TypeError("The specified event type is not supported.");
-    }
+    if (parsed === undefined) return Number(duration);
 
-    return false;
+    return parsed.ticks * this._getTickDuration();
 
   };
 
   /**
-   * Removes the specified listener(s). If the `listener` parameter is left undefined, all listeners
-   * for the specified `type` will be removed. If both the `listener` and the `type` parameters are
-   * omitted, all listeners attached to the `WebMidi` object will be removed.
-   *
-   * @method removeListener
-   * @static
-   * @chainable
+   * Converts a musical time to a timestamp (in milliseconds). Absolute positions
+   * (`"bars:beats:ticks"`) are resolved against the transport's origin (see `start()`). Other
+   * formats are relative to the current time.
    *
-   * @param {String} [type] The type of the event.
-   * @param {Function} [listener] The callback function to check for.
+   * @method toTimestamp
    *
-   * @throws {Error} WebMidi must be enabled before removing event listeners.
-   * @throws {TypeError} The "listener" parameter must be a function.
-   * @throws {TypeError} The specified event type is not supported.
+   * @param time {String} The musical time to convert.
    *
-   * @return {WebMidi} The `WebMidi` object for easy method chaining.
+   * @returns {DOMHighResTimeStamp|undefined} The timestamp (or `undefined` if the time is not a
+   * valid musical time).
    */
-  WebMidi.prototype.removeListener = function(type, listener) {
+  Transport.prototype.toTimestamp = function(time) {
 
-    if (!this.enabled) {
-      throw new Error("WebMidi must be enabled before removing event listeners.");
-    }
-
-    if (listener !== undefined && typeof listener !== "function") {
-      throw new TypeError("The 'listener' parameter must be a function.");
-    }
+    var ticks = this._toTicks(time);
 
-    if (this._midiInterfaceEvents.indexOf(type) >= 0) {
+    if (ticks !== undefined) return this._ticksToTimestamp(ticks);
 
-      if (listener) {
+  };
 
-        for (var o = 0; o < this._userHandlers[type].length; o++) {
-          if (this._userHandlers[type][o] === listener) {
-            this._userHandlers[type].splice(o, 1);
-          }
-        }
+  /**
+   * Parses a musical time and returns an object with the number of `ticks` it represents and
+   * whether it is `relative` to the current time or not. Returns `undefined` if the value is not a
+   * valid musical time.
+   *
+   * @method _parseMusicalTime
+   * @param value {*}
+   * @returns {Object|undefined}
+   * @protected
+   */
+  Transport.prototype._parseMusicalTime = function(value) {
 
-      } else {
-        this._userHandlers[type] = [];
-      }
+    if (typeof value !== "string") return;
 
-    } else if (type === undefined) {
+    var relative = value.substring(0, 1) === "+";
+    if (relative) value = value.substring(1);
 
-      this._resetInterfaceUserHandlers();
+    var beat = this._ppq * 4 / this._timeSignature[1];
+    var bar = beat * this._timeSignature[0];
+    var matches = value.match(/^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?$/);
 
-    } else {
-      throw new TypeError("The specified event type is not supported.");
+    if (matches) {
+      return {
+        ticks: matches[1] * bar + matches[2] * beat + (parseFloat(matches[3]) || 0),
+        relative: relative
+      };
     }
 
-    return this;
+    matches = value.match(/^(\d+(?:\.\d+)?)([ntmbi])(\.?)$/);
+    if (!matches || (matches[3] && "nt".indexOf(matches[2]) < 0)) return;
+
+    var count = parseFloat(matches[1]);
+    var ticks = {
+      n: this._ppq * 4 / count,
+      t: this._ppq * 4 / count * 2 / 3,
+      m: count * bar,
+      b: count * this._ppq,
+      i: count
+    }[matches[2]];
+
+    if (matches[3]) ticks *= 1.5;
+
+    if ( !isFinite(ticks) ) return;
+
+    return {ticks: ticks, relative: true};
 
   };
 
   /**
-   * Returns a sanitized array of valid MIDI channel numbers (1-16). The parameter should be one of
-   * the following:
-   *
-   * * a single integer
-   * * an array of integers
-   * * the special value `"all"`
-   * * the special value `"none"`
-   *
-   * Passing `"all"` or `undefined` as a parameter to this function results in all channels being
-   * returned (1-16). Passing `"none"` results in no channel being returned (as an empty array).
-   *
-   * Note: parameters that cannot successfully be parsed to integers between 1 and 16 are silently
-   * ignored.
-   *
-   * @method toMIDIChannels
-   * @static
+   * Returns the absolute tick position matching the specified musical time or `undefined` if it
+   * is not a valid musical time.
    *
-   * @param [channel="all"] {Number|Array|"all"|"none"}
-   * @returns {Array} An array of 0 or more valid MIDI channel numbers
+   * @method _toTicks
+   * @param time {*}
+   * @returns {Number|undefined}
+   * @protected
    */
-  WebMidi.prototype.toMIDIChannels = function(channel) {
+  Transport.prototype._toTicks = function(time) {
 
-    var channels;
+    var parsed = this._parseMusicalTime(time);
 
-    if (channel === "all" || channel === undefined) {
-      channels = ["all"];
-    } else if (channel === "none") {
-      channels = [];
-      return channels;
-    } else if (!Array.isArray(channel)) {
-      channels = [channel];
+    if (parsed === undefined) return;
+
+    if (parsed.relative) {
+      return this._timestampToTicks(wm.time) + parsed.ticks;
     } else {
-      channels = channel;
+      return parsed.ticks;
     }
 
-    // In order to preserve backwards-compatibility, we let this assignment as it is.
-    if (channels.indexOf("all") > -1) {
-      channels = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16];
-    }
+  };
 
-    return channels
-      .map(function(ch) {
-        return parseInt(ch);
-      })
-      .filter(function(ch) {
-        return (ch >= 1 && ch <= 16);
-      });
+  /**
+   * @method _getTickDuration
+   * @returns {Number} The duration of a tick in milliseconds at the current tempo.
+   * @protected
+   */
+  Transport.prototype._getTickDuration = function() {
+    return 60000 / this._bpm / this._ppq;
+  };
 
+  /**
+   * @method _ticksToTimestamp
+   * @param ticks {Number} An absolute tick position.
+   * @returns {DOMHighResTimeStamp}
+   * @protected
+   */
+  Transport.prototype._ticksToTimestamp = function(ticks) {
+    return this._anchorTime + (ticks - this._anchorTicks) * this._getTickDuration();
   };
 
   /**
-   *
-   * Returns the `Input` object that matches the specified ID string or `false` if no matching input
-   * is found. As per the Web MIDI API specification, IDs are strings (not integers).
-   *
-   * Please note that IDs change from one host to another. For example, Chrome does not use the same
-   * kind of IDs as Jazz-Plugin.
-   *
-   * @method getInputById
-   * @static
-   *
-   * @param id {String} The ID string of the port. IDs can be viewed by looking at the
-   * `WebMidi.inputs` array.
-   *
-   * @returns {Input|false} A MIDIInput port matching the specified ID string. If no matching port
-   * can be found, the method returns `false`.
-   *
-   * @throws Error WebMidi is not enabled.
-   *
-   * @since 2.0.0
+   * @method _timestampToTicks
+   * @param timestamp {DOMHighResTimeStamp}
+   * @returns {Number} The absolute tick position at the specified time.
+   * @protected
    */
-  WebMidi.prototype.getInputById = function(id) {
+  Transport.prototype._timestampToTicks = function(timestamp) {
+    return this._anchorTicks + ((timestamp || 0) - this._anchorTime) / this._getTickDuration();
+  };
 
-    if (!this.enabled) throw new Error("WebMidi is not enabled.");
+  /**
+   * @method _ticksToPosition
+   * @param ticks {Number} An absolute tick position.
+   * @returns {String} The position in the `"bars:beats:ticks"` format.
+   * @protected
+   */
+  Transport.prototype._ticksToPosition = function(ticks) {
 
-    id = String(id);
+    var beat = this._ppq * 4 / this._timeSignature[1];
+    var bar = beat * this._timeSignature[0];
 
-    for (var i = 0; i < this.inputs.length; i++) {
-      if (this.inputs[i].id === id) return this.inputs[i];
-    }
+    ticks = Math.max(0, Math.round(ticks));
 
-    return false;
+    return Math.floor(ticks / bar) + ":" + Math.floor(ticks % bar / beat) + ":" + ticks % beat;
 
   };
 
   /**
-   * Returns the `Output` object that matches the specified ID string or `false` if no matching
-   * output is found. As per the Web MIDI API specification, IDs are strings (not integers).
+   * Moves the anchor to the current time so the position remains continuous when the tempo or the
+   * resolution changes.
    *
-   * Please note that IDs change from one host to another. For example, Chrome does not use the same
-   * kind of IDs as Jazz-Plugin.
+   * @method _moveAnchor
+   * @protected
+   */
+  Transport.prototype._moveAnchor = function() {
+    var now = wm.time || 0;
+    this._anchorTicks = this._timestampToTicks(now);
+    this._anchorTime = now;
+  };
+
+  // WebMidi is a singleton so we instantiate it ourselves and keep it in a var for internal
+  // reference.
+  var wm = new WebMidi();
+
+  /**
+   * Checks if the Web MIDI API is available and then tries to connect to the host's MIDI subsystem.
+   * This is an asynchronous operation. When it's done, the specified handler callback will be
+   * executed. If an error occurred, the callback function will receive an `Error` object as its
+   * sole parameter.
    *
-   * @method getOutputById
-   * @static
+   * If no callback function is specified, the method returns a `Promise` instead. The promise is
+   * fulfilled with the `WebMidi` object when the operation succeeds and is rejected with a
+   * `WebMidiError` when it fails. This makes it possible to use `async`/`await`:
    *
-   * @param id {String} The ID string of the port. IDs can be viewed by looking at the
-   * `WebMidi.outputs` array.
+   *      try {
+   *        await WebMidi.enable({sysex: true});
+   *        WebMidi.outputs[0].playNote("C3");
+   *      } catch (err) {
+   *        console.log(err.code); // "notsupported", "permissiondenied" or "accessfailed"
+   *      }
    *
-   * @returns {Output|false} A MIDIOutput port matching the specified ID string. If no matching port
-   * can be found, the method returns `false`.
+   * Instead of positional parameters, an `options` object can be passed as the first parameter.
+   * Its `callback` property, if present, is used as the callback function.
    *
-   * @throws Error WebMidi is not enabled.
+   * To enable the use of system exclusive messages, the `sysex` parameter should be set to true.
+   * However, under some environments (e.g. Jazz-Plugin), the sysex parameter is ignored and sysex
+   * is always enabled.
    *
-   * @since 2.0.0
+   * Warning: starting with Chrome v77, the Web MIDI API must be hosted on a secure origin
+   * (`https://`, `localhost` or `file:///`) and the user will always be prompted to authorize the
+   * operation (no matter if `sysex` is requested or not).
+   *
+   * @method enable
+   * @static
+   *
+   * @param [callback] {Function|Object} A function to execute upon success. This function will
+   * receive an `Error` object upon failure to enable the Web MIDI API. An `options` object can also
+   * be specified in place of the callback function.
+   * @param [callback.callback] {Function} A function to execute upon success or failure (see
+   * above).
+   * @param [callback.sysex=false] {Boolean} Whether to enable MIDI system exclusive messages or
+   * not.
+   * @param [callback.software=false] {Boolean} Whether to request access to software synthesizers
+   * (when the environment supports it).
+   * @param [callback.timeout=200] {Number} The number of milliseconds to wait for all ports to be
+   * opened. Ports that fail to open or are not opened in time are listed in the
+   * {{#crossLink "WebMidi/failedPorts:property"}}failedPorts{{/crossLink}} property (and reported
+   * in the console). WebMidi proceeds without waiting for them.
+   * @param [sysex=false] {Boolean} Whether to enable MIDI system exclusive messages or not. This
+   * parameter is ignored when an `options` object is used.
+   *
+   * @throws Error The Web MIDI API is not supported by your browser.
+   * @throws Error Jazz-Plugin must be installed to use WebMIDIAPIShim.
+   *
+   * @return {Promise|undefined} A promise fulfilled with the `WebMidi` object if no callback was
+   * specified (and the environment supports promises), `undefined` otherwise.
    */
-  WebMidi.prototype.getOutputById = function(id) {
+  WebMidi.prototype.enable = function(callback, sysex) {
 
-    if (!this.enabled) throw new Error("WebMidi is not enabled.");
+    var options = {},
+      promise,
+      resolve,
+      reject;
 
-    id = String(id);
+    if (callback !== null && typeof callback === "object") {
+      options = callback;
+      callback = options.callback;
+    } else {
+      options.sysex = sysex;
+    }
 
-    for (var i = 0; i < this.outputs.length; i++) {
-      if (this.outputs[i].id === id) return this.outputs[i];
+    if (typeof callback !== "function" && typeof Promise === "function") {
+      promise = new Promise(function(res, rej) {
+        resolve = res;
+        reject = rej;
+      });
     }
 
-    return false;
+    // Reports the outcome of the operation to the user (through the callback or the promise)
+    var done = function(err) {
+      if (typeof callback === "function") {
+        err ? callback.call(this, err) : callback.call(this);
+      } else if (promise) {
+        err ? reject(err) : resolve(this);
+      }
+    }.bind(this);
+
+    if (this.enabled) {
+      if (promise) resolve(this);
+      return promise;
+    }
+
+    if ( !this.supported) {
+      done(
+        new WebMidiError("The Web MIDI API is not supported by your browser.", "notsupported")
+      );
+      return promise;
+    }
+
+    var timeout = parseFloat(options.timeout);
+    if ( !(timeout >= 0) ) timeout = 200;
+
+    var request = {sysex: !!options.sysex};
+    if (options.software !== undefined) request.software = !!options.software;
+
+    this._getRequestAccessFunction()(request).then(
+
+      function(midiAccess) {
+
+        var events = [],
+          promises = [],
+          pending = [],
+          failed = [],
+          promiseTimeout;
+
+        this.interface = midiAccess;
+        this._resetInterfaceUserHandlers();
+
+        // We setup a temporary `statechange` handler that will catch all events triggered while we
+        // setup. Those events will be re-triggered after calling the user"s callback. This will
+        // allow the user to listen to "connected" events which can be very convenient.
+        this.interface.onstatechange = function (e) {
+          events.push(e);
+        };
+
+        // Here we manually open the inputs and outputs. Usually, this is optional. When the ports
+        // are not explicitely opened, they will be opened automatically (and asynchonously) by
+        // setting a listener on `midimessage` (MIDIInput) or calling `send()` (MIDIOutput).
+        // However, we do not want that here. We want to be sure that "connected" events will be
+        // available in the user"s callback. So, what we do is open all input and output ports and
+        // wait until all promises are resolved. Then, we re-trigger the events after the user"s
+        // callback has been executed. This seems like the most sensible and practical way.
+        //
+        // Each port is kept in the `pending` list until its promise settles. This way, we can tell
+        // which ports failed to open (or did not open in time).
+        function open(port) {
+
+          pending.push(port);
+
+          var settle = function(err) {
+            pending.splice(pending.indexOf(port), 1);
+            if (err) failed.push(port);
+          };
+
+          var p = port.open();
+
+          if (p && typeof p.then === "function") {
+            p = p.then(function() { settle(); }, function() { settle(true); });
+          } else {
+            settle();
+          }
+
+          promises.push(p);
+
+        }
+
+        var inputs = midiAccess.inputs.values();
+        for (var input = inputs.next(); input && !input.done; input = inputs.next()) {
+          open(input.value);
+        }
+
+        var outputs = midiAccess.outputs.values();
+        for (var output = outputs.next(); output && !output.done; output = outputs.next()) {
+          open(output.value);
+        }
+
+        // Since this library might be used in environments without support for promises (such as
+        // Jazz-Midi) or in environments that are not properly opening the ports (such as Web MIDI
+        // Browser), we fall back to a timer-based approach if the promise-based approach fails.
+        var opened = false;
+
+        function onPortsOpen() {
+
+          if (opened) return;
+          opened = true;
+
+          clearTimeout(promiseTimeout);
+
+          var unopened = failed.concat(pending);
+
+          this._failedPorts = unopened.map(function(port) {
+            return {id: port.id, name: port.name, manufacturer: port.manufacturer, type: port.type};
+          });
+
+          if (unopened.length > 0) {
+            console.warn(
+              "The following MIDI ports could not be opened within " + timeout + "ms: " +
+              unopened.map(function(port) {
+                return port.name + " (" + port.type + " " + port.id + ")";
+              }).join(", ")
+            );
+          }
+
+          this._updateInputsAndOutputs();
+          this.interface.onstatechange = this._onInterfaceStateChange.bind(this);
+
+          // We execute the callback (or resolve the promise) and then re-trigger the statechange
+          // events.
+          done();
+
+          events.forEach(function (event) {
+            this._onInterfaceStateChange(event);
+          }.bind(this));
+
+        }
+
+        promiseTimeout = setTimeout(onPortsOpen.bind(this), timeout);
+
+        if (typeof Promise === "function") {
+          Promise
+            .all(promises)
+            .then(onPortsOpen.bind(this));
+        }
+
+        // When MIDI access is requested, all input and output ports have their "state" set to
+        // "connected". However, the value of their "connection" property is "closed".
+        //
+        // A `MIDIInput` becomes `open` when you explicitely call its `open()` method or when you
+        // assign a listener to its `onmidimessage` property. A `MIDIOutput` becomes `open` when you
+        // use the `send()` method or when you can explicitely call its `open()` method.
+        //
+        // Calling `_updateInputsAndOutputs()` attaches listeners to all inputs. As per the spec,
+        // this triggers a `statechange` event on MIDIAccess.
+
+      }.bind(this),
+
+      function (err) {
+
+        var code = "accessfailed";
+
+        if (err && (err.name === "SecurityError" || err.name === "NotAllowedError")) {
+          code = "permissiondenied";
+        }
+
+        done(new WebMidiError(
+          err && err.message ? err.message : "The MIDI subsystem could not be accessed.",
+          code,
+          err
+        ));
+
+      }.bind(this)
+
+    );
+
+    return promise;
 
   };
 
   /**
-   * Returns the first MIDI `Input` whose name *contains* the specified string.
+   * Defines the backend that `WebMidi` uses to access the MIDI subsystem and to tell time. By
+   * default, the environment's `navigator.requestMIDIAccess()` and `performance.now()` functions
+   * are used. This method makes it possible to use WebMidi.js in environments where those functions
+   * are not available (Node.js, Electron, test suites, etc.) without modifying global objects.
+   *
+   * The `requestAccess` function receives the same options object as
+   * `navigator.requestMIDIAccess()` (`{sysex: Boolean, software: Boolean}`) and must return a
+   * promise fulfilled with an object implementing the
+   * [MIDIAccess](https://webaudio.github.io/web-midi-api/#midiaccess-interface) interface. For
+   * example, to use [JZZ](https://www.npmjs.com/package/jzz) in Node.js:
+   *
+   *      WebMidi.setBackend(JZZ.requestMIDIAccess, function() {
+   *        var t = process.hrtime();
+   *        return t[0] * 1000 + t[1] / 1000000;
+   *      });
    *
-   * Please note that the port names change from one host to another. For example, Chrome does
-   * not report port names in the same way as the Jazz-Plugin does.
+   * The `clock` function must return the current time in milliseconds (as a `DOMHighResTimeStamp`
+   * would). It is used by the `WebMidi.time` property and therefore by all timestamp calculations.
    *
-   * @method getInputByName
+   * Passing `undefined` (or omitting a parameter) reverts to the environment's default function.
+   * The backend cannot be changed while `WebMidi` is enabled.
+   *
+   * @method setBackend
    * @static
+   * @chainable
    *
-   * @param name {String} The name of a MIDI input port such as those visible in the
-   * `WebMidi.inputs` array.
+   * @param [requestAccess] {Function} A function returning a promise fulfilled with a `MIDIAccess`
+   * object.
+   * @param [clock] {Function} A function returning the current time in milliseconds.
    *
-   * @returns {Input|False} The `Input` that was found or `false` if no input matched the specified
-   * name.
+   * @throws {Error} The backend cannot be changed while WebMidi is enabled.
+   * @throws {TypeError} The 'requestAccess' parameter must be a function.
+   * @throws {TypeError} The 'clock' parameter must be a function.
    *
-   * @throws Error WebMidi is not enabled.
-   * @throws TypeError The name must be a string.
+   * @return {WebMidi} Returns the `WebMidi` object so methods can be chained.
    *
-   * @since 2.0.0
+   * @since 2.6.0
    */
-  WebMidi.prototype.getInputByName = function(name) {
+  WebMidi.prototype.setBackend = function(requestAccess, clock) {
 
-    if (!this.enabled) {
-      throw new Error("WebMidi is not enabled.");
+    if (this.enabled) {
+      throw new Error("The backend cannot be changed while WebMidi is enabled.");
     }
 
-    for (var i = 0; i < this.inputs.length; i++) {
-      if (~this.inputs[i].name.indexOf(name)) { return this.inputs[i]; }
+    if (requestAccess != null && typeof requestAccess !== "function") {
+      throw new TypeError("The 'requestAccess' parameter must be a function.");
     }
 
-    return false;
+    if (clock != null && typeof clock !== "function") {
+      throw new TypeError("The 'clock' parameter must be a function.");
+    }
+
+    this._backend.requestAccess = requestAccess || undefined;
+    this._backend.clock = clock || undefined;
+
+    return this;
 
   };
 
   /**
-   * Returns the octave number for the specified MIDI note number (0-127). By default, the value is
-   * based on middle C (note number 60) being placed on the 4th octave (C4). However, by using the
-   * <a href="#property_octaveOffset">octaveOffset</a> property, you can offset the result as much
-   * as you want.
+   * Returns the function to use to request access to the MIDI subsystem: the one defined with
+   * `setBackend()` or, by default, `navigator.requestMIDIAccess()` (if available).
    *
-   * @method getOctave
+   * @method _getRequestAccessFunction
    * @static
+   * @protected
    *
-   * @param number {Number} An integer representing a valid MIDI note number (between 0 and 127).
-   *
-   * @returns {Number} The octave (as a signed integer) or `undefined`.
-   *
-   * @since 2.0.0-rc.6
+   * @return {Function|undefined}
    */
-  WebMidi.prototype.getOctave = function(number) {
+  WebMidi.prototype._getRequestAccessFunction = function() {
 
-    if (number != null && number >= 0 && number <= 127) {
-      return Math.floor(Math.floor(number) / 12 - 1) + Math.floor(wm.octaveOffset);
+    if (this._backend.requestAccess) return this._backend.requestAccess;
+
+    if (
+      typeof navigator !== "undefined" && navigator &&
+      typeof navigator.requestMIDIAccess === "function"
+    ) {
+      return navigator.requestMIDIAccess.bind(navigator);
     }
 
   };
 
   /**
-   * Returns the first MIDI `Output` that matches the specified name.
+   * Creates an in-memory virtual port and returns the matching `Input` and `Output` objects. The
+   * two are connected to one another: any message sent through the output (with `send()`,
+   * `playNote()`, etc.) is received by the input and triggers its events. If a message is sent with
+   * a timestamp in the future, it is delivered at that time.
    *
-   * Please note that the port names change from one host to another. For example, Chrome does
-   * not report port names in the same way as the Jazz-Plugin does.
+   * The virtual input and output are added to the `WebMidi.inputs` and `WebMidi.outputs` arrays
+   * and the `connected` event is triggered for each of them. They share the same `id`.
    *
-   * @method getOutputByName
+   * This is useful to test code without any MIDI device or to let different parts of an
+   * application exchange MIDI messages.
+   *
+   * ```js
+   * var port = WebMidi.createVirtualPort("Loopback");
+   * port.input.addListener("noteon", "all", function(e) { console.log(e.note.name); });
+   * port.output.playNote("C3");
+   * ```
+   *
+   * @method createVirtualPort
    * @static
    *
-   * @param name {String} The name of a MIDI output port such as those visible in the
-   * `WebMidi.outputs` array.
+   * @param [name="Virtual Port N"] {String} The name of the virtual port.
    *
-   * @returns {Output|False} The `Output` that was found or `false` if no output matched the
-   * specified name.
+   * @throws {Error} WebMidi must be enabled before creating virtual ports.
    *
-   * @throws Error WebMidi is not enabled.
+   * @return {Object} An object with an `input` property (the `Input` object) and an `output`
+   * property (the `Output` object).
    *
-   * @since 2.0.0
+   * @since 2.6.0
    */
-  WebMidi.prototype.getOutputByName = function(name) {
+  WebMidi.prototype.createVirtualPort = function(name) {
 
     if (!this.enabled) {
-      throw new Error("WebMidi is not enabled.");
+      throw new Error("WebMidi must be enabled before creating virtual ports.");
     }
 
-    for (var i = 0; i < this.outputs.length; i++) {
-      if (~this.outputs[i].name.indexOf(name)) { return this.outputs[i]; }
-    }
+    this._virtualPortCount++;
 
-    return false;
+    var id = "virtual-" + this._virtualPortCount;
+    if (name === undefined) name = "Virtual Port " + this._virtualPortCount;
+
+    var input = new VirtualPort("input", id, String(name));
+    var output = new VirtualPort("output", id, String(name));
+    output._peer = input;
+
+    this._virtualPorts.push(input, output);
+    this._onInterfaceStateChange({timeStamp: this.time, port: input});
+    this._onInterfaceStateChange({timeStamp: this.time, port: output});
+
+    return {
+      input: this.getInputById(id),
+      output: this.getOutputById(id)
+    };
 
   };
 
   /**
-   * Returns a valid MIDI note number (0-127) given the specified input. The input usually is a note
-   * name (C3, F#4, D-2, G8, etc.). If an integer between 0 and 127, it will simply be returned as
-   * is.
+   * Removes a virtual port previously created with `createVirtualPort()`. Both the input and the
+   * output are removed from the `WebMidi.inputs` and `WebMidi.outputs` arrays and the
+   * `disconnected` event is triggered for each of them. Messages scheduled for future delivery are
+   * discarded.
    *
-   * @method guessNoteNumber
+   * @method removeVirtualPort
    * @static
    *
-   * @param input {Number|String} A string to extract the note number from. An integer can also be
-   * used, in which case it will simply be returned (if between 0 and 127).
-   * @throws {Error} Invalid input value
-   * @returns {Number} A valid MIDI note number (0-127).
+   * @param port {Object|Input|Output} The object returned by `createVirtualPort()` or either one of
+   * its `Input` or `Output` objects.
+   *
+   * @throws {Error} WebMidi is not enabled.
+   * @throws {TypeError} The specified port is not a virtual port.
+   *
+   * @since 2.6.0
    */
-  WebMidi.prototype.guessNoteNumber = function(input) {
+  WebMidi.prototype.removeVirtualPort = function(port) {
 
-    var output = false;
+    if (!this.enabled) throw new Error("WebMidi is not enabled.");
 
-    if (input && input.toFixed && input >= 0 && input <= 127) {         // uint
-      output = Math.round(input);
-    } else if (parseInt(input) >= 0 && parseInt(input) <= 127) {        // uint as string
-      output = parseInt(input);
-    } else if (typeof input === "string" || input instanceof String) {  // string
-      output = this.noteNameToNumber(input);
+    if (port && port.input) port = port.input;
+    var id = port && port.id;
+
+    var removed = this._virtualPorts.filter(function(item) {
+      return item.id === id;
+    });
+
+    if (removed.length < 1) {
+      throw new TypeError("The specified port is not a virtual port.");
     }
 
-    if (output === false) throw new Error("Invalid input value (" + input + ").");
-    return output;
+    this._virtualPorts = this._virtualPorts.filter(function(item) {
+      return item.id !== id;
+    });
+
+    removed.forEach(function(item) {
+      item.clear();
+      item.state = "disconnected";
+      item.connection = "closed";
+      this._onInterfaceStateChange({timeStamp: this.time, port: item});
+    }.bind(this));
 
   };
 
   /**
-   * Returns a MIDI note number matching the note name passed in the form of a string parameter. The
-   * note name must include the octave number. The name can also optionally include a sharp (#),
-   * a double sharp (##), a flat (b) or a double flat (bb) symbol: C5, G4, D#-1, F0, Gb7, Eb-1,
-   * Abb4, B##6, etc.
-   *
-   * Note that, in converting note names to numbers, C4 is considered to be middle C (MIDI note
-   * number 60) as per the scientific pitch notation standard.
+   * Finds the devices connected to the system by sending a universal *Identity Request* system
+   * exclusive message through each output and listening for *Identity Reply* messages on all the
+   * inputs. This makes it possible to know which input and which output belong to the same device,
+   * even when the port names are blank or generic.
+   *
+   * The outputs are queried one after the other so a reply can be attributed to the output the
+   * request was sent through: discovery takes `timeout` milliseconds per output. Devices that do
+   * not implement the *Identity Request* message are not found.
+   *
+   * The method returns a promise fulfilled with an array of objects, one per reply, with the
+   * following properties:
+   *
+   *    * `input`: the `Input` the reply was received on;
+   *    * `output`: the `Output` the request was sent through;
+   *    * `deviceId`: the device ID (channel) of the device;
+   *    * `manufacturerId`: the manufacturer ID (one byte or three bytes);
+   *    * `manufacturer`: the name of the manufacturer (see `MIDI_MANUFACTURERS`) or `undefined`;
+   *    * `family` and `model`: the device family and model codes;
+   *    * `version`: the software revision level (an array of 4 bytes).
+   *
+   * ```js
+   * WebMidi.enable({sysex: true})
+   *   .then(function() { return WebMidi.discoverDevices(); })
+   *   .then(function(devices) { console.log(devices); });
+   * ```
+   *
+   * @method discoverDevices
+   * @static
    *
-   * Also note that the resulting note number is offset by the `octaveOffset` value (if not zero).
-   * For example, if you pass in "C4" and the `octaveOffset` value is 2 the resulting MIDI note
-   * number will be 36.
+   * @param {Object} [options={}]
    *
-   * @method noteNameToNumber
-   * @static
+   * @param {Number} [options.timeout=250] How long to wait for replies (in milliseconds) after
+   * sending the request through each output.
    *
-   * @param name {String} The name of the note in the form of a letter, followed by an optional "#",
-   * "##", "b" or "bb" followed by the octave number.
+   * @return {Promise} A promise fulfilled with the array of devices found. It is rejected with an
+   * `Error` if WebMidi is not enabled or if sysex messages are not enabled and with a `RangeError`
+   * if the timeout is invalid.
    *
-   * @throws {RangeError} Invalid note name.
-   * @throws {RangeError} Invalid note name or note outside valid range.
-   * @return {Number} The MIDI note number (between 0 and 127)
+   * @since 2.6.0
    */
-  WebMidi.prototype.noteNameToNumber = function(name) {
+  WebMidi.prototype.discoverDevices = function(options) {
 
-    if (typeof name !== "string") name = "";
+    var that = this,
+      devices = [];
 
-    var matches = name.match(/([CDEFGAB])(#{0,2}|b{0,2})(-?\d+)/i);
-    if(!matches) throw new RangeError("Invalid note name.");
+    options = options || {};
 
-    var semitones = wm._semitones[matches[1].toUpperCase()];
-    var octave = parseInt(matches[3]);
-    var result = ((octave + 1 - Math.floor(wm.octaveOffset)) * 12) + semitones;
+    var timeout = options.timeout === undefined ? 250 : parseFloat(options.timeout);
 
+    if (!this.enabled) {
+      return Promise.reject(new Error("WebMidi must be enabled before discovering devices."));
+    }
 
-    if (matches[2].toLowerCase().indexOf("b") > -1) {
-      result -= matches[2].length;
-    } else if (matches[2].toLowerCase().indexOf("#") > -1) {
-      result += matches[2].length;
+    if (!this.sysexEnabled) {
+      return Promise.reject(new Error("Sysex message support must first be activated."));
     }
 
-    if (result < 0 || result > 127) {
-      throw new RangeError("Invalid note name or note outside valid range.");
+    if ( !(timeout >= 0) ) {
+      return Promise.reject(new RangeError("The timeout must be a positive number."));
     }
 
-    return result;
+    var outputs = this.outputs.slice();
+
+    var query = function(index) {
+
+      if (index >= outputs.length) return Promise.resolve(devices);
+
+      return that._queryIdentity(outputs[index], timeout).then(function(replies) {
+        devices = devices.concat(replies);
+        return query(index + 1);
+      });
+
+    };
+
+    return query(0);
 
   };
 
   /**
-   * @method _updateInputsAndOutputs
-   * @static
+   * Sends an *Identity Request* through the specified output and collects the *Identity Reply*
+   * messages received on all inputs during the specified time.
+   *
+   * @method _queryIdentity
+   * @param output {Output} The output to send the request through.
+   * @param timeout {Number} How long to wait for replies (in milliseconds).
+   * @returns {Promise} A promise fulfilled with an array of devices (see `discoverDevices()`).
    * @protected
    */
-  WebMidi.prototype._updateInputsAndOutputs = function() {
-    this._updateInputs();
-    this._updateOutputs();
+  WebMidi.prototype._queryIdentity = function(output, timeout) {
+
+    var inputs = this.inputs.slice(),
+      devices = [];
+
+    var listener = function(e) {
+
+      if (e.message !== "identityreply") return;
+
+      devices.push({
+        input: e.target,
+        output: output,
+        deviceId: e.deviceId,
+        manufacturerId: e.payload.manufacturerId,
+        manufacturer: e.payload.manufacturer,
+        family: e.payload.family,
+        model: e.payload.model,
+        version: e.payload.version
+      });
+
+    };
+
+    return new Promise(function(resolve) {
+
+      inputs.forEach(function(input) {
+        input.addListener("sysex", undefined, listener);
+      });
+
+      // A port that fails to send the request (e.g. disconnected) is simply skipped
+      try {
+        output.sendSysex(0x7E, [0x7F, 0x06, 0x01]);
+      } catch (err) {
+        timeout = 0;
+      }
+
+      setTimeout(function() {
+        inputs.forEach(function(input) {
+          input.removeListener("sysex", undefined, listener);
+        });
+        resolve(devices);
+      }, timeout);
+
+    });
+
   };
 
   /**
-   * @method _updateInputs
+   * Creates a {{#crossLink "Recorder"}}Recorder{{/crossLink}} object that captures the MIDI
+   * messages received by the specified inputs. The capture can then be exported as a Standard MIDI
+   * File.
+   *
+   * ```js
+   * var recorder = WebMidi.createRecorder(WebMidi.inputs[0]).start();
+   * ```
+   *
+   * @method createRecorder
    * @static
-   * @protected
+   *
+   * @param [inputs=WebMidi.inputs] {Input|Array} The `Input` object (or array of `Input` objects)
+   * to record.
+   *
+   * @throws {Error} WebMidi is not enabled.
+   * @throws {TypeError} The 'inputs' parameter must be an Input or an array of Input objects.
+   *
+   * @return {Recorder}
+   *
+   * @since 2.6.0
    */
-  WebMidi.prototype._updateInputs = function() {
-
-    // Check for items to remove from the existing array (because they are no longer being reported
-    // by the MIDI back-end).
-    for (var i = 0; i < this._inputs.length; i++) {
+  WebMidi.prototype.createRecorder = function(inputs) {
 
-      var remove = true;
+    if (!this.enabled) throw new Error("WebMidi is not enabled.");
 
-      var updated = this.interface.inputs.values();
-      for (var input = updated.next(); input && !input.done; input = updated.next()) {
-        if (this._inputs[i]._midiInput === input.value) {
-          remove = false;
-          break;
-        }
-      }
+    inputs = inputs === undefined ? this.inputs.slice() : [].concat(inputs);
 
-      if (remove) {
-        this._inputs.splice(i, 1);
+    inputs.forEach(function(input) {
+      if ( !(input instanceof Input) ) {
+        throw new TypeError(
+          "The 'inputs' parameter must be an Input or an array of Input objects."
+        );
       }
+    });
 
-    }
-
-    // Check for items to add in the existing inputs array because they just appeared in the MIDI
-    // back-end inputs list. We must check for the existence of this.interface because it might
-    // have been closed via WebMidi.disable().
-    this.interface && this.interface.inputs.forEach(function (nInput) {
+    return new Recorder(inputs);
 
-      var add = true;
+  };
 
-      for (var j = 0; j < this._inputs.length; j++) {
-        if (this._inputs[j]._midiInput === nInput) {
-          add = false;
-        }
-      }
+  /**
+   * Reads the content of a Standard MIDI File (`.mid`) and returns a
+   * {{#crossLink "MidiFile"}}MidiFile{{/crossLink}} object. Format 0, 1 and 2 files are supported.
+   *
+   * The events found in the file have the same properties as the events dispatched by `Input`
+   * objects (`noteon`, `controlchange`, `pitchbend`, `sysex`, etc.). Meta events (tempo, time
+   * signature, key signature, track name, lyrics, etc.) are also reported.
+   *
+   * ```js
+   * fetch("song.mid")
+   *   .then(function(response) { return response.arrayBuffer(); })
+   *   .then(function(buffer) {
+   *     var file = WebMidi.parseMidiFile(buffer);
+   *     file.tracks[0].events.forEach(function(e) { console.log(e.timestamp, e.type); });
+   *   });
+   * ```
+   *
+   * This method does not require `WebMidi` to be enabled.
+   *
+   * @method parseMidiFile
+   * @static
+   *
+   * @param data {ArrayBuffer|Uint8Array|Array} The content of the file.
+   *
+   * @throws {TypeError} The data must be an ArrayBuffer, a Uint8Array or an array of bytes.
+   * @throws {Error} Invalid MIDI file.
+   *
+   * @return {MidiFile}
+   *
+   * @since 2.6.0
+   */
+  WebMidi.prototype.parseMidiFile = function(data) {
 
-      if (add) {
-        this._inputs.push( new Input(nInput) );
-      }
+    if (data instanceof ArrayBuffer || Array.isArray(data)) {
+      data = new Uint8Array(data);
+    } else if ( !(data instanceof Uint8Array) ) {
+      throw new TypeError("The data must be an ArrayBuffer, a Uint8Array or an array of bytes.");
+    }
 
-    }.bind(this));
+    return MidiFile._parse(data);
 
   };
 
   /**
-   * @method _updateOutputs
+   * Reads a tuning in the [Scala](https://www.huygens-fokker.org/scala/) format: a scale file
+   * (`.scl`) and, optionally, a keyboard mapping file (`.kbm`). The returned object holds the pitch
+   * of the 128 MIDI notes, ready to be sent with
+   * {{#crossLink "Output/sendTuningDump:method"}}sendTuningDump(){{/crossLink}} or
+   * {{#crossLink "Output/sendNoteTuning:method"}}sendNoteTuning(){{/crossLink}}:
+   *
+   * ```js
+   * var scale = WebMidi.parseScala(scl, kbm);
+   * WebMidi.outputs[0].sendTuningDump(scale.tuning, {name: scale.description});
+   * ```
+   *
+   * Without keyboard mapping, the first degree of the scale is mapped to middle C (note 60), which
+   * keeps its frequency in equal temperament (261.626 Hz), and the following notes are mapped to
+   * the following degrees.
+   *
+   * This method does not require `WebMidi` to be enabled.
+   *
+   * @method parseScala
    * @static
-   * @protected
+   *
+   * @param scl {String} The content of the scale file.
+   * @param [kbm] {String} The content of the keyboard mapping file.
+   *
+   * @throws {TypeError} The Scala scale file is invalid.
+   * @throws {TypeError} The Scala keyboard mapping file is invalid.
+   *
+   * @return {Object} An object with the following properties:
+   *
+   *    * `description`: the description found in the scale file;
+   *    * `degrees`: the pitch of the degrees of the scale in cents (the last one being the period,
+   *    usually 1200);
+   *    * `tuning`: the pitch of the 128 MIDI notes as fractional MIDI note numbers (`undefined`
+   *    for the notes that are not mapped or out of range).
+   *
+   * @since 2.6.0
    */
-  WebMidi.prototype._updateOutputs = function() {
+  WebMidi.prototype.parseScala = function(scl, kbm) {
 
-    // Check for items to remove from the existing array (because they are no longer being reported
-    // by the MIDI back-end).
-    for (var i = 0; i < this._outputs.length; i++) {
+    // Comment lines start with "!"
+    var read = function(text, message) {
+      if (typeof text !== "string") throw new TypeError(message);
+      return text.split(/\r?\n/).filter(function(line) { return line.charAt(0) !== "!"; });
+    };
 
-      var remove = true;
+    var sclLines = read(scl, "The Scala scale file is invalid."),
+      count = parseInt(sclLines[1]),
+      degrees = [0];
 
-      var updated = this.interface.outputs.values();
-      for (var output = updated.next(); output && !output.done; output = updated.next()) {
-        if (this._outputs[i]._midiOutput === output.value) {
-          remove = false;
-          break;
-        }
-      }
+    if ( !(count >= 1 && sclLines.length >= count + 2) ) {
+      throw new TypeError("The Scala scale file is invalid.");
+    }
 
-      if (remove) {
-        this._outputs.splice(i, 1);
+    // Pitches are in cents if they contain a period and are ratios (or integers) otherwise
+    sclLines.slice(2, count + 2).forEach(function(line) {
+
+      var token = line.trim().split(/\s+/)[0],
+        ratio = token.match(/^(\d+)(?:\/(\d+))?$/),
+        cents = token.indexOf(".") > -1 ? parseFloat(token) : NaN;
+
+      if (ratio && parseInt(ratio[1]) > 0 && parseInt(ratio[2] || 1) > 0) {
+        cents = 1200 * Math.log(parseInt(ratio[1]) / parseInt(ratio[2] || 1)) / Math.LN2;
       }
 
-    }
+      if (isNaN(cents)) throw new TypeError("The Scala scale file is invalid.");
 
-    // Check for items to add in the existing inputs array because they just appeared in the MIDI
-    // back-end outputs list. We must check for the existence of this.interface because it might
-    // have been closed via WebMidi.disable().
-    this.interface && this.interface.outputs.forEach(function (nOutput) {
+      degrees.push(cents);
 
-      var add = true;
+    });
 
-      for (var j = 0; j < this._outputs.length; j++) {
-        if (this._outputs[j]._midiOutput === nOutput) {
-          add = false;
-        }
+    var map = {size: 0, first: 0, last: 127, middle: 60, reference: 60, frequency: 261.6255653};
+
+    if (kbm !== undefined) {
+
+      var kbmLines = read(kbm, "The Scala keyboard mapping file is invalid.")
+        .map(function(line) { return line.trim().split(/\s+/)[0]; })
+        .filter(function(token) { return token !== ""; });
+
+      var values = kbmLines.slice(0, 7).map(parseFloat);
+
+      if (values.length < 7 || values.some(isNaN) || !(values[5] > 0)) {
+        throw new TypeError("The Scala keyboard mapping file is invalid.");
       }
 
-      if (add) {
-        this._outputs.push( new Output(nOutput) );
+      map = {
+        size: Math.floor(values[0]),
+        first: values[1],
+        last: values[2],
+        middle: values[3],
+        reference: values[4],
+        frequency: values[5],
+        octave: Math.floor(values[6]),
+        mapping: []
+      };
+
+      // Missing entries and entries marked with "x" are not mapped
+      for (var i = 0; i < map.size; i++) {
+        var entry = parseInt(kbmLines[7 + i]);
+        map.mapping.push(isNaN(entry) ? undefined : entry);
       }
 
-    }.bind(this));
+    }
 
-  };
+    // Returns the pitch (in cents) of a degree, continuing the scale beyond its period
+    var centsOf = function(degree) {
+      var period = Math.floor(degree / count);
+      return period * degrees[count] + degrees[degree - period * count];
+    };
 
-  /**
-   * @method _onInterfaceStateChange
-   * @static
-   * @protected
-   */
-  WebMidi.prototype._onInterfaceStateChange = function(e) {
+    // Returns the pitch (in cents) of a note relative to the middle note
+    var centsOfNote = function(note) {
 
-    this._updateInputsAndOutputs();
+      var offset = note - map.middle;
 
-    /**
-     * Event emitted when a MIDI port becomes available. This event is typically fired whenever a
-     * MIDI device is plugged in. Please note that it may fire several times if a device possesses
-     * multiple input/output ports.
-     *
-     * @event connected
-     * @param {Object} event
-     * @param {Number} event.timestamp The timestamp when the event occurred (in milliseconds since
-     * the epoch).
-     * @param {String} event.type The type of event that occurred.
-     * @param {String} event.port The actual `Input` or `Output` object associated to the event.
-     */
+      if (map.size === 0) return centsOf(offset);
+
+      var period = Math.floor(offset / map.size),
+        degree = map.mapping[offset - period * map.size];
+
+      if (degree === undefined) return undefined;
+
+      return period * centsOf(map.octave || count) + centsOf(degree);
 
-    /**
-     * Event emitted when a MIDI port becomes unavailable. This event is typically fired whenever a
-     * MIDI device is unplugged. Please note that it may fire several times if a device possesses
-     * multiple input/output ports.
-     *
-     * @event disconnected
-     * @param {Object} event
-     * @param {Number} event.timestamp The timestamp when the event occurred (in milliseconds since
-     * the epoch).
-     * @param {String} event.type The type of event that occurred.
-     * @param {String} event.port An generic object containing details about the port that triggered
-     * the event.
-     */
-    var event = {
-      timestamp: e.timeStamp,
-      type: e.port.state
     };
 
-    if (this.interface && e.port.state === "connected") {
+    var reference = centsOfNote(map.reference),
+      tuning = [];
 
-      if (e.port.type === "output") {
-        event.port = this.getOutputById(e.port.id);
-      } else if (e.port.type === "input") {
-        event.port = this.getInputById(e.port.id);
-      }
+    if (reference === undefined) {
+      throw new TypeError("The Scala keyboard mapping file is invalid.");
+    }
 
-    } else {
+    for (var note = 0; note < 128; note++) {
 
-      event.port = {
-        connection: "closed",
-        id: e.port.id,
-        manufacturer: e.port.manufacturer,
-        name: e.port.name,
-        state: e.port.state,
-        type: e.port.type
-      };
+      var cents = note >= map.first && note <= map.last ? centsOfNote(note) : undefined,
+        pitch = cents === undefined ? undefined :
+          69 + 12 * Math.log(map.frequency / 440) / Math.LN2 + (cents - reference) / 100;
+
+      tuning.push(pitch >= 0 && pitch < 128 ? pitch : undefined);
 
     }
 
-    this._userHandlers[e.port.state].forEach(function (handler) {
-      handler(event);
-    });
+    return {description: sclLines[0].trim(), degrees: degrees.slice(1), tuning: tuning};
 
   };
 
   /**
-   * @method _resetInterfaceUserHandlers
+   * Completely disables `WebMidi` by unlinking the MIDI subsystem's interface and destroying all
+   * `Input` and `Output` objects that may be available. This also means that any listener(s) that
+   * may have been defined on `WebMidi` or any `Input` objects will be destroyed. Messages scheduled
+   * on `Output` objects that have not been sent yet are cancelled and the players created with
+   * `Output.play()` are stopped.
+   *
+   * @method disable
    * @static
-   * @protected
+   *
+   * @since 2.0.0
    */
-  WebMidi.prototype._resetInterfaceUserHandlers = function() {
+  WebMidi.prototype.disable = function() {
+
+    if ( !this.supported ) {
+      throw new Error("The Web MIDI API is not supported by your browser.");
+    }
+
+    if (this.enabled) {
+
+      this.removeListener();
+
+      this.inputs.forEach(function (input) {
+        input.removeListener();
+        input._resetNrpnState();
+      });
+
+      this.outputs.forEach(function (output) {
+        output._players.forEach(function (player) {
+          if (player.state !== "stopped") player.stop();
+        });
+        output._players = [];
+        output.stopTimecode();
+        if (output._clock) clearTimeout(output._clock.timeout);
+        output._clock = undefined;
+        output.clear();
+      });
 
-    for (var i = 0; i < this._midiInterfaceEvents.length; i++) {
-      this._userHandlers[this._midiInterfaceEvents[i]] = [];
     }
 
+    if (this.interface) this.interface.onstatechange = undefined;
+    this.interface = undefined; // also resets enabled, sysexEnabled, nrpnEventsEnabled
+    this._virtualPorts.forEach(function (port) {
+      port.clear();
+      port.state = "disconnected";
+      port.connection = "closed";
+    });
+    this._virtualPorts = [];
+    this._inputs = [];
+    this._outputs = [];
+    this._failedPorts = [];
+    this._nrpnEventsEnabled = true;
+    this._resetInterfaceUserHandlers();
+
   };
 
   /**
-   * The `Input` object represents a MIDI input port on the host system. This object is created by
-   * the MIDI subsystem and cannot be instantiated directly.
+   * Adds an event listener on the `WebMidi` object that will trigger a function callback when the
+   * specified event happens.
    *
-   * You will find all available `Input` objects in the `WebMidi.inputs` array.
+   * WebMidi must be enabled before adding event listeners.
    *
-   * @class Input
-   * @param {MIDIInput} midiInput `MIDIInput` object
+   * Currently, only one event is being dispatched by the `WebMidi` object:
+   *
+   *    * {{#crossLink "WebMidi/statechange:event"}}statechange{{/crossLink}}
+   *
+   * @method addListener
+   * @static
+   * @chainable
+   *
+   * @param type {String} The type of the event.
+   *
+   * @param listener {Function} A callback function to execute when the specified event is detected.
+   * This function will receive an event parameter object. For details on this object"s properties,
+   * check out the documentation for the various events (links above).
+   *
+   * @throws {Error} WebMidi must be enabled before adding event listeners.
+   * @throws {TypeError} The specified event type is not supported.
+   * @throws {TypeError} The "listener" parameter must be a function.
+   *
+   * @return {WebMidi} Returns the `WebMidi` object so methods can be chained.
    */
-  function Input(midiInput) {
+  WebMidi.prototype.addListener = function(type, listener) {
 
-    var that = this;
+    if (!this.enabled) {
+      throw new Error("WebMidi must be enabled before adding event listeners.");
+    }
 
-    // User-defined handlers list
-    this._userHandlers = { channel: {}, system: {} };
+    if (typeof listener !== "function") {
+      throw new TypeError("The 'listener' parameter must be a function.");
+    }
 
-    // Reference to the actual MIDIInput object
-    this._midiInput = midiInput;
+    if (this._midiInterfaceEvents.indexOf(type) >= 0) {
+      this._userHandlers[type].push(listener);
+    } else {
+      throw new TypeError("The specified event type is not supported.");
+    }
 
-    Object.defineProperties(this, {
+    return this;
 
-      /**
-       * [read-only] Status of the MIDI port"s connection (`pending`, `open` or `closed`)
-       *
-       * @property connection
-       * @type String
-       */
-      connection: {
-        enumerable: true,
-        get: function () {
-          return that._midiInput.connection;
-        }
-      },
+  };
 
-      /**
-       * [read-only] ID string of the MIDI port. The ID is host-specific. Do not expect the same ID
-       * on different platforms. For example, Google Chrome and the Jazz-Plugin report completely
-       * different IDs for the same port.
-       *
-       * @property id
-       * @type String
-       */
-      id: {
-        enumerable: true,
-        get: function () {
-          return that._midiInput.id;
-        }
-      },
+  /**
+   * Checks if the specified event type is already defined to trigger the specified listener
+   * function.
+   *
+   * @method hasListener
+   * @static
+   *
+   * @param {String} type The type of the event.
+   * @param {Function} listener The callback function to check for.
+   *
+   * @throws {Error} WebMidi must be enabled before checking event listeners.
+   * @throws {TypeError} The "listener" parameter must be a function.
+   * @throws {TypeError} The specified event type is not supported.
+   *
+   * @return {Boolean} Boolean value indicating whether or not a callback is already defined for
+   * this event type.
+   */
+  WebMidi.prototype.hasListener = function(type, listener) {
 
-      /**
-       * [read-only] Name of the manufacturer of the device that makes this port available.
-       *
-       * @property manufacturer
-       * @type String
-       */
-      manufacturer: {
-        enumerable: true,
-        get: function () {
-          return that._midiInput.manufacturer;
-        }
-      },
+    if (!this.enabled) {
+      throw new Error("WebMidi must be enabled before checking event listeners.");
+    }
 
-      /**
-       * [read-only] Name of the MIDI port
-       *
-       * @property name
-       * @type String
-       */
-      name: {
-        enumerable: true,
-        get: function () {
-          return that._midiInput.name;
-        }
-      },
+    if (typeof listener !== "function") {
+      throw new TypeError("The 'listener' parameter must be a function.");
+    }
 
-      /**
-       * [read-only] State of the MIDI port (`connected` or `disconnected`)
-       *
-       * @property state
-       * @type String
-       */
-      state: {
-        enumerable: true,
-        get: function () {
-          return that._midiInput.state;
-        }
-      },
+    if (this._midiInterfaceEvents.indexOf(type) >= 0) {
 
-      /**
-       * [read-only] Type of the MIDI port (`input`)
-       *
-       * @property type
-       * @type String
-       */
-      type: {
-        enumerable: true,
-        get: function () {
-          return that._midiInput.type;
+      for (var o = 0; o < this._userHandlers[type].length; o++) {
+        if (this._userHandlers[type][o] === listener) {
+          return true;
         }
       }
 
-    });
+    } else {
+      throw new TypeError("The specified event type is not supported.");
+    }
 
-    this._initializeUserHandlers();
-    this._midiInput.onmidimessage = this._onMidiMessage.bind(this);
+    return false;
 
-  }
+  };
 
   /**
-   * Adds an event listener to the `Input` that will trigger a function callback when the specified
-   * event happens. The events that are dispatched can be channel-specific or Input-wide.
-   *
-   * Here is a list of events that are dispatched by `Input` objects and that can be listened to.
-   *
-   * Channel-specific MIDI events:
-   *
-   *    * {{#crossLink "Input/noteoff:event"}}noteoff{{/crossLink}}
-   *    * {{#crossLink "Input/noteon:event"}}noteon{{/crossLink}}
-   *    * {{#crossLink "Input/keyaftertouch:event"}}keyaftertouch{{/crossLink}}
-   *    * {{#crossLink "Input/controlchange:event"}}controlchange{{/crossLink}}
-   *    * {{#crossLink "Input/channelmode:event"}}channelmode{{/crossLink}}
-   *    * {{#crossLink "Input/programchange:event"}}programchange{{/crossLink}}
-   *    * {{#crossLink "Input/channelaftertouch:event"}}channelaftertouch{{/crossLink}}
-   *    * {{#crossLink "Input/pitchbend:event"}}pitchbend{{/crossLink}}
-   *
-   * Input-wide MIDI events:
-   *
-   *    * {{#crossLink "Input/sysex:event"}}sysex{{/crossLink}}
-   *    * {{#crossLink "Input/timecode:event"}}timecode{{/crossLink}}
-   *    * {{#crossLink "Input/songposition:event"}}songposition{{/crossLink}}
-   *    * {{#crossLink "Input/songselect:event"}}songselect{{/crossLink}}
-   *    * {{#crossLink "Input/tuningrequest:event"}}tuningrequest{{/crossLink}}
-   *    * {{#crossLink "Input/clock:event"}}clock{{/crossLink}}
-   *    * {{#crossLink "Input/start:event"}}start{{/crossLink}}
-   *    * {{#crossLink "Input/continue:event"}}continue{{/crossLink}}
-   *    * {{#crossLink "Input/stop:event"}}stop{{/crossLink}}
-   *    * {{#crossLink "Input/activesensing:event"}}activesensing{{/crossLink}}
-   *    * {{#crossLink "Input/reset:event"}}reset{{/crossLink}}
-   *    * {{#crossLink "Input/midimessage:event"}}midimessage{{/crossLink}}
-   *    * {{#crossLink "Input/unknownsystemmessage:event"}}unknownsystemmessage{{/crossLink}}
-   *
-   * For device-wide events, the `channel` parameter will be silently ignored. You can simply use
-   * `undefined` in that case.
-   *
-   * If you want to view all incoming MIDI traffic, you can listen to the input-wide `midimessage`
-   * event. This event is dispatched for every single message that is received on that input.
+   * Removes the specified listener(s). If the `listener` parameter is left undefined, all listeners
+   * for the specified `type` will be removed. If both the `listener` and the `type` parameters are
+   * omitted, all listeners attached to the `WebMidi` object will be removed.
    *
-   * @method addListener
+   * @method removeListener
+   * @static
    * @chainable
    *
-   * @param type {String} The type of the event.
-   *
-   * @param channel {Number|Array|String} The MIDI channel to listen on (integer between 1 and 16).
-   * You can also specify an array of channel numbers or the value "all" (or leave it undefined for
-   * input-wide events).
-   *
-   * @param listener {Function} A callback function to execute when the specified event is detected.
-   * This function will receive an event parameter object. For details on this object"s properties,
-   * check out the documentation for the various events (links above).
+   * @param {String} [type] The type of the event.
+   * @param {Function} [listener] The callback function to check for.
    *
-   * @throws {RangeError} The "channel" parameter is invalid.
+   * @throws {Error} WebMidi must be enabled before removing event listeners.
    * @throws {TypeError} The "listener" parameter must be a function.
    * @throws {TypeError} The specified event type is not supported.
    *
-   * @return {WebMidi} Returns the `WebMidi` object so methods can be chained.
+   * @return {WebMidi} The `WebMidi` object for easy method chaining.
    */
-  Input.prototype.addListener = function(type, channel, listener) {
-
-    var that = this;
-
-    if (channel === undefined) { channel = "all"; }
-    if (!Array.isArray(channel)) { channel = [channel]; }
+  WebMidi.prototype.removeListener = function(type, listener) {
 
-    // Check if channel entries are valid
-    channel.forEach(function(item){
-      if (item !== "all" && !(item >= 1 && item <= 16)) {
-        throw new RangeError(
-          "The 'channel' parameter is invalid."
-        );
-      }
-    });
+    if (!this.enabled) {
+      throw new Error("WebMidi must be enabled before removing event listeners.");
+    }
 
-    if (typeof listener !== "function") {
+    if (listener !== undefined && typeof listener !== "function") {
       throw new TypeError("The 'listener' parameter must be a function.");
     }
 
-    if (wm.MIDI_SYSTEM_MESSAGES[type] !== undefined) {
+    if (this._midiInterfaceEvents.indexOf(type) >= 0) {
 
-      if (!this._userHandlers.system[type]) this._userHandlers.system[type] = [];
-      this._userHandlers.system[type].push(listener);
+      if (listener) {
 
-    } else if (wm.MIDI_CHANNEL_MESSAGES[type] !== undefined) {
+        for (var o = 0; o < this._userHandlers[type].length; o++) {
+          if (this._userHandlers[type][o] === listener) {
+            this._userHandlers[type].splice(o, 1);
+          }
+        }
 
-      // If "all" is present anywhere in the channel array, use all 16 channels
-      if (channel.indexOf("all") > -1) {
-        channel = [];
-        for (var j = 1; j <= 16; j++) { channel.push(j); }
+      } else {
+        this._userHandlers[type] = [];
       }
 
-      if (!this._userHandlers.channel[type]) { this._userHandlers.channel[type] = []; }
-
-      // Push all channel listeners in the array
-      channel.forEach(function(ch){
-
-        if (!that._userHandlers.channel[type][ch]) {
-          that._userHandlers.channel[type][ch] = [];
-        }
-
-        that._userHandlers.channel[type][ch].push(listener);
+    } else if (type === undefined) {
 
-      });
+      this._resetInterfaceUserHandlers();
 
     } else {
       throw new TypeError("The specified event type is not supported.");
@@ -1502,67 +2182,85 @@
   };
 
   /**
-   * This is an alias to the {{#crossLink "Input/addListener"}}Input.addListener(){{/crossLink}}
-   * function.
-   *
-   * @method on
-   * @since 2.0.0
-   */
-  Input.prototype.on = Input.prototype.addListener;
-
-  /**
-   * Checks if the specified event type is already defined to trigger the listener function on the
-   * specified channel(s). If more than one channel is specified, the function will return `true`
-   * only if all channels have the listener defined.
+   * Returns a sanitized array of valid MIDI channel numbers (1-16). The parameter should be one of
+   * the following:
    *
-   * For device-wide events (`sysex`, `start`, etc.), the `channel` parameter is silently ignored.
-   * We suggest you use `undefined` in such cases.
+   * * a single integer
+   * * an array of integers
+   * * the special value `"all"`
+   * * the special value `"none"`
    *
-   * @method hasListener
+   * Passing `"all"` or `undefined` as a parameter to this function results in all channels being
+   * returned (1-16). Passing `"none"` results in no channel being returned (as an empty array).
    *
-   * @param type {String} The type of the event.
-   * @param channel {Number|Array|String} The MIDI channel to check on (between 1 and 16). You
-   * can also specify an array of channel numbers or the string "all".
-   * @param listener {Function} The callback function to check for.
+   * Note: parameters that cannot successfully be parsed to integers between 1 and 16 are silently
+   * ignored.
    *
-   * @throws {TypeError} The "listener" parameter must be a function.
+   * @method toMIDIChannels
+   * @static
    *
-   * @return {Boolean} Boolean value indicating whether or not the channel(s) already have this
-   * listener defined.
+   * @param [channel="all"] {Number|Array|"all"|"none"}
+   * @returns {Array} An array of 0 or more valid MIDI channel numbers
    */
-  Input.prototype.hasListener = function(type, channel, listener) {
+  WebMidi.prototype.toMIDIChannels = function(channel) {
 
-    var that = this;
+    var channels;
 
-    if (typeof listener !== "function") {
-      throw new TypeError("The 'listener' parameter must be a function.");
+    if (channel === "all" || channel === undefined) {
+      channels = ["all"];
+    } else if (channel === "none") {
+      channels = [];
+      return channels;
+    } else if (!Array.isArray(channel)) {
+      channels = [channel];
+    } else {
+      channels = channel;
     }
 
-    if (channel === undefined) { channel = "all"; }
-    if (channel.constructor !== Array) { channel = [channel]; }
-
-    if (wm.MIDI_SYSTEM_MESSAGES[type] !== undefined) {
+    // In order to preserve backwards-compatibility, we let this assignment as it is.
+    if (channels.indexOf("all") > -1) {
+      channels = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16];
+    }
 
-      for (var o = 0; o < this._userHandlers.system[type].length; o++) {
-        if (this._userHandlers.system[type][o] === listener) { return true; }
-      }
+    return channels
+      .map(function(ch) {
+        return parseInt(ch);
+      })
+      .filter(function(ch) {
+        return (ch >= 1 && ch <= 16);
+      });
 
-    } else if (wm.MIDI_CHANNEL_MESSAGES[type] !== undefined) {
+  };
 
-      // If "all" is present anywhere in the channel array, use all 16 channels
-      if (channel.indexOf("all") > -1) {
-        channel = [];
-        for (var j = 1; j <= 16; j++) { channel.push(j); }
-      }
+  /**
+   *
+   * Returns the `Input` object that matches the specified ID string or `false` if no matching input
+   * is found. As per the Web MIDI API specification, IDs are strings (not integers).
+   *
+   * Please note that IDs change from one host to another. For example, Chrome does not use the same
+   * kind of IDs as Jazz-Plugin.
+   *
+   * @method getInputById
+   * @static
+   *
+   * @param id {String} The ID string of the port. IDs can be viewed by looking at the
+   * `WebMidi.inputs` array.
+   *
+   * @returns {Input|false} A MIDIInput port matching the specified ID string. If no matching port
+   * can be found, the method returns `false`.
+   *
+   * @throws Error WebMidi is not enabled.
+   *
+   * @since 2.0.0
+   */
+  WebMidi.prototype.getInputById = function(id) {
 
-      if (!this._userHandlers.channel[type]) { return false; }
+    if (!this.enabled) throw new Error("WebMidi is not enabled.");
 
-      // Go through all specified channels
-      return channel.every(function(chNum) {
-        var listeners = that._userHandlers.channel[type][chNum];
-        return listeners && listeners.indexOf(listener) > -1;
-      });
+    id = String(id);
 
+    for (var i = 0; i < this.inputs.length; i++) {
+      if (this.inputs[i].id === id) return this.inputs[i];
     }
 
     return false;
@@ -1570,1144 +2268,7809 @@
   };
 
   /**
-   * Removes the specified listener from the specified channel(s). If the `listener` parameter is
-   * left undefined, all listeners for the specified `type` will be removed from all channels. If
-   * the `channel` is also omitted, all listeners of the specified type will be removed from all
-   * channels. If no parameters are defined, all listeners attached to any channel of the `Input`
-   * will be removed.
+   * Returns the `Output` object that matches the specified ID string or `false` if no matching
+   * output is found. As per the Web MIDI API specification, IDs are strings (not integers).
    *
-   * For device-wide events (`sysex`, `start`, etc.), the `channel` parameter is silently ignored.
-   * You can use `undefined` in such cases.
+   * Please note that IDs change from one host to another. For example, Chrome does not use the same
+   * kind of IDs as Jazz-Plugin.
    *
-   * @method removeListener
-   * @chainable
+   * @method getOutputById
+   * @static
    *
-   * @param [type] {String} The type of the event.
-   * @param [channel] {Number|String|Array} The MIDI channel(s) to check on. It can be a uint
-   * (between 1 and 16) an array of channel numbers or the special value "all".
-   * @param [listener] {Function} The callback function to check for.
+   * @param id {String} The ID string of the port. IDs can be viewed by looking at the
+   * `WebMidi.outputs` array.
    *
-   * @throws {TypeError} The specified event type is not supported.
-   * @throws {TypeError} The "listener" parameter must be a function..
+   * @returns {Output|false} A MIDIOutput port matching the specified ID string. If no matching port
+   * can be found, the method returns `false`.
    *
-   * @return {Input} The `Input` object for easy method chaining.
+   * @throws Error WebMidi is not enabled.
+   *
+   * @since 2.0.0
    */
-  Input.prototype.removeListener = function(type, channel, listener) {
-
-    var that = this;
-
-    if (listener !== undefined && typeof listener !== "function") {
-      throw new TypeError("The 'listener' parameter must be a function.");
-    }
-
-    if (channel === undefined) { channel = "all"; }
-    if (channel.constructor !== Array) { channel = [channel]; }
-
-    if (wm.MIDI_SYSTEM_MESSAGES[type] !== undefined) {
+  WebMidi.prototype.getOutputById = function(id) {
 
-      if (listener === undefined) {
+    if (!this.enabled) throw new Error("WebMidi is not enabled.");
 
-        this._userHandlers.system[type] = [];
+    id = String(id);
 
-      } else {
+    for (var i = 0; i < this.outputs.length; i++) {
+      if (this.outputs[i].id === id) return this.outputs[i];
+    }
 
-        for (var o = 0; o < this._userHandlers.system[type].length; o++) {
-          if (this._userHandlers.system[type][o] === listener) {
-            this._userHandlers.system[type].splice(o, 1);
-          }
-        }
+    return false;
 
-      }
+  };
 
-    } else if (wm.MIDI_CHANNEL_MESSAGES[type] !== undefined) {
+  /**
+   * Returns the first MIDI `Input` whose name *contains* the specified string.
+   *
+   * Please note that the port names change from one host to another. For example, Chrome does
+   * not report port names in the same way as the Jazz-Plugin does.
+   *
+   * @method getInputByName
+   * @static
+   *
+   * @param name {String} The name of a MIDI input port such as those visible in the
+   * `WebMidi.inputs` array.
+   *
+   * @returns {Input|False} The `Input` that was found or `false` if no input matched the specified
+   * name.
+   *
+   * @throws Error WebMidi is not enabled.
+   * @throws TypeError The name must be a string.
+   *
+   * @since 2.0.0
+   */
+  WebMidi.prototype.getInputByName = function(name) {
 
-      // If "all" is present anywhere in the channel array, use all 16 channels
-      if (channel.indexOf("all") > -1) {
-        channel = [];
-        for (var j = 1; j <= 16; j++) { channel.push(j); }
-      }
+    if (!this.enabled) {
+      throw new Error("WebMidi is not enabled.");
+    }
 
-      if (!this._userHandlers.channel[type]) { return this; }
+    for (var i = 0; i < this.inputs.length; i++) {
+      if (~this.inputs[i].name.indexOf(name)) { return this.inputs[i]; }
+    }
 
-      // Go through all specified channels
-      channel.forEach(function(chNum) {
-        var listeners = that._userHandlers.channel[type][chNum];
-        if (!listeners) { return; }
+    return false;
 
-        if (listener === undefined) {
-          that._userHandlers.channel[type][chNum] = [];
-        } else {
-          for (var l = 0; l < listeners.length; l++) {
-            if (listeners[l] === listener) { listeners.splice(l, 1); }
-          }
-        }
+  };
 
-      });
+  /**
+   * Returns the octave number for the specified MIDI note number (0-127). By default, the value is
+   * based on middle C (note number 60) being placed on the 4th octave (C4). However, by using the
+   * <a href="#property_octaveOffset">octaveOffset</a> property, you can offset the result as much
+   * as you want.
+   *
+   * @method getOctave
+   * @static
+   *
+   * @param number {Number} An integer representing a valid MIDI note number (between 0 and 127).
+   *
+   * @returns {Number} The octave (as a signed integer) or `undefined`.
+   *
+   * @since 2.0.0-rc.6
+   */
+  WebMidi.prototype.getOctave = function(number) {
 
-    } else if (type === undefined) {
-      this._initializeUserHandlers();
-    } else {
-      throw new TypeError("The specified event type is not supported.");
+    if (number != null && number >= 0 && number <= 127) {
+      return Math.floor(Math.floor(number) / 12 - 1) + Math.floor(wm.octaveOffset);
     }
 
-    return this;
-
   };
 
   /**
-   * @method _initializeUserHandlers
-   * @protected
+   * Returns the first MIDI `Output` that matches the specified name.
+   *
+   * Please note that the port names change from one host to another. For example, Chrome does
+   * not report port names in the same way as the Jazz-Plugin does.
+   *
+   * @method getOutputByName
+   * @static
+   *
+   * @param name {String} The name of a MIDI output port such as those visible in the
+   * `WebMidi.outputs` array.
+   *
+   * @returns {Output|False} The `Output` that was found or `false` if no output matched the
+   * specified name.
+   *
+   * @throws Error WebMidi is not enabled.
+   *
+   * @since 2.0.0
    */
-  Input.prototype._initializeUserHandlers = function() {
+  WebMidi.prototype.getOutputByName = function(name) {
 
-    for (var prop1 in wm.MIDI_CHANNEL_MESSAGES) {
-      if (Object.prototype.hasOwnProperty.call(wm.MIDI_CHANNEL_MESSAGES, prop1)) {
-        this._userHandlers.channel[prop1] = {};
-      }
+    if (!this.enabled) {
+      throw new Error("WebMidi is not enabled.");
     }
 
-    for (var prop2 in wm.MIDI_SYSTEM_MESSAGES) {
-      if (Object.prototype.hasOwnProperty.call(wm.MIDI_SYSTEM_MESSAGES, prop2)) {
-        this._userHandlers.system[prop2] = [];
-      }
+    for (var i = 0; i < this.outputs.length; i++) {
+      if (~this.outputs[i].name.indexOf(name)) { return this.outputs[i]; }
     }
 
+    return false;
+
   };
 
   /**
-   * @method _onMidiMessage
-   * @protected
+   * Returns a valid MIDI note number (0-127) given the specified input. The input usually is a note
+   * name (C3, F#4, D-2, G8, etc.). If an integer between 0 and 127, it will simply be returned as
+   * is.
+   *
+   * @method guessNoteNumber
+   * @static
+   *
+   * @param input {Number|String} A string to extract the note number from. An integer can also be
+   * used, in which case it will simply be returned (if between 0 and 127).
+   * @throws {Error} Invalid input value
+   * @returns {Number} A valid MIDI note number (0-127).
    */
-  Input.prototype._onMidiMessage = function(e) {
+  WebMidi.prototype.guessNoteNumber = function(input) {
 
-    // Execute "midimessage" listeners (if any)
-    if (this._userHandlers.system["midimessage"].length > 0) {
+    var output = false;
 
-      var event = {
-        target: this,
-        data: e.data,
-        timestamp: e.timeStamp,
-        type: "midimessage"
-      };
+    if (input && input.toFixed && input >= 0 && input <= 127) {         // uint
+      output = Math.round(input);
+    } else if (parseInt(input) >= 0 && parseInt(input) <= 127) {        // uint as string
+      output = parseInt(input);
+    } else if (typeof input === "string" || input instanceof String) {  // string
+      output = this.noteNameToNumber(input);
+    }
+
+    if (output === false) throw new Error("Invalid input value (" + input + ").");
+    return output;
+
+  };
+
+  /**
+   * Returns a MIDI note number matching the note name passed in the form of a string parameter. The
+   * note name must include the octave number. The name can also optionally include a sharp (#),
+   * a double sharp (##), a flat (b) or a double flat (bb) symbol: C5, G4, D#-1, F0, Gb7, Eb-1,
+   * Abb4, B##6, etc.
+   *
+   * Note that, in converting note names to numbers, C4 is considered to be middle C (MIDI note
+   * number 60) as per the scientific pitch notation standard.
+   *
+   * Also note that the resulting note number is offset by the `octaveOffset` value (if not zero).
+   * For example, if you pass in "C4" and the `octaveOffset` value is 2 the resulting MIDI note
+   * number will be 36.
+   *
+   * @method noteNameToNumber
+   * @static
+   *
+   * @param name {String} The name of the note in the form of a letter, followed by an optional "#",
+   * "##", "b" or "bb" followed by the octave number.
+   *
+   * @throws {RangeError} Invalid note name.
+   * @throws {RangeError} Invalid note name or note outside valid range.
+   * @return {Number} The MIDI note number (between 0 and 127)
+   */
+  WebMidi.prototype.noteNameToNumber = function(name) {
+
+    if (typeof name !== "string") name = "";
+
+    var matches = name.match(/([CDEFGAB])(#{0,2}|b{0,2})(-?\d+)/i);
+    if(!matches) throw new RangeError("Invalid note name.");
+
+    var semitones = wm._semitones[matches[1].toUpperCase()];
+    var octave = parseInt(matches[3]);
+    var result = ((octave + 1 - Math.floor(wm.octaveOffset)) * 12) + semitones;
 
-      /**
-       * Event emitted when a MIDI message is received. This should be used primarily for debugging
-       * purposes.
-       *
-       * @event midimessage
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {uint} event.timestamp The timestamp when the event occurred (in milliseconds since
-       * the [Unix Epoch](https://en.wikipedia.org/wiki/Unix_time)).
-       * @param {String} event.type The type of event that occurred.
-       * @since 2.1
-       */
-      this._userHandlers.system["midimessage"].forEach(
-        function(callback) { callback(event); }
-      );
 
+    if (matches[2].toLowerCase().indexOf("b") > -1) {
+      result -= matches[2].length;
+    } else if (matches[2].toLowerCase().indexOf("#") > -1) {
+      result += matches[2].length;
     }
 
-    if (e.data[0] < 240) {          // channel-specific message
-      this._parseChannelEvent(e);
-      this._parseNrpnEvent(e);
-    } else if (e.data[0] <= 255) {  // system message
-      this._parseSystemEvent(e);
+    if (result < 0 || result > 127) {
+      throw new RangeError("Invalid note name or note outside valid range.");
     }
 
+    return result;
+
   };
 
   /**
-   * Parses channel events and constructs NRPN message parts in valid sequences.
-   * Keeps a separate NRPN buffer for each channel.
-   * Emits an event after it receives the final CC parts msb 127 lsb 127.
-   * If a message is incomplete and other messages are received before
-   * the final 127 bytes, the incomplete message is cleared.
-   * @method _parseNrpnEvent
-   * @param e Event
+   * @method _updateInputsAndOutputs
+   * @static
    * @protected
    */
-  Input.prototype._parseNrpnEvent = function(e) {
+  WebMidi.prototype._updateInputsAndOutputs = function() {
+    this._updateInputs();
+    this._updateOutputs();
+  };
 
-    var command = e.data[0] >> 4;
-    var channelBufferIndex = (e.data[0] & 0xf); // use this for index of channel in _nrpnBuffer
-    var channel = channelBufferIndex + 1;
-    var data1, data2;
+  /**
+   * @method _updateInputs
+   * @static
+   * @protected
+   */
+  WebMidi.prototype._updateInputs = function() {
 
-    if (e.data.length > 1) {
-      data1 = e.data[1];
-      data2 = e.data.length > 2 ? e.data[2] : undefined;
-    }
+    var updated = this._getMidiPorts("input");
 
-    // nrpn disabled
-    if(!wm.nrpnEventsEnabled) {
-      return;
-    }
+    // Check for items to remove from the existing array (because they are no longer being reported
+    // by the MIDI back-end).
+    for (var i = 0; i < this._inputs.length; i++) {
+
+      if (updated.indexOf(this._inputs[i]._midiInput) < 0) {
+        this._inputs[i]._resetNrpnState();
+        this._inputs.splice(i, 1);
+        i--;
+      }
 
-    // nrpn enabled, message not valid for nrpn
-    if(
-      !(
-        command === wm.MIDI_CHANNEL_MESSAGES.controlchange &&
-        (
-          (data1 >= wm.MIDI_NRPN_MESSAGES.increment && data1 <= wm.MIDI_NRPN_MESSAGES.parammsb) ||
-          data1 === wm.MIDI_NRPN_MESSAGES.entrymsb ||
-          data1 === wm.MIDI_NRPN_MESSAGES.entrylsb
-        )
-      )
-    ) {
-      return;
     }
 
-    // set up a CC event to parse as NRPN part
-    var ccEvent = {
-      target: this,
-      type: "controlchange",
-      data: e.data,
-      timestamp: e.timeStamp,
-      channel: channel,
-      controller: {
-        number: data1,
-        name: this.getCcNameByNumber(data1)
-      },
-      value: data2
-    };
-    if(
-      // if we get a starting MSB(CC99 - 0-126) vs an end MSB(CC99 - 127)
-      // destroy inclomplete NRPN and begin building again
-      ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.parammsb &&
-      ccEvent.value != wm.MIDI_NRPN_MESSAGES.nullactiveparameter
-    ) {
-      wm._nrpnBuffer[channelBufferIndex] = [];
-      wm._nrpnBuffer[channelBufferIndex][0] = ccEvent;
-    } else if(
-      // add the param LSB
-      wm._nrpnBuffer[channelBufferIndex].length === 1 &&
-        ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.paramlsb
-    ) {
-      wm._nrpnBuffer[channelBufferIndex].push(ccEvent);
+    // Check for items to add in the existing inputs array because they just appeared in the MIDI
+    // back-end inputs list.
+    updated.forEach(function (nInput) {
 
-    } else if(
-      // add data inc/dec or value MSB for 14bit
-      wm._nrpnBuffer[channelBufferIndex].length === 2 &&
-        (ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.increment ||
-         ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.decrement ||
-         ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.entrymsb)
-    ) {
-      wm._nrpnBuffer[channelBufferIndex].push(ccEvent);
+      var add = true;
 
-    } else if(
-      // if we have a value MSB, only add an LSB to pair with that
-      wm._nrpnBuffer[channelBufferIndex].length === 3 &&
-        wm._nrpnBuffer[channelBufferIndex][2].number === wm.MIDI_NRPN_MESSAGES.entrymsb &&
-        ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.entrylsb
-    ) {
-      wm._nrpnBuffer[channelBufferIndex].push(ccEvent);
+      for (var j = 0; j < this._inputs.length; j++) {
+        if (this._inputs[j]._midiInput === nInput) {
+          add = false;
+        }
+      }
 
-    } else if(
-      // add an end MSB(CC99 - 127)
-      wm._nrpnBuffer[channelBufferIndex].length >= 3 &&
-      wm._nrpnBuffer[channelBufferIndex].length <= 4 &&
-        ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.parammsb &&
-        ccEvent.value === wm.MIDI_NRPN_MESSAGES.nullactiveparameter
-    ) {
-      wm._nrpnBuffer[channelBufferIndex].push(ccEvent);
+      if (add) {
+        this._inputs.push( new Input(nInput) );
+      }
 
-    } else if(
-      // add an end LSB(CC99 - 127)
-      wm._nrpnBuffer[channelBufferIndex].length >= 4 &&
-      wm._nrpnBuffer[channelBufferIndex].length <= 5 &&
-        ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.paramlsb &&
-        ccEvent.value === wm.MIDI_NRPN_MESSAGES.nullactiveparameter
-    ) {
-      wm._nrpnBuffer[channelBufferIndex].push(ccEvent);
-      // now we have a full inc or dec NRPN message, lets create that event!
+    }.bind(this));
 
-      var rawData = [];
+  };
 
-      wm._nrpnBuffer[channelBufferIndex].forEach(function(ev) {
-        rawData.push(ev.data);
-      });
+  /**
+   * @method _updateOutputs
+   * @static
+   * @protected
+   */
+  WebMidi.prototype._updateOutputs = function() {
 
-      var nrpnNumber = (wm._nrpnBuffer[channelBufferIndex][0].value<<7) |
-        (wm._nrpnBuffer[channelBufferIndex][1].value);
-      var nrpnValue = wm._nrpnBuffer[channelBufferIndex][2].value;
-      if(wm._nrpnBuffer[channelBufferIndex].length === 6) {
-        nrpnValue = (wm._nrpnBuffer[channelBufferIndex][2].value<<7) |
-          (wm._nrpnBuffer[channelBufferIndex][3].value);
-      }
-      var nrpnControllerType = "";
-      switch (wm._nrpnBuffer[channelBufferIndex][2].controller.number) {
-      case wm.MIDI_NRPN_MESSAGES.entrymsb:
-        nrpnControllerType = wm._nrpnTypes[0];
-        break;
-      case wm.MIDI_NRPN_MESSAGES.increment:
-        nrpnControllerType = wm._nrpnTypes[1];
-        break;
-      case wm.MIDI_NRPN_MESSAGES.decrement:
-        nrpnControllerType = wm._nrpnTypes[2];
-        break;
-      default:
-        throw new Error("The NPRN type was unidentifiable.");
+    var updated = this._getMidiPorts("output");
+
+    // Check for items to remove from the existing array (because they are no longer being reported
+    // by the MIDI back-end).
+    for (var i = 0; i < this._outputs.length; i++) {
+
+      if (updated.indexOf(this._outputs[i]._midiOutput) < 0) {
+        this._outputs.splice(i, 1);
+        i--;
       }
 
-      /**
-       * Event emitted when a valid NRPN message sequence has been received on a specific device and
-       * channel.
-       *
-       * @private
-       *
-       * @event nrpn
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Array} event.data The raw MIDI message as arrays of 8 bit values( Uint8Array ).
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
-       * @param {String} event.type The type of event that occurred.
-       * @param {Object} event.controller
-       * @param {uint} event.controller.number The number of the NRPN.
-       * @param {String} event.controller.name The usual name or function of the controller.
-       * @param {uint} event.value The value received (between 0 and 65535).
-       */
+    }
 
-      var nrpnEvent = {
-        timestamp: ccEvent.timestamp,
-        channel: ccEvent.channel,
-        type: "nrpn",
-        data: rawData,
-        controller: {
-          number: nrpnNumber,
-          type: nrpnControllerType,
-          name: "Non-Registered Parameter " + nrpnNumber
-        },
-        value: nrpnValue
-      };
+    // Check for items to add in the existing outputs array because they just appeared in the MIDI
+    // back-end outputs list.
+    updated.forEach(function (nOutput) {
 
-      // now we are done building an NRPN, so clear the NRPN buffer for this channel
-      wm._nrpnBuffer[channelBufferIndex] = [];
-      // If some callbacks have been defined for this event, on that device and channel, execute
-      // them.
-      if (
-        this._userHandlers.channel[nrpnEvent.type] &&
-        this._userHandlers.channel[nrpnEvent.type][nrpnEvent.channel]
-      ) {
-        this._userHandlers.channel[nrpnEvent.type][nrpnEvent.channel].forEach(
-          function(callback) { callback(nrpnEvent); }
-        );
+      var add = true;
+
+      for (var j = 0; j < this._outputs.length; j++) {
+        if (this._outputs[j]._midiOutput === nOutput) {
+          add = false;
+        }
       }
-    } else {
-      // something didn't match, clear the incomplete NRPN message by
-      wm._nrpnBuffer[channelBufferIndex] = [];
-    }
+
+      if (add) {
+        this._outputs.push( new Output(nOutput) );
+      }
+
+    }.bind(this));
+
   };
 
   /**
-   * @method _parseChannelEvent
-   * @param e Event
+   * Returns an array of all the native port objects (`MIDIInput` or `MIDIOutput`) of the specified
+   * type that are currently reported by the MIDI back-end, followed by the virtual ports of that
+   * type. We must check for the existence of this.interface because it might have been closed via
+   * WebMidi.disable().
+   *
+   * @method _getMidiPorts
+   * @static
    * @protected
+   *
+   * @param type {String} The type of ports to retrieve (`input` or `output`).
+   * @return {Array}
    */
-  Input.prototype._parseChannelEvent = function(e) {
+  WebMidi.prototype._getMidiPorts = function(type) {
 
-    var command = e.data[0] >> 4;
-    var channel = (e.data[0] & 0xf) + 1;
-    var data1, data2;
+    var ports = [];
 
-    if (e.data.length > 1) {
-      data1 = e.data[1];
-      data2 = e.data.length > 2 ? e.data[2] : undefined;
+    if (this.interface) {
+      this.interface[type + "s"].forEach(function (port) {
+        ports.push(port);
+      });
     }
 
-    // Returned event
-    var event = {
-      target: this,
-      data: e.data,
-      timestamp: e.timeStamp,
-      channel: channel
-    };
+    this._virtualPorts.forEach(function (port) {
+      if (port.type === type) ports.push(port);
+    });
 
-    if (
-      command === wm.MIDI_CHANNEL_MESSAGES.noteoff ||
-      (command === wm.MIDI_CHANNEL_MESSAGES.noteon && data2 === 0)
-    ) {
+    return ports;
 
-      /**
-       * Event emitted when a note off MIDI message has been received on a specific device and
-       * channel.
-       *
-       * @event noteoff
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
-       * @param {String} event.type The type of event that occurred.
-       * @param {Object} event.note
-       * @param {uint} event.note.number The MIDI note number.
-       * @param {String} event.note.name The usual note name (C, C#, D, D#, etc.).
-       * @param {uint} event.note.octave The octave (between -2 and 8).
-       * @param {Number} event.velocity The release velocity (between 0 and 1).
-       * @param {Number} event.rawVelocity The attack velocity expressed as a 7-bit integer (between
-       * 0 and 127).
-       */
-      event.type = "noteoff";
-      event.note = {
-        number: data1,
-        name: wm._notes[data1 % 12],
-        octave: wm.getOctave(data1)
+  };
+
+  /**
+   * @method _onInterfaceStateChange
+   * @static
+   * @protected
+   */
+  WebMidi.prototype._onInterfaceStateChange = function(e) {
+
+    this._updateInputsAndOutputs();
+
+    /**
+     * Event emitted when a MIDI port becomes available. This event is typically fired whenever a
+     * MIDI device is plugged in. Please note that it may fire several times if a device possesses
+     * multiple input/output ports.
+     *
+     * @event connected
+     * @param {Object} event
+     * @param {Number} event.timestamp The timestamp when the event occurred (in milliseconds since
+     * the epoch).
+     * @param {String} event.type The type of event that occurred.
+     * @param {String} event.port The actual `Input` or `Output` object associated to the event.
+     */
+
+    /**
+     * Event emitted when a MIDI port becomes unavailable. This event is typically fired whenever a
+     * MIDI device is unplugged. Please note that it may fire several times if a device possesses
+     * multiple input/output ports.
+     *
+     * @event disconnected
+     * @param {Object} event
+     * @param {Number} event.timestamp The timestamp when the event occurred (in milliseconds since
+     * the epoch).
+     * @param {String} event.type The type of event that occurred.
+     * @param {String} event.port An generic object containing details about the port that triggered
+     * the event.
+     */
+    var event = {
+      timestamp: e.timeStamp,
+      type: e.port.state
+    };
+
+    if (this.interface && e.port.state === "connected") {
+
+      if (e.port.type === "output") {
+        event.port = this.getOutputById(e.port.id);
+      } else if (e.port.type === "input") {
+        event.port = this.getInputById(e.port.id);
+      }
+
+    } else {
+
+      event.port = {
+        connection: "closed",
+        id: e.port.id,
+        manufacturer: e.port.manufacturer,
+        name: e.port.name,
+        state: e.port.state,
+        type: e.port.type
       };
-      event.velocity = data2 / 127;
-      event.rawVelocity = data2;
 
-    } else if (command === wm.MIDI_CHANNEL_MESSAGES.noteon) {
+    }
 
-      /**
-       * Event emitted when a note on MIDI message has been received on a specific device and
-       * channel.
-       *
-       * @event noteon
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
-       * @param {String} event.type The type of event that occurred.
-       * @param {Object} event.note
-       * @param {uint} event.note.number The MIDI note number.
-       * @param {String} event.note.name The usual note name (C, C#, D, D#, etc.).
-       * @param {uint} event.note.octave The octave (between -2 and 8).
-       * @param {Number} event.velocity The attack velocity (between 0 and 1).
-       * @param {Number} event.rawVelocity The attack velocity expressed as a 7-bit integer (between
-       * 0 and 127).
-       */
-      event.type = "noteon";
-      event.note = {
-        number: data1,
-        name: wm._notes[data1 % 12],
-        octave: wm.getOctave(data1)
+    this._userHandlers[e.port.state].forEach(function (handler) {
+      handler(event);
+    });
+
+  };
+
+  /**
+   * @method _resetInterfaceUserHandlers
+   * @static
+   * @protected
+   */
+  WebMidi.prototype._resetInterfaceUserHandlers = function() {
+
+    for (var i = 0; i < this._midiInterfaceEvents.length; i++) {
+      this._userHandlers[this._midiInterfaceEvents[i]] = [];
+    }
+
+  };
+
+  /**
+   * Returns the number of frames elapsed since 00:00:00:00 at the specified time code position.
+   * With the 29.97 fps (drop-frame) rate, frames 0 and 1 of every minute (except every tenth
+   * minute) are skipped.
+   *
+   * @method _timecodeToFrames
+   * @static
+   * @protected
+   *
+   * @param timecode {Object} An object with `hours`, `minutes`, `seconds`, `frames` and `fps`
+   * properties.
+   * @returns {Number}
+   */
+  WebMidi.prototype._timecodeToFrames = function(timecode) {
+
+    var rate = Math.round(timecode.fps),
+      minutes = timecode.hours * 60 + timecode.minutes,
+      frames = (minutes * 60 + timecode.seconds) * rate + timecode.frames;
+
+    if (timecode.fps === 29.97) frames -= 2 * (minutes - Math.floor(minutes / 10));
+
+    return frames;
+
+  };
+
+  /**
+   * Returns the number of frames elapsed since 00:00:00:00 at the specified time code position.
+   * The position can be a string in the "HH:MM:SS:FF" format (the separators can also be `;` or
+   * `.`) or an object with `hours`, `minutes`, `seconds` and `frames` properties.
+   *
+   * @method _parseTimecode
+   * @static
+   * @protected
+   *
+   * @param position {String|Object} The time code position. At 29.97 fps, the positions skipped by
+   * drop-frame time code (frames 0 and 1 of each minute but every tenth) are out of range.
+   * @param fps {Number} The frame rate: 24, 25, 29.97 (drop-frame) or 30.
+   *
+   * @throws {TypeError} The time code position is invalid.
+   * @throws {RangeError} The time code position is out of range.
+   *
+   * @returns {Number}
+   */
+  WebMidi.prototype._parseTimecode = function(position, fps) {
+
+    var timecode;
+
+    if (typeof position === "string") {
+
+      var matches = position.match(/^(\d{1,2})[:;.](\d{1,2})[:;.](\d{1,2})[:;.](\d{1,2})$/);
+      if (!matches) throw new TypeError("The time code position is invalid.");
+
+      timecode = {
+        hours: parseInt(matches[1]),
+        minutes: parseInt(matches[2]),
+        seconds: parseInt(matches[3]),
+        frames: parseInt(matches[4])
       };
-      event.velocity = data2 / 127;
-      event.rawVelocity = data2;
 
-    } else if (command === wm.MIDI_CHANNEL_MESSAGES.keyaftertouch) {
+    } else if (position && typeof position === "object") {
+
+      timecode = {
+        hours: Math.floor(position.hours) || 0,
+        minutes: Math.floor(position.minutes) || 0,
+        seconds: Math.floor(position.seconds) || 0,
+        frames: Math.floor(position.frames) || 0
+      };
+
+    } else {
+      throw new TypeError("The time code position is invalid.");
+    }
+
+    if (
+      !(timecode.hours >= 0 && timecode.hours <= 23) ||
+      !(timecode.minutes >= 0 && timecode.minutes <= 59) ||
+      !(timecode.seconds >= 0 && timecode.seconds <= 59) ||
+      !(timecode.frames >= 0 && timecode.frames < Math.round(fps)) ||
+      // Drop-frame time code skips frames 0 and 1 at the start of each minute but every tenth
+      (
+        fps === 29.97 && timecode.seconds === 0 && timecode.frames < 2 &&
+        timecode.minutes % 10 !== 0
+      )
+    ) {
+      throw new RangeError("The time code position is out of range.");
+    }
+
+    timecode.fps = fps;
+
+    return this._timecodeToFrames(timecode);
+
+  };
+
+  /**
+   * Returns the name of the manufacturer matching the specified system exclusive ID (see
+   * `MIDI_MANUFACTURERS`).
+   *
+   * @method _getManufacturerName
+   * @param id {Array} The manufacturer ID (one byte or three bytes).
+   * @returns {String|undefined} The name of the manufacturer or `undefined` if it is unknown.
+   * @protected
+   */
+  WebMidi.prototype._getManufacturerName = function(id) {
+
+    for (var name in this.MIDI_MANUFACTURERS) {
+
+      var candidate = this.MIDI_MANUFACTURERS[name];
+
+      if (
+        candidate.length === id.length &&
+        candidate.every(function(byte, index) { return byte === id[index]; })
+      ) {
+        return name;
+      }
+
+    }
+
+  };
+
+  /**
+   * Returns the time code position reached after the specified number of frames since 00:00:00:00
+   * (wrapping around after 24 hours).
+   *
+   * @method _framesToTimecode
+   * @static
+   * @protected
+   *
+   * @param frames {Number} The number of frames.
+   * @param fps {Number} The frame rate: 24, 25, 29.97 (drop-frame) or 30.
+   * @returns {Object} An object with `hours`, `minutes`, `seconds`, `frames` and `fps` properties.
+   */
+  WebMidi.prototype._framesToTimecode = function(frames, fps) {
+
+    var rate = Math.round(fps);
+
+    frames = Math.floor(frames);
+
+    // Add back the frame numbers skipped in drop-frame mode (2 per minute, except every tenth one)
+    if (fps === 29.97) {
+      var blocks = Math.floor(frames / 17982),
+        remainder = frames % 17982;
+      frames += 18 * blocks + (remainder > 1 ? 2 * Math.floor((remainder - 2) / 1798) : 0);
+    }
+
+    frames = ((frames % (rate * 86400)) + rate * 86400) % (rate * 86400);
+
+    return {
+      hours: Math.floor(frames / (rate * 3600)),
+      minutes: Math.floor(frames / (rate * 60)) % 60,
+      seconds: Math.floor(frames / rate) % 60,
+      frames: frames % rate,
+      fps: fps
+    };
+
+  };
+
+  /**
+   * Applies an *MPE Configuration Message* to the specified zones and returns the resulting zones.
+   * The master channel of the lower zone is channel 1 and its member channels follow it. The master
+   * channel of the upper zone is channel 16 and its member channels precede it. If the zones
+   * overlap, the other zone is shrunk (or disabled), as specified by MPE.
+   *
+   * @method _configureMpeZone
+   * @static
+   * @protected
+   *
+   * @param zones {Object} The current zones (with `lower` and `upper` properties).
+   * @param zone {String} The zone to configure: `lower` or `upper`.
+   * @param channels {Number} The number of member channels (0 disables the zone).
+   * @returns {Object} The new zones. Each zone is an object with `master` and `channels` properties
+   * or `undefined`.
+   */
+  WebMidi.prototype._configureMpeZone = function(zones, zone, channels) {
+
+    var result = {lower: zones.lower, upper: zones.upper},
+      master = zone === "lower" ? 1 : 16,
+      other = zone === "lower" ? "upper" : "lower";
+
+    result[zone] = undefined;
+
+    if (channels > 0) {
+      result[zone] = {master: master, channels: []};
+      for (var i = 1; i <= channels; i++) {
+        result[zone].channels.push(zone === "lower" ? master + i : master - i);
+      }
+    }
+
+    // The other zone loses the channels taken by this one (and is disabled if it loses its master)
+    var taken = [master].concat(result[zone] ? result[zone].channels : []);
+
+    if (result[other]) {
+
+      if (taken.indexOf(result[other].master) > -1) {
+        result[other] = undefined;
+      } else {
+        var remaining = result[other].channels
+          .filter(function(ch) { return taken.indexOf(ch) < 0; })
+          .slice(0, Math.max(0, 14 - channels));
+        result[other] = remaining.length ?
+          {master: result[other].master, channels: remaining} :
+          undefined;
+      }
+
+    }
+
+    return result;
+
+  };
+
+  /**
+   * The `Input` object represents a MIDI input port on the host system. This object is created by
+   * the MIDI subsystem and cannot be instantiated directly.
+   *
+   * You will find all available `Input` objects in the `WebMidi.inputs` array.
+   *
+   * @class Input
+   * @param {MIDIInput} midiInput `MIDIInput` object
+   */
+  function Input(midiInput) {
+
+    var that = this;
+
+    // User-defined handlers list
+    this._userHandlers = { channel: {}, system: {} };
+
+    // Reference to the actual MIDIInput object
+    this._midiInput = midiInput;
+
+    // Notes currently playing and state of the sustain and sostenuto pedals, by channel
+    this._noteState = [];
+
+    // Last known value of the controllers, by channel
+    this._controllerState = [];
+
+    // Controllers (0-31) for which a LSB has been received, by channel
+    this._lsbReceived = [];
+
+    // The RPN messages being constructed, by channel
+    this._rpnBuffer = [];
+
+    // The NRPN messages being constructed (strict mode) and the selected NRPNs (lenient mode), by
+    // channel
+    this._nrpnBuffer = [];
+    this._nrpnState = [];
+
+    // Quarter frames received and last time code position decoded
+    this._mtc = {pieces: [], piece: undefined, direction: undefined, count: 0};
+    this._timecode = undefined;
+
+    // Position of the incoming MIDI clock (in pulses, 24 per quarter note) and last intervals
+    // between pulses (to compute the tempo). When `pending` is true, the next pulse plays the
+    // position itself instead of moving it forward (after a start, a continue or a song position).
+    this._clock = {
+      state: "stopped",
+      ticks: 0,
+      pending: true,
+      timestamp: undefined,
+      intervals: [],
+      bpm: undefined
+    };
+
+    // NRPN parsing mode and how long to wait for a data entry LSB in lenient mode
+    this._nrpnMode = "strict";
+    this._nrpnTimeout = 10;
+
+    // Enable/Disable controlchange14 event dispatch
+    this._controlChange14Enabled = false;
+
+    // MPE mode: zones (from the MPE Configuration Message), pitch bend ranges, last expression
+    // received and registered parameter selected on each channel and notes playing in the zones
+    this._mpeEnabled = false;
+    this._resetMpeState();
+
+    for (var i = 0; i < 16; i++) {
+      this._noteState.push({notes: {}, sustain: false, sostenuto: undefined});
+      this._controllerState.push({controlchange: [], keyaftertouch: {}});
+      this._lsbReceived.push([]);
+      this._rpnBuffer.push([]);
+      this._nrpnBuffer.push([]);
+      this._nrpnState.push({});
+    }
+
+    Object.defineProperties(this, {
 
       /**
-       * Event emitted when a key-specific aftertouch MIDI message has been received on a specific
-       * device and channel.
+       * [read-only] The state of the incoming MIDI clock, as an object with the following
+       * properties:
        *
-       * @event keyaftertouch
+       *    * `bpm`: the tempo in beats (quarter notes) per minute, averaged over the last beat (or
+       *    `undefined` until a full beat of clock messages has been received);
+       *    * `state`: `running` (after a *Start* or *Continue* message) or `stopped`;
+       *    * `ticks`: the position in clock pulses (24 per quarter note) since the start of the
+       *    song;
+       *    * `bar`, `beat` and `tick`: the same position in bars, beats and pulses (counted from
+       *    0). Bars and beats follow the time signature of the
+       *    {{#crossLink "Transport"}}Transport{{/crossLink}}.
        *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
-       * @param {String} event.type The type of event that occurred.
-       * @param {Object} event.note
-       * @param {uint} event.note.number The MIDI note number.
-       * @param {String} event.note.name The usual note name (C, C#, D, D#, etc.).
-       * @param {uint} event.note.octave The octave (between -2 and 8).
-       * @param {Number} event.value The aftertouch amount (between 0 and 1).
+       * The position is set to 0 by *Start* messages and to the received position by *Song
+       * Position* messages. It then moves forward with every clock message received while the
+       * clock is running. See the {{#crossLink "Input/beat:event"}}beat{{/crossLink}},
+       * {{#crossLink "Input/bar:event"}}bar{{/crossLink}} and
+       * {{#crossLink "Input/tempochange:event"}}tempochange{{/crossLink}} events.
+       *
+       * @property clock
+       * @type Object
+       *
+       * @since 2.6.0
        */
-      event.type = "keyaftertouch";
-      event.note = {
+      clock: {
+        enumerable: true,
+        get: function () {
+          return that._getClockPosition();
+        }
+      },
+
+      /**
+       * [read-only] Status of the MIDI port"s connection (`pending`, `open` or `closed`)
+       *
+       * @property connection
+       * @type String
+       */
+      connection: {
+        enumerable: true,
+        get: function () {
+          return that._midiInput.connection;
+        }
+      },
+
+      /**
+       * Whether to dispatch `controlchange14` events combining the MSB (controllers 0 to 31) and
+       * LSB (controllers 32 to 63) of high-resolution controllers. The regular `controlchange`
+       * events are dispatched either way.
+       *
+       * @property controlChange14Enabled
+       * @type Boolean
+       * @default false
+       *
+       * @since 2.6.0
+       */
+      controlChange14Enabled: {
+        enumerable: true,
+        get: function () {
+          return that._controlChange14Enabled;
+        },
+        set: function (enabled) {
+          that._controlChange14Enabled = !!enabled;
+        }
+      },
+
+      /**
+       * How NRPN messages are parsed:
+       *
+       *    * `strict`: an `nrpn` event is only dispatched for complete sequences (parameter
+       *    selection, data entry, increment or decrement and null parameter);
+       *    * `lenient`: an `nrpn` event is dispatched for each data entry, increment or decrement
+       *    message received after a parameter has been selected. The null parameter is not
+       *    required and the selected parameter is remembered for the following messages.
+       *
+       * Most devices do not send the null parameter, so you will probably want to use `lenient`
+       * mode with them.
+       *
+       * @property nrpnMode
+       * @type String
+       * @default "strict"
+       *
+       * @throws {TypeError} The NRPN mode must be 'strict' or 'lenient'.
+       *
+       * @since 2.6.0
+       */
+      nrpnMode: {
+        enumerable: true,
+        get: function () {
+          return that._nrpnMode;
+        },
+        set: function (mode) {
+
+          if (mode !== "strict" && mode !== "lenient") {
+            throw new TypeError("The NRPN mode must be 'strict' or 'lenient'.");
+          }
+
+          that._nrpnMode = mode;
+          that._resetNrpnState();
+
+        }
+      },
+
+      /**
+       * In `lenient` NRPN mode, how long (in milliseconds) to wait for the data entry LSB after a
+       * data entry MSB has been received. If the LSB does not arrive in time, the `nrpn` event is
+       * dispatched with the MSB alone (and a LSB of 0). If set to 0, the event is dispatched as
+       * soon as the MSB is received (and again when a LSB is received).
+       *
+       * @property nrpnTimeout
+       * @type Number
+       * @default 10
+       *
+       * @throws {RangeError} The timeout must be a positive number.
+       *
+       * @since 2.6.0
+       */
+      nrpnTimeout: {
+        enumerable: true,
+        get: function () {
+          return that._nrpnTimeout;
+        },
+        set: function (timeout) {
+
+          if ( !(parseFloat(timeout) >= 0) ) {
+            throw new RangeError("The timeout must be a positive number.");
+          }
+
+          that._nrpnTimeout = parseFloat(timeout);
+
+        }
+      },
+
+      /**
+       * [read-only] ID string of the MIDI port. The ID is host-specific. Do not expect the same ID
+       * on different platforms. For example, Google Chrome and the Jazz-Plugin report completely
+       * different IDs for the same port.
+       *
+       * @property id
+       * @type String
+       */
+      id: {
+        enumerable: true,
+        get: function () {
+          return that._midiInput.id;
+        }
+      },
+
+      /**
+       * [read-only] Name of the manufacturer of the device that makes this port available.
+       *
+       * @property manufacturer
+       * @type String
+       */
+      manufacturer: {
+        enumerable: true,
+        get: function () {
+          return that._midiInput.manufacturer;
+        }
+      },
+
+      /**
+       * Whether to track the MPE (MIDI Polyphonic Expression) zones and notes. The zones are
+       * configured by the *MPE Configuration Message* (registered parameter 6) received on channel
+       * 1 (lower zone) or 16 (upper zone). In MPE mode:
+       *
+       *    * the `noteon` and `noteoff` events of the member channels have a `note.id` (the same
+       *    for the **note on** and the **note off** of a note), a `note.zone` and the current
+       *    `note.bend` (in semitones), `note.pressure` and `note.timbre` of the note;
+       *    * {{#crossLink "Input/notebend:event"}}notebend{{/crossLink}},
+       *    {{#crossLink "Input/notepressure:event"}}notepressure{{/crossLink}} and
+       *    {{#crossLink "Input/notetimbre:event"}}notetimbre{{/crossLink}} events are dispatched
+       *    for each note affected by a pitch bend, channel aftertouch or control change 74
+       *    message. The messages of the master channel of a zone apply to all its notes.
+       *
+       * Changing this property forgets the zones and notes.
+       *
+       * @property mpeEnabled
+       * @type Boolean
+       * @default false
+       *
+       * @since 2.6.0
+       */
+      mpeEnabled: {
+        enumerable: true,
+        get: function () {
+          return that._mpeEnabled;
+        },
+        set: function (enabled) {
+          that._mpeEnabled = !!enabled;
+          that._resetMpeState();
+        }
+      },
+
+      /**
+       * [read-only] The MPE zones received in MPE mode (see the
+       * {{#crossLink "Input/mpeEnabled:property"}}mpeEnabled{{/crossLink}} property), as an object
+       * with `lower` and `upper` properties. Each zone is an object with `master` (the master
+       * channel) and `channels` (the member channels) properties or `undefined` if it is not
+       * configured.
+       *
+       * @property mpeZones
+       * @type Object
+       *
+       * @since 2.6.0
+       */
+      mpeZones: {
+        enumerable: true,
+        get: function () {
+          var copy = function(zone) {
+            return zone ? {master: zone.master, channels: zone.channels.slice()} : undefined;
+          };
+          return {lower: copy(that._mpe.zones.lower), upper: copy(that._mpe.zones.upper)};
+        }
+      },
+
+      /**
+       * [read-only] Name of the MIDI port
+       *
+       * @property name
+       * @type String
+       */
+      name: {
+        enumerable: true,
+        get: function () {
+          return that._midiInput.name;
+        }
+      },
+
+      /**
+       * [read-only] State of the MIDI port (`connected` or `disconnected`)
+       *
+       * @property state
+       * @type String
+       */
+      state: {
+        enumerable: true,
+        get: function () {
+          return that._midiInput.state;
+        }
+      },
+
+      /**
+       * [read-only] The last MIDI Time Code position received, as an object with `hours`,
+       * `minutes`, `seconds`, `frames` and `fps` properties (or `undefined` if no position has been
+       * received yet). See the {{#crossLink "Input/mtc:event"}}mtc{{/crossLink}} event.
+       *
+       * @property timecode
+       * @type Object
+       *
+       * @since 2.6.0
+       */
+      timecode: {
+        enumerable: true,
+        get: function () {
+          if (!that._timecode) return undefined;
+          return {
+            hours: that._timecode.hours,
+            minutes: that._timecode.minutes,
+            seconds: that._timecode.seconds,
+            frames: that._timecode.frames,
+            fps: that._timecode.fps
+          };
+        }
+      },
+
+      /**
+       * [read-only] Type of the MIDI port (`input`)
+       *
+       * @property type
+       * @type String
+       */
+      type: {
+        enumerable: true,
+        get: function () {
+          return that._midiInput.type;
+        }
+      }
+
+    });
+
+    this._initializeUserHandlers();
+    this._midiInput.onmidimessage = this._onMidiMessage.bind(this);
+
+  }
+
+  /**
+   * Adds an event listener to the `Input` that will trigger a function callback when the specified
+   * event happens. The events that are dispatched can be channel-specific or Input-wide.
+   *
+   * Here is a list of events that are dispatched by `Input` objects and that can be listened to.
+   *
+   * Channel-specific MIDI events:
+   *
+   *    * {{#crossLink "Input/noteoff:event"}}noteoff{{/crossLink}}
+   *    * {{#crossLink "Input/noteon:event"}}noteon{{/crossLink}}
+   *    * {{#crossLink "Input/keyaftertouch:event"}}keyaftertouch{{/crossLink}}
+   *    * {{#crossLink "Input/controlchange:event"}}controlchange{{/crossLink}}
+   *    * {{#crossLink "Input/channelmode:event"}}channelmode{{/crossLink}}
+   *    * {{#crossLink "Input/programchange:event"}}programchange{{/crossLink}}
+   *    * {{#crossLink "Input/channelaftertouch:event"}}channelaftertouch{{/crossLink}}
+   *    * {{#crossLink "Input/pitchbend:event"}}pitchbend{{/crossLink}}
+   *    * {{#crossLink "Input/notes:event"}}notes{{/crossLink}}
+   *    * {{#crossLink "Input/controlchange14:event"}}controlchange14{{/crossLink}}
+   *    * {{#crossLink "Input/rpn:event"}}rpn{{/crossLink}}
+   *    * {{#crossLink "Input/notebend:event"}}notebend{{/crossLink}}
+   *    * {{#crossLink "Input/notepressure:event"}}notepressure{{/crossLink}}
+   *    * {{#crossLink "Input/notetimbre:event"}}notetimbre{{/crossLink}}
+   *
+   * Input-wide MIDI events:
+   *
+   *    * {{#crossLink "Input/sysex:event"}}sysex{{/crossLink}}
+   *    * {{#crossLink "Input/timecode:event"}}timecode{{/crossLink}}
+   *    * {{#crossLink "Input/songposition:event"}}songposition{{/crossLink}}
+   *    * {{#crossLink "Input/songselect:event"}}songselect{{/crossLink}}
+   *    * {{#crossLink "Input/tuningrequest:event"}}tuningrequest{{/crossLink}}
+   *    * {{#crossLink "Input/clock:event"}}clock{{/crossLink}}
+   *    * {{#crossLink "Input/start:event"}}start{{/crossLink}}
+   *    * {{#crossLink "Input/continue:event"}}continue{{/crossLink}}
+   *    * {{#crossLink "Input/stop:event"}}stop{{/crossLink}}
+   *    * {{#crossLink "Input/activesensing:event"}}activesensing{{/crossLink}}
+   *    * {{#crossLink "Input/reset:event"}}reset{{/crossLink}}
+   *    * {{#crossLink "Input/midimessage:event"}}midimessage{{/crossLink}}
+   *    * {{#crossLink "Input/unknownsystemmessage:event"}}unknownsystemmessage{{/crossLink}}
+   *    * {{#crossLink "Input/mtc:event"}}mtc{{/crossLink}}
+   *    * {{#crossLink "Input/mmc:event"}}mmc{{/crossLink}}
+   *    * {{#crossLink "Input/beat:event"}}beat{{/crossLink}}
+   *    * {{#crossLink "Input/bar:event"}}bar{{/crossLink}}
+   *    * {{#crossLink "Input/tempochange:event"}}tempochange{{/crossLink}}
+   *
+   * For device-wide events, the `channel` parameter will be silently ignored. You can simply use
+   * `undefined` in that case.
+   *
+   * If you want to view all incoming MIDI traffic, you can listen to the input-wide `midimessage`
+   * event. This event is dispatched for every single message that is received on that input.
+   *
+   * @method addListener
+   * @chainable
+   *
+   * @param type {String} The type of the event.
+   *
+   * @param channel {Number|Array|String} The MIDI channel to listen on (integer between 1 and 16).
+   * You can also specify an array of channel numbers or the value "all" (or leave it undefined for
+   * input-wide events).
+   *
+   * @param listener {Function} A callback function to execute when the specified event is detected.
+   * This function will receive an event parameter object. For details on this object"s properties,
+   * check out the documentation for the various events (links above).
+   *
+   * @throws {RangeError} The "channel" parameter is invalid.
+   * @throws {TypeError} The "listener" parameter must be a function.
+   * @throws {TypeError} The specified event type is not supported.
+   *
+   * @return {WebMidi} Returns the `WebMidi` object so methods can be chained.
+   */
+  Input.prototype.addListener = function(type, channel, listener) {
+
+    var that = this;
+
+    if (channel === undefined) { channel = "all"; }
+    if (!Array.isArray(channel)) { channel = [channel]; }
+
+    // Check if channel entries are valid
+    channel.forEach(function(item){
+      if (item !== "all" && !(item >= 1 && item <= 16)) {
+        throw new RangeError(
+          "The 'channel' parameter is invalid."
+        );
+      }
+    });
+
+    if (typeof listener !== "function") {
+      throw new TypeError("The 'listener' parameter must be a function.");
+    }
+
+    if (wm.MIDI_SYSTEM_MESSAGES[type] !== undefined) {
+
+      if (!this._userHandlers.system[type]) this._userHandlers.system[type] = [];
+      this._userHandlers.system[type].push(listener);
+
+    } else if (wm.MIDI_CHANNEL_MESSAGES[type] !== undefined) {
+
+      // If "all" is present anywhere in the channel array, use all 16 channels
+      if (channel.indexOf("all") > -1) {
+        channel = [];
+        for (var j = 1; j <= 16; j++) { channel.push(j); }
+      }
+
+      if (!this._userHandlers.channel[type]) { this._userHandlers.channel[type] = []; }
+
+      // Push all channel listeners in the array
+      channel.forEach(function(ch){
+
+        if (!that._userHandlers.channel[type][ch]) {
+          that._userHandlers.channel[type][ch] = [];
+        }
+
+        that._userHandlers.channel[type][ch].push(listener);
+
+      });
+
+    } else {
+      throw new TypeError("The specified event type is not supported.");
+    }
+
+    return this;
+
+  };
+
+  /**
+   * This is an alias to the {{#crossLink "Input/addListener"}}Input.addListener(){{/crossLink}}
+   * function.
+   *
+   * @method on
+   * @since 2.0.0
+   */
+  Input.prototype.on = Input.prototype.addListener;
+
+  /**
+   * Checks if the specified event type is already defined to trigger the listener function on the
+   * specified channel(s). If more than one channel is specified, the function will return `true`
+   * only if all channels have the listener defined.
+   *
+   * For device-wide events (`sysex`, `start`, etc.), the `channel` parameter is silently ignored.
+   * We suggest you use `undefined` in such cases.
+   *
+   * @method hasListener
+   *
+   * @param type {String} The type of the event.
+   * @param channel {Number|Array|String} The MIDI channel to check on (between 1 and 16). You
+   * can also specify an array of channel numbers or the string "all".
+   * @param listener {Function} The callback function to check for.
+   *
+   * @throws {TypeError} The "listener" parameter must be a function.
+   *
+   * @return {Boolean} Boolean value indicating whether or not the channel(s) already have this
+   * listener defined.
+   */
+  Input.prototype.hasListener = function(type, channel, listener) {
+
+    var that = this;
+
+    if (typeof listener !== "function") {
+      throw new TypeError("The 'listener' parameter must be a function.");
+    }
+
+    if (channel === undefined) { channel = "all"; }
+    if (channel.constructor !== Array) { channel = [channel]; }
+
+    if (wm.MIDI_SYSTEM_MESSAGES[type] !== undefined) {
+
+      for (var o = 0; o < this._userHandlers.system[type].length; o++) {
+        if (this._userHandlers.system[type][o] === listener) { return true; }
+      }
+
+    } else if (wm.MIDI_CHANNEL_MESSAGES[type] !== undefined) {
+
+      // If "all" is present anywhere in the channel array, use all 16 channels
+      if (channel.indexOf("all") > -1) {
+        channel = [];
+        for (var j = 1; j <= 16; j++) { channel.push(j); }
+      }
+
+      if (!this._userHandlers.channel[type]) { return false; }
+
+      // Go through all specified channels
+      return channel.every(function(chNum) {
+        var listeners = that._userHandlers.channel[type][chNum];
+        return listeners && listeners.indexOf(listener) > -1;
+      });
+
+    }
+
+    return false;
+
+  };
+
+  /**
+   * Removes the specified listener from the specified channel(s). If the `listener` parameter is
+   * left undefined, all listeners for the specified `type` will be removed from all channels. If
+   * the `channel` is also omitted, all listeners of the specified type will be removed from all
+   * channels. If no parameters are defined, all listeners attached to any channel of the `Input`
+   * will be removed.
+   *
+   * For device-wide events (`sysex`, `start`, etc.), the `channel` parameter is silently ignored.
+   * You can use `undefined` in such cases.
+   *
+   * @method removeListener
+   * @chainable
+   *
+   * @param [type] {String} The type of the event.
+   * @param [channel] {Number|String|Array} The MIDI channel(s) to check on. It can be a uint
+   * (between 1 and 16) an array of channel numbers or the special value "all".
+   * @param [listener] {Function} The callback function to check for.
+   *
+   * @throws {TypeError} The specified event type is not supported.
+   * @throws {TypeError} The "listener" parameter must be a function..
+   *
+   * @return {Input} The `Input` object for easy method chaining.
+   */
+  Input.prototype.removeListener = function(type, channel, listener) {
+
+    var that = this;
+
+    if (listener !== undefined && typeof listener !== "function") {
+      throw new TypeError("The 'listener' parameter must be a function.");
+    }
+
+    if (channel === undefined) { channel = "all"; }
+    if (channel.constructor !== Array) { channel = [channel]; }
+
+    if (wm.MIDI_SYSTEM_MESSAGES[type] !== undefined) {
+
+      if (listener === undefined) {
+
+        this._userHandlers.system[type] = [];
+
+      } else {
+
+        for (var o = 0; o < this._userHandlers.system[type].length; o++) {
+          if (this._userHandlers.system[type][o] === listener) {
+            this._userHandlers.system[type].splice(o, 1);
+          }
+        }
+
+      }
+
+    } else if (wm.MIDI_CHANNEL_MESSAGES[type] !== undefined) {
+
+      // If "all" is present anywhere in the channel array, use all 16 channels
+      if (channel.indexOf("all") > -1) {
+        channel = [];
+        for (var j = 1; j <= 16; j++) { channel.push(j); }
+      }
+
+      if (!this._userHandlers.channel[type]) { return this; }
+
+      // Go through all specified channels
+      channel.forEach(function(chNum) {
+        var listeners = that._userHandlers.channel[type][chNum];
+        if (!listeners) { return; }
+
+        if (listener === undefined) {
+          that._userHandlers.channel[type][chNum] = [];
+        } else {
+          for (var l = 0; l < listeners.length; l++) {
+            if (listeners[l] === listener) { listeners.splice(l, 1); }
+          }
+        }
+
+      });
+
+    } else if (type === undefined) {
+      this._initializeUserHandlers();
+    } else {
+      throw new TypeError("The specified event type is not supported.");
+    }
+
+    return this;
+
+  };
+
+  /**
+   * @method _initializeUserHandlers
+   * @protected
+   */
+  Input.prototype._initializeUserHandlers = function() {
+
+    for (var prop1 in wm.MIDI_CHANNEL_MESSAGES) {
+      if (Object.prototype.hasOwnProperty.call(wm.MIDI_CHANNEL_MESSAGES, prop1)) {
+        this._userHandlers.channel[prop1] = {};
+      }
+    }
+
+    for (var prop2 in wm.MIDI_SYSTEM_MESSAGES) {
+      if (Object.prototype.hasOwnProperty.call(wm.MIDI_SYSTEM_MESSAGES, prop2)) {
+        this._userHandlers.system[prop2] = [];
+      }
+    }
+
+  };
+
+  /**
+   * @method _onMidiMessage
+   * @protected
+   */
+  Input.prototype._onMidiMessage = function(e) {
+
+    // Execute "midimessage" listeners (if any)
+    if (this._userHandlers.system["midimessage"].length > 0) {
+
+      var event = {
+        target: this,
+        data: e.data,
+        timestamp: e.timeStamp,
+        type: "midimessage"
+      };
+
+      /**
+       * Event emitted when a MIDI message is received. This should be used primarily for debugging
+       * purposes.
+       *
+       * @event midimessage
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {uint} event.timestamp The timestamp when the event occurred (in milliseconds since
+       * the [Unix Epoch](https://en.wikipedia.org/wiki/Unix_time)).
+       * @param {String} event.type The type of event that occurred.
+       * @since 2.1
+       */
+      this._userHandlers.system["midimessage"].forEach(
+        function(callback) { callback(event); }
+      );
+
+    }
+
+    if (e.data[0] < 240) {          // channel-specific message
+      this._parseChannelEvent(e);
+      this._parseNrpnEvent(e);
+      this._parseRpnEvent(e);
+    } else if (e.data[0] <= 255) {  // system message
+      this._parseSystemEvent(e);
+    }
+
+  };
+
+  /**
+   * Parses channel events and constructs NRPN messages. The parsing depends on the `nrpnMode`
+   * property of the `Input`.
+   *
+   * In `strict` mode, an `nrpn` event is emitted after the final CC parts (msb 127 lsb 127) of a
+   * valid sequence are received. If a message is incomplete and other messages are received
+   * before the final 127 bytes, the incomplete message is cleared.
+   *
+   * In `lenient` mode, an `nrpn` event is emitted for each data entry, increment or decrement
+   * message received after a parameter has been selected. The selected parameter is remembered
+   * until another one (or the null parameter) is selected. When a data entry MSB is received, the
+   * event is emitted as soon as the matching LSB arrives or, if it does not arrive within
+   * `nrpnTimeout` milliseconds, with the MSB alone.
+   *
+   * In both modes, the value of a data entry is the 14-bit value made of the MSB and LSB (the LSB
+   * being 0 when it was not received).
+   *
+   * A separate buffer is kept for each channel of each `Input`.
+   *
+   * @method _parseNrpnEvent
+   * @param e Event
+   * @protected
+   */
+  Input.prototype._parseNrpnEvent = function(e) {
+
+    var command = e.data[0] >> 4;
+    var channelBufferIndex = (e.data[0] & 0xf); // use this for index of channel in _nrpnBuffer
+    var data1;
+
+    if (e.data.length > 1) {
+      data1 = e.data[1];
+    }
+
+    // nrpn disabled
+    if(!wm.nrpnEventsEnabled) {
+      return;
+    }
+
+    // nrpn enabled, message not valid for nrpn
+    if(
+      !(
+        command === wm.MIDI_CHANNEL_MESSAGES.controlchange &&
+        (
+          (data1 >= wm.MIDI_NRPN_MESSAGES.increment && data1 <= wm.MIDI_NRPN_MESSAGES.parammsb) ||
+          data1 === wm.MIDI_NRPN_MESSAGES.entrymsb ||
+          data1 === wm.MIDI_NRPN_MESSAGES.entrylsb
+        )
+      )
+    ) {
+      return;
+    }
+
+    if (this._nrpnMode === "lenient") {
+      this._parseLenientNrpnEvent(e);
+      return;
+    }
+
+    var buffer = this._nrpnBuffer[channelBufferIndex];
+
+    // set up a CC event to parse as NRPN part
+    var ccEvent = this._createChannelEvent(e);
+
+    if(
+      // if we get a starting MSB(CC99 - 0-126) vs an end MSB(CC99 - 127)
+      // destroy inclomplete NRPN and begin building again
+      ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.parammsb &&
+      ccEvent.value != wm.MIDI_NRPN_MESSAGES.nullactiveparameter
+    ) {
+      this._nrpnBuffer[channelBufferIndex] = [ccEvent];
+    } else if(
+      // add the param LSB
+      buffer.length === 1 &&
+        ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.paramlsb
+    ) {
+      buffer.push(ccEvent);
+
+    } else if(
+      // add data inc/dec or value MSB for 14bit
+      buffer.length === 2 &&
+        (ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.increment ||
+         ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.decrement ||
+         ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.entrymsb)
+    ) {
+      buffer.push(ccEvent);
+
+    } else if(
+      // if we have a value MSB, only add an LSB to pair with that
+      buffer.length === 3 &&
+        buffer[2].controller.number === wm.MIDI_NRPN_MESSAGES.entrymsb &&
+        ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.entrylsb
+    ) {
+      buffer.push(ccEvent);
+
+    } else if(
+      // add an end MSB(CC99 - 127)
+      buffer.length >= 3 &&
+      buffer.length <= 4 &&
+        ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.parammsb &&
+        ccEvent.value === wm.MIDI_NRPN_MESSAGES.nullactiveparameter
+    ) {
+      buffer.push(ccEvent);
+
+    } else if(
+      // add an end LSB(CC99 - 127)
+      buffer.length >= 4 &&
+      buffer.length <= 5 &&
+        ccEvent.controller.number === wm.MIDI_NRPN_MESSAGES.paramlsb &&
+        ccEvent.value === wm.MIDI_NRPN_MESSAGES.nullactiveparameter
+    ) {
+      buffer.push(ccEvent);
+      // now we have a full inc or dec NRPN message, lets create that event!
+
+      // A data entry is always reported as a 14-bit value (the LSB is 0 if it was not received)
+      var nrpnValue = buffer[2].value;
+      if (buffer[2].controller.number === wm.MIDI_NRPN_MESSAGES.entrymsb) {
+        nrpnValue = (buffer[2].value << 7) | (buffer.length === 6 ? buffer[3].value : 0);
+      }
+
+      // now we are done building an NRPN, so clear the NRPN buffer for this channel
+      this._nrpnBuffer[channelBufferIndex] = [];
+
+      this._dispatchNrpnEvent(
+        ccEvent.channel,
+        buffer.map(function(ev) { return ev.data; }),
+        (buffer[0].value<<7) | (buffer[1].value),
+        buffer[2].controller.number,
+        nrpnValue,
+        ccEvent.timestamp
+      );
+
+    } else {
+      // something didn't match, clear the incomplete NRPN message by
+      this._nrpnBuffer[channelBufferIndex] = [];
+    }
+  };
+
+  /**
+   * Discards the incomplete NRPN sequences of all channels and cancels the pending data entry
+   * MSBs of `lenient` mode (without dispatching them).
+   *
+   * @method _resetNrpnState
+   * @protected
+   */
+  Input.prototype._resetNrpnState = function() {
+    this._nrpnBuffer = this._nrpnBuffer.map(function() { return []; });
+    this._nrpnState = this._nrpnState.map(function(state) {
+      clearTimeout(state.pending && state.pending.timeout);
+      return {};
+    });
+  };
+
+  /**
+   * Parses NRPN parts in `lenient` mode (see `_parseNrpnEvent()`).
+   *
+   * @method _parseLenientNrpnEvent
+   * @param e Event
+   * @protected
+   */
+  Input.prototype._parseLenientNrpnEvent = function(e) {
+
+    var that = this,
+      channel = (e.data[0] & 0xf) + 1,
+      number = e.data[1],
+      value = e.data[2],
+      messages = wm.MIDI_NRPN_MESSAGES,
+      state = this._nrpnState[channel - 1];
+
+    // Emits the pending data entry MSB (if any) on its own
+    function flush() {
+      if (!state.pending) return;
+      clearTimeout(state.pending.timeout);
+      that._dispatchNrpnEvent(
+        channel,
+        [state.pending.data],
+        state.parameter,
+        messages.entrymsb,
+        state.pending.data[2] << 7,
+        state.pending.timestamp
+      );
+      state.pending = undefined;
+    }
+
+    if (number === messages.parammsb || number === messages.paramlsb) {
+
+      flush();
+
+      if (number === messages.parammsb) {
+        state.msb = value;
+      } else {
+        state.lsb = value;
+      }
+
+      // The null parameter deselects the current parameter
+      if (
+        state.msb === messages.nullactiveparameter && state.lsb === messages.nullactiveparameter
+      ) {
+        state.msb = undefined;
+        state.lsb = undefined;
+      }
+
+      state.parameter = state.msb !== undefined && state.lsb !== undefined ?
+        (state.msb << 7) | state.lsb :
+        undefined;
+
+      state.entry = undefined;
+      return;
+
+    }
+
+    if (state.parameter === undefined) return;
+
+    if (number === messages.entrymsb) {
+
+      flush();
+      state.entry = value;
+
+      if (this._nrpnTimeout > 0) {
+        state.pending = {
+          data: e.data,
+          timestamp: e.timeStamp,
+          timeout: setTimeout(flush, this._nrpnTimeout)
+        };
+      } else {
+        this._dispatchNrpnEvent(
+          channel, [e.data], state.parameter, number, value << 7, e.timeStamp
+        );
+      }
+
+    } else if (number === messages.entrylsb) {
+
+      var data = [e.data];
+
+      if (state.pending) {
+        clearTimeout(state.pending.timeout);
+        data.unshift(state.pending.data);
+        state.pending = undefined;
+      }
+
+      this._dispatchNrpnEvent(
+        channel, data, state.parameter, messages.entrymsb, ((state.entry || 0) << 7) | value,
+        e.timeStamp
+      );
+
+    } else {
+      flush();
+      this._dispatchNrpnEvent(channel, [e.data], state.parameter, number, value, e.timeStamp);
+    }
+
+  };
+
+  /**
+   * Dispatches an `nrpn` event.
+   *
+   * @method _dispatchNrpnEvent
+   * @param channel {Number} The channel of the event.
+   * @param data {Array} The raw MIDI messages that make up the NRPN message.
+   * @param number {Number} The number of the NRPN.
+   * @param controller {Number} The control change number of the data entry MSB, increment or
+   * decrement message.
+   * @param value {Number} The value received.
+   * @param timestamp {Number} The time when the event occurred (in milliseconds).
+   * @protected
+   */
+  Input.prototype._dispatchNrpnEvent = function(
+    channel, data, number, controller, value, timestamp
+  ) {
+
+    var nrpnControllerType = "";
+    switch (controller) {
+    case wm.MIDI_NRPN_MESSAGES.entrymsb:
+      nrpnControllerType = wm._nrpnTypes[0];
+      break;
+    case wm.MIDI_NRPN_MESSAGES.increment:
+      nrpnControllerType = wm._nrpnTypes[1];
+      break;
+    case wm.MIDI_NRPN_MESSAGES.decrement:
+      nrpnControllerType = wm._nrpnTypes[2];
+      break;
+    default:
+      throw new Error("The NPRN type was unidentifiable.");
+    }
+
+    /**
+     * Event emitted when a valid NRPN message sequence has been received on a specific device and
+     * channel.
+     *
+     * @private
+     *
+     * @event nrpn
+     *
+     * @param {Object} event
+     * @param {Input} event.target The `Input` that triggered the event.
+     * @param {Array} event.data The raw MIDI message as arrays of 8 bit values( Uint8Array ).
+     * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+     * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+     * @param {String} event.type The type of event that occurred.
+     * @param {Object} event.controller
+     * @param {uint} event.controller.number The number of the NRPN.
+     * @param {String} event.controller.name The usual name or function of the controller.
+     * @param {uint} event.value The value received. For a data entry, this is the 14-bit value
+     * made of the MSB and LSB (between 0 and 16383, the LSB being 0 when it was not received). For
+     * an increment or decrement, this is the data byte of the message (between 0 and 127).
+     */
+
+    var nrpnEvent = {
+      target: this,
+      timestamp: timestamp,
+      channel: channel,
+      type: "nrpn",
+      data: data,
+      controller: {
+        number: number,
+        type: nrpnControllerType,
+        name: "Non-Registered Parameter " + number
+      },
+      value: value
+    };
+
+    // If some callbacks have been defined for this event, on that device and channel, execute
+    // them.
+    if (
+      this._userHandlers.channel[nrpnEvent.type] &&
+      this._userHandlers.channel[nrpnEvent.type][nrpnEvent.channel]
+    ) {
+      this._userHandlers.channel[nrpnEvent.type][nrpnEvent.channel].forEach(
+        function(callback) { callback(nrpnEvent); }
+      );
+    }
+
+  };
+
+  /**
+   * Parses channel events and constructs RPN messages from valid sequences: parameter MSB (CC101)
+   * and LSB (CC100), data entry MSB (CC6) and optional LSB (CC38) or data increment (CC96) or
+   * decrement (CC97), followed by the null parameter (CC101 and CC100 set to 127). An `rpn` event
+   * is emitted when the sequence is complete. A separate buffer is kept for each channel and an
+   * incomplete sequence is discarded when an unexpected message is received.
+   *
+   * @method _parseRpnEvent
+   * @param e Event
+   * @protected
+   */
+  Input.prototype._parseRpnEvent = function(e) {
+
+    var command = e.data[0] >> 4,
+      channel = (e.data[0] & 0xf) + 1,
+      number = e.data[1],
+      value = e.data[2],
+      messages = wm.MIDI_RPN_MESSAGES,
+      buffer = this._rpnBuffer[channel - 1];
+
+    if (
+      command !== wm.MIDI_CHANNEL_MESSAGES.controlchange ||
+      (
+        number !== messages.parammsb && number !== messages.paramlsb &&
+        number !== messages.entrymsb && number !== messages.entrylsb &&
+        number !== messages.increment && number !== messages.decrement
+      )
+    ) {
+      return;
+    }
+
+    var last = buffer.length > 0 ? buffer[buffer.length - 1][1] : undefined;
+
+    if (number === messages.parammsb && value !== messages.nullactiveparameter) {
+      // A new parameter is selected: start over
+      this._rpnBuffer[channel - 1] = [e.data];
+      return;
+    } else if (buffer.length === 1 && number === messages.paramlsb) {
+      buffer.push(e.data);
+      return;
+    } else if (
+      buffer.length === 2 &&
+      (number === messages.entrymsb || number === messages.increment ||
+        number === messages.decrement)
+    ) {
+      buffer.push(e.data);
+      return;
+    } else if (
+      buffer.length === 3 && last === messages.entrymsb && number === messages.entrylsb
+    ) {
+      buffer.push(e.data);
+      return;
+    } else if (
+      (buffer.length === 3 || buffer.length === 4) &&
+      number === messages.parammsb && value === messages.nullactiveparameter
+    ) {
+      buffer.push(e.data);
+      return;
+    } else if (
+      buffer.length >= 4 && last === messages.parammsb &&
+      number === messages.paramlsb && value === messages.nullactiveparameter
+    ) {
+      buffer.push(e.data);
+    } else {
+      // Something did not match: discard the incomplete sequence
+      this._rpnBuffer[channel - 1] = [];
+      return;
+    }
+
+    // The sequence is complete
+    this._rpnBuffer[channel - 1] = [];
+
+    var parameter = [buffer[0][2], buffer[1][2]],
+      rpnNumber = (parameter[0] << 7) | parameter[1],
+      rpnValue = buffer[2][2],
+      rpnType = wm._nrpnTypes[0],
+      name;
+
+    // A data entry is always reported as a 14-bit value (the LSB is 0 if it was not received)
+    if (buffer[2][1] === messages.increment) {
+      rpnType = wm._nrpnTypes[1];
+    } else if (buffer[2][1] === messages.decrement) {
+      rpnType = wm._nrpnTypes[2];
+    } else {
+      rpnValue = (buffer[2][2] << 7) | (buffer.length === 6 ? buffer[3][2] : 0);
+    }
+
+    for (var key in wm.MIDI_REGISTERED_PARAMETER) {
+      if (
+        Object.prototype.hasOwnProperty.call(wm.MIDI_REGISTERED_PARAMETER, key) &&
+        wm.MIDI_REGISTERED_PARAMETER[key][0] === parameter[0] &&
+        wm.MIDI_REGISTERED_PARAMETER[key][1] === parameter[1]
+      ) {
+        name = key;
+      }
+    }
+
+    /**
+     * Event emitted when a valid RPN message sequence has been received on a specific device and
+     * channel.
+     *
+     * @event rpn
+     *
+     * @param {Object} event
+     * @param {Input} event.target The `Input` that triggered the event.
+     * @param {Array} event.data The raw MIDI messages as arrays of 8 bit values (Uint8Array).
+     * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+     * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+     * @param {String} event.type The type of event that occurred.
+     * @param {Object} event.controller
+     * @param {uint} event.controller.number The number of the RPN (between 0 and 16383).
+     * @param {String} event.controller.type The type of message: `entry`, `increment` or
+     * `decrement`.
+     * @param {String} event.controller.name The name of the parameter (as found in
+     * `WebMidi.MIDI_REGISTERED_PARAMETER`) or "Registered Parameter" followed by its number.
+     * @param {uint} event.value The value received. For a data entry, this is the 14-bit value
+     * made of the MSB and LSB (between 0 and 16383, the LSB being 0 when it was not received). For
+     * an increment or decrement, this is the data byte of the message (between 0 and 127).
+     *
+     * @since 2.6.0
+     */
+    var rpnEvent = {
+      target: this,
+      timestamp: e.timeStamp,
+      channel: channel,
+      type: "rpn",
+      data: buffer,
+      controller: {
+        number: rpnNumber,
+        type: rpnType,
+        name: name || "Registered Parameter " + rpnNumber
+      },
+      value: rpnValue
+    };
+
+    if (this._userHandlers.channel.rpn && this._userHandlers.channel.rpn[channel]) {
+      this._userHandlers.channel.rpn[channel].forEach(
+        function(callback) { callback(rpnEvent); }
+      );
+    }
+
+  };
+
+  /**
+   * @method _parseChannelEvent
+   * @param e Event
+   * @protected
+   */
+  Input.prototype._parseChannelEvent = function(e) {
+
+    var that = this,
+      event = this._createChannelEvent(e),
+      mpeEvents = this._mpeEnabled ? this._parseMpeEvent(event) : [];
+
+    this._updateControllerState(event);
+
+    // If some callbacks have been defined for this event, on that device and channel, execute them.
+    if (
+      this._userHandlers.channel[event.type] &&
+      this._userHandlers.channel[event.type][event.channel]
+    ) {
+
+      this._userHandlers.channel[event.type][event.channel].forEach(
+        function(callback) { callback(event); }
+      );
+    }
+
+    mpeEvents.forEach(function(mpeEvent) {
+      if (that._userHandlers.channel[mpeEvent.type][mpeEvent.channel]) {
+        that._userHandlers.channel[mpeEvent.type][mpeEvent.channel].forEach(
+          function(callback) { callback(mpeEvent); }
+        );
+      }
+    });
+
+    this._updateNoteState(event);
+
+    if (this._controlChange14Enabled) this._parseControlChange14Event(event);
+
+  };
+
+  /**
+   * Combines the MSB (controllers 0 to 31) and LSB (controllers 32 to 63) of high-resolution
+   * controllers and dispatches a `controlchange14` event. Since devices send the MSB first, a
+   * MSB is dispatched immediately only if no LSB has ever been received for that controller.
+   * Otherwise, the event is dispatched when the LSB arrives. A LSB alone (fine adjustment) is
+   * combined with the last MSB received.
+   *
+   * @method _parseControlChange14Event
+   * @param event {Object} A channel event.
+   * @protected
+   */
+  Input.prototype._parseControlChange14Event = function(event) {
+
+    if (event.type !== "controlchange" || event.controller.number > 63) return;
+
+    var msb = event.controller.number % 32,
+      values = this._controllerState[event.channel - 1].controlchange,
+      lsbReceived = this._lsbReceived[event.channel - 1];
+
+    if (event.controller.number >= 32) {
+      lsbReceived[msb] = true;
+    } else if (lsbReceived[msb]) {
+      return;
+    }
+
+    var value = ((values[msb] || 0) << 7) + (event.controller.number >= 32 ? event.value : 0);
+
+    /**
+     * Event emitted when the value of a high-resolution controller (a control change between 0 and
+     * 31 paired with its LSB between 32 and 63) has been received on a specific device and
+     * channel. This event is only dispatched if `controlChange14Enabled` is `true`.
+     *
+     * @event controlchange14
+     *
+     * @param {Object} event
+     * @param {Input} event.target The `Input` that triggered the event.
+     * @param {Uint8Array} event.data The raw MIDI message that completed the value.
+     * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+     * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+     * @param {String} event.type The type of event that occurred.
+     * @param {Object} event.controller
+     * @param {uint} event.controller.number The number of the controller (between 0 and 31).
+     * @param {String} event.controller.name The usual name or function of the controller.
+     * @param {Number} event.value The value received (between 0 and 1).
+     * @param {uint} event.rawValue The value expressed as a 14-bit integer (between 0 and 16383).
+     *
+     * @since 2.6.0
+     */
+    var cc14Event = {
+      target: this,
+      data: event.data,
+      timestamp: event.timestamp,
+      channel: event.channel,
+      type: "controlchange14",
+      controller: {
+        number: msb,
+        name: this.getCcNameByNumber(msb)
+      },
+      value: value / 16383,
+      rawValue: value
+    };
+
+    if (
+      this._userHandlers.channel.controlchange14 &&
+      this._userHandlers.channel.controlchange14[event.channel]
+    ) {
+      this._userHandlers.channel.controlchange14[event.channel].forEach(
+        function(callback) { callback(cc14Event); }
+      );
+    }
+
+  };
+
+  /**
+   * Tracks the MPE zones (from the *MPE Configuration Message*), the pitch bend ranges and the
+   * notes playing on the member channels and returns the per-note events (`notebend`,
+   * `notepressure` and `notetimbre`) matching the specified channel event. The `noteon` and
+   * `noteoff` events of the member channels are given the `id` and `zone` of the note.
+   *
+   * The pitch bend of the master channel of a zone is added to the one of each note of the zone.
+   * The pressure and timbre received on the master channel replace the ones of all the notes of the
+   * zone.
+   *
+   * @method _parseMpeEvent
+   * @param event {Object} A channel event.
+   * @returns {Array} The per-note events to dispatch.
+   * @protected
+   */
+  Input.prototype._parseMpeEvent = function(event) {
+
+    var that = this,
+      mpe = this._mpe,
+      channel = event.channel,
+      messages = wm.MIDI_RPN_MESSAGES,
+      zone = this._getMpeZone(channel),
+      events = [],
+      notes = [],
+      type,
+      property;
+
+    if (event.type === "controlchange") {
+
+      var number = event.controller.number;
+
+      if (number === messages.parammsb) {
+        mpe.rpn[channel - 1] = [event.value, undefined];
+      } else if (number === messages.paramlsb && mpe.rpn[channel - 1]) {
+        mpe.rpn[channel - 1][1] = event.value;
+      } else if (
+        number === wm.MIDI_NRPN_MESSAGES.parammsb || number === wm.MIDI_NRPN_MESSAGES.paramlsb
+      ) {
+        mpe.rpn[channel - 1] = undefined;
+      } else if (number === messages.entrymsb && mpe.rpn[channel - 1]) {
+        this._updateMpeParameter(channel, mpe.rpn[channel - 1], event.value);
+      } else if (number === 74) {
+        type = "notetimbre";
+        property = "timbre";
+      }
+
+    } else if (event.type === "pitchbend") {
+      type = "notebend";
+      property = "bend";
+    } else if (event.type === "channelaftertouch") {
+      type = "notepressure";
+      property = "pressure";
+    }
+
+    if (!zone) return events;
+
+    if (event.type === "noteon" && zone.member) {
+
+      var note = {id: ++mpe.id, number: event.note.number, channel: channel, zone: zone.name};
+      mpe.notes[channel - 1].push(note);
+      event.note = this._getMpeNote(note);
+
+    } else if (event.type === "noteoff" && zone.member) {
+
+      mpe.notes[channel - 1] = mpe.notes[channel - 1].filter(function(item) {
+        if (item.number !== event.note.number || notes.length) return true;
+        notes.push(item);
+        return false;
+      });
+      if (notes.length) event.note = this._getMpeNote(notes[0]);
+
+    } else if (type) {
+
+      var value = property === "timbre" ? event.value / 127 : event.value;
+
+      if (property === "bend" || zone.member) {
+        mpe.expression[channel - 1][property] = value;
+      } else {
+        zone.channels.forEach(function(ch) { mpe.expression[ch - 1][property] = value; });
+      }
+
+      (zone.member ? [channel] : zone.channels).forEach(function(ch) {
+        notes = notes.concat(mpe.notes[ch - 1]);
+      });
+
+      /**
+       * Event emitted in MPE mode (see the
+       * {{#crossLink "Input/mpeEnabled:property"}}mpeEnabled{{/crossLink}} property) when the pitch
+       * bend of a note changes. It is dispatched on the member channel of the note, for pitch bend
+       * messages received on that channel or on the master channel of the zone.
+       *
+       * @event notebend
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The member channel of the note (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {Object} event.note The note (see the
+       * {{#crossLink "Input/noteon:event"}}noteon{{/crossLink}} event).
+       * @param {Number} event.value The pitch bend of the note (in semitones), including the pitch
+       * bend of the master channel.
+       *
+       * @since 2.6.0
+       */
+
+      /**
+       * Event emitted in MPE mode (see the
+       * {{#crossLink "Input/mpeEnabled:property"}}mpeEnabled{{/crossLink}} property) when the
+       * pressure of a note changes. It is dispatched on the member channel of the note, for channel
+       * aftertouch messages received on that channel or on the master channel of the zone.
+       *
+       * @event notepressure
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The member channel of the note (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {Object} event.note The note (see the
+       * {{#crossLink "Input/noteon:event"}}noteon{{/crossLink}} event).
+       * @param {Number} event.value The pressure (between 0 and 1).
+       *
+       * @since 2.6.0
+       */
+
+      /**
+       * Event emitted in MPE mode (see the
+       * {{#crossLink "Input/mpeEnabled:property"}}mpeEnabled{{/crossLink}} property) when the
+       * timbre of a note (control change 74) changes. It is dispatched on the member channel of the
+       * note, for messages received on that channel or on the master channel of the zone.
+       *
+       * @event notetimbre
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The member channel of the note (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {Object} event.note The note (see the
+       * {{#crossLink "Input/noteon:event"}}noteon{{/crossLink}} event).
+       * @param {Number} event.value The timbre (between 0 and 1).
+       *
+       * @since 2.6.0
+       */
+      notes.forEach(function(item) {
+        var note = that._getMpeNote(item);
+        events.push({
+          target: that,
+          data: event.data,
+          timestamp: event.timestamp,
+          channel: item.channel,
+          type: type,
+          note: note,
+          value: note[property]
+        });
+      });
+
+    }
+
+    return events;
+
+  };
+
+  /**
+   * Applies the value of a registered parameter received in MPE mode: the *MPE Configuration
+   * Message* (on the master channel of a zone) or the pitch bend range. The pitch bend range sent
+   * on a member channel applies to all the member channels of the zone.
+   *
+   * @method _updateMpeParameter
+   * @param channel {Number} The channel the value was received on.
+   * @param parameter {Array} The selected registered parameter (MSB and LSB).
+   * @param value {Number} The data entry MSB.
+   * @protected
+   */
+  Input.prototype._updateMpeParameter = function(channel, parameter, value) {
+
+    var mpe = this._mpe,
+      zone;
+
+    if (
+      parameter[0] === wm.MIDI_REGISTERED_PARAMETER.mpeconfiguration[0] &&
+      parameter[1] === wm.MIDI_REGISTERED_PARAMETER.mpeconfiguration[1] &&
+      (channel === 1 || channel === 16)
+    ) {
+
+      mpe.zones = wm._configureMpeZone(
+        mpe.zones, channel === 1 ? "lower" : "upper", Math.min(value, 15)
+      );
+
+      // The receivers reset the pitch bend ranges of the zone
+      zone = this._getMpeZone(channel);
+      mpe.ranges[channel - 1] = 2;
+      if (zone) zone.channels.forEach(function(ch) { mpe.ranges[ch - 1] = 48; });
+
+    } else if (
+      parameter[0] === wm.MIDI_REGISTERED_PARAMETER.pitchbendrange[0] &&
+      parameter[1] === wm.MIDI_REGISTERED_PARAMETER.pitchbendrange[1]
+    ) {
+
+      zone = this._getMpeZone(channel);
+
+      if (zone && zone.member) {
+        zone.channels.forEach(function(ch) { mpe.ranges[ch - 1] = value; });
+      } else {
+        mpe.ranges[channel - 1] = value;
+      }
+
+    }
+
+  };
+
+  /**
+   * Returns the MPE zone the specified channel belongs to.
+   *
+   * @method _getMpeZone
+   * @param channel {Number} The channel.
+   * @returns {Object|undefined} An object with `name`, `master`, `channels` and `member` (whether
+   * the channel is a member channel) properties or `undefined` if the channel is not in a zone.
+   * @protected
+   */
+  Input.prototype._getMpeZone = function(channel) {
+
+    var zones = this._mpe.zones;
+
+    for (var name in zones) {
+      if (
+        Object.prototype.hasOwnProperty.call(zones, name) && zones[name] &&
+        (zones[name].master === channel || zones[name].channels.indexOf(channel) > -1)
+      ) {
+        return {
+          name: name,
+          master: zones[name].master,
+          channels: zones[name].channels,
+          member: zones[name].master !== channel
+        };
+      }
+    }
+
+    return undefined;
+
+  };
+
+  /**
+   * Returns the `note` object of the MPE events for the specified note, with its current
+   * expression.
+   *
+   * @method _getMpeNote
+   * @param note {Object} A note tracked in MPE mode.
+   * @returns {Object}
+   * @protected
+   */
+  Input.prototype._getMpeNote = function(note) {
+
+    var mpe = this._mpe,
+      master = note.zone === "lower" ? 1 : 16,
+      expression = mpe.expression[note.channel - 1];
+
+    return {
+      id: note.id,
+      number: note.number,
+      name: wm._notes[note.number % 12],
+      octave: wm.getOctave(note.number),
+      zone: note.zone,
+      bend: expression.bend * mpe.ranges[note.channel - 1] +
+        mpe.expression[master - 1].bend * mpe.ranges[master - 1],
+      pressure: expression.pressure,
+      timbre: expression.timbre
+    };
+
+  };
+
+  /**
+   * Forgets the MPE zones, pitch bend ranges, expression and notes.
+   *
+   * @method _resetMpeState
+   * @protected
+   */
+  Input.prototype._resetMpeState = function() {
+
+    this._mpe = {
+      zones: {lower: undefined, upper: undefined},
+      ranges: [],
+      expression: [],
+      rpn: [],
+      notes: [],
+      id: 0
+    };
+
+    for (var i = 0; i < 16; i++) {
+      this._mpe.ranges.push(2);
+      this._mpe.expression.push({bend: 0, pressure: 0, timbre: 64 / 127});
+      this._mpe.rpn.push(undefined);
+      this._mpe.notes.push([]);
+    }
+
+  };
+
+  /**
+   * Stores the value carried by the specified event if it is a control change, pitch bend,
+   * aftertouch or program change. A `resetallcontrollers` channel mode message forgets the control
+   * change and key aftertouch values and centers the pitch bend and channel aftertouch.
+   *
+   * @method _updateControllerState
+   * @param event {Object} A channel event.
+   * @protected
+   */
+  Input.prototype._updateControllerState = function(event) {
+
+    var state = this._controllerState[event.channel - 1];
+
+    if (event.type === "controlchange") {
+      state.controlchange[event.controller.number] = event.value;
+    } else if (event.type === "keyaftertouch") {
+      state.keyaftertouch[event.note.number] = event.value;
+    } else if (
+      event.type === "pitchbend" ||
+      event.type === "channelaftertouch" ||
+      event.type === "programchange"
+    ) {
+      state[event.type] = event.value;
+    } else if (
+      event.type === "channelmode" &&
+      event.controller.number === wm.MIDI_CHANNEL_MODE_MESSAGES.resetallcontrollers
+    ) {
+      state.controlchange = [];
+      state.keyaftertouch = {};
+      state.pitchbend = 0;
+      state.channelaftertouch = 0;
+    }
+
+  };
+
+  /**
+   * Updates the list of notes playing on the channel of the specified event and dispatches the
+   * `notes` event if it changed. A note released while the sustain pedal is down (or while the
+   * sostenuto pedal holds it) keeps playing until the pedal is released. The `allnotesoff` and
+   * mode change messages release all keys while `allsoundoff` silences all notes immediately.
+   *
+   * @method _updateNoteState
+   * @param event {Object} A channel event.
+   * @protected
+   */
+  Input.prototype._updateNoteState = function(event) {
+
+    var state = this._noteState[event.channel - 1],
+      changed = false,
+      number;
+
+    // Removes the notes whose key is up and that are not held by a pedal
+    function releaseNotes() {
+      for (var n in state.notes) {
+        if (
+          Object.prototype.hasOwnProperty.call(state.notes, n) &&
+          !state.notes[n].held &&
+          !state.sustain &&
+          !(state.sostenuto && state.sostenuto[n])
+        ) {
+          delete state.notes[n];
+          changed = true;
+        }
+      }
+    }
+
+    if (event.type === "noteon") {
+
+      state.notes[event.note.number] = {
+        number: event.note.number,
+        name: event.note.name,
+        octave: event.note.octave,
+        velocity: event.velocity,
+        rawVelocity: event.rawVelocity,
+        timestamp: event.timestamp,
+        held: true
+      };
+
+      changed = true;
+
+    } else if (event.type === "noteoff" && state.notes[event.note.number]) {
+
+      state.notes[event.note.number].held = false;
+      releaseNotes();
+
+    } else if (
+      event.type === "controlchange" &&
+      event.controller.number === wm.MIDI_CONTROL_CHANGE_MESSAGES.holdpedal
+    ) {
+
+      state.sustain = event.value >= 64;
+      releaseNotes();
+
+    } else if (
+      event.type === "controlchange" &&
+      event.controller.number === wm.MIDI_CONTROL_CHANGE_MESSAGES.sustenutopedal
+    ) {
+
+      if (event.value >= 64 && !state.sostenuto) {
+
+        // The sostenuto pedal holds the notes whose key is down when it is pressed
+        state.sostenuto = {};
+        for (number in state.notes) {
+          if (
+            Object.prototype.hasOwnProperty.call(state.notes, number) &&
+            state.notes[number].held
+          ) {
+            state.sostenuto[number] = true;
+          }
+        }
+
+      } else if (event.value < 64) {
+        state.sostenuto = undefined;
+        releaseNotes();
+      }
+
+    } else if (event.type === "channelmode") {
+
+      if (event.controller.number === wm.MIDI_CHANNEL_MODE_MESSAGES.allsoundoff) {
+
+        changed = Object.keys(state.notes).length > 0;
+        state.notes = {};
+
+      } else if (event.controller.number === wm.MIDI_CHANNEL_MODE_MESSAGES.resetallcontrollers) {
+
+        state.sustain = false;
+        state.sostenuto = undefined;
+        releaseNotes();
+
+      } else if (
+        event.controller.number === wm.MIDI_CHANNEL_MODE_MESSAGES.allnotesoff ||
+        event.controller.number >= wm.MIDI_CHANNEL_MODE_MESSAGES.omnimodeoff
+      ) {
+
+        for (number in state.notes) {
+          if (Object.prototype.hasOwnProperty.call(state.notes, number)) {
+            state.notes[number].held = false;
+          }
+        }
+
+        releaseNotes();
+
+      }
+
+    }
+
+    if (!changed) return;
+
+    /**
+     * Event emitted when the list of notes playing on a specific device and channel changes. This
+     * happens when a note starts or ends, taking into account the sustain and sostenuto pedals and
+     * the `allnotesoff` and `allsoundoff` channel mode messages.
+     *
+     * @event notes
+     *
+     * @param {Object} event
+     * @param {Input} event.target The `Input` that triggered the event.
+     * @param {Uint8Array} event.data The raw MIDI message that caused the change.
+     * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+     * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+     * @param {String} event.type The type of event that occurred.
+     * @param {Array} event.notes The notes playing on the channel (as returned by
+     * {{#crossLink "Input/getActiveNotes:method"}}getActiveNotes(){{/crossLink}}).
+     *
+     * @since 2.6.0
+     */
+    var notesEvent = {
+      target: this,
+      data: event.data,
+      timestamp: event.timestamp,
+      channel: event.channel,
+      type: "notes",
+      notes: this.getActiveNotes(event.channel)
+    };
+
+    if (this._userHandlers.channel.notes && this._userHandlers.channel.notes[event.channel]) {
+      this._userHandlers.channel.notes[event.channel].forEach(
+        function(callback) { callback(notesEvent); }
+      );
+    }
+
+  };
+
+  /**
+   * Returns the notes currently playing on the specified channel, sorted by note number. A note is
+   * playing from the moment its **note on** message is received until its key is released (or,
+   * if the sustain or sostenuto pedal holds it, until the pedal is released).
+   *
+   * Each note is an object with the following properties:
+   *
+   *    * `number`: the MIDI note number;
+   *    * `name`: the usual note name (C, C#, D, D#, etc.);
+   *    * `octave`: the octave (between -2 and 8);
+   *    * `velocity`: the attack velocity (between 0 and 1);
+   *    * `rawVelocity`: the attack velocity expressed as a 7-bit integer (between 0 and 127);
+   *    * `timestamp`: the time when the note started (in milliseconds);
+   *    * `sustained`: whether the key has been released and the note is held by a pedal.
+   *
+   * ```js
+   * WebMidi.inputs[0].getActiveNotes(1).map(function(note) { return note.number; });
+   * ```
+   *
+   * @method getActiveNotes
+   *
+   * @param channel {Number} The MIDI channel (between 1 and 16).
+   *
+   * @throws {RangeError} The 'channel' parameter is invalid.
+   *
+   * @returns {Array} An array of note objects.
+   *
+   * @since 2.6.0
+   */
+  Input.prototype.getActiveNotes = function(channel) {
+
+    channel = parseInt(channel);
+
+    if ( !(channel >= 1 && channel <= 16) ) {
+      throw new RangeError("The 'channel' parameter is invalid.");
+    }
+
+    var notes = this._noteState[channel - 1].notes;
+
+    return Object.keys(notes)
+      .map(function(number) {
+        var note = notes[number];
+        return {
+          number: note.number,
+          name: note.name,
+          octave: note.octave,
+          velocity: note.velocity,
+          rawVelocity: note.rawVelocity,
+          timestamp: note.timestamp,
+          sustained: !note.held
+        };
+      })
+      .sort(function(a, b) { return a.number - b.number; });
+
+  };
+
+  /**
+   * Returns the last value received on the specified channel for a control change (by name or by
+   * number), for the pitch bend (`pitchbend`), for the channel aftertouch (`channelaftertouch`)
+   * or for the program (`programchange`). Values are expressed like in the matching events: from 0
+   * to 127 for control changes and programs, from -1 to 1 for the pitch bend and from 0 to 1 for
+   * the aftertouch.
+   *
+   * This lets you know the state of a device without waiting for it to send new values. If no
+   * value has been received yet, `undefined` is returned. Control change values are forgotten when
+   * a `resetallcontrollers` message is received (and the pitch bend and aftertouch go back to 0).
+   *
+   * ```js
+   * WebMidi.inputs[0].getControllerValue("volumecoarse", 1);
+   * ```
+   *
+   * @method getControllerValue
+   *
+   * @param controller {Number|String} The name or number (between 0 and 119) of the control
+   * change or one of `pitchbend`, `channelaftertouch` and `programchange`.
+   * @param channel {Number} The MIDI channel (between 1 and 16).
+   *
+   * @throws {TypeError} Invalid controller name.
+   * @throws {RangeError} Controller numbers must be between 0 and 119.
+   * @throws {RangeError} The 'channel' parameter is invalid.
+   *
+   * @returns {Number|undefined} The last value received or `undefined`.
+   *
+   * @since 2.6.0
+   */
+  Input.prototype.getControllerValue = function(controller, channel) {
+
+    var state = this._getControllerState(channel);
+
+    if (
+      controller === "pitchbend" ||
+      controller === "channelaftertouch" ||
+      controller === "programchange"
+    ) {
+      return state[controller];
+    }
+
+    if (typeof controller === "string") {
+
+      controller = wm.MIDI_CONTROL_CHANGE_MESSAGES[controller];
+      if (controller === undefined) throw new TypeError("Invalid controller name.");
+
+    } else {
+
+      controller = Math.floor(controller);
+      if ( !(controller >= 0 && controller <= 119) ) {
+        throw new RangeError("Controller numbers must be between 0 and 119.");
+      }
+
+    }
+
+    return state.controlchange[controller];
+
+  };
+
+  /**
+   * Returns the last key aftertouch value (between 0 and 1) received for the specified note on the
+   * specified channel or `undefined` if none has been received yet.
+   *
+   * @method getKeyAftertouch
+   *
+   * @param note {Number|String} The note number (between 0 and 127) or name (C3, F#4, etc.).
+   * @param channel {Number} The MIDI channel (between 1 and 16).
+   *
+   * @throws {Error} Invalid input value.
+   * @throws {RangeError} The 'channel' parameter is invalid.
+   *
+   * @returns {Number|undefined} The last value received or `undefined`.
+   *
+   * @since 2.6.0
+   */
+  Input.prototype.getKeyAftertouch = function(note, channel) {
+    var state = this._getControllerState(channel);
+    return state.keyaftertouch[wm.guessNoteNumber(note)];
+  };
+
+  /**
+   * @method _getControllerState
+   * @param channel {Number} The MIDI channel (between 1 and 16).
+   * @throws {RangeError} The 'channel' parameter is invalid.
+   * @returns {Object} The controller values of the channel.
+   * @protected
+   */
+  Input.prototype._getControllerState = function(channel) {
+
+    channel = parseInt(channel);
+
+    if ( !(channel >= 1 && channel <= 16) ) {
+      throw new RangeError("The 'channel' parameter is invalid.");
+    }
+
+    return this._controllerState[channel - 1];
+
+  };
+
+  /**
+   * Returns the event object matching the specified channel message. This is used for messages
+   * received by the `Input` and for messages read from MIDI files.
+   *
+   * @method _createChannelEvent
+   * @param e {Object} An object with `data` and `timeStamp` properties.
+   * @returns {Object}
+   * @protected
+   */
+  Input.prototype._createChannelEvent = function(e) {
+
+    var command = e.data[0] >> 4;
+    var channel = (e.data[0] & 0xf) + 1;
+    var data1, data2;
+
+    if (e.data.length > 1) {
+      data1 = e.data[1];
+      data2 = e.data.length > 2 ? e.data[2] : undefined;
+    }
+
+    // Returned event
+    var event = {
+      target: this,
+      data: e.data,
+      timestamp: e.timeStamp,
+      channel: channel
+    };
+
+    if (
+      command === wm.MIDI_CHANNEL_MESSAGES.noteoff ||
+      (command === wm.MIDI_CHANNEL_MESSAGES.noteon && data2 === 0)
+    ) {
+
+      /**
+       * Event emitted when a note off MIDI message has been received on a specific device and
+       * channel.
+       *
+       * @event noteoff
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {Object} event.note
+       * @param {uint} event.note.number The MIDI note number.
+       * @param {String} event.note.name The usual note name (C, C#, D, D#, etc.).
+       * @param {uint} event.note.octave The octave (between -2 and 8).
+       * @param {Number} event.velocity The release velocity (between 0 and 1).
+       * @param {Number} event.rawVelocity The attack velocity expressed as a 7-bit integer (between
+       * 0 and 127).
+       */
+      event.type = "noteoff";
+      event.note = {
+        number: data1,
+        name: wm._notes[data1 % 12],
+        octave: wm.getOctave(data1)
+      };
+      event.velocity = data2 / 127;
+      event.rawVelocity = data2;
+
+    } else if (command === wm.MIDI_CHANNEL_MESSAGES.noteon) {
+
+      /**
+       * Event emitted when a note on MIDI message has been received on a specific device and
+       * channel.
+       *
+       * @event noteon
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {Object} event.note
+       * @param {uint} event.note.number The MIDI note number.
+       * @param {String} event.note.name The usual note name (C, C#, D, D#, etc.).
+       * @param {uint} event.note.octave The octave (between -2 and 8).
+       * @param {Number} event.velocity The attack velocity (between 0 and 1).
+       * @param {Number} event.rawVelocity The attack velocity expressed as a 7-bit integer (between
+       * 0 and 127).
+       */
+      event.type = "noteon";
+      event.note = {
+        number: data1,
+        name: wm._notes[data1 % 12],
+        octave: wm.getOctave(data1)
+      };
+      event.velocity = data2 / 127;
+      event.rawVelocity = data2;
+
+    } else if (command === wm.MIDI_CHANNEL_MESSAGES.keyaftertouch) {
+
+      /**
+       * Event emitted when a key-specific aftertouch MIDI message has been received on a specific
+       * device and channel.
+       *
+       * @event keyaftertouch
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {Object} event.note
+       * @param {uint} event.note.number The MIDI note number.
+       * @param {String} event.note.name The usual note name (C, C#, D, D#, etc.).
+       * @param {uint} event.note.octave The octave (between -2 and 8).
+       * @param {Number} event.value The aftertouch amount (between 0 and 1).
+       */
+      event.type = "keyaftertouch";
+      event.note = {
         number: data1,
         name: wm._notes[data1 % 12],
         octave: wm.getOctave(data1)
       };
-      event.value = data2 / 127;
+      event.value = data2 / 127;
+
+    } else if (
+      command === wm.MIDI_CHANNEL_MESSAGES.controlchange &&
+      data1 >= 0 && data1 <= 119
+    ) {
+
+      /**
+       * Event emitted when a control change MIDI message has been received on a specific device and
+       * channel.
+       *
+       * @event controlchange
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {Object} event.controller
+       * @param {uint} event.controller.number The number of the controller.
+       * @param {String} event.controller.name The usual name or function of the controller.
+       * @param {uint} event.value The value received (between 0 and 127).
+       */
+      event.type = "controlchange";
+      event.controller = {
+        number: data1,
+        name: this.getCcNameByNumber(data1)
+      };
+      event.value = data2;
+
+    } else if (
+      command === wm.MIDI_CHANNEL_MESSAGES.channelmode &&
+      data1 >= 120 && data1 <= 127
+    ) {
+
+      /**
+       * Event emitted when a channel mode MIDI message has been received on a specific device and
+       * channel.
+       *
+       * @event channelmode
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {Object} event.controller
+       * @param {uint} event.controller.number The number of the controller.
+       * @param {String} event.controller.name The usual name or function of the controller.
+       * @param {uint} event.value The value received (between 0 and 127).
+       */
+      event.type = "channelmode";
+      event.controller = {
+        number: data1,
+        name: this.getChannelModeByNumber(data1)
+      };
+      event.value = data2;
+
+    } else if (command === wm.MIDI_CHANNEL_MESSAGES.programchange) {
+
+      /**
+       * Event emitted when a program change MIDI message has been received on a specific device and
+       * channel.
+       *
+       * @event programchange
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {uint} event.value The value received (between 0 and 127).
+       */
+      event.type = "programchange";
+      event.value = data1;
+
+    } else if (command === wm.MIDI_CHANNEL_MESSAGES.channelaftertouch) {
+
+      /**
+       * Event emitted when a channel-wide aftertouch MIDI message has been received on a specific
+       * device and channel.
+       *
+       * @event channelaftertouch
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {Number} event.value The aftertouch value received (between 0 and 1).
+       */
+      event.type = "channelaftertouch";
+      event.value = data1 / 127;
+
+    } else if (command === wm.MIDI_CHANNEL_MESSAGES.pitchbend) {
+
+      /**
+       * Event emitted when a pitch bend MIDI message has been received on a specific device and
+       * channel.
+       *
+       * @event pitchbend
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
+       * @param {String} event.type The type of event that occurred.
+       * @param {Number} event.value The pitch bend value received (between -1 and 1).
+       */
+      event.type = "pitchbend";
+      event.value = ((data2 << 7) + data1 - 8192) / 8192;
+    } else {
+      event.type = "unknownchannelmessage";
+    }
+
+    return event;
+
+  };
+
+  /**
+   * Returns the name of a control change message matching the specified number. If no match is
+   * found, the function returns `undefined`.
+   *
+   * @method getCcNameByNumber
+   *
+   * @param number {Number} The number of the control change message.
+   * @returns {String|undefined} The matching control change name or `undefined`.
+   *
+   * @throws RangeError The control change number must be between 0 and 119.
+   *
+   * @since 2.0.0
+   */
+  Input.prototype.getCcNameByNumber = function(number) {
+
+    number = Math.floor(number);
+
+    if ( !(number >= 0 && number <= 119) ) {
+      throw new RangeError("The control change number must be between 0 and 119.");
+    }
+
+    for (var cc in wm.MIDI_CONTROL_CHANGE_MESSAGES) {
+
+      if (
+        Object.prototype.hasOwnProperty.call(wm.MIDI_CONTROL_CHANGE_MESSAGES, cc) &&
+        number === wm.MIDI_CONTROL_CHANGE_MESSAGES[cc]
+      ) {
+        return cc;
+      }
+
+    }
+
+    return undefined;
+
+  };
+
+  /**
+   * Returns the channel mode name matching the specified number. If no match is found, the function
+   * returns `undefined`.
+   *
+   * @method getChannelModeByNumber
+   *
+   * @param number {Number} The number of the channel mode message.
+   * @returns {String|undefined} The matching channel mode message"s name or `undefined`;
+   *
+   * @throws RangeError The channel mode number must be between 120 and 127.
+   *
+   * @since 2.0.0
+   */
+  Input.prototype.getChannelModeByNumber = function(number) {
+
+    number = Math.floor(number);
+
+    if ( !(number >= 120 && number <= 127) ) {
+      throw new RangeError("The control change number must be between 120 and 127.");
+    }
+
+    for (var cm in wm.MIDI_CHANNEL_MODE_MESSAGES) {
+
+      if (
+        Object.prototype.hasOwnProperty.call(wm.MIDI_CHANNEL_MODE_MESSAGES, cm) &&
+        number === wm.MIDI_CHANNEL_MODE_MESSAGES[cm]
+      ) {
+        return cm;
+      }
+
+    }
+
+  };
+
+  /**
+   * Returns the name of the MIDI Machine Control command matching the specified number. If no
+   * match is found, the function returns `undefined`.
+   *
+   * @method getMmcCommandByNumber
+   *
+   * @param number {Number} The number of the command.
+   * @returns {String|undefined} The matching command name or `undefined`.
+   *
+   * @throws RangeError The MMC command number must be between 0 and 127.
+   *
+   * @since 2.6.0
+   */
+  Input.prototype.getMmcCommandByNumber = function(number) {
+
+    number = Math.floor(number);
+
+    if ( !(number >= 0 && number <= 127) ) {
+      throw new RangeError("The MMC command number must be between 0 and 127.");
+    }
+
+    for (var command in wm.MIDI_MMC_COMMANDS) {
+
+      if (
+        Object.prototype.hasOwnProperty.call(wm.MIDI_MMC_COMMANDS, command) &&
+        number === wm.MIDI_MMC_COMMANDS[command]
+      ) {
+        return command;
+      }
+
+    }
+
+  };
+
+  /**
+   * @method _parseSystemEvent
+   * @protected
+   */
+  Input.prototype._parseSystemEvent = function(e) {
+
+    var event = this._createSystemEvent(e);
+
+    // If some callbacks have been defined for this event, execute them.
+    if (this._userHandlers.system[event.type]) {
+      this._userHandlers.system[event.type].forEach(
+        function(callback) { callback(event); }
+      );
+    }
+
+    this._parseMtcEvent(event);
+    this._parseMmcEvent(event);
+    this._parseClockEvent(event);
+
+  };
+
+  /**
+   * Assembles MIDI Time Code quarter frames into complete positions and parses Full Frame messages
+   * (universal real-time sysex `F0 7F <device> 01 01 hr mn sc fr F7`). An `mtc` event is
+   * dispatched each time a position is decoded.
+   *
+   * A position is decoded when eight consecutive quarter frames have been received, in either
+   * direction. Since the eight quarter frames span two frames, two frames are added to (or, in
+   * reverse, subtracted from) the position they carry.
+   *
+   * @method _parseMtcEvent
+   * @param event {Object} A system event.
+   * @protected
+   */
+  Input.prototype._parseMtcEvent = function(event) {
+
+    var state = this._mtc,
+      rates = [24, 25, 29.97, 30],
+      timecode,
+      direction,
+      fullFrame = false;
+
+    if (event.type === "timecode") {
+
+      var piece = event.messageType;
+
+      state.pieces[piece] = event.value;
+
+      if (piece === (state.piece + 1) % 8) {
+        direction = "forward";
+      } else if (piece === (state.piece + 7) % 8) {
+        direction = "reverse";
+      }
+
+      state.count = direction && direction === state.direction ? state.count + 1 : 1;
+      state.direction = direction;
+      state.piece = piece;
+
+      if (
+        state.count < 7 ||
+        (direction === "forward" && piece !== 7) ||
+        (direction === "reverse" && piece !== 0)
+      ) {
+        return;
+      }
+
+      var pieces = state.pieces;
+
+      timecode = {
+        hours: pieces[6] | (pieces[7] & 0x1) << 4,
+        minutes: pieces[4] | (pieces[5] & 0x3) << 4,
+        seconds: pieces[2] | (pieces[3] & 0x3) << 4,
+        frames: pieces[0] | (pieces[1] & 0x1) << 4,
+        fps: rates[(pieces[7] >> 1) & 0x3]
+      };
+
+      timecode = wm._framesToTimecode(
+        wm._timecodeToFrames(timecode) + (direction === "forward" ? 2 : -2),
+        timecode.fps
+      );
+
+    } else if (event.type === "sysex" && event.message === "mtcfullframe") {
+
+      timecode = event.payload.timecode;
+
+      state.count = 0;
+      fullFrame = true;
+
+    } else {
+      return;
+    }
+
+    this._timecode = timecode;
+
+    /**
+     * Event emitted when a complete MIDI Time Code position has been decoded from eight quarter
+     * frames or from a Full Frame message.
+     *
+     * @event mtc
+     *
+     * @param {Object} event
+     * @param {Input} event.target The `Input` that triggered the event.
+     * @param {Uint8Array} event.data The last MIDI message received.
+     * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+     * @param {String} event.type The type of event that occurred.
+     * @param {Object} event.timecode The position, with `hours`, `minutes`, `seconds`, `frames`
+     * and `fps` (24, 25, 29.97 or 30) properties.
+     * @param {String} event.direction The direction of playback (`forward` or `reverse`) or
+     * `undefined` for Full Frame messages.
+     * @param {Boolean} event.fullFrame Whether the position comes from a Full Frame message
+     * (usually sent when the master locates to a new position).
+     *
+     * @since 2.6.0
+     */
+    var mtcEvent = {
+      target: this,
+      data: event.data,
+      timestamp: event.timestamp,
+      type: "mtc",
+      timecode: this.timecode,
+      direction: direction,
+      fullFrame: fullFrame
+    };
+
+    this._userHandlers.system.mtc.forEach(
+      function(callback) { callback(mtcEvent); }
+    );
+
+  };
+
+  /**
+   * Dispatches the `mmc` event when a MIDI Machine Control command is received.
+   *
+   * @method _parseMmcEvent
+   * @param event {Object} A system event.
+   * @protected
+   */
+  Input.prototype._parseMmcEvent = function(event) {
+
+    if (event.type !== "sysex" || event.message !== "mmc") return;
+
+    /**
+     * Event emitted when a MIDI Machine Control (MMC) command is received.
+     *
+     * @event mmc
+     *
+     * @param {Object} event
+     * @param {Input} event.target The `Input` that triggered the event.
+     * @param {Uint8Array} event.data The raw sysex message.
+     * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+     * @param {String} event.type The type of event that occurred.
+     * @param {Number} event.deviceId The ID of the targeted device (127 means all devices).
+     * @param {String} event.command The name of the command (see
+     * {{#crossLink "WebMidi/MIDI_MMC_COMMANDS:property"}}MIDI_MMC_COMMANDS{{/crossLink}}) or
+     * `undefined` if it is unknown.
+     * @param {Number} event.value The number of the command (`undefined` if the message is
+     * truncated).
+     * @param {Object} event.timecode The target position of `locate` commands, with `hours`,
+     * `minutes`, `seconds`, `frames` and `fps` properties (`undefined` for other commands).
+     *
+     * @since 2.6.0
+     */
+    var mmcEvent = {
+      target: this,
+      data: event.data,
+      timestamp: event.timestamp,
+      type: "mmc",
+      deviceId: event.deviceId,
+      command: event.payload.command,
+      value: event.subId2,
+      timecode: event.payload.timecode
+    };
+
+    this._userHandlers.system.mmc.forEach(
+      function(callback) { callback(mmcEvent); }
+    );
+
+  };
+
+  /**
+   * Follows the incoming MIDI clock: keeps track of the position using the *Start*, *Continue*,
+   * *Stop*, *Song Position* and clock messages and computes the tempo from the intervals between
+   * clock messages. Dispatches the `beat`, `bar` and `tempochange` events.
+   *
+   * @method _parseClockEvent
+   * @param event {Object} A system event.
+   * @protected
+   */
+  Input.prototype._parseClockEvent = function(event) {
+
+    var state = this._clock;
+
+    if (event.type === "start") {
+      state.state = "running";
+      state.ticks = 0;
+      state.pending = true;
+    } else if (event.type === "continue") {
+      state.state = "running";
+    } else if (event.type === "stop") {
+      state.state = "stopped";
+    } else if (event.type === "songposition") {
+      state.ticks = event.beats * 6;
+      state.pending = true;
+    }
+
+    if (event.type !== "clock") return;
+
+    this._updateClockTempo(event);
+
+    if (state.state !== "running") return;
+
+    if (state.pending) {
+      state.pending = false;
+    } else {
+      state.ticks++;
+    }
+
+    var position = this._getClockPosition();
+
+    if (position.tick !== 0) return;
+
+    /**
+     * Event emitted on every beat of the incoming MIDI clock (when the clock is running). Beats
+     * follow the time signature of the {{#crossLink "Transport"}}Transport{{/crossLink}}.
+     *
+     * @event beat
+     *
+     * @param {Object} event
+     * @param {Input} event.target The `Input` that triggered the event.
+     * @param {Uint8Array} event.data The raw MIDI message (a clock message).
+     * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+     * @param {String} event.type The type of event that occurred.
+     * @param {Number} event.bpm The tempo in beats (quarter notes) per minute (or `undefined` if
+     * it is not known yet).
+     * @param {Number} event.ticks The position in clock pulses (24 per quarter note).
+     * @param {Number} event.bar The bar (counted from 0).
+     * @param {Number} event.beat The beat within the bar (counted from 0).
+     *
+     * @since 2.6.0
+     */
+    this._dispatchClockEvent("beat", event, position);
+
+    /**
+     * Event emitted on the first beat of every bar of the incoming MIDI clock (when the clock is
+     * running). It has the same properties as the
+     * {{#crossLink "Input/beat:event"}}beat{{/crossLink}} event.
+     *
+     * @event bar
+     *
+     * @since 2.6.0
+     */
+    if (position.beat === 0) this._dispatchClockEvent("bar", event, position);
+
+  };
+
+  /**
+   * Updates the tempo of the incoming MIDI clock with the interval since the previous clock
+   * message. The tempo is averaged over the last 24 intervals (one quarter note) and a
+   * `tempochange` event is dispatched when it moves by half a beat per minute or more, so the
+   * jitter of the clock does not trigger events all the time. A gap of more than a second resets
+   * the average.
+   *
+   * @method _updateClockTempo
+   * @param event {Object} A clock event.
+   * @protected
+   */
+  Input.prototype._updateClockTempo = function(event) {
+
+    var state = this._clock,
+      interval = event.timestamp - state.timestamp;
+
+    state.timestamp = event.timestamp;
+
+    if ( !(interval > 0 && interval <= 1000) ) {
+      state.intervals = [];
+      return;
+    }
+
+    state.intervals.push(interval);
+    if (state.intervals.length > 24) state.intervals.shift();
+    if (state.intervals.length < 24) return;
+
+    var total = state.intervals.reduce(function(sum, value) { return sum + value; }, 0),
+      bpm = Math.round(60000 / total * 100) / 100;
+
+    if (state.bpm !== undefined && Math.abs(bpm - state.bpm) < 0.5) return;
+
+    state.bpm = bpm;
+
+    /**
+     * Event emitted when the tempo of the incoming MIDI clock is first detected and whenever it
+     * changes by half a beat per minute or more. It has the same properties as the
+     * {{#crossLink "Input/beat:event"}}beat{{/crossLink}} event.
+     *
+     * @event tempochange
+     *
+     * @since 2.6.0
+     */
+    this._dispatchClockEvent("tempochange", event, this._getClockPosition());
+
+  };
+
+  /**
+   * @method _getClockPosition
+   * @returns {Object} The state of the incoming MIDI clock (see the `clock` property).
+   * @protected
+   */
+  Input.prototype._getClockPosition = function() {
+
+    var signature = wm.transport.timeSignature,
+      beat = 24 * 4 / signature[1],
+      bar = beat * signature[0],
+      ticks = this._clock.ticks;
+
+    return {
+      bpm: this._clock.bpm,
+      state: this._clock.state,
+      ticks: ticks,
+      bar: Math.floor(ticks / bar),
+      beat: Math.floor(ticks % bar / beat),
+      tick: ticks % beat
+    };
+
+  };
+
+  /**
+   * @method _dispatchClockEvent
+   * @param type {String} The type of event (`beat`, `bar` or `tempochange`).
+   * @param event {Object} The clock event that triggered it.
+   * @param position {Object} The state of the incoming MIDI clock.
+   * @protected
+   */
+  Input.prototype._dispatchClockEvent = function(type, event, position) {
+
+    var clockEvent = {
+      target: this,
+      data: event.data,
+      timestamp: event.timestamp,
+      type: type,
+      bpm: position.bpm,
+      ticks: position.ticks,
+      bar: position.bar,
+      beat: position.beat
+    };
+
+    this._userHandlers.system[type].forEach(
+      function(callback) { callback(clockEvent); }
+    );
+
+  };
+
+  /**
+   * Returns the event object matching the specified system message. This is used for messages
+   * received by the `Input` and for messages read from MIDI files.
+   *
+   * @method _createSystemEvent
+   * @param e {Object} An object with `data` and `timeStamp` properties.
+   * @returns {Object}
+   * @protected
+   */
+  Input.prototype._createSystemEvent = function(e) {
+
+    var command = e.data[0];
+
+    // Returned event
+    var event = {
+      target: this,
+      data: e.data,
+      timestamp: e.timeStamp
+    };
+
+    if (command === wm.MIDI_SYSTEM_MESSAGES.sysex) {
+
+      /**
+       * Event emitted when a system exclusive MIDI message has been received. You should note that,
+       * to receive `sysex` events, you must call the `WebMidi.enable()` method with a second
+       * parameter set to `true`:
+       *
+       *     WebMidi.enable(function(err) {
+       *
+       *        if (err) {
+       *          console.log("WebMidi could not be enabled.");
+       *        }
+       *
+       *        var input = WebMidi.inputs[0];
+       *
+       *        input.addListener("sysex", "all", function (e) {
+       *          console.log(e);
+       *        });
+       *
+       *     }, true);
+       *
+       * @event sysex
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type The type of event that occurred.
+       * @param {Array} event.manufacturerId The manufacturer ID (one byte or three bytes starting
+       * with 0x00). It is `[0x7E]` or `[0x7F]` for universal messages.
+       * @param {String} event.manufacturer The name of the manufacturer (see
+       * {{#crossLink "WebMidi/MIDI_MANUFACTURERS:property"}}MIDI_MANUFACTURERS{{/crossLink}}) or
+       * `undefined` if it is unknown.
+       *
+       * Universal messages (manufacturer ID 0x7E or 0x7F) have these additional properties:
+       *
+       * @param {String} event.universal `nonrealtime` (0x7E) or `realtime` (0x7F).
+       * @param {Number} event.deviceId The ID of the target device (0x7F means all devices).
+       * @param {Number} event.subId1 The first sub-ID (`undefined` if the message is truncated).
+       * @param {Number} event.subId2 The second sub-ID (`undefined` if the message is truncated).
+       * @param {String} event.message The name of the message, if it is one of: `identityrequest`,
+       * `identityreply`, `gmsystemon`, `gmsystemoff`, `gm2systemon`, `mastervolume`,
+       * `masterbalance`, `mtcfullframe`, `mmc`, `mtsdumprequest`, `mtsdump`, `mtsnotechange`
+       * and `mtsscaleoctave` (`undefined` otherwise).
+       * @param {Object} event.payload The decoded content of the message, if it is one of the
+       * above:
+       *
+       *    * `identityreply`: `manufacturerId`, `manufacturer`, `family`, `model` and `version` (an
+       *    array of 4 bytes);
+       *    * `mastervolume`: `value` (between 0 and 1) and `rawValue` (between 0 and 16383);
+       *    * `masterbalance`: `value` (between -1 and 1) and `rawValue` (between 0 and 16383);
+       *    * `mtcfullframe`: `timecode` (see the {{#crossLink "Input/mtc:event"}}mtc{{/crossLink}}
+       *    event);
+       *    * `mmc`: `command` (see
+       *    {{#crossLink "WebMidi/MIDI_MMC_COMMANDS:property"}}MIDI_MMC_COMMANDS{{/crossLink}}) and,
+       *    for the `locate` command, `timecode`;
+       *    * `mtsdumprequest`: `bank` (if any) and `program`;
+       *    * `mtsdump`: `bank` (if any), `program`, `name` and `tuning` (the pitch of the 128
+       *    notes);
+       *    * `mtsnotechange`: `bank` (if any), `program` and `changes` (an array of objects with
+       *    `note` and `pitch` properties);
+       *    * `mtsscaleoctave`: `channels` (an array of channel numbers) and `offsets` (the offset
+       *    of the 12 notes of the octave, in cents).
+       *
+       * Pitches are expressed as fractional MIDI note numbers (e.g. 60.5 is a quarter tone above
+       * middle C) or `undefined` when the tuning of the note is left unchanged. The other messages
+       * have an empty payload.
+       */
+      event.type = "sysex";
+      this._decodeSysex(event);
+
+    } else if (command === wm.MIDI_SYSTEM_MESSAGES.timecode) {
+
+      /**
+       * Event emitted when a system MIDI time code quarter frame message has been received.
+       *
+       * @event timecode
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type The type of event that occurred.
+       * @param {Number} event.messageType The piece of the time code carried by the quarter frame
+       * (between 0 and 7): frames (0-1), seconds (2-3), minutes (4-5) and hours and rate (6-7),
+       * least significant nibble first.
+       * @param {Number} event.value The value of the nibble (between 0 and 15).
+       */
+      event.type = "timecode";
+      event.messageType = e.data[1] >> 4;
+      event.value = e.data[1] & 0xF;
+
+    } else if (command === wm.MIDI_SYSTEM_MESSAGES.songposition) {
+
+      /**
+       * Event emitted when a system song position pointer MIDI message has been received.
+       *
+       * @event songposition
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type The type of event that occurred.
+       * @param {Number} event.beats The position in MIDI beats (16th notes) since the start of the
+       * song (between 0 and 16383).
+       * @param {Number} event.quarterNotes The same position in quarter notes.
+       */
+      event.type = "songposition";
+      event.beats = (e.data[2] << 7) | e.data[1];
+      event.quarterNotes = event.beats / 4;
+
+    } else if (command === wm.MIDI_SYSTEM_MESSAGES.songselect) {
+
+      /**
+       * Event emitted when a system song select MIDI message has been received.
+       *
+       * @event songselect
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type The type of event that occurred.
+       * @param {String} event.song Song (or sequence) number to select.
+       */
+      event.type = "songselect";
+      event.song = e.data[1];
+
+    } else if (command === wm.MIDI_SYSTEM_MESSAGES.tuningrequest) {
+
+      /**
+       * Event emitted when a system tune request MIDI message has been received.
+       *
+       * @event tuningrequest
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit
+       *                                    values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type         The type of event that occurred.
+       */
+      event.type = "tuningrequest";
+
+    } else if (command === wm.MIDI_SYSTEM_MESSAGES.clock) {
+
+      /**
+       * Event emitted when a system timing clock MIDI message has been received.
+       *
+       * @event clock
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit
+       *                                    values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type         The type of event that occurred.
+       */
+      event.type = "clock";
+
+    } else if (command === wm.MIDI_SYSTEM_MESSAGES.start) {
+
+      /**
+       * Event emitted when a system start MIDI message has been received.
+       *
+       * @event start
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit
+       *                                    values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type         The type of event that occurred.
+       */
+      event.type = "start";
+
+    } else if (command === wm.MIDI_SYSTEM_MESSAGES.continue) {
+
+      /**
+       * Event emitted when a system continue MIDI message has been received.
+       *
+       * @event continue
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit
+       *                                    values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type         The type of event that occurred.
+       */
+      event.type = "continue";
+
+    } else if (command === wm.MIDI_SYSTEM_MESSAGES.stop) {
+
+      /**
+       * Event emitted when a system stop MIDI message has been received.
+       *
+       * @event stop
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit
+       *                                    values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type         The type of event that occurred.
+       */
+      event.type = "stop";
+
+    } else if (command === wm.MIDI_SYSTEM_MESSAGES.activesensing) {
+
+      /**
+       * Event emitted when a system active sensing MIDI message has been received.
+       *
+       * @event activesensing
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type         The type of event that occurred.
+       */
+      event.type = "activesensing";
+
+    } else if (command === wm.MIDI_SYSTEM_MESSAGES.reset) {
+
+      /**
+       * Event emitted when a system reset MIDI message has been received.
+       *
+       * @event reset
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type         The type of event that occurred.
+       */
+      event.type = "reset";
+
+    } else {
+
+      /**
+       * Event emitted when an unknown system MIDI message has been received. It could be, for
+       * example, one of the undefined/reserved messages.
+       *
+       * @event unknownsystemmessage
+       *
+       * @param {Object} event
+       * @param {Input} event.target The `Input` that triggered the event.
+       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
+       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
+       * @param {String} event.type The type of event that occurred.
+       * @param {Number} event.status The status byte of the message.
+       * @param {Boolean} event.undefinedStatus Whether the status byte is one of those left
+       * undefined by the MIDI specification (0xF4, 0xF5, 0xF9 and 0xFD).
+       */
+      event.type = "unknownsystemmessage";
+      event.status = command;
+      event.undefinedStatus = [0xF4, 0xF5, 0xF9, 0xFD].indexOf(command) >= 0;
+
+    }
+
+    return event;
+
+  };
+
+  /**
+   * Adds the manufacturer of a system exclusive event and, for universal messages, the device ID,
+   * the sub-IDs, the name and the decoded payload of the message.
+   *
+   * @method _decodeSysex
+   * @param event {Object} A `sysex` event.
+   * @protected
+   */
+  Input.prototype._decodeSysex = function(event) {
+
+    var data = event.data,
+      length = data[1] === 0x00 ? 3 : 1;
+
+    event.manufacturerId = Array.prototype.slice.call(data, 1, 1 + length);
+    event.manufacturer = wm._getManufacturerName(event.manufacturerId);
+
+    if (data[1] !== 0x7E && data[1] !== 0x7F) return;
+
+    event.universal = data[1] === 0x7E ? "nonrealtime" : "realtime";
+    event.deviceId = data[2];
+
+    // The sub-IDs are left undefined if the message is too short to hold them (so the final 0xF7
+    // is not taken for one)
+    event.subId1 = data.length > 4 ? data[3] : undefined;
+    event.subId2 = data.length > 5 ? data[4] : undefined;
+
+    var decoded = this._decodeUniversalSysex(data);
+
+    if (decoded) {
+      event.message = decoded.message;
+      event.payload = decoded.payload;
+    }
+
+  };
+
+  /**
+   * Decodes the known universal system exclusive messages.
+   *
+   * @method _decodeUniversalSysex
+   * @param data {Uint8Array} The message (including the 0xF0 and 0xF7 bytes).
+   * @returns {Object|undefined} An object with the `message` name and its decoded `payload` or
+   * `undefined` if the message is not known.
+   * @protected
+   */
+  Input.prototype._decodeUniversalSysex = function(data) {
+
+    var realtime = data[1] === 0x7F,
+      id = data[3] << 8 | data[4],
+      body = Array.prototype.slice.call(data, 5, data.length - 1),
+      rates = [24, 25, 29.97, 30];
+
+    var timecode = function(bytes) {
+      return {
+        hours: bytes[0] & 0x1F,
+        minutes: bytes[1],
+        seconds: bytes[2],
+        frames: bytes[3],
+        fps: rates[(bytes[0] >> 5) & 0x3]
+      };
+    };
+
+    // MTS pitches are expressed with a semitone and a 14-bit fraction of semitone
+    var pitch = function(bytes) {
+      if (bytes[0] === 0x7F && bytes[1] === 0x7F && bytes[2] === 0x7F) return undefined;
+      return bytes[0] + ((bytes[1] << 7) | bytes[2]) / 16384;
+    };
+
+    var changes = function(bytes) {
+      var result = [];
+      for (var i = 0; i < bytes[0] && 4 * i + 4 < bytes.length; i++) {
+        result.push({
+          note: bytes[4 * i + 1],
+          pitch: pitch(bytes.slice(4 * i + 2, 4 * i + 5))
+        });
+      }
+      return result;
+    };
+
+    if (data[3] === 0x06 && realtime) {
+
+      // A truncated message has no command number
+      var command = data.length > 5 && data[4] <= 0x7F ?
+          this.getMmcCommandByNumber(data[4]) :
+          undefined,
+        payload = {command: command};
+
+      if (command === "locate" && body[0] === 0x06 && body[1] === 0x01) {
+        payload.timecode = timecode(body.slice(2, 6));
+      }
+
+      return {message: "mmc", payload: payload};
+
+    }
+
+    if (!realtime && id === 0x0601) return {message: "identityrequest", payload: {}};
+
+    if (!realtime && id === 0x0602) {
+
+      var length = body[0] === 0x00 ? 3 : 1,
+        manufacturerId = body.slice(0, length),
+        info = body.slice(length);
+
+      return {
+        message: "identityreply",
+        payload: {
+          manufacturerId: manufacturerId,
+          manufacturer: wm._getManufacturerName(manufacturerId),
+          family: info[0] | info[1] << 7,
+          model: info[2] | info[3] << 7,
+          version: info.slice(4, 8)
+        }
+      };
+
+    }
+
+    if (!realtime && id === 0x0901) return {message: "gmsystemon", payload: {}};
+    if (!realtime && id === 0x0902) return {message: "gmsystemoff", payload: {}};
+    if (!realtime && id === 0x0903) return {message: "gm2systemon", payload: {}};
+
+    if (realtime && (id === 0x0401 || id === 0x0402)) {
+
+      var raw = body[0] | body[1] << 7;
+
+      return {
+        message: id === 0x0401 ? "mastervolume" : "masterbalance",
+        payload: {
+          value: id === 0x0401 ? raw / 16383 : (raw - 8192) / 8192,
+          rawValue: raw
+        }
+      };
+
+    }
+
+    if (realtime && id === 0x0101) {
+      return {message: "mtcfullframe", payload: {timecode: timecode(body)}};
+    }
+
+    if (!realtime && id === 0x0800) {
+      return {message: "mtsdumprequest", payload: {program: body[0]}};
+    }
+
+    if (!realtime && id === 0x0803) {
+      return {message: "mtsdumprequest", payload: {bank: body[0], program: body[1]}};
+    }
+
+    // The bank dump (0x0804) only differs from the original dump (0x0801) by its bank byte
+    if (!realtime && (id === 0x0801 || id === 0x0804)) {
+
+      var dump = id === 0x0804 ? body.slice(1) : body,
+        tuning = [];
+
+      for (var note = 0; note < 128; note++) {
+        tuning.push(pitch(dump.slice(17 + note * 3, 20 + note * 3)));
+      }
+
+      var dumpPayload = {
+        program: dump[0],
+        name: String.fromCharCode.apply(null, dump.slice(1, 17)).replace(/\s+$/, ""),
+        tuning: tuning
+      };
+
+      if (id === 0x0804) dumpPayload.bank = body[0];
+
+      return {message: "mtsdump", payload: dumpPayload};
+
+    }
+
+    if (realtime && id === 0x0802) {
+      return {
+        message: "mtsnotechange",
+        payload: {program: body[0], changes: changes(body.slice(1))}
+      };
+    }
+
+    if (id === 0x0807) {
+      return {
+        message: "mtsnotechange",
+        payload: {bank: body[0], program: body[1], changes: changes(body.slice(2))}
+      };
+    }
+
+    if (id === 0x0808 || id === 0x0809) {
+
+      var channels = [],
+        offsets = [],
+        mask = body[0] << 14 | body[1] << 7 | body[2];
+
+      for (var channel = 1; channel <= 16; channel++) {
+        if (mask & (1 << (channel - 1))) channels.push(channel);
+      }
+
+      for (var i = 0; i < 12; i++) {
+        if (id === 0x0808) {
+          offsets.push(body[3 + i] - 64);
+        } else {
+          offsets.push((((body[3 + 2 * i] << 7) | body[4 + 2 * i]) - 8192) / 8192 * 100);
+        }
+      }
+
+      return {message: "mtsscaleoctave", payload: {channels: channels, offsets: offsets}};
+
+    }
+
+  };
+
+  /**
+   * The `Output` object represents a MIDI output port on the host system. This object is created by
+   * the MIDI subsystem and cannot be instantiated directly.
+   *
+   * You will find all available `Output` objects in the `WebMidi.outputs` array.
+   *
+   * @class Output
+   * @param {MIDIOutput} midiOutput Actual `MIDIOutput` object as defined by the MIDI subsystem
+   */
+  function Output(midiOutput) {
+
+    var that = this;
+
+    this._midiOutput = midiOutput;
+
+    // Messages scheduled in the future are kept in this queue (sorted by timestamp) and only handed
+    // to the MIDI subsystem once they are within the lookahead window. This is what allows them to
+    // be cancelled with clear().
+    this._queue = [];
+    this._queueTimeout = undefined;
+    this._lookahead = 50;
+
+    // Notes for which a note on has been handed to the MIDI subsystem (by "channel:note" key). This
+    // is used to release notes whose note off has been cancelled.
+    this._activeNotes = {};
+
+    // State of the MIDI Time Code generator (see startTimecode())
+    this._mtcGenerator = undefined;
+
+    // State of the MIDI clock generator (see startClock()). It is shared by all the outputs synced
+    // to the same clock (see syncClock()).
+    this._clock = undefined;
+
+    // Players created with play(). They are stopped when WebMidi is disabled.
+    this._players = [];
+
+    // Pitch bend range of each channel (in semitones) as set with setPitchBendRange()
+    this._pitchBendRanges = {};
+
+    // Detuned notes (see playNote()) that hold a channel: {note, detune, channel, start, end}. The
+    // time each channel was last released is kept so the channels can be used in rotation.
+    this._detunedNotes = [];
+    this._channelReleases = {};
+    this._channelOwners = {};
+
+    // MPE zones configured with setMpeZone(): {master, channels}
+    this._mpeZones = {lower: undefined, upper: undefined};
+
+    Object.defineProperties(this, {
+
+      /**
+       * [read-only] The state of the MIDI clock generator, as an object with the following
+       * properties (or `undefined` if the clock has never been started). See
+       * {{#crossLink "Output/startClock:method"}}startClock(){{/crossLink}}.
+       *
+       *    * `bpm`: the tempo in beats (quarter notes) per minute;
+       *    * `position`: the current position in MIDI beats (16th notes);
+       *    * `state`: `running` or `stopped`;
+       *    * `outputs`: the outputs that receive this clock.
+       *
+       * @property clock
+       * @type Object
+       *
+       * @since 2.6.0
+       */
+      clock: {
+        enumerable: true,
+        get: function () {
+
+          var clock = that._clock;
+          if (!clock) return undefined;
+
+          return {
+            bpm: clock.bpm,
+            position: that._getClockPulses() / 6,
+            state: clock.state,
+            outputs: clock.outputs.concat(clock.joining)
+          };
+
+        }
+      },
+
+      /**
+       * [read-only] Status of the MIDI port"s connection
+       *
+       * @property connection
+       * @type String
+       */
+      connection: {
+        enumerable: true,
+        get: function () {
+          return that._midiOutput.connection;
+        }
+      },
+
+      /**
+       * [read-only] ID string of the MIDI port
+       *
+       * @property id
+       * @type String
+       */
+      id: {
+        enumerable: true,
+        get: function () {
+          return that._midiOutput.id;
+        }
+      },
+
+      /**
+       * [read-only] Manufacturer of the device to which this port belongs
+       *
+       * @property manufacturer
+       * @type String
+       */
+      manufacturer: {
+        enumerable: true,
+        get: function () {
+          return that._midiOutput.manufacturer;
+        }
+      },
+
+      /**
+       * [read-only] The MPE zones configured with
+       * {{#crossLink "Output/setMpeZone:method"}}setMpeZone(){{/crossLink}}, as an object with
+       * `lower` and `upper` properties. Each zone is an object with `master` (the master channel)
+       * and `channels` (the member channels) properties or `undefined` if it is not configured.
+       *
+       * @property mpeZones
+       * @type Object
+       *
+       * @since 2.6.0
+       */
+      mpeZones: {
+        enumerable: true,
+        get: function () {
+          var copy = function(zone) {
+            return zone ? {master: zone.master, channels: zone.channels.slice()} : undefined;
+          };
+          return {lower: copy(that._mpeZones.lower), upper: copy(that._mpeZones.upper)};
+        }
+      },
+
+      /**
+       * [read-only] Name of the MIDI port
+       *
+       * @property name
+       * @type String
+       */
+      name: {
+        enumerable: true,
+        get: function () {
+          return that._midiOutput.name;
+        }
+      },
+
+      /**
+       * [read-only] State of the MIDI port
+       *
+       * @property state
+       * @type String
+       */
+      state: {
+        enumerable: true,
+        get: function () {
+          return that._midiOutput.state;
+        }
+      },
+
+      /**
+       * [read-only] The current position of the MIDI Time Code generator, as an object with
+       * `hours`, `minutes`, `seconds`, `frames` and `fps` properties (or `undefined` if the
+       * generator is not running). See
+       * {{#crossLink "Output/startTimecode:method"}}startTimecode(){{/crossLink}}.
+       *
+       * @property timecode
+       * @type Object
+       *
+       * @since 2.6.0
+       */
+      timecode: {
+        enumerable: true,
+        get: function () {
+
+          var generator = that._mtcGenerator;
+          if (!generator) return undefined;
+
+          var elapsed = Math.max(0, wm.time - generator.time);
+
+          return wm._framesToTimecode(
+            generator.frames + elapsed * generator.fps / 1000,
+            generator.fps
+          );
+
+        }
+      },
+
+      /**
+       * [read-only] Type of the MIDI port (`output`)
+       *
+       * @property type
+       * @type String
+       */
+      type: {
+        enumerable: true,
+        get: function () {
+          return that._midiOutput.type;
+        }
+      }
+
+    });
+
+  }
+
+  /**
+   * Sends a MIDI message on the MIDI output port, at the scheduled timestamp.
+   *
+   * Unless, you are familiar with the details of the MIDI message format, you should not use this
+   * method directly. Instead, use one of the simpler helper methods: `playNote()`, `stopNote()`,
+   * `sendControlChange()`, `sendSystemMessage()`, etc.
+   *
+   * @method send
+   * @chainable
+   *
+   * @param status {Number} The MIDI status byte of the message (128-255).
+   *
+   * @param [data=[]] {Array} An array of uints for the message. The number of data bytes varies
+   * depending on the status byte. It is perfectly legal to send no data for some message types (use
+   * undefined or an empty array in this case). Each byte must be between 0 and 255.
+   *
+   * @param [timestamp=0] {DOMHighResTimeStamp} The timestamp at which to send the message. You can
+   * use `WebMidi.time` to retrieve the current timestamp. To send immediately, leave blank or use
+   * 0.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {*} [options.tag=undefined] A value identifying the message so that, as long as it has
+   * not been sent, it can be cancelled by passing the same value to
+   * {{#crossLink "Output/clear:method"}}clear(){{/crossLink}}. Any value can be used (a string, an
+   * object, etc.). All the methods sending messages on the output accept this option.
+   *
+   * @param {Boolean} [options.handle=false] Whether to return a
+   * {{#crossLink "ScheduleHandle"}}ScheduleHandle{{/crossLink}} identifying the message (instead of
+   * the `Output`, so the call cannot be chained). The handle can be used to cancel the message.
+   * {{#crossLink "Output/playNote:method"}}playNote(){{/crossLink}} also accepts this option.
+   *
+   * @throws {RangeError} The status byte must be an integer between 128 (0x80) and 255 (0xFF).
+   * @throws {RangeError} Data bytes must be integers between 0 (0x00) and 255 (0x7F).
+   *
+   * @return {Output|ScheduleHandle} Returns the `Output` object so methods can be chained (or a
+   * `ScheduleHandle` if the `handle` option is `true`).
+   */
+  Output.prototype.send = function(status, data, timestamp, options) {
+
+    if ( !(status >= 128 && status <= 255) ) {
+      throw new RangeError("The status byte must be an integer between 128 (0x80) and 255 (0xFF).");
+    }
+
+    if (data === undefined) data = [];
+    if ( !Array.isArray(data) ) data = [data];
+
+    var message = [];
+
+    data.forEach(function(item){
+
+      var parsed = Math.floor(item); // mandatory because of "null"
+
+      if (parsed >= 0 && parsed <= 255) {
+        message.push(parsed);
+      } else {
+        throw new RangeError("Data bytes must be integers between 0 (0x00) and 255 (0xFF).");
+      }
+
+    });
+
+    options = options || {};
+    message = [status].concat(message);
+    timestamp = parseFloat(timestamp) || 0;
+
+    var handle;
+
+    if (options.handle === true) {
+      handle = new ScheduleHandle(this, options.tag);
+      options = {tag: handle, time: options.time};
+    }
+
+    if (timestamp - wm.time > this._lookahead) {
+      this._enqueue({
+        message: message,
+        timestamp: timestamp,
+        tag: options.tag,
+        ticks: options.time !== undefined && wm.transport._parseMusicalTime(options.time) ?
+          wm.transport._timestampToTicks(timestamp) : undefined
+      });
+    } else {
+      this._dispatch(message, timestamp);
+    }
+
+    return handle || this;
+
+  };
+
+  /**
+   * Cancels messages that have been scheduled for a future time and have not been sent yet. If a
+   * `tag` is specified, only the messages sent with the same `tag` option are cancelled. A
+   * {{#crossLink "ScheduleHandle"}}ScheduleHandle{{/crossLink}} (returned when the `handle` option
+   * is used) can also be specified to cancel the messages it identifies. Otherwise, all pending
+   * messages are cancelled.
+   *
+   * When the **note off** of a note that is currently playing is cancelled, it is sent immediately
+   * so the note does not hang.
+   *
+   * Please note that messages due within the next few milliseconds have already been handed to the
+   * MIDI subsystem and can no longer be cancelled.
+   *
+   * ```js
+   * var output = WebMidi.outputs[0];
+   * output.playNote("C3", 1, {time: "+1000", duration: 2000, tag: "intro"});
+   * output.clear("intro");
+   * ```
+   *
+   * @method clear
+   * @chainable
+   *
+   * @param [tag] {*} The tag (or the handle) of the messages to cancel.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.clear = function(tag) {
+
+    var that = this,
+      cancelled = [];
+
+    this._queue = this._queue.filter(function(item) {
+      var match = tag === undefined || that._matchesTag(item.tag, tag);
+      if (match) cancelled.push(item);
+      return !match;
+    });
+
+    this._scheduleQueue();
+
+    if (this._midiOutput.state === "disconnected") return this;
+
+    // Release the notes that are playing and whose note off has just been cancelled
+    cancelled.forEach(function(item) {
+
+      var key = that._getNoteKey(item.message);
+      var command = item.message[0] >> 4;
+
+      if (
+        that._activeNotes[key] !== undefined &&
+        (
+          command === wm.MIDI_CHANNEL_MESSAGES.noteoff ||
+          (command === wm.MIDI_CHANNEL_MESSAGES.noteon && item.message[2] === 0)
+        )
+      ) {
+        that._dispatch(
+          item.message,
+          that._activeNotes[key] > wm.time ? that._activeNotes[key] : 0
+        );
+      }
+
+    });
+
+    return this;
+
+  };
+
+  /**
+   * Plays a {{#crossLink "MidiFile"}}MidiFile{{/crossLink}} through this output and returns the
+   * {{#crossLink "Player"}}Player{{/crossLink}} object that controls playback.
+   *
+   * ```js
+   * var file = WebMidi.parseMidiFile(data);
+   * var player = WebMidi.outputs[0].play(file, {loop: {start: 0, end: 8000}});
+   * player.addListener("ended", function() { console.log("Done!"); });
+   * ```
+   *
+   * @method play
+   *
+   * @param file {MidiFile} The file to play.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {Number} [options.bpm] A tempo (in beats per minute) to use instead of the tempo events
+   * of the file.
+   *
+   * @param {Object} [options.loop] The region to loop, as an object with `start` and `end`
+   * properties (in milliseconds).
+   *
+   * @param {Boolean} [options.autostart=true] Whether to start playback immediately.
+   *
+   * @throws {TypeError} The 'file' parameter must be a MidiFile.
+   *
+   * @return {Player} The `Player` object controlling playback.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.play = function(file, options) {
+
+    options = options || {};
+
+    if ( !(file instanceof MidiFile) ) {
+      throw new TypeError("The 'file' parameter must be a MidiFile.");
+    }
+
+    var player = new Player(file, this);
+    this._players.push(player);
+
+    if (options.bpm !== undefined) player.bpm = options.bpm;
+    if (options.loop !== undefined) player.loop = options.loop;
+    if (options.autostart !== false) player.start();
+
+    return player;
+
+  };
+
+  /**
+   * Checks whether the tag of a queued message matches the specified tag. The messages sent with
+   * the `handle` option are tagged with their handle, which in turn holds the tag specified by the
+   * user (possibly another handle).
+   *
+   * @method _matchesTag
+   * @param itemTag {*} The tag of the queued message.
+   * @param tag {*} The tag (or handle) to look for.
+   * @returns {Boolean}
+   * @protected
+   */
+  Output.prototype._matchesTag = function(itemTag, tag) {
+
+    while (itemTag !== tag && itemTag instanceof ScheduleHandle) itemTag = itemTag.tag;
+
+    return itemTag === tag;
+
+  };
+
+  /**
+   * Inserts a message in the scheduling queue (after the messages with the same timestamp) and
+   * reschedules the processing of the queue.
+   *
+   * @method _enqueue
+   * @param item {Object} An object with `message`, `timestamp` and `tag` properties.
+   * @protected
+   */
+  Output.prototype._enqueue = function(item) {
+
+    var index = this._queue.length;
+
+    while (index > 0 && this._queue[index - 1].timestamp > item.timestamp) {
+      index--;
+    }
+
+    this._queue.splice(index, 0, item);
+    this._scheduleQueue();
+
+  };
+
+  /**
+   * Sets a timeout to process the scheduling queue when its first message enters the lookahead
+   * window.
+   *
+   * @method _scheduleQueue
+   * @protected
+   */
+  Output.prototype._scheduleQueue = function() {
+
+    clearTimeout(this._queueTimeout);
+    this._queueTimeout = undefined;
+
+    if (this._queue.length < 1) return;
+
+    this._queueTimeout = setTimeout(
+      this._processQueue.bind(this),
+      Math.max(0, this._queue[0].timestamp - this._lookahead - wm.time) || 0
+    );
+
+  };
+
+  /**
+   * Hands the messages that are within the lookahead window to the MIDI subsystem. If the port
+   * has been disconnected, the queue is discarded.
+   *
+   * @method _processQueue
+   * @protected
+   */
+  Output.prototype._processQueue = function() {
+
+    this._queueTimeout = undefined;
+
+    if (this._midiOutput.state === "disconnected") {
+      this._queue = [];
+      return;
+    }
+
+    while (this._queue.length > 0 && !(this._queue[0].timestamp - wm.time > this._lookahead)) {
+      var item = this._queue.shift();
+      this._dispatch(item.message, item.timestamp);
+    }
+
+    this._scheduleQueue();
+
+  };
+
+  /**
+   * Adjusts the timestamp of the queued messages that were scheduled using a musical time. This is
+   * called by the transport when the tempo, the resolution or the origin changes.
+   *
+   * @method _retimeQueue
+   * @param [convert] {Function} A function returning the new tick position of a message from its
+   * current one (when the resolution or the origin of the transport changes).
+   * @protected
+   */
+  Output.prototype._retimeQueue = function(convert) {
+
+    this._queue.forEach(function(item) {
+      if (item.ticks === undefined) return;
+      if (convert) item.ticks = convert(item.ticks);
+      item.timestamp = wm.transport._ticksToTimestamp(item.ticks);
+    });
+
+    // Sort on timestamp while preserving the order of messages sharing the same timestamp
+    this._queue = this._queue
+      .map(function(item, index) { return {item: item, index: index}; })
+      .sort(function(a, b) { return a.item.timestamp - b.item.timestamp || a.index - b.index; })
+      .map(function(entry) { return entry.item; });
+
+    this._scheduleQueue();
+
+  };
+
+  /**
+   * Hands a message to the MIDI subsystem and keeps track of the notes that are playing.
+   *
+   * @method _dispatch
+   * @param message {Array} An array of MIDI bytes.
+   * @param timestamp {DOMHighResTimeStamp} The time at which the message should be sent.
+   * @protected
+   */
+  Output.prototype._dispatch = function(message, timestamp) {
+
+    var command = message[0] >> 4;
+    var key = this._getNoteKey(message);
+
+    if (command === wm.MIDI_CHANNEL_MESSAGES.noteon && message[2] > 0) {
+      this._activeNotes[key] = timestamp;
+    } else if (
+      command === wm.MIDI_CHANNEL_MESSAGES.noteoff || command === wm.MIDI_CHANNEL_MESSAGES.noteon
+    ) {
+      delete this._activeNotes[key];
+    }
+
+    this._midiOutput.send(message, timestamp);
+
+  };
+
+  /**
+   * Returns the key used to track the note targeted by the specified message ("channel:note").
+   *
+   * @method _getNoteKey
+   * @param message {Array} An array of MIDI bytes.
+   * @returns {String}
+   * @protected
+   */
+  Output.prototype._getNoteKey = function(message) {
+    return (message[0] & 0xF) + ":" + message[1];
+  };
+
+  /**
+   * Sends a MIDI *system exclusive* (sysex) message. The generated message will automatically be
+   * prepended with the *sysex* byte (0xF0) and terminated with the *end of sysex* byte (0xF7).
+   *
+   * To use the `sendSysex()` method, system exclusive message support must have been enabled. To
+   * do so, you must pass `true` as the second parameter to `WebMidi.enable()`:
+   *
+   *     WebMidi.enable(function (err) {
+   *         if (err) {
+   *             console.warn(err);
+   *         } else {
+   *             console.log("Sysex is enabled!");
+   *         }
+   *     }, true);
+   *
+   * Note that, depending on browser, version and platform, it may be necessary to serve the page
+   * over HTTPS to enable sysex support.
+   *
+   * #### Examples
+   *
+   * If you want to send a sysex message to a Korg device connected to the first output, you would
+   * use the following code:
+   *
+   *     WebMidi.outputs[0].sendSysex(0x42, [0x1, 0x2, 0x3, 0x4, 0x5]);
+   *
+   * The parameters can be specified using any number notation (decimal, hex, binary, etc.).
+   * Therefore, the code below is equivalent to the code above:
+   *
+   *     WebMidi.outputs[0].sendSysex(66, [1, 2, 3, 4, 5]);
+   *
+   * The above code sends the byte values 1, 2, 3, 4 and 5 to Korg devices (hex 42 is the same as
+   * decimal 66).
+   *
+   * Some manufacturers are identified using 3 bytes. In this case, you would use a 3-position array
+   * as the first parameter. For example, to send the same sysex message to a
+   * *Native Instruments* device:
+   *
+   *     WebMidi.outputs[0].sendSysex([0x00, 0x21, 0x09], [0x1, 0x2, 0x3, 0x4, 0x5]);
+   *
+   * There is no limit for the length of the data array. However, it is generally suggested to keep
+   * system exclusive messages to 64Kb or less.
+   *
+   * @method sendSysex
+   * @chainable
+   *
+   * @param manufacturer {Number|Array} An unsigned integer or an array of three unsigned integers
+   * between 0 and 127 that identify the targeted manufacturer. The *MIDI Manufacturers Association*
+   * maintains a full list of
+   * [Manufacturer ID Numbers](https://www.midi.org/specifications-old/item/manufacturer-id-numbers)
+   * .
+   *
+   * @param [data=[]] {Array} An array of uints between 0 and 127. This is the data you wish to
+   * transfer.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throw Sysex message support must first be activated.
+   * @throw The data bytes of a sysex message must be integers between 0 (0x00) and 127 (0x7F).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendSysex = function(manufacturer, data, options) {
+
+    if (!wm.sysexEnabled) {
+      throw new Error("Sysex message support must first be activated.");
+    }
+
+    options = options || {};
+
+    manufacturer = [].concat(manufacturer);
+
+    data.forEach(function(item){
+      if (item < 0 || item > 127) {
+        throw new RangeError(
+          "The data bytes of a sysex message must be integers between 0 (0x00) and 127 (0x7F)."
+        );
+      }
+    });
+
+    data = manufacturer.concat(data, wm.MIDI_SYSTEM_MESSAGES.sysexend);
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.sysex,
+      data,
+      this._parseTimeParameter(options.time),
+      options
+    );
+
+    return this;
+
+  };
+
+  /**
+   * Sends a MIDI Machine Control (MMC) command. MMC commands are universal real-time system
+   * exclusive messages (`F0 7F <device> 06 <command> ... F7`) used to control the transport of
+   * recorders and DAWs. Sysex messages must be enabled.
+   *
+   * The helper methods (`mmcPlay()`, `mmcStop()`, `mmcLocate()`, etc.) should cover most needs.
+   * This method can be used to send the other commands:
+   *
+   * ```js
+   * WebMidi.outputs[0].sendMmc("eject", {deviceId: 3});
+   * ```
+   *
+   * @method sendMmc
+   * @chainable
+   *
+   * @param command {String|Number} The name of the command (see
+   * {{#crossLink "WebMidi/MIDI_MMC_COMMANDS:property"}}MIDI_MMC_COMMANDS{{/crossLink}}) or its
+   * number (between 0 and 127).
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {Number} [options.deviceId=127] The ID of the targeted device (between 0 and 127). The
+   * default value (127) targets all devices.
+   *
+   * @param {Array} [options.data=[]] The information fields following the command, if any.
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to send the command (see
+   * {{#crossLink "Output/send:method"}}send(){{/crossLink}}).
+   *
+   * @throws {Error} Sysex message support must first be activated.
+   * @throws {RangeError} The MMC command is invalid.
+   * @throws {RangeError} The device ID must be between 0 and 127.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.sendMmc = function(command, options) {
+
+    options = options || {};
+
+    if (typeof command === "string") command = wm.MIDI_MMC_COMMANDS[command];
+    command = Math.floor(command);
+
+    if ( !(command >= 0 && command <= 127) ) {
+      throw new RangeError("The MMC command is invalid.");
+    }
+
+    var deviceId = options.deviceId === undefined ? 0x7F : Math.floor(options.deviceId);
+
+    if ( !(deviceId >= 0 && deviceId <= 127) ) {
+      throw new RangeError("The device ID must be between 0 and 127.");
+    }
+
+    return this.sendSysex(0x7F, [deviceId, 0x06, command].concat(options.data || []), options);
+
+  };
+
+  /**
+   * Sends an MMC *Stop* command.
+   *
+   * @method mmcStop
+   * @chainable
+   *
+   * @param {Object} [options={}] The `deviceId` and `time` options (see
+   * {{#crossLink "Output/sendMmc:method"}}sendMmc(){{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.mmcStop = function(options) {
+    return this.sendMmc("stop", options);
+  };
+
+  /**
+   * Sends an MMC *Play* command.
+   *
+   * @method mmcPlay
+   * @chainable
+   *
+   * @param {Object} [options={}] The `deviceId` and `time` options (see
+   * {{#crossLink "Output/sendMmc:method"}}sendMmc(){{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.mmcPlay = function(options) {
+    return this.sendMmc("play", options);
+  };
+
+  /**
+   * Sends an MMC *Deferred Play* command. Unlike *Play*, playback only starts once the device has
+   * reached the position it was locating to.
+   *
+   * @method mmcDeferredPlay
+   * @chainable
+   *
+   * @param {Object} [options={}] The `deviceId` and `time` options (see
+   * {{#crossLink "Output/sendMmc:method"}}sendMmc(){{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.mmcDeferredPlay = function(options) {
+    return this.sendMmc("deferredplay", options);
+  };
+
+  /**
+   * Sends an MMC *Fast Forward* command.
+   *
+   * @method mmcFastForward
+   * @chainable
+   *
+   * @param {Object} [options={}] The `deviceId` and `time` options (see
+   * {{#crossLink "Output/sendMmc:method"}}sendMmc(){{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.mmcFastForward = function(options) {
+    return this.sendMmc("fastforward", options);
+  };
+
+  /**
+   * Sends an MMC *Rewind* command.
+   *
+   * @method mmcRewind
+   * @chainable
+   *
+   * @param {Object} [options={}] The `deviceId` and `time` options (see
+   * {{#crossLink "Output/sendMmc:method"}}sendMmc(){{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.mmcRewind = function(options) {
+    return this.sendMmc("rewind", options);
+  };
+
+  /**
+   * Sends an MMC *Record Strobe* command (punch in). The device starts recording if it is playing
+   * or starts playing and recording if it is stopped.
+   *
+   * @method mmcRecordStrobe
+   * @chainable
+   *
+   * @param {Object} [options={}] The `deviceId` and `time` options (see
+   * {{#crossLink "Output/sendMmc:method"}}sendMmc(){{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.mmcRecordStrobe = function(options) {
+    return this.sendMmc("recordstrobe", options);
+  };
+
+  /**
+   * Sends an MMC *Record Exit* command (punch out).
+   *
+   * @method mmcRecordExit
+   * @chainable
+   *
+   * @param {Object} [options={}] The `deviceId` and `time` options (see
+   * {{#crossLink "Output/sendMmc:method"}}sendMmc(){{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.mmcRecordExit = function(options) {
+    return this.sendMmc("recordexit", options);
+  };
+
+  /**
+   * Sends an MMC *Pause* command.
+   *
+   * @method mmcPause
+   * @chainable
+   *
+   * @param {Object} [options={}] The `deviceId` and `time` options (see
+   * {{#crossLink "Output/sendMmc:method"}}sendMmc(){{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.mmcPause = function(options) {
+    return this.sendMmc("pause", options);
+  };
+
+  /**
+   * Sends an MMC *Locate* command asking the device to move to the specified SMPTE position.
+   *
+   * ```js
+   * WebMidi.outputs[0].mmcLocate("01:00:00:00", {fps: 25});
+   * ```
+   *
+   * @method mmcLocate
+   * @chainable
+   *
+   * @param position {String|Object} The position as a string in the "HH:MM:SS:FF" format or as an
+   * object with `hours`, `minutes`, `seconds` and `frames` properties.
+   *
+   * @param {Object} [options={}] The `deviceId` and `time` options (see
+   * {{#crossLink "Output/sendMmc:method"}}sendMmc(){{/crossLink}}) as well as:
+   *
+   * @param {Number} [options.fps=30] The frame rate of the position: 24, 25, 29.97 (drop-frame) or
+   * 30.
+   *
+   * @throws {RangeError} The frame rate must be 24, 25, 29.97 or 30.
+   * @throws {TypeError} The time code position is invalid.
+   * @throws {RangeError} The time code position is out of range.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.mmcLocate = function(position, options) {
+
+    options = options || {};
+
+    var fps = options.fps === undefined ? 30 : parseFloat(options.fps),
+      rate = [24, 25, 29.97, 30].indexOf(fps);
+
+    if (rate < 0) {
+      throw new RangeError("The frame rate must be 24, 25, 29.97 or 30.");
+    }
+
+    var timecode = wm._framesToTimecode(wm._parseTimecode(position, fps), fps);
+
+    return this.sendMmc("locate", this._copyOptions(options, {
+      data: [
+        0x06, 0x01, (rate << 5) | timecode.hours, timecode.minutes, timecode.seconds,
+        timecode.frames, 0x00
+      ]
+    }));
+
+  };
+
+  /**
+   * Sends a *MIDI Timecode Quarter Frame* message. Please note that no processing is being done on
+   * the data. It is up to the developer to format the data according to the
+   * [MIDI Timecode](https://en.wikipedia.org/wiki/MIDI_timecode) format.
+   *
+   * @method sendTimecodeQuarterFrame
+   * @chainable
+   *
+   * @param value {Number} The quarter frame message content (integer between 0 and 127).
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendTimecodeQuarterFrame = function(value, options) {
+    options = options || {};
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.timecode,
+      value,
+      this._parseTimeParameter(options.time),
+      options
+    );
+    return this;
+  };
+
+  /**
+   * Starts generating MIDI Time Code. Quarter frame messages are scheduled slightly ahead of time
+   * so their timing does not depend on timer accuracy. If sysex messages are enabled, a Full Frame
+   * message is sent first so the receivers can locate to the start position. If the generator was
+   * already running, it is restarted.
+   *
+   * ```js
+   * WebMidi.outputs[0].startTimecode({fps: 25, start: "01:00:00:00"});
+   * ```
+   *
+   * @method startTimecode
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {Number} [options.fps=30] The frame rate: 24, 25, 29.97 (drop-frame) or 30.
+   *
+   * @param {String|Object} [options.start="00:00:00:00"] The start position as a string in the
+   * "HH:MM:SS:FF" format or as an object with `hours`, `minutes`, `seconds` and `frames`
+   * properties.
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to start (see
+   * {{#crossLink "Output/send:method"}}send(){{/crossLink}}). By default, the generator starts
+   * immediately.
+   *
+   * @throws {RangeError} The frame rate must be 24, 25, 29.97 or 30.
+   * @throws {TypeError} The time code position is invalid.
+   * @throws {RangeError} The time code position is out of range.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.startTimecode = function(options) {
+
+    options = options || {};
+
+    var fps = options.fps === undefined ? 30 : parseFloat(options.fps);
+
+    if ([24, 25, 29.97, 30].indexOf(fps) < 0) {
+      throw new RangeError("The frame rate must be 24, 25, 29.97 or 30.");
+    }
+
+    var frames = wm._parseTimecode(
+      options.start === undefined ? "00:00:00:00" : options.start,
+      fps
+    );
+
+    this.stopTimecode();
+
+    this._mtcGenerator = {
+      fps: fps,
+      frames: frames,
+      time: this._parseTimeParameter(options.time) || wm.time,
+      quarter: 0,
+      timeout: undefined
+    };
+
+    this._sendFullFrame(frames, fps, this._mtcGenerator.time, this._mtcGenerator);
+    this._runTimecode();
+
+    return this;
+
+  };
+
+  /**
+   * Stops the MIDI Time Code generator. The quarter frames that have been scheduled are cancelled.
+   *
+   * @method stopTimecode
+   * @chainable
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.stopTimecode = function() {
+
+    var generator = this._mtcGenerator;
+
+    if (generator) {
+      clearTimeout(generator.timeout);
+      this.clear(generator);
+      this._mtcGenerator = undefined;
+    }
+
+    return this;
+
+  };
+
+  /**
+   * Moves the MIDI Time Code generator to the specified position. If sysex messages are enabled, a
+   * Full Frame message is sent so the receivers can locate to the new position. If the generator
+   * is running, quarter frames resume from there.
+   *
+   * @method locateTimecode
+   * @chainable
+   *
+   * @param position {String|Object} The position as a string in the "HH:MM:SS:FF" format or as an
+   * object with `hours`, `minutes`, `seconds` and `frames` properties.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {Number} [options.fps=30] The frame rate to use if the generator is not running: 24,
+   * 25, 29.97 (drop-frame) or 30.
+   *
+   * @throws {RangeError} The frame rate must be 24, 25, 29.97 or 30.
+   * @throws {TypeError} The time code position is invalid.
+   * @throws {RangeError} The time code position is out of range.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.locateTimecode = function(position, options) {
+
+    options = options || {};
+
+    var generator = this._mtcGenerator,
+      fps = generator ? generator.fps : parseFloat(options.fps || 30);
+
+    if ([24, 25, 29.97, 30].indexOf(fps) < 0) {
+      throw new RangeError("The frame rate must be 24, 25, 29.97 or 30.");
+    }
+
+    var frames = wm._parseTimecode(position, fps);
+
+    if (!generator) {
+      this._sendFullFrame(frames, fps);
+      return this;
+    }
+
+    clearTimeout(generator.timeout);
+    this.clear(generator);
+
+    generator.frames = frames;
+    generator.time = wm.time;
+    generator.quarter = 0;
+
+    this._sendFullFrame(frames, fps, generator.time, generator);
+    this._runTimecode();
+
+    return this;
+
+  };
+
+  /**
+   * Sends a MIDI Time Code Full Frame message (universal real-time sysex), if sysex messages are
+   * enabled.
+   *
+   * @method _sendFullFrame
+   * @param frames {Number} The position (in frames since 00:00:00:00).
+   * @param fps {Number} The frame rate.
+   * @param [time] {DOMHighResTimeStamp} When to send the message.
+   * @param [tag] {*} The tag of the message.
+   * @protected
+   */
+  Output.prototype._sendFullFrame = function(frames, fps, time, tag) {
+
+    if (!wm.sysexEnabled) return;
+
+    var timecode = wm._framesToTimecode(frames, fps),
+      rate = [24, 25, 29.97, 30].indexOf(fps);
+
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.sysex,
+      [
+        0x7F, 0x7F, 0x01, 0x01, (rate << 5) | timecode.hours, timecode.minutes, timecode.seconds,
+        timecode.frames, wm.MIDI_SYSTEM_MESSAGES.sysexend
+      ],
+      time,
+      {tag: tag}
+    );
+
+  };
+
+  /**
+   * Schedules the quarter frames that fall within the next 100 milliseconds. This is called
+   * repeatedly while the MIDI Time Code generator is running. Each group of eight quarter frames
+   * carries the position of the frame at which its first message is sent.
+   *
+   * @method _runTimecode
+   * @protected
+   */
+  Output.prototype._runTimecode = function() {
+
+    var generator = this._mtcGenerator;
+
+    if (this._midiOutput.state === "disconnected") {
+      this._mtcGenerator = undefined;
+      return;
+    }
+
+    var duration = 1000 / generator.fps / 4,
+      rate = [24, 25, 29.97, 30].indexOf(generator.fps),
+      horizon = wm.time + 100;
+
+    while (generator.time + generator.quarter * duration <= horizon) {
+
+      var piece = generator.quarter % 8,
+        timecode = wm._framesToTimecode(
+          generator.frames + 2 * Math.floor(generator.quarter / 8),
+          generator.fps
+        ),
+        nibbles = [
+          timecode.frames & 0xF, timecode.frames >> 4,
+          timecode.seconds & 0xF, timecode.seconds >> 4,
+          timecode.minutes & 0xF, timecode.minutes >> 4,
+          timecode.hours & 0xF, (timecode.hours >> 4) | (rate << 1)
+        ];
+
+      this.send(
+        wm.MIDI_SYSTEM_MESSAGES.timecode,
+        [(piece << 4) | nibbles[piece]],
+        generator.time + generator.quarter * duration,
+        {tag: generator}
+      );
+
+      generator.quarter++;
+
+    }
+
+    generator.timeout = setTimeout(this._runTimecode.bind(this), 25);
+
+  };
+
+  /**
+   * Starts generating MIDI clock messages (24 per quarter note) at the specified tempo. The clock
+   * messages are scheduled slightly ahead of time so their timing does not depend on timer
+   * accuracy. A *Start* message is sent first or, if the position is not 0, a *Song Position*
+   * message followed by a *Continue* message. If the clock was already running, it is stopped and
+   * restarted.
+   *
+   * The clock is sent to all the outputs synced with this one (see
+   * {{#crossLink "Output/syncClock:method"}}syncClock(){{/crossLink}}).
+   *
+   * ```js
+   * WebMidi.outputs[0].startClock({bpm: 128});
+   * ```
+   *
+   * @method startClock
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {Number} [options.bpm=120] The tempo in beats (quarter notes) per minute. By default,
+   * the tempo the clock was last running at is used (or 120).
+   *
+   * @param {Number} [options.position=0] The position to start from in MIDI beats (16th notes,
+   * between 0 and 16383).
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to start (see
+   * {{#crossLink "Output/send:method"}}send(){{/crossLink}}). By default, the clock starts
+   * immediately.
+   *
+   * @throws {RangeError} The tempo must be a positive number.
+   * @throws {RangeError} The position must be between 0 and 16383.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.startClock = function(options) {
+
+    options = options || {};
+
+    var clock = this._getClock(),
+      bpm = options.bpm === undefined ? clock.bpm : parseFloat(options.bpm),
+      position = options.position === undefined ? 0 : parseFloat(options.position);
+
+    if ( !(bpm > 0) ) {
+      throw new RangeError("The tempo must be a positive number.");
+    }
+
+    if ( !(Math.floor(position) === position && position >= 0 && position <= 16383) ) {
+      throw new RangeError("The position must be between 0 and 16383.");
+    }
+
+    var time = this._parseTimeParameter(options.time) || wm.time;
+
+    // A running clock is stopped first and cannot restart before the Stop message has been sent
+    if (clock.state === "running") {
+      this.stopClock();
+      time = Math.max(time, clock.time);
+    }
+
+    clock.bpm = bpm;
+    clock.state = "running";
+    clock.pulses = clock.start = position * 6;
+    clock.time = time;
+
+    clock.outputs.forEach(function(output) {
+      if (position === 0) {
+        output.sendStart({time: clock.time, tag: clock});
+      } else {
+        output.sendSongPosition(position, {time: clock.time, tag: clock});
+        output.sendContinue({time: clock.time, tag: clock});
+      }
+    });
+
+    this._runClock(clock);
+
+    return this;
+
+  };
+
+  /**
+   * Stops the MIDI clock and sends a *Stop* message. The clock messages that have been scheduled
+   * are cancelled, except the ones already handed to the MIDI subsystem: the *Stop* message is sent
+   * in place of the first clock message that could be cancelled, so it always comes last. The
+   * position is kept so the clock can be resumed with
+   * {{#crossLink "Output/continueClock:method"}}continueClock(){{/crossLink}}.
+   *
+   * @method stopClock
+   * @chainable
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.stopClock = function() {
+
+    var clock = this._clock;
+
+    if (!clock || clock.state !== "running") return this;
+
+    var outputs = clock.outputs.concat(clock.joining),
+      pending = [],
+      time = 0;
+
+    // Find the first pulse that is still in the scheduling queue of all the outputs. The queues
+    // are processed independently so some outputs may have already handed it over.
+    outputs.forEach(function(output) {
+
+      pending.push(output._queue.filter(function(item) {
+        return item.tag === clock && item.message[0] === wm.MIDI_SYSTEM_MESSAGES.clock;
+      }));
+
+      var last = pending[pending.length - 1];
+      time = Math.max(time, last.length > 0 ? last[0].timestamp : clock.time);
+
+    });
+
+    // The pulses preceding it are kept (by untagging them) so all outputs receive the same ones
+    pending.forEach(function(items) {
+      items.forEach(function(item) {
+        if (item.timestamp < time) item.tag = undefined;
+      });
+    });
+
+    clock.pulses -= Math.max.apply(null, pending.map(function(items) {
+      return items.filter(function(item) { return item.tag === clock; }).length;
+    }));
+
+    this._haltClock();
+
+    outputs.forEach(function(output) {
+      output.sendStop({time: time});
+    });
+
+    clock.outputs = outputs;
+    clock.joining = [];
+    clock.state = "stopped";
+    clock.time = time;
+
+    return this;
+
+  };
+
+  /**
+   * Resumes the MIDI clock from the position where it was stopped (or located with
+   * {{#crossLink "Output/locateClock:method"}}locateClock(){{/crossLink}}) and sends a *Continue*
+   * message. This has no effect if the clock is already running.
+   *
+   * @method continueClock
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to resume (see
+   * {{#crossLink "Output/send:method"}}send(){{/crossLink}}). By default, the clock resumes
+   * immediately.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.continueClock = function(options) {
+
+    options = options || {};
+
+    var clock = this._getClock();
+
+    if (clock.state === "running") return this;
+
+    // The clock cannot resume before the Stop message has been sent
+    clock.state = "running";
+    clock.start = clock.pulses;
+    clock.time = Math.max(this._parseTimeParameter(options.time) || wm.time, clock.time);
+
+    clock.outputs.forEach(function(output) {
+      output.sendContinue({time: clock.time, tag: clock});
+    });
+
+    this._runClock(clock);
+
+    return this;
+
+  };
+
+  /**
+   * Moves the MIDI clock to the specified position and sends a *Song Position* message. If the
+   * clock is running, a *Stop* message is sent first and a *Continue* message after so the
+   * receivers resume from the new position.
+   *
+   * @method locateClock
+   * @chainable
+   *
+   * @param position {Number} The position in MIDI beats (16th notes, between 0 and 16383).
+   *
+   * @throws {RangeError} The position must be between 0 and 16383.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.locateClock = function(position) {
+
+    position = parseFloat(position);
+
+    if ( !(Math.floor(position) === position && position >= 0 && position <= 16383) ) {
+      throw new RangeError("The position must be between 0 and 16383.");
+    }
+
+    var clock = this._getClock(),
+      running = clock.state === "running";
+
+    if (running) this.stopClock();
+
+    clock.pulses = position * 6;
+
+    clock.outputs.forEach(function(output) {
+      output.sendSongPosition(position, {time: running ? clock.time : undefined});
+    });
+
+    if (running) this.continueClock();
+
+    return this;
+
+  };
+
+  /**
+   * Changes the tempo of the MIDI clock. The new tempo applies from the first clock message that
+   * has not been scheduled yet (at most 100 milliseconds later).
+   *
+   * @method setClockTempo
+   * @chainable
+   *
+   * @param bpm {Number} The tempo in beats (quarter notes) per minute.
+   *
+   * @throws {RangeError} The tempo must be a positive number.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.setClockTempo = function(bpm) {
+
+    bpm = parseFloat(bpm);
+
+    if ( !(bpm > 0) ) {
+      throw new RangeError("The tempo must be a positive number.");
+    }
+
+    this._getClock().bpm = bpm;
+
+    return this;
+
+  };
+
+  /**
+   * Makes this output receive the same MIDI clock as the specified output. Both outputs then share
+   * the clock: starting, stopping, locating it or changing its tempo from either one affects both.
+   *
+   * If the clock is running, this output joins it on the next 16th note with a *Song Position*
+   * message followed by a *Continue* message, so the device connected to it is in phase with the
+   * others. If the `output` parameter is omitted, this output leaves the clock it shares and gets
+   * its own (stopped) clock.
+   *
+   * ```js
+   * WebMidi.outputs[1].syncClock(WebMidi.outputs[0]);
+   * WebMidi.outputs[0].startClock({bpm: 90});
+   * ```
+   *
+   * @method syncClock
+   * @chainable
+   *
+   * @param [output] {Output} The output whose clock should be followed.
+   *
+   * @throws {TypeError} The 'output' parameter must be an Output.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.syncClock = function(output) {
+
+    if (output !== undefined && !(output instanceof Output)) {
+      throw new TypeError("The 'output' parameter must be an Output.");
+    }
+
+    var previous = this._clock;
+
+    if (output === this || (previous && output && previous === output._clock)) return this;
+
+    if (previous) {
+
+      this.clear(previous);
+      previous.outputs = previous.outputs.filter(function(o) { return o !== this; }, this);
+      previous.joining = previous.joining.filter(function(o) { return o !== this; }, this);
+
+      if (previous.outputs.length + previous.joining.length < 1) clearTimeout(previous.timeout);
+
+      this._clock = undefined;
+
+    }
+
+    if (!output) return this;
+
+    var clock = output._getClock();
+    this._clock = clock;
+
+    if (clock.state === "running") {
+      clock.joining.push(this);
+    } else {
+      clock.outputs.push(this);
+      this.sendSongPosition(Math.floor(clock.pulses / 6));
+    }
+
+    return this;
+
+  };
+
+  /**
+   * Returns the state of the MIDI clock of this output, creating it if needed.
+   *
+   * @method _getClock
+   * @returns {Object}
+   * @protected
+   */
+  Output.prototype._getClock = function() {
+
+    if (!this._clock) {
+      this._clock = {
+        outputs: [this],  // Outputs receiving the clock
+        joining: [],      // Outputs that will receive the clock from the next 16th note
+        bpm: 120,
+        state: "stopped",
+        start: 0,         // Pulse at which the clock was started or resumed
+        pulses: 0,        // Next pulse to schedule (or to send when the clock is resumed)
+        time: 0,          // Time of the next pulse to schedule (or of the Stop message)
+        duration: 0,      // Duration of the pulses that have been scheduled
+        timeout: undefined
+      };
+    }
+
+    return this._clock;
+
+  };
+
+  /**
+   * @method _getClockPulses
+   * @returns {Number} The current position of the MIDI clock in pulses (24 per quarter note).
+   * @protected
+   */
+  Output.prototype._getClockPulses = function() {
+
+    var clock = this._clock;
+
+    if (clock.state !== "running" || !clock.duration) return clock.pulses;
+
+    return Math.max(clock.start, clock.pulses - (clock.time - wm.time) / clock.duration);
+
+  };
+
+  /**
+   * Stops scheduling clock messages and cancels the ones that have not been sent yet, on all the
+   * outputs sharing the clock of this output.
+   *
+   * @method _haltClock
+   * @protected
+   */
+  Output.prototype._haltClock = function() {
+
+    var clock = this._clock;
+
+    clearTimeout(clock.timeout);
+
+    clock.outputs.concat(clock.joining).forEach(function(output) {
+      output.clear(clock);
+    });
+
+  };
+
+  /**
+   * Schedules the clock messages that fall within the next 100 milliseconds on all the outputs
+   * sharing the specified clock. This is called repeatedly while the clock is running.
+   *
+   * @method _runClock
+   * @param clock {Object} The state of the clock.
+   * @protected
+   */
+  Output.prototype._runClock = function(clock) {
+
+    var connected = function(output) {
+      return output._midiOutput.state !== "disconnected";
+    };
+
+    clock.outputs = clock.outputs.filter(connected);
+    clock.joining = clock.joining.filter(connected);
+
+    if (clock.outputs.length + clock.joining.length < 1) {
+      clock.state = "stopped";
+      return;
+    }
+
+    var horizon = wm.time + 100;
+
+    clock.duration = 60000 / clock.bpm / 24;
+
+    while (clock.time <= horizon) {
+
+      // Outputs can only join on a 16th note as song positions are expressed in 16th notes
+      if (clock.pulses % 6 === 0 && clock.joining.length > 0) {
+        clock.joining.forEach(function(output) {
+          output.sendSongPosition(clock.pulses / 6, {time: clock.time, tag: clock});
+          output.sendContinue({time: clock.time, tag: clock});
+        });
+        clock.outputs = clock.outputs.concat(clock.joining);
+        clock.joining = [];
+      }
+
+      clock.outputs.forEach(function(output) {
+        output.sendClock({time: clock.time, tag: clock});
+      });
+
+      clock.pulses++;
+      clock.time += clock.duration;
+
+    }
+
+    clock.timeout = setTimeout(this._runClock.bind(this, clock), 25);
+
+  };
+
+  /**
+   * Sends a *Song Position* MIDI message. The value is expressed in MIDI beats (between 0 and
+   * 16383) which are 16th note. Position 0 is always the start of the song.
+   *
+   * @method sendSongPosition
+   * @chainable
+   *
+   * @param [value=0] {Number} The MIDI beat to cue to (int between 0 and 16383).
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendSongPosition = function(value, options) {
+
+    value = Math.floor(value) || 0;
+
+    options = options || {};
+
+    var msb = (value >> 7) & 0x7F;
+    var lsb = value & 0x7F;
+
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.songposition,
+      [msb, lsb],
+      this._parseTimeParameter(options.time),
+      options
+    );
+    return this;
+
+  };
+
+  /**
+   * Sends a *Song Select* MIDI message. Beware that some devices will display position 0 as
+   * position 1 for user-friendlyness.
+   *
+   * @method sendSongSelect
+   * @chainable
+   *
+   * @param value {Number} The number of the song to select (integer between 0 and 127).
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws The song number must be between 0 and 127.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendSongSelect = function(value, options) {
+
+    value = Math.floor(value);
+
+    options = options || {};
+
+    if ( !(value >= 0 && value <= 127) ) {
+      throw new RangeError("The song number must be between 0 and 127.");
+    }
+
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.songselect,
+      [value],
+      this._parseTimeParameter(options.time),
+      options
+    );
+
+    return this;
+
+  };
+
+  /**
+   * Sends a *MIDI tuning request* real-time message.
+   *
+   * Note: there is currently a bug in Chrome"s MIDI implementation. If you try to use this
+   * function, Chrome will actually throw a "Message is incomplete" error. The bug is
+   * [scheduled to be fixed](https://bugs.chromium.org/p/chromium/issues/detail?id=610116).
+   *
+   * @method sendTuningRequest
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendTuningRequest = function(options) {
+    options = options || {};
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.tuningrequest,
+      undefined,
+      this._parseTimeParameter(options.time),
+      options
+    );
+    return this;
+  };
+
+  /**
+   * Sends a *MIDI Clock* real-time message. According to the standard, there are 24 MIDI Clocks
+   * for every quarter note.
+   *
+   * @method sendClock
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendClock = function(options) {
+    options = options || {};
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.clock,
+      undefined,
+      this._parseTimeParameter(options.time),
+      options
+    );
+    return this;
+  };
+
+  /**
+   * Sends a *Start* real-time message. A MIDI Start message starts the playback of the current
+   * song at beat 0. To start playback elsewhere in the song, use the `sendContinue()` function.
+   *
+   * @method sendStart
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendStart = function(options) {
+    options = options || {};
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.start,
+      undefined,
+      this._parseTimeParameter(options.time),
+      options
+    );
+    return this;
+  };
+
+  /**
+   * Sends a *Continue* real-time message. This resumes song playback where it was previously
+   * stopped or where it was last cued with a song position message. To start playback from the
+   * start, use the `sendStart()` function.
+   *
+   * @method sendContinue
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @return {WebMidi} Returns the `WebMidi` object so methods can be chained.
+   */
+  Output.prototype.sendContinue = function(options) {
+    options = options || {};
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.continue,
+      undefined,
+      this._parseTimeParameter(options.time),
+      options
+    );
+    return this;
+  };
+
+  /**
+   * Sends a *Stop* real-time message. This tells the device connected to this port to stop playback
+   * immediately (or at the scheduled time).
+   *
+   * @method sendStop
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendStop = function(options) {
+    options = options || {};
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.stop,
+      undefined,
+      this._parseTimeParameter(options.time),
+      options
+    );
+    return this;
+  };
+
+  /**
+   * Sends an *Active Sensing* real-time message. This tells the device connected to this port that
+   * the connection is still good. Active sensing messages should be sent every 300 ms if there was
+   * no other activity on the MIDI port.
+   *
+   * @method sendActiveSensing
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendActiveSensing = function(options) {
+    options = options || {};
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.activesensing,
+      [],
+      this._parseTimeParameter(options.time),
+      options
+    );
+    return this;
+  };
+
+  /**
+   * Sends *Reset* real-time message. This tells the device connected to this port that is should
+   * reset itself to a default state.
+   *
+   * @method sendReset
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendReset = function(options) {
+    options = options || {};
+    this.send(
+      wm.MIDI_SYSTEM_MESSAGES.reset,
+      undefined,
+      this._parseTimeParameter(options.time),
+      options
+    );
+    return this;
+  };
+
+  /**
+   * Sends a MIDI **note off** message to the specified channel(s) for a single note or multiple
+   * simultaneous notes (chord). You can delay the execution of the **note off** command by using
+   * the `time` property of the `options` parameter (in milliseconds).
+   *
+   * @method stopNote
+   * @chainable
+   *
+   * @param note {Number|Array|String}  The note(s) you wish to stop. The notes can be specified in
+   * one of three ways. The first way is by using the MIDI note number (an integer between `0` and
+   * `127`). The second way is by using the note name followed by the octave (C3, G#4, F-1, Db7).
+   * The octave range should be between -2 and 8. The lowest note is C-2 (MIDI note number 0) and
+   * the highest note is G8 (MIDI note number 127). It is also possible to specify an array of note
+   * numbers and/or names. The final way is to use the special value `all` to send an "allnotesoff"
+   * channel message.
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between `1` and `16`) or an
+   * array of channel numbers. If the special value `all` is used (default), the message will be
+   * sent to all 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {Boolean} [options.rawVelocity=false] Controls whether the release velocity is set using
+   * an integer between `0` and `127` (`true`) or a decimal number between `0` and `1` (`false`,
+   * default).
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @param {Number} [options.velocity=0.5] The velocity at which to release the note (between `0`
+   * and `1`). If the `rawVelocity` option is `true`, the value should be specified as an integer
+   * between `0` and `127`. An invalid velocity value will silently trigger the default of `0.5`.
+   * Note that when the first parameter to `stopNote()` is `all`, the release velocity is silently
+   * ignored.
+   *
+   * @param {Number} [options.detune=undefined] To stop a note played with the `detune` option of
+   * {{#crossLink "Output/playNote:method"}}playNote(){{/crossLink}}, the same detune value (in
+   * cents). The note is stopped on the channel it was given (among the specified channels) and the
+   * channel is released.
+   *
+   * @param {Number} [options.frequency=undefined] To stop a note played with the `frequency`
+   * option of {{#crossLink "Output/playNote:method"}}playNote(){{/crossLink}}, the same frequency
+   * (in Hz). The `note` parameter is then ignored.
+   *
+   * @throws {RangeError} The detune value must be a number.
+   * @throws {RangeError} The frequency must be a positive number.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.stopNote = function(note, channel, options) {
+
+    options = options || {};
+
+    var time = this._parseTimeParameter(options.time);
+
+    if (note === "all") {
+      wm.toMIDIChannels(channel).forEach(function(ch) {
+        this._releaseDetunedNotes(undefined, ch, undefined, time);
+      }.bind(this));
+      return this.sendChannelMode("allnotesoff", 0, channel, options);
+    }
+
+    var nVelocity = 64;
+
+    if (options.rawVelocity) {
+
+      if (!isNaN(options.velocity) && options.velocity >= 0 && options.velocity <= 127) {
+        nVelocity = options.velocity;
+      }
+
+    } else {
+
+      if (!isNaN(options.velocity) && options.velocity >= 0 && options.velocity <= 1) {
+        nVelocity = options.velocity * 127;
+      }
+
+    }
+
+    // Detuned notes are stopped on the channel they were given
+    if (options.detune !== undefined || options.frequency !== undefined) {
+
+      this._getDetunedNotes(note, options).forEach(function(item) {
+
+        var pool = wm.toMIDIChannels(channel),
+          active = this._detunedNotes.filter(function(allocation) {
+            return allocation.note === item.note &&
+              Math.abs(allocation.detune - item.detune) < 0.01 &&
+              pool.indexOf(allocation.channel) > -1 &&
+              allocation.end > (time || wm.time);
+          });
+
+        if (!active.length) return;
+
+        this.send(
+          (wm.MIDI_CHANNEL_MESSAGES.noteoff << 4) + (active[0].channel - 1),
+          [item.note, Math.round(nVelocity)],
+          time,
+          options
+        );
+
+        active[0].end = time || wm.time;
+
+      }.bind(this));
+
+      return this;
+
+    }
+
+    // Send note off messages
+    this._convertNoteToArray(note).forEach(function(item) {
+
+      wm.toMIDIChannels(channel).forEach(function(ch) {
+
+        this.send(
+          (wm.MIDI_CHANNEL_MESSAGES.noteoff << 4) + (ch - 1),
+          [item, Math.round(nVelocity)],
+          time,
+          options
+        );
+
+        this._releaseDetunedNotes(item, ch, undefined, time);
+
+      }.bind(this));
+
+    }.bind(this));
+
+    return this;
+
+  };
+
+  /**
+   * Requests the playback of a single note or multiple notes on the specified channel(s). You can
+   * delay the execution of the **note on** command by using the `time` property of the `options`
+   * parameter (milliseconds).
+   *
+   * If no duration is specified in the `options`, the note will play until a matching **note off**
+   * is sent. If a duration is specified, a **note off** will be automatically sent after said
+   * duration.
+   *
+   * Note: As per the MIDI standard, a **note on** event with a velocity of `0` is considered to be
+   * a **note off**.
+   *
+   * @method playNote
+   * @chainable
+   *
+   * @param note {Number|String|Array}  The note(s) you wish to play. The notes can be specified in
+   * one of two ways. The first way is by using the MIDI note number (an integer between 0 and 127).
+   * The second way is by using the note name followed by the octave (C3, G#4, F-1, Db7). The octave
+   * range should be between -2 and 8. The lowest note is C-2 (MIDI note number 0) and the highest
+   * note is G8 (MIDI note number 127). It is also possible to specify an array of note numbers
+   * and/or names.
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between `1` and `16`) or an
+   * array of channel numbers. If the special value **all** is used (default), the message will be
+   * sent to all 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {Number|String} [options.duration=undefined] The number of milliseconds (integer) to
+   * wait before sending a matching **note off** event. If left undefined, only a **note on**
+   * message is sent. The duration can also be a musical duration such as `"8n"` or `"1m"` (see
+   * {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @param {Boolean} [options.rawVelocity=false] Controls whether the attack and release velocities
+   * are set using integers between `0` and `127` (`true`) or a decimal number between `0` and `1`
+   * (`false`, default).
+   *
+   * @param {Number} [options.release=0.5] The velocity at which to release the note (between `0`
+   * and `1`). If the `rawVelocity` option is `true`, the value should be specified as an integer
+   * between `0` and `127`. An invalid velocity value will silently trigger the default of `0.5`.
+   * This is only used with the **note off** event triggered when `options.duration` is set.
+   *
+   * @param {*} [options.tag=undefined] A value identifying the **note on** and **note off**
+   * messages so they can be cancelled with
+   * {{#crossLink "Output/clear:method"}}clear(){{/crossLink}}.
+   *
+   * @param {Boolean} [options.handle=false] Whether to return a
+   * {{#crossLink "ScheduleHandle"}}ScheduleHandle{{/crossLink}} identifying the **note on** and
+   * **note off** messages (instead of the `Output`, so the call cannot be chained). The handle can
+   * be used to cancel them.
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @param {Number} [options.velocity=0.5] The velocity at which to play the note (between `0` and
+   * `1`). If the `rawVelocity` option is `true`, the value should be specified as an integer
+   * between `0` and `127`. An invalid velocity value will silently trigger the default of `0.5`.
+   *
+   * @param {Number} [options.detune=undefined] A deviation (in cents) to apply to the note(s). See
+   * below.
+   *
+   * @param {Number} [options.frequency=undefined] The frequency (in Hz) of the note to play, with
+   * A4 at 440 Hz. The `note` parameter is then ignored. See below.
+   *
+   * When the `detune` or `frequency` option is used, each note is played on a single channel taken
+   * from the specified channels (the pool) and bent to the exact pitch with a pitch bend message
+   * sent just before the **note on**. This makes microtonal playback possible on any multitimbral
+   * synth. The bend is scaled by the pitch bend range set with
+   * {{#crossLink "Output/setPitchBendRange:method"}}setPitchBendRange(){{/crossLink}} (2 semitones
+   * by default). The channel is released by the **note off** (sent after `duration` or with
+   * {{#crossLink "Output/stopNote:method"}}stopNote(){{/crossLink}} and the same option). Channels
+   * are used in rotation so the release of a note is not bent by the next one. When all the
+   * channels of the pool are taken, the oldest note is stopped to free its channel.
+   *
+   * ```js
+   * var output = WebMidi.outputs[0];
+   * output.setPitchBendRange(2, 0, [1, 2, 3, 4]);
+   * output.playNote("E4", [1, 2, 3, 4], {detune: -14, duration: 1000});
+   * output.playNote("C4", [1, 2, 3, 4], {frequency: 256, duration: 1000});
+   * ```
+   *
+   * @param {Boolean} [options.mpe=false] Whether to play the note in an MPE zone configured with
+   * {{#crossLink "Output/setMpeZone:method"}}setMpeZone(){{/crossLink}}. The `channel` parameter is
+   * then ignored and an {{#crossLink "MpeNote"}}MpeNote{{/crossLink}} object controlling the
+   * expression of the note is returned. The `zone`, `bend`, `pressure` and `timbre` options can
+   * also be used (see {{#crossLink "Output/playMpeNote:method"}}playMpeNote(){{/crossLink}}).
+   *
+   * ```js
+   * var output = WebMidi.outputs[0].setMpeZone("lower", 15);
+   * output.playNote("C4", undefined, {mpe: true, pressure: 0.5}).bend(2);
+   * ```
+   *
+   * @throws {RangeError} The detune value must be a number.
+   * @throws {RangeError} The frequency must be a positive number.
+   * @throws {RangeError} The pitch is out of the MIDI note range.
+   * @throws {Error} The MPE zone must first be configured with setMpeZone().
+   *
+   * @return {Output|ScheduleHandle|MpeNote} Returns the `Output` object so methods can be chained
+   * (or a `ScheduleHandle` if the `handle` option is `true` and an `MpeNote` if the `mpe` option is
+   * `true`).
+   */
+  Output.prototype.playNote = function(note, channel, options) {
+
+    var time,
+      nVelocity = 64,
+      handle;
+
+    options = options || {};
+
+    if (options.mpe) return this.playMpeNote(note, options);
+
+    if (options.handle === true) {
+      handle = new ScheduleHandle(this, options.tag);
+      options = this._copyOptions(options, {tag: handle, handle: false});
+    }
+
+    if (options.rawVelocity) {
+
+      if (!isNaN(options.velocity) && options.velocity >= 0 && options.velocity <= 127) {
+        nVelocity = options.velocity;
+      }
+
+    } else {
+
+      if (!isNaN(options.velocity) && options.velocity >= 0 && options.velocity <= 1) {
+        nVelocity = options.velocity * 127;
+      }
+
+    }
+
+    time = this._parseTimeParameter(options.time);
+
+    // The notes to play on each channel. Detuned notes are given a channel of their own.
+    var targets = [];
+
+    if (options.detune !== undefined || options.frequency !== undefined) {
+
+      this._getDetunedNotes(note, options).forEach(function(item) {
+        var allocation = this._allocateDetunedNote(item, wm.toMIDIChannels(channel), time, options);
+        if (allocation) targets.push(allocation);
+      }.bind(this));
+
+    } else {
+
+      this._convertNoteToArray(note).forEach(function(item) {
+        wm.toMIDIChannels(channel).forEach(function(ch) {
+          targets.push({note: item, channel: ch});
+        });
+      });
+
+    }
+
+    // Send note on messages
+    targets.forEach(function(target) {
+      this.send(
+        (wm.MIDI_CHANNEL_MESSAGES.noteon << 4) + (target.channel - 1),
+        [target.note, Math.round(nVelocity)],
+        time,
+        options
+      );
+    }.bind(this));
+
+
+    // Send note off messages (only if a valid duration has been defined)
+    var duration = wm.transport.toMilliseconds(options.duration);
+
+    if (!isNaN(duration)) {
+
+      if (duration <= 0) { duration = 0; }
+
+      var nRelease = 64,
+        offTime = (time || wm.time) + duration,
+        offOptions = options;
+
+      // A musical duration ties the note off to the transport (so it follows tempo changes)
+      if (wm.transport._parseMusicalTime(options.duration) !== undefined) {
+        offOptions = {tag: options.tag, time: "0:0:" + wm.transport._timestampToTicks(offTime)};
+      }
+
+      if (options.rawVelocity) {
+
+        if (!isNaN(options.release) && options.release >= 0 && options.release <= 127) {
+          nRelease = options.release;
+        }
+
+      } else {
+
+        if (!isNaN(options.release) && options.release >= 0 && options.release <= 1) {
+          nRelease = options.release * 127;
+        }
+
+      }
+
+      targets.forEach(function(target) {
+
+        // The note off of a detuned note is tagged with its allocation so it can be cancelled if
+        // the channel is stolen
+        this.send(
+          (wm.MIDI_CHANNEL_MESSAGES.noteoff << 4) + (target.channel - 1),
+          [target.note, Math.round(nRelease)],
+          offTime,
+          target.handle ? this._copyOptions(offOptions, {tag: target.handle}) : offOptions
+        );
+
+        target.end = offTime;
+
+      }.bind(this));
+
+    }
+
+    return handle || this;
+
+  };
+
+  /**
+   * Returns the MIDI note and the remaining deviation (in cents, between -50 and 50) of the notes
+   * played with the `detune` or `frequency` option.
+   *
+   * @method _getDetunedNotes
+   * @param note {Number|String|Array} The note(s) (ignored if the `frequency` option is set).
+   * @param options {Object} The `detune` or `frequency` option.
+   * @returns {Array} An array of objects with `note` and `detune` properties.
+   * @protected
+   */
+  Output.prototype._getDetunedNotes = function(note, options) {
+
+    var pitches;
+
+    if (options.frequency !== undefined) {
+
+      var frequency = parseFloat(options.frequency);
+
+      if ( !(frequency > 0) ) {
+        throw new RangeError("The frequency must be a positive number.");
+      }
+
+      pitches = [69 + 12 * Math.log(frequency / 440) / Math.LN2];
+
+    } else {
+
+      var detune = parseFloat(options.detune);
+
+      if (isNaN(detune)) throw new RangeError("The detune value must be a number.");
+
+      pitches = this._convertNoteToArray(note).map(function(item) {
+        return item + detune / 100;
+      });
+
+    }
+
+    return pitches.map(function(pitch) {
+
+      var key = Math.round(pitch);
+
+      if ( !(key >= 0 && key <= 127) ) {
+        throw new RangeError("The pitch is out of the MIDI note range.");
+      }
+
+      return {note: key, detune: (pitch - key) * 100};
+
+    });
+
+  };
+
+  /**
+   * Gives a channel of the pool to a detuned note and sends the pitch bend message tuning it. The
+   * channel released the longest ago is used. If all the channels are taken, the oldest note is
+   * stopped.
+   *
+   * @method _allocateDetunedNote
+   * @param item {Object} The note, with `note` and `detune` properties.
+   * @param pool {Array} The channels that can be used.
+   * @param [time] {DOMHighResTimeStamp} When the note starts.
+   * @param options {Object} The options of the note (for its `tag`).
+   * @returns {Object} The allocation: `note`, `detune`, `channel`, `start`, `end` and the
+   * `handle` tagging its note off (or `undefined` if the pool is empty).
+   * @protected
+   */
+  Output.prototype._allocateDetunedNote = function(item, pool, time, options) {
+
+    var that = this,
+      start = time || wm.time,
+      channel;
+
+    if (!pool.length) return undefined;
+
+    // Forget the notes that have ended (only the time their channel was released matters)
+    this._detunedNotes = this._detunedNotes.filter(function(allocation) {
+      if (allocation.end > start) return true;
+      that._channelReleases[allocation.channel] = Math.max(
+        that._channelReleases[allocation.channel] || 0, allocation.end
+      );
+      return false;
+    });
+
+    var taken = this._detunedNotes.map(function(allocation) { return allocation.channel; }),
+      free = pool.filter(function(ch) { return taken.indexOf(ch) < 0; });
+
+    if (free.length) {
+
+      channel = free.reduce(function(best, ch) {
+        return (that._channelReleases[ch] || 0) < (that._channelReleases[best] || 0) ? ch : best;
+      });
+
+    } else {
+
+      var oldest = this._detunedNotes
+        .filter(function(allocation) { return pool.indexOf(allocation.channel) > -1; })
+        .reduce(function(best, allocation) {
+          return allocation.start < best.start ? allocation : best;
+        });
+
+      // The note off scheduled at the end of the stolen note would cut the new note short
+      this._queue = this._queue.filter(function(item) {
+        return !that._matchesTag(item.tag, oldest.handle);
+      });
+      this._scheduleQueue();
+
+      this.send(
+        (wm.MIDI_CHANNEL_MESSAGES.noteoff << 4) + (oldest.channel - 1),
+        [oldest.note, 64],
+        time,
+        {tag: options.tag}
+      );
+
+      this._detunedNotes.splice(this._detunedNotes.indexOf(oldest), 1);
+      channel = oldest.channel;
+
+    }
+
+    var bend = item.detune / 100 / (this._pitchBendRanges[channel] || 2),
+      handle = new ScheduleHandle(this, options.tag);
+
+    // The pitch bend is tagged with the handle of the note so it is cancelled along with it
+    this.sendPitchBend(Math.max(-1, Math.min(1, bend)), channel, {time: time, tag: handle});
+
+    var allocation = {
+      note: item.note,
+      detune: item.detune,
+      channel: channel,
+      start: start,
+      end: Infinity,
+      handle: handle
+    };
+
+    this._detunedNotes.push(allocation);
+    this._channelOwners[channel] = allocation;
+
+    return allocation;
+
+  };
+
+  /**
+   * Releases the channels held by the detuned notes matching the specified note number, channel
+   * and deviation (`undefined` matches any value).
+   *
+   * @method _releaseDetunedNotes
+   * @param [note] {Number} The MIDI note number.
+   * @param [channel] {Number} The channel.
+   * @param [detune] {Number} The deviation (in cents).
+   * @param [time] {DOMHighResTimeStamp} When the notes end.
+   * @protected
+   */
+  Output.prototype._releaseDetunedNotes = function(note, channel, detune, time) {
+
+    var end = time || wm.time;
+
+    this._detunedNotes.forEach(function(allocation) {
+      if (
+        (note === undefined || allocation.note === note) &&
+        (channel === undefined || allocation.channel === channel) &&
+        (detune === undefined || Math.abs(allocation.detune - detune) < 0.01) &&
+        allocation.end > end
+      ) {
+        allocation.end = end;
+      }
+    });
+
+  };
+
+  /**
+   * Configures an MPE (MIDI Polyphonic Expression) zone with the *MPE Configuration Message*
+   * (registered parameter 6) sent on the master channel of the zone: channel 1 for the lower zone
+   * and channel 16 for the upper zone. The member channels follow the master channel of the lower
+   * zone (2, 3, etc.) or precede the master channel of the upper zone (15, 14, etc.).
+   *
+   * If the new zone overlaps the other zone, the other zone is shrunk (or disabled) as the
+   * receivers do. Since the receivers reset the pitch bend range of the member channels to 48
+   * semitones and the one of the master channel to 2 semitones, the same ranges are assumed for the
+   * pitch bend messages sent by {{#crossLink "Output/playNote:method"}}playNote(){{/crossLink}}
+   * with the `mpe` option (unless the `pitchBendRange` option is used).
+   *
+   * ```js
+   * WebMidi.outputs[0].setMpeZone("lower", 15);
+   * var note = WebMidi.outputs[0].playNote("C4", undefined, {mpe: true});
+   * note.bend(2).press(0.8);
+   * ```
+   *
+   * @method setMpeZone
+   * @chainable
+   *
+   * @param zone {String} The zone to configure: `lower` or `upper`.
+   *
+   * @param channels {Number} The number of member channels (between 0 and 15). A value of 0
+   * disables the zone.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {Number} [options.pitchBendRange=undefined] The pitch bend range of the member channels
+   * (in semitones). If it is specified, it is sent to the member channels after the configuration
+   * message.
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to send the messages (see
+   * {{#crossLink "Output/send:method"}}send(){{/crossLink}}).
+   *
+   * @throws {TypeError} The zone must be 'lower' or 'upper'.
+   * @throws {RangeError} The number of member channels must be between 0 and 15.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.setMpeZone = function(zone, channels, options) {
+
+    var that = this;
+
+    options = options || {};
+
+    if (zone !== "lower" && zone !== "upper") {
+      throw new TypeError("The zone must be 'lower' or 'upper'.");
+    }
+
+    channels = Math.floor(channels);
+
+    if ( !(channels >= 0 && channels <= 15) ) {
+      throw new RangeError("The number of member channels must be between 0 and 15.");
+    }
+
+    var master = zone === "lower" ? 1 : 16;
+
+    this.setRegisteredParameter("mpeconfiguration", [channels], master, options);
+
+    this._mpeZones = wm._configureMpeZone(this._mpeZones, zone, channels);
+
+    this._pitchBendRanges[master] = 2;
+
+    if (this._mpeZones[zone]) {
+
+      this._mpeZones[zone].channels.forEach(function(ch) { that._pitchBendRanges[ch] = 48; });
+
+      if (options.pitchBendRange !== undefined) {
+        this._mpeZones[zone].channels.forEach(function(ch) {
+          that.setPitchBendRange(options.pitchBendRange, 0, ch, {time: options.time});
+        });
+      }
+
+    }
+
+    return this;
+
+  };
+
+  /**
+   * Plays a note in an MPE zone configured with
+   * {{#crossLink "Output/setMpeZone:method"}}setMpeZone(){{/crossLink}} and returns an
+   * {{#crossLink "MpeNote"}}MpeNote{{/crossLink}} object whose `bend()`, `press()` and `slide()`
+   * methods send expression messages to this note only.
+   *
+   * The note is given a member channel of its own. The channel released the longest ago is used.
+   * When all the member channels are taken, the note that was started first is stopped to free its
+   * channel. The initial pitch bend, pressure and timbre (CC74) are sent to the channel before the
+   * **note on**, as recommended by the MPE specification.
+   *
+   * This is the same as calling {{#crossLink "Output/playNote:method"}}playNote(){{/crossLink}}
+   * with the `mpe` option.
+   *
+   * @method playMpeNote
+   *
+   * @param note {Number|String} The note to play (a MIDI note number or a note name such as `C4`).
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {String} [options.zone] The zone to play the note in: `lower` or `upper`. By default,
+   * the lower zone is used if it is configured. Otherwise, the upper zone is used.
+   *
+   * @param {Number} [options.bend=0] The initial pitch bend (in semitones).
+   *
+   * @param {Number} [options.pressure=0] The initial pressure (between 0 and 1).
+   *
+   * @param {Number} [options.timbre=0.5] The initial timbre (CC74), between 0 and 1.
+   *
+   * @param {Number|String} [options.duration=undefined] The duration of the note (see
+   * {{#crossLink "Output/playNote:method"}}playNote(){{/crossLink}}). If it is not specified, the
+   * note plays until it is stopped with `MpeNote.stop()`.
+   *
+   * @param {Boolean} [options.rawVelocity=false] See
+   * {{#crossLink "Output/playNote:method"}}playNote(){{/crossLink}}.
+   *
+   * @param {Number} [options.velocity=0.5] See
+   * {{#crossLink "Output/playNote:method"}}playNote(){{/crossLink}}.
+   *
+   * @param {Number} [options.release=0.5] See
+   * {{#crossLink "Output/playNote:method"}}playNote(){{/crossLink}}.
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to start the note (see
+   * {{#crossLink "Output/send:method"}}send(){{/crossLink}}).
+   *
+   * @throws {Error} The MPE zone must first be configured with setMpeZone().
+   * @throws {RangeError} The bend exceeds the pitch bend range of the channel.
+   *
+   * @return {MpeNote} The object controlling the note.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.playMpeNote = function(note, options) {
+
+    options = options || {};
+
+    var name = options.zone || (this._mpeZones.lower ? "lower" : "upper"),
+      zone = this._mpeZones[name];
+
+    if (!zone) {
+      throw new Error("The MPE zone must first be configured with setMpeZone().");
+    }
+
+    var item = {note: wm.guessNoteNumber(note), detune: (parseFloat(options.bend) || 0) * 100},
+      time = this._parseTimeParameter(options.time);
+
+    // The pitch bend range is the same on all the member channels
+    if (Math.abs(item.detune / 100) > (this._pitchBendRanges[zone.channels[0]] || 48)) {
+      throw new RangeError("The bend exceeds the pitch bend range of the channel.");
+    }
+
+    var allocation = this._allocateDetunedNote(item, zone.channels, time, options),
+      handle = new MpeNote(this, allocation, name);
+
+    handle.press(
+      options.pressure === undefined ? 0 : options.pressure, {time: time, tag: allocation.handle}
+    );
+    handle.slide(
+      options.timbre === undefined ? 0.5 : options.timbre, {time: time, tag: allocation.handle}
+    );
+
+    this.playNote(item.note, allocation.channel, {
+      duration: options.duration,
+      rawVelocity: options.rawVelocity,
+      release: options.release,
+      tag: allocation.handle,
+      time: time,
+      velocity: options.velocity
+    });
+
+    var duration = wm.transport.toMilliseconds(options.duration);
+    if (!isNaN(duration)) allocation.end = (time || wm.time) + Math.max(0, duration);
+
+    return handle;
+
+  };
+
+  /**
+   * Sends a MIDI `key aftertouch` message to the specified channel(s) at the scheduled time. This
+   * is a key-specific aftertouch. For a channel-wide aftertouch message, use
+   * {{#crossLink "WebMidi/sendChannelAftertouch:method"}}sendChannelAftertouch(){{/crossLink}}.
+   *
+   * @method sendKeyAftertouch
+   * @chainable
+   *
+   * @param note {Number|String|Array}  The note for which you are sending an aftertouch value. The
+   * notes can be specified in one of two ways. The first way is by using the MIDI note number (an
+   * integer between 0 and 127). The second way is by using the note name followed by the octave
+   * (C3, G#4, F-1, Db7). The octave range should be between -2 and 8. The lowest note is C-2 (MIDI
+   * note number 0) and the highest note is G8 (MIDI note number 127). It is also possible to use
+   * an array of note names and/or numbers.
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Number} [pressure=0.5] The pressure level to send (between 0 and 1).
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws {RangeError} The channel must be between 1 and 16.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendKeyAftertouch = function(note, channel, pressure, options) {
+
+    var that = this;
+
+    options = options || {};
+
+    if (channel < 1 || channel > 16) {
+      throw new RangeError("The channel must be between 1 and 16.");
+    }
+
+    if (isNaN(pressure) || pressure < 0 || pressure > 1) {
+      pressure = 0.5;
+    }
+
+    var nPressure = Math.round(pressure * 127);
+
+    this._convertNoteToArray(note).forEach(function(item) {
+
+      wm.toMIDIChannels(channel).forEach(function(ch) {
+        that.send(
+          (wm.MIDI_CHANNEL_MESSAGES.keyaftertouch << 4) + (ch - 1),
+          [item, nPressure],
+          that._parseTimeParameter(options.time),
+          options
+        );
+      });
+
+    });
+
+    return this;
+
+  };
+
+  /**
+   * Sends a MIDI `control change` message (a.k.a. CC message) to the specified channel(s) at the
+   * scheduled time. The control change message to send can be specified numerically or by using one
+   * of the following common names:
+   *
+   *  * `bankselectcoarse` (#0)
+   *  * `modulationwheelcoarse` (#1)
+   *  * `breathcontrollercoarse` (#2)
+   *  * `footcontrollercoarse` (#4)
+   *  * `portamentotimecoarse` (#5)
+   *  * `dataentrycoarse` (#6)
+   *  * `volumecoarse` (#7)
+   *  * `balancecoarse` (#8)
+   *  * `pancoarse` (#10)
+   *  * `expressioncoarse` (#11)
+   *  * `effectcontrol1coarse` (#12)
+   *  * `effectcontrol2coarse` (#13)
+   *  * `generalpurposeslider1` (#16)
+   *  * `generalpurposeslider2` (#17)
+   *  * `generalpurposeslider3` (#18)
+   *  * `generalpurposeslider4` (#19)
+   *  * `bankselectfine` (#32)
+   *  * `modulationwheelfine` (#33)
+   *  * `breathcontrollerfine` (#34)
+   *  * `footcontrollerfine` (#36)
+   *  * `portamentotimefine` (#37)
+   *  * `dataentryfine` (#38)
+   *  * `volumefine` (#39)
+   *  * `balancefine` (#40)
+   *  * `panfine` (#42)
+   *  * `expressionfine` (#43)
+   *  * `effectcontrol1fine` (#44)
+   *  * `effectcontrol2fine` (#45)
+   *  * `holdpedal` (#64)
+   *  * `portamento` (#65)
+   *  * `sustenutopedal` (#66)
+   *  * `softpedal` (#67)
+   *  * `legatopedal` (#68)
+   *  * `hold2pedal` (#69)
+   *  * `soundvariation` (#70)
+   *  * `resonance` (#71)
+   *  * `soundreleasetime` (#72)
+   *  * `soundattacktime` (#73)
+   *  * `brightness` (#74)
+   *  * `soundcontrol6` (#75)
+   *  * `soundcontrol7` (#76)
+   *  * `soundcontrol8` (#77)
+   *  * `soundcontrol9` (#78)
+   *  * `soundcontrol10` (#79)
+   *  * `generalpurposebutton1` (#80)
+   *  * `generalpurposebutton2` (#81)
+   *  * `generalpurposebutton3` (#82)
+   *  * `generalpurposebutton4` (#83)
+   *  * `reverblevel` (#91)
+   *  * `tremololevel` (#92)
+   *  * `choruslevel` (#93)
+   *  * `celestelevel` (#94)
+   *  * `phaserlevel` (#95)
+   *  * `databuttonincrement` (#96)
+   *  * `databuttondecrement` (#97)
+   *  * `nonregisteredparametercoarse` (#98)
+   *  * `nonregisteredparameterfine` (#99)
+   *  * `registeredparametercoarse` (#100)
+   *  * `registeredparameterfine` (#101)
+   *
+   * Note: as you can see above, not all control change message have a matching common name. This
+   * does not mean you cannot use the others. It simply means you will need to use their number
+   * instead of their name.
+   *
+   * @method sendControlChange
+   * @chainable
+   *
+   * @param controller {Number|String} The MIDI controller number (0-119) or name.
+   *
+   * @param [value=0] {Number} The value to send (0-127).
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws {RangeError} Controller numbers must be between 0 and 119.
+   * @throws {RangeError} Value must be between 0 and 127.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.sendControlChange = function(controller, value, channel, options) {
+
+    options = options || {};
+
+    if (typeof controller === "string") {
+
+      controller = wm.MIDI_CONTROL_CHANGE_MESSAGES[controller];
+      if (controller === undefined) throw new TypeError("Invalid controller name.");
+
+    } else {
+
+      controller = Math.floor(controller);
+      if ( !(controller >= 0 && controller <= 119) ) {
+        throw new RangeError("Controller numbers must be between 0 and 119.");
+      }
+
+    }
+
+    value = Math.floor(value) || 0;
+    if ( !(value >= 0 && value <= 127) ) {
+      throw new RangeError("Controller value must be between 0 and 127.");
+    }
+
+    wm.toMIDIChannels(channel).forEach(function(ch) {
+      this.send(
+        (wm.MIDI_CHANNEL_MESSAGES.controlchange << 4) + (ch - 1),
+        [controller, value],
+        this._parseTimeParameter(options.time),
+        options
+      );
+    }.bind(this));
+
+    return this;
+
+  };
+
+  /**
+   * Sends a high-resolution (14-bit) value to a controller between 0 and 31. The MSB is sent to
+   * the controller itself and the LSB to its partner between 32 and 63 (e.g. `volumecoarse` (#7)
+   * and `volumefine` (#39)), in that order.
+   *
+   * ```js
+   * WebMidi.outputs[0].sendControlChange14("volumecoarse", 12000, 1);
+   * ```
+   *
+   * @method sendControlChange14
+   * @chainable
+   *
+   * @param controller {Number|String} The MIDI controller number (0-31) or name.
+   *
+   * @param [value=0] {Number} The value to send (0-16383).
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws {TypeError} Invalid controller name.
+   * @throws {RangeError} Controller numbers must be between 0 and 31.
+   * @throws {RangeError} Controller value must be between 0 and 16383.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.sendControlChange14 = function(controller, value, channel, options) {
+
+    options = options || {};
+
+    if (typeof controller === "string") {
+      controller = wm.MIDI_CONTROL_CHANGE_MESSAGES[controller];
+      if (controller === undefined) throw new TypeError("Invalid controller name.");
+    } else {
+      controller = Math.floor(controller);
+    }
+
+    if ( !(controller >= 0 && controller <= 31) ) {
+      throw new RangeError("Controller numbers must be between 0 and 31.");
+    }
+
+    value = Math.floor(value) || 0;
+    if ( !(value >= 0 && value <= 16383) ) {
+      throw new RangeError("Controller value must be between 0 and 16383.");
+    }
+
+    var time = this._parseTimeParameter(options.time);
+
+    wm.toMIDIChannels(channel).forEach(function(ch) {
+      var status = (wm.MIDI_CHANNEL_MESSAGES.controlchange << 4) + (ch - 1);
+      this.send(status, [controller, value >> 7], time, options);
+      this.send(status, [controller + 32, value & 0x7F], time, options);
+    }.bind(this));
+
+    return this;
+
+  };
+
+  /**
+   * Selects a MIDI registered parameter so it is affected by data entry, data increment and data
+   * decrement messages.
+   *
+   * @method _selectRegisteredParameter
+   * @protected
+   *
+   * @param parameter {Array} A two-position array specifying the two control bytes (0x65, 0x64)
+   * that identify the registered parameter.
+   * @param channel
+   * @param [options={}]
+   *
+   * @returns {Output}
+   */
+  Output.prototype._selectRegisteredParameter = function(parameter, channel, options) {
+
+    var that = this;
+
+    parameter[0] = Math.floor(parameter[0]);
+    if ( !(parameter[0] >= 0 && parameter[0] <= 127) ) {
+      throw new RangeError("The control65 value must be between 0 and 127");
+    }
+
+    parameter[1] = Math.floor(parameter[1]);
+    if ( !(parameter[1] >= 0 && parameter[1] <= 127) ) {
+      throw new RangeError("The control64 value must be between 0 and 127");
+    }
+
+    wm.toMIDIChannels(channel).forEach(function() {
+      that.sendControlChange(0x65, parameter[0], channel, options);
+      that.sendControlChange(0x64, parameter[1], channel, options);
+    });
+
+    return this;
+
+  };
+
+  /**
+   * Selects a MIDI non-registered parameter so it is affected by data entry, data increment and
+   * data decrement messages.
+   *
+   * @method _selectNonRegisteredParameter
+   * @protected
+   *
+   * @param parameter {Array} A two-position array specifying the two control bytes (0x63, 0x62)
+   * that identify the registered parameter.
+   * @param channel
+   * @param [options={}]
+   *
+   * @returns {Output}
+   */
+  Output.prototype._selectNonRegisteredParameter = function(parameter, channel, options) {
+
+    var that = this;
+
+    parameter[0] = Math.floor(parameter[0]);
+    if ( !(parameter[0] >= 0 && parameter[0] <= 127) ) {
+      throw new RangeError("The control63 value must be between 0 and 127");
+    }
+
+    parameter[1] = Math.floor(parameter[1]);
+    if ( !(parameter[1] >= 0 && parameter[1] <= 127) ) {
+      throw new RangeError("The control62 value must be between 0 and 127");
+    }
+
+    wm.toMIDIChannels(channel).forEach(function() {
+      that.sendControlChange(0x63, parameter[0], channel, options);
+      that.sendControlChange(0x62, parameter[1], channel, options);
+    });
+
+    return this;
+
+  };
+
+  /**
+   * Sets the value of the currently selected MIDI registered parameter.
+   *
+   * @method _setCurrentRegisteredParameter
+   * @protected
+   *
+   * @param data {int|Array}
+   * @param channel
+   * @param [options={}]
+   *
+   * @returns {Output}
+   */
+  Output.prototype._setCurrentRegisteredParameter = function(data, channel, options) {
+
+    var that = this;
+
+    data = [].concat(data);
+
+    data[0] = Math.floor(data[0]);
+    if ( !(data[0] >= 0 && data[0] <= 127) ) {
+      throw new RangeError("The msb value must be between 0 and 127");
+    }
+
+    wm.toMIDIChannels(channel).forEach(function() {
+      that.sendControlChange(0x06, data[0], channel, options);
+    });
+
+    data[1] = Math.floor(data[1]);
+    if(data[1] >= 0 && data[1] <= 127) {
+      wm.toMIDIChannels(channel).forEach(function() {
+        that.sendControlChange(0x26, data[1], channel, options);
+      });
+    }
+
+    return this;
+
+  };
+
+  /**
+   * Deselects the currently active MIDI registered parameter so it is no longer affected by data
+   * entry, data increment and data decrement messages.
+   *
+   * Current best practice recommends doing that after each call to
+   * `_setCurrentRegisteredParameter()`.
+   *
+   * @method _deselectRegisteredParameter
+   * @protected
+   *
+   * @param channel
+   * @param [options={}]
+   *
+   * @returns {Output}
+   */
+  Output.prototype._deselectRegisteredParameter = function(channel, options) {
+
+    var that = this;
+
+    wm.toMIDIChannels(channel).forEach(function() {
+      that.sendControlChange(0x65, 0x7F, channel, options);
+      that.sendControlChange(0x64, 0x7F, channel, options);
+    });
+
+    return this;
+
+  };
+
+  /**
+   * Sets the specified MIDI registered parameter to the desired value. The value is defined with
+   * up to two bytes of data that each can go from 0 to 127.
+   *
+   * >Unless you are very familiar with the MIDI standard you probably should favour one of the
+   * >simpler to use functions such as: `setPitchbendRange()`, `setModulationRange()`,
+   * >`setMasterTuning()`, etc.
+   *
+   * MIDI registered parameters extend the original list of control change messages. Currently,
+   * there are only a limited number of them. Here are the original registered parameters with the
+   * identifier that can be used as the first parameter of this function:
+   *
+   *  * Pitchbend Range (0x00, 0x00): `pitchbendrange`
+   *  * Channel Fine Tuning (0x00, 0x01): `channelfinetuning`
+   *  * Channel Coarse Tuning (0x00, 0x02): `channelcoarsetuning`
+   *  * Tuning Program (0x00, 0x03): `tuningprogram`
+   *  * Tuning Bank (0x00, 0x04): `tuningbank`
+   *  * Modulation Range (0x00, 0x05): `modulationrange`
+   *
+   * Note that the **Tuning Program** and **Tuning Bank** parameters are part of the *MIDI Tuning
+   * Standard*, which is not widely implemented.
+   *
+   * Another set of extra parameters have been later added for 3D sound controllers. They are:
+   *
+   *  * Azimuth Angle (0x3D, 0x00): `azimuthangle`
+   *  * Elevation Angle (0x3D, 0x01): `elevationangle`
+   *  * Gain (0x3D, 0x02): `gain`
+   *  * Distance Ratio (0x3D, 0x03): `distanceratio`
+   *  * Maximum Distance (0x3D, 0x04): `maximumdistance`
+   *  * Maximum Distance Gain (0x3D, 0x05): `maximumdistancegain`
+   *  * Reference Distance Ratio (0x3D, 0x06): `referencedistanceratio`
+   *  * Pan Spread Angle (0x3D, 0x07): `panspreadangle`
+   *  * Roll Angle (0x3D, 0x08): `rollangle`
+   *
+   * @method setRegisteredParameter
+   * @chainable
+   *
+   * @param parameter {String|Array} A string identifying the parameter"s name (see above) or a
+   * two-position array specifying the two control bytes (0x65, 0x64) that identify the registered
+   * parameter.
+   *
+   * @param [data=[]] {Number|Array} An single integer or an array of integers with a maximum length
+   * of 2 specifying the desired data.
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @returns {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.setRegisteredParameter = function(parameter, data, channel, options) {
+
+    var that = this;
+
+    options = options || {};
+
+    if ( !Array.isArray(parameter) ) {
+      if ( !wm.MIDI_REGISTERED_PARAMETER[parameter]) {
+        throw new Error("The specified parameter is not available.");
+      }
+      parameter = wm.MIDI_REGISTERED_PARAMETER[parameter];
+    }
+
+    wm.toMIDIChannels(channel).forEach(function() {
+      that._selectRegisteredParameter(parameter, channel, options);
+      that._setCurrentRegisteredParameter(data, channel, options);
+      that._deselectRegisteredParameter(channel, options);
+    });
+
+    return this;
+
+  };
+
+  /**
+   * Sets a non-registered parameter to the specified value. The NRPN is selected by passing in a
+   * two-position array specifying the values of the two control bytes. The value is specified by
+   * passing in an single integer (most cases) or an array of two integers.
+   *
+   * NRPNs are not standardized in any way. Each manufacturer is free to implement them any way
+   * they see fit. For example, according to the Roland GS specification, you can control the
+   * **vibrato rate** using NRPN (1, 8). Therefore, to set the **vibrato rate** value to **123** you
+   * would use:
+   *
+   *     WebMidi.outputs[0].setNonRegisteredParameter([1, 8], 123);
+   *
+   * Obviously, you should select a channel so the message is not sent to all channels. For
+   * instance, to send to channel 1 of the first output port, you would use:
+   *
+   *     WebMidi.outputs[0].setNonRegisteredParameter([1, 8], 123, 1);
+   *
+   * In some rarer cases, you need to send two values with your NRPN messages. In such cases, you
+   * would use a 2-position array. For example, for its **ClockBPM** parameter (2, 63), Novation
+   * uses a 14-bit value that combines an MSB and an LSB (7-bit values). So, for example, if the
+   * value to send was 10, you could use:
+   *
+   *     WebMidi.outputs[0].setNonRegisteredParameter([2, 63], [0, 10]);
+   *
+   * For further implementation details, refer to the manufacturer"s documentation.
+   *
+   * @method setNonRegisteredParameter
+   * @chainable
+   *
+   * @param parameter {Array} A two-position array specifying the two control bytes (0x63,
+   * 0x62) that identify the non-registered parameter.
+   *
+   * @param [data=[]] {Number|Array} An integer or an array of integers with a length of 1 or 2
+   * specifying the desired data.
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @returns {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.setNonRegisteredParameter = function(parameter, data, channel, options) {
 
-    } else if (
-      command === wm.MIDI_CHANNEL_MESSAGES.controlchange &&
-      data1 >= 0 && data1 <= 119
-    ) {
+    var that = this;
 
-      /**
-       * Event emitted when a control change MIDI message has been received on a specific device and
-       * channel.
-       *
-       * @event controlchange
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
-       * @param {String} event.type The type of event that occurred.
-       * @param {Object} event.controller
-       * @param {uint} event.controller.number The number of the controller.
-       * @param {String} event.controller.name The usual name or function of the controller.
-       * @param {uint} event.value The value received (between 0 and 127).
-       */
-      event.type = "controlchange";
-      event.controller = {
-        number: data1,
-        name: this.getCcNameByNumber(data1)
-      };
-      event.value = data2;
+    options = options || {};
 
-    } else if (
-      command === wm.MIDI_CHANNEL_MESSAGES.channelmode &&
-      data1 >= 120 && data1 <= 127
+    if (
+      !(parameter[0] >= 0 && parameter[0] <= 127) ||
+      !(parameter[1] >= 0 && parameter[1] <= 127)
     ) {
+      throw new Error(
+        "Position 0 and 1 of the 2-position parameter array must both be between 0 and 127."
+      );
+    }
 
-      /**
-       * Event emitted when a channel mode MIDI message has been received on a specific device and
-       * channel.
-       *
-       * @event channelmode
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
-       * @param {String} event.type The type of event that occurred.
-       * @param {Object} event.controller
-       * @param {uint} event.controller.number The number of the controller.
-       * @param {String} event.controller.name The usual name or function of the controller.
-       * @param {uint} event.value The value received (between 0 and 127).
-       */
-      event.type = "channelmode";
-      event.controller = {
-        number: data1,
-        name: this.getChannelModeByNumber(data1)
-      };
-      event.value = data2;
+    data = [].concat(data);
 
-    } else if (command === wm.MIDI_CHANNEL_MESSAGES.programchange) {
+    wm.toMIDIChannels(channel).forEach(function() {
+      that._selectNonRegisteredParameter(parameter, channel, options);
+      that._setCurrentRegisteredParameter(data, channel, options);
+      that._deselectRegisteredParameter(channel, options);
+    });
 
-      /**
-       * Event emitted when a program change MIDI message has been received on a specific device and
-       * channel.
-       *
-       * @event programchange
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
-       * @param {String} event.type The type of event that occurred.
-       * @param {uint} event.value The value received (between 0 and 127).
-       */
-      event.type = "programchange";
-      event.value = data1;
+    return this;
 
-    } else if (command === wm.MIDI_CHANNEL_MESSAGES.channelaftertouch) {
+  };
 
-      /**
-       * Event emitted when a channel-wide aftertouch MIDI message has been received on a specific
-       * device and channel.
-       *
-       * @event channelaftertouch
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
-       * @param {String} event.type The type of event that occurred.
-       * @param {Number} event.value The aftertouch value received (between 0 and 1).
-       */
-      event.type = "channelaftertouch";
-      event.value = data1 / 127;
+  /**
+   * Increments the specified MIDI registered parameter by 1.
+   *
+   * >Unless you are very familiar with the MIDI standard you probably should favour one of the
+   * >simpler to use functions such as: `setPitchbendRange()`, `setModulationRange()`,
+   * >`setMasterTuning()`, etc.
+   *
+   * Here is the full list of parameter names that can be used with this function:
+   *
+   *  * Pitchbend Range (0x00, 0x00): `pitchbendrange`
+   *  * Channel Fine Tuning (0x00, 0x01): `channelfinetuning`
+   *  * Channel Coarse Tuning (0x00, 0x02): `channelcoarsetuning`
+   *  * Tuning Program (0x00, 0x03): `tuningprogram`
+   *  * Tuning Bank (0x00, 0x04): `tuningbank`
+   *  * Modulation Range (0x00, 0x05): `modulationrange`
+   *  * Azimuth Angle (0x3D, 0x00): `azimuthangle`
+   *  * Elevation Angle (0x3D, 0x01): `elevationangle`
+   *  * Gain (0x3D, 0x02): `gain`
+   *  * Distance Ratio (0x3D, 0x03): `distanceratio`
+   *  * Maximum Distance (0x3D, 0x04): `maximumdistance`
+   *  * Maximum Distance Gain (0x3D, 0x05): `maximumdistancegain`
+   *  * Reference Distance Ratio (0x3D, 0x06): `referencedistanceratio`
+   *  * Pan Spread Angle (0x3D, 0x07): `panspreadangle`
+   *  * Roll Angle (0x3D, 0x08): `rollangle`
+   *
+   * @method incrementRegisteredParameter
+   * @chainable
+   *
+   * @param parameter {String|Array} A string identifying the parameter"s name (see above) or a
+   * two-position array specifying the two control bytes (0x65, 0x64) that identify the registered
+   * parameter.
+   *
+   * @param [channel=all] {uint|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws Error The specified parameter is not available.
+   *
+   * @returns {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.incrementRegisteredParameter = function(parameter, channel, options) {
 
-    } else if (command === wm.MIDI_CHANNEL_MESSAGES.pitchbend) {
+    var that = this;
 
-      /**
-       * Event emitted when a pitch bend MIDI message has been received on a specific device and
-       * channel.
-       *
-       * @event pitchbend
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {uint} event.channel The channel where the event occurred (between 1 and 16).
-       * @param {String} event.type The type of event that occurred.
-       * @param {Number} event.value The pitch bend value received (between -1 and 1).
-       */
-      event.type = "pitchbend";
-      event.value = ((data2 << 7) + data1 - 8192) / 8192;
-    } else {
-      event.type = "unknownchannelmessage";
+    options = options || {};
+
+    if ( !Array.isArray(parameter) ) {
+      if ( !wm.MIDI_REGISTERED_PARAMETER[parameter]) {
+        throw new Error("The specified parameter is not available.");
+      }
+      parameter = wm.MIDI_REGISTERED_PARAMETER[parameter];
     }
 
-    // If some callbacks have been defined for this event, on that device and channel, execute them.
-    if (
-      this._userHandlers.channel[event.type] &&
-      this._userHandlers.channel[event.type][channel]
-    ) {
+    wm.toMIDIChannels(channel).forEach(function() {
+      that._selectRegisteredParameter(parameter, channel, options);
+      that.sendControlChange(0x60, 0, channel, options);
+      that._deselectRegisteredParameter(channel, options);
+    });
 
-      this._userHandlers.channel[event.type][channel].forEach(
-        function(callback) { callback(event); }
-      );
-    }
+    return this;
 
   };
 
   /**
-   * Returns the name of a control change message matching the specified number. If no match is
-   * found, the function returns `undefined`.
+   * Decrements the specified MIDI registered parameter by 1.
    *
-   * @method getCcNameByNumber
+   * >Unless you are very familiar with the MIDI standard you probably should favour one of the
+   * >simpler to use functions such as: `setPitchbendRange()`, `setModulationRange()`,
+   * >`setMasterTuning()`, etc.
    *
-   * @param number {Number} The number of the control change message.
-   * @returns {String|undefined} The matching control change name or `undefined`.
+   * Here is the full list of parameter names that can be used with this function:
    *
-   * @throws RangeError The control change number must be between 0 and 119.
+   *  * Pitchbend Range (0x00, 0x00): `pitchbendrange`
+   *  * Channel Fine Tuning (0x00, 0x01): `channelfinetuning`
+   *  * Channel Coarse Tuning (0x00, 0x02): `channelcoarsetuning`
+   *  * Tuning Program (0x00, 0x03): `tuningprogram`
+   *  * Tuning Bank (0x00, 0x04): `tuningbank`
+   *  * Modulation Range (0x00, 0x05): `modulationrange`
+   *  * Azimuth Angle (0x3D, 0x00): `azimuthangle`
+   *  * Elevation Angle (0x3D, 0x01): `elevationangle`
+   *  * Gain (0x3D, 0x02): `gain`
+   *  * Distance Ratio (0x3D, 0x03): `distanceratio`
+   *  * Maximum Distance (0x3D, 0x04): `maximumdistance`
+   *  * Maximum Distance Gain (0x3D, 0x05): `maximumdistancegain`
+   *  * Reference Distance Ratio (0x3D, 0x06): `referencedistanceratio`
+   *  * Pan Spread Angle (0x3D, 0x07): `panspreadangle`
+   *  * Roll Angle (0x3D, 0x08): `rollangle`
    *
-   * @since 2.0.0
+   * @method decrementRegisteredParameter
+   * @chainable
+   *
+   * @param parameter {String|Array} A string identifying the parameter"s name (see above) or a
+   * two-position array specifying the two control bytes (0x65, 0x64) that identify the registered
+   * parameter.
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws TypeError The specified parameter is not available.
+   *
+   * @returns {Output} Returns the `Output` object so methods can be chained.
    */
-  Input.prototype.getCcNameByNumber = function(number) {
-
-    number = Math.floor(number);
-
-    if ( !(number >= 0 && number <= 119) ) {
-      throw new RangeError("The control change number must be between 0 and 119.");
-    }
+  Output.prototype.decrementRegisteredParameter = function(parameter, channel, options) {
 
-    for (var cc in wm.MIDI_CONTROL_CHANGE_MESSAGES) {
+    options = options || {};
 
-      if (
-        Object.prototype.hasOwnProperty.call(wm.MIDI_CONTROL_CHANGE_MESSAGES, cc) &&
-        number === wm.MIDI_CONTROL_CHANGE_MESSAGES[cc]
-      ) {
-        return cc;
+    if ( !Array.isArray(parameter) ) {
+      if ( !wm.MIDI_REGISTERED_PARAMETER[parameter]) {
+        throw new TypeError("The specified parameter is not available.");
       }
-
+      parameter = wm.MIDI_REGISTERED_PARAMETER[parameter];
     }
 
-    return undefined;
+    wm.toMIDIChannels(channel).forEach(function() {
+      this._selectRegisteredParameter(parameter, channel, options);
+      this.sendControlChange(0x61, 0, channel, options);
+      this._deselectRegisteredParameter(channel, options);
+    }.bind(this));
+
+    return this;
 
   };
 
   /**
-   * Returns the channel mode name matching the specified number. If no match is found, the function
-   * returns `undefined`.
+   * Sends a pitch bend range message to the specified channel(s) at the scheduled time so that they
+   * adjust the range used by their pitch bend lever. The range can be specified with the
+   * `semitones` parameter, the `cents` parameter or by specifying both parameters at the same time.
    *
-   * @method getChannelModeByNumber
+   * @method setPitchBendRange
+   * @chainable
    *
-   * @param number {Number} The number of the channel mode message.
-   * @returns {String|undefined} The matching channel mode message"s name or `undefined`;
+   * @param [semitones=0] {Number} The desired adjustment value in semitones (integer between
+   * 0-127). While nothing imposes that in the specification, it is very common for manufacturers to
+   * limit the range to 2 octaves (-12 semitones to 12 semitones).
    *
-   * @throws RangeError The channel mode number must be between 120 and 127.
+   * @param [cents=0] {Number} The desired adjustment value in cents (integer between 0-127).
    *
-   * @since 2.0.0
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws {RangeError} The semitones value must be between 0 and 127.
+   * @throws {RangeError} The cents value must be between 0 and 127.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
    */
-  Input.prototype.getChannelModeByNumber = function(number) {
+  Output.prototype.setPitchBendRange = function(semitones, cents, channel, options) {
 
-    number = Math.floor(number);
+    var that = this;
 
-    if ( !(number >= 120 && status <= 127) ) {
-      throw new RangeError("The control change number must be between 120 and 127.");
+    options = options || {};
+
+    semitones = Math.floor(semitones) || 0;
+    if ( !(semitones >= 0 && semitones <= 127) ) {
+      throw new RangeError("The semitones value must be between 0 and 127");
     }
 
-    for (var cm in wm.MIDI_CHANNEL_MODE_MESSAGES) {
+    cents = Math.floor(cents) || 0;
+    if ( !(cents >= 0 && cents <= 127) ) {
+      throw new RangeError("The cents value must be between 0 and 127");
+    }
 
-      if (
-        Object.prototype.hasOwnProperty.call(wm.MIDI_CHANNEL_MODE_MESSAGES, cm) &&
-        number === wm.MIDI_CHANNEL_MODE_MESSAGES[cm]
-      ) {
-        return cm;
-      }
+    wm.toMIDIChannels(channel).forEach(function(ch) {
+      that.setRegisteredParameter(
+        "pitchbendrange", [semitones, cents], channel, options
+      );
+      that._pitchBendRanges[ch] = semitones + cents / 100;
+    });
 
-    }
+    return this;
 
   };
 
   /**
-   * @method _parseSystemEvent
-   * @protected
+   * Sends a modulation depth range message to the specified channel(s) so that they adjust the
+   * depth of their modulation wheel"s range. The range can be specified with the `semitones`
+   * parameter, the `cents` parameter or by specifying both parameters at the same time.
+   *
+   * @method setModulationRange
+   * @chainable
+   *
+   * @param [semitones=0] {Number} The desired adjustment value in semitones (integer between
+   * 0-127).
+   *
+   * @param [cents=0] {Number} The desired adjustment value in cents (0-127).
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws {RangeError} The semitones value must be between 0 and 127.
+   * @throws {RangeError} The cents value must be between 0 and 127.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
    */
-  Input.prototype._parseSystemEvent = function(e) {
-
-    var command = e.data[0];
-
-    // Returned event
-    var event = {
-      target: this,
-      data: e.data,
-      timestamp: e.timeStamp
-    };
-
-    if (command === wm.MIDI_SYSTEM_MESSAGES.sysex) {
-
-      /**
-       * Event emitted when a system exclusive MIDI message has been received. You should note that,
-       * to receive `sysex` events, you must call the `WebMidi.enable()` method with a second
-       * parameter set to `true`:
-       *
-       *     WebMidi.enable(function(err) {
-       *
-       *        if (err) {
-       *          console.log("WebMidi could not be enabled.");
-       *        }
-       *
-       *        var input = WebMidi.inputs[0];
-       *
-       *        input.addListener("sysex", "all", function (e) {
-       *          console.log(e);
-       *        });
-       *
-       *     }, true);
-       *
-       * @event sysex
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type The type of event that occurred.
-       *
-       */
-      event.type = "sysex";
-
-    } else if (command === wm.MIDI_SYSTEM_MESSAGES.timecode) {
-
-      /**
-       * Event emitted when a system MIDI time code quarter frame message has been received.
-       *
-       * @event timecode
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type The type of event that occurred.
-       */
-      event.type = "timecode";
+  Output.prototype.setModulationRange = function(semitones, cents, channel, options) {
 
-    } else if (command === wm.MIDI_SYSTEM_MESSAGES.songposition) {
+    var that = this;
 
-      /**
-       * Event emitted when a system song position pointer MIDI message has been received.
-       *
-       * @event songposition
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type The type of event that occurred.
-       */
-      event.type = "songposition";
+    options = options || {};
 
-    } else if (command === wm.MIDI_SYSTEM_MESSAGES.songselect) {
+    semitones = Math.floor(semitones) || 0;
+    if ( !(semitones >= 0 && semitones <= 127) ) {
+      throw new RangeError("The semitones value must be between 0 and 127");
+    }
 
-      /**
-       * Event emitted when a system song select MIDI message has been received.
-       *
-       * @event songselect
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type The type of event that occurred.
-       * @param {String} event.song Song (or sequence) number to select.
-       */
-      event.type = "songselect";
-      event.song = e.data[1];
+    cents = Math.floor(cents) || 0;
+    if ( !(cents >= 0 && cents <= 127) ) {
+      throw new RangeError("The cents value must be between 0 and 127");
+    }
 
-    } else if (command === wm.MIDI_SYSTEM_MESSAGES.tuningrequest) {
+    wm.toMIDIChannels(channel).forEach(function() {
+      that.setRegisteredParameter(
+        "modulationrange", [semitones, cents], channel, options
+      );
+    });
 
-      /**
-       * Event emitted when a system tune request MIDI message has been received.
-       *
-       * @event tuningrequest
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit
-       *                                    values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type         The type of event that occurred.
-       */
-      event.type = "tuningrequest";
+    return this;
 
-    } else if (command === wm.MIDI_SYSTEM_MESSAGES.clock) {
+  };
 
-      /**
-       * Event emitted when a system timing clock MIDI message has been received.
-       *
-       * @event clock
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit
-       *                                    values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type         The type of event that occurred.
-       */
-      event.type = "clock";
+  /**
+   * Sends a master tuning message to the specified channel(s). The value is decimal and must be
+   * larger than -65 semitones and smaller than 64 semitones.
+   *
+   * >Because of the way the MIDI specification works, the decimal portion of the value will be
+   * >encoded with a resolution of 14bit. The integer portion must be between -64 and 63
+   * >inclusively. For those familiar with the MIDI protocol, this function actually generates
+   * >**Master Coarse Tuning** and **Master Fine Tuning** RPN messages.
+   *
+   * @method setMasterTuning
+   * @chainable
+   *
+   * @param [value=0.0] {Number} The desired decimal adjustment value in semitones (-65 < x < 64)
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws {RangeError} The value must be a decimal number between larger than -65 and smaller
+   * than 64.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.setMasterTuning = function(value, channel, options) {
 
-    } else if (command === wm.MIDI_SYSTEM_MESSAGES.start) {
+    var that = this;
 
-      /**
-       * Event emitted when a system start MIDI message has been received.
-       *
-       * @event start
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit
-       *                                    values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type         The type of event that occurred.
-       */
-      event.type = "start";
+    options = options || {};
 
-    } else if (command === wm.MIDI_SYSTEM_MESSAGES.continue) {
+    value = parseFloat(value) || 0.0;
 
-      /**
-       * Event emitted when a system continue MIDI message has been received.
-       *
-       * @event continue
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit
-       *                                    values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type         The type of event that occurred.
-       */
-      event.type = "continue";
+    if (value <= -65 || value >= 64) {
+      throw new RangeError(
+        "The value must be a decimal number larger than -65 and smaller than 64."
+      );
+    }
 
-    } else if (command === wm.MIDI_SYSTEM_MESSAGES.stop) {
+    var coarse = Math.floor(value) + 64;
+    var fine = value - Math.floor(value);
 
-      /**
-       * Event emitted when a system stop MIDI message has been received.
-       *
-       * @event stop
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit
-       *                                    values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type         The type of event that occurred.
-       */
-      event.type = "stop";
+    // Calculate MSB and LSB for fine adjustment (14bit resolution)
+    fine = Math.round((fine + 1) / 2 * 16383);
+    var msb = (fine >> 7) & 0x7F;
+    var lsb = fine & 0x7F;
 
-    } else if (command === wm.MIDI_SYSTEM_MESSAGES.activesensing) {
+    wm.toMIDIChannels(channel).forEach(function() {
+      that.setRegisteredParameter("channelcoarsetuning", coarse, channel, options);
+      that.setRegisteredParameter("channelfinetuning", [msb, lsb], channel, options);
+    });
 
-      /**
-       * Event emitted when a system active sensing MIDI message has been received.
-       *
-       * @event activesensing
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type         The type of event that occurred.
-       */
-      event.type = "activesensing";
+    return this;
 
-    } else if (command === wm.MIDI_SYSTEM_MESSAGES.reset) {
+  };
 
-      /**
-       * Event emitted when a system reset MIDI message has been received.
-       *
-       * @event reset
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data     The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type         The type of event that occurred.
-       */
-      event.type = "reset";
+  /**
+   * Sets the MIDI tuning program to use. Note that the **Tuning Program** parameter is part of the
+   * *MIDI Tuning Standard*, which is not widely implemented.
+   *
+   * @method setTuningProgram
+   * @chainable
+   *
+   * @param value {Number} The desired tuning program (0-127).
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws {RangeError} The program value must be between 0 and 127.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   */
+  Output.prototype.setTuningProgram = function(value, channel, options) {
 
-    } else {
+    var that = this;
 
-      /**
-       * Event emitted when an unknown system MIDI message has been received. It could be, for
-       * example, one of the undefined/reserved messages.
-       *
-       * @event unknownsystemmessage
-       *
-       * @param {Object} event
-       * @param {Input} event.target The `Input` that triggered the event.
-       * @param {Uint8Array} event.data The raw MIDI message as an array of 8 bit values.
-       * @param {Number} event.timestamp The time when the event occurred (in milliseconds)
-       * @param {String} event.type The type of event that occurred.
-       */
-      event.type = "unknownsystemmessage";
+    options = options || {};
 
+    value = Math.floor(value);
+    if ( !(value >= 0 && value <= 127) ) {
+      throw new RangeError("The program value must be between 0 and 127");
     }
 
-    // If some callbacks have been defined for this event, execute them.
-    if (this._userHandlers.system[event.type]) {
-      this._userHandlers.system[event.type].forEach(
-        function(callback) { callback(event); }
-      );
-    }
+    wm.toMIDIChannels(channel).forEach(function() {
+      that.setRegisteredParameter("tuningprogram", value, channel, options);
+    });
+
+    return this;
 
   };
 
   /**
-   * The `Output` object represents a MIDI output port on the host system. This object is created by
-   * the MIDI subsystem and cannot be instantiated directly.
+   * Sets the MIDI tuning bank to use. Note that the **Tuning Bank** parameter is part of the
+   * *MIDI Tuning Standard*, which is not widely implemented.
    *
-   * You will find all available `Output` objects in the `WebMidi.outputs` array.
+   * @method setTuningBank
+   * @chainable
    *
-   * @class Output
-   * @param {MIDIOutput} midiOutput Actual `MIDIOutput` object as defined by the MIDI subsystem
+   * @param value {Number} The desired tuning bank (0-127).
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
+   * things. If the value is a string starting with the + sign and followed by a number, the request
+   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
+   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
+   * is relative to the navigation start of the document. To retrieve the current time, you can use
+   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws {RangeError} The bank value must be between 0 and 127.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
    */
-  function Output(midiOutput) {
+  Output.prototype.setTuningBank = function(value, channel, options) {
 
     var that = this;
 
-    this._midiOutput = midiOutput;
+    options = options || {};
 
-    Object.defineProperties(this, {
+    value = Math.floor(value) || 0;
+    if ( !(value >= 0 && value <= 127) ) {
+      throw new RangeError("The bank value must be between 0 and 127");
+    }
 
-      /**
-       * [read-only] Status of the MIDI port"s connection
-       *
-       * @property connection
-       * @type String
-       */
-      connection: {
-        enumerable: true,
-        get: function () {
-          return that._midiOutput.connection;
-        }
-      },
+    wm.toMIDIChannels(channel).forEach(function() {
+      that.setRegisteredParameter("tuningbank", value, channel, options);
+    });
 
-      /**
-       * [read-only] ID string of the MIDI port
-       *
-       * @property id
-       * @type String
-       */
-      id: {
-        enumerable: true,
-        get: function () {
-          return that._midiOutput.id;
-        }
-      },
+    return this;
 
-      /**
-       * [read-only] Manufacturer of the device to which this port belongs
-       *
-       * @property manufacturer
-       * @type String
-       */
-      manufacturer: {
-        enumerable: true,
-        get: function () {
-          return that._midiOutput.manufacturer;
-        }
-      },
+  };
 
-      /**
-       * [read-only] Name of the MIDI port
-       *
-       * @property name
-       * @type String
-       */
-      name: {
-        enumerable: true,
-        get: function () {
-          return that._midiOutput.name;
-        }
-      },
+  /**
+   * Uploads a complete tuning to the device with a *MIDI Tuning Standard* bulk tuning dump (a
+   * non-real-time system exclusive message). The tuning is stored in the specified tuning program
+   * (and bank) which can then be selected with
+   * {{#crossLink "Output/setTuningProgram:method"}}setTuningProgram(){{/crossLink}} and
+   * {{#crossLink "Output/setTuningBank:method"}}setTuningBank(){{/crossLink}}. Sysex messages must
+   * be enabled.
+   *
+   * The tuning is an array holding the pitch of each of the 128 MIDI notes. By default, pitches are
+   * fractional MIDI note numbers (e.g. 60.5 is a quarter tone above middle C). The `units` option
+   * makes it possible to use deviations from equal temperament (in cents) or frequencies instead.
+   * Notes whose pitch is `undefined` or `null` keep their current tuning.
+   *
+   * ```js
+   * // Quarter-tone flat A (and all the other notes in equal temperament), from frequencies
+   * var tuning = [];
+   * for (var note = 0; note < 128; note++) tuning.push(440 * Math.pow(2, (note - 69) / 12));
+   * tuning[69] = 427.47;
+   * WebMidi.outputs[0].sendTuningDump(tuning, {units: "hz", program: 1, name: "Flat A"});
+   * ```
+   *
+   * @method sendTuningDump
+   * @chainable
+   *
+   * @param tuning {Array} The pitch of the 128 MIDI notes (missing notes keep their tuning).
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {String} [options.units="notes"] The units of the pitches: `notes` (fractional MIDI
+   * note numbers), `cents` (deviation from equal temperament) or `hz` (frequencies, with A4 at
+   * 440 Hz).
+   *
+   * @param {Number} [options.program=0] The tuning program to store the tuning in (0-127).
+   *
+   * @param {Number} [options.bank=undefined] The tuning bank to store the tuning in (0-127). If it
+   * is not specified, the older form of the message (without bank) is used.
+   *
+   * @param {String} [options.name=""] The name of the tuning (up to 16 ASCII characters).
+   *
+   * @param {Number} [options.deviceId=127] The ID of the targeted device (127 means all devices).
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to send the message (see
+   * {{#crossLink "Output/send:method"}}send(){{/crossLink}}).
+   *
+   * @throws {Error} Sysex message support must first be activated.
+   * @throws {TypeError} The tuning must be an array of up to 128 pitches.
+   * @throws {TypeError} The units must be 'notes', 'cents' or 'hz'.
+   * @throws {RangeError} The pitches must be between MIDI notes 0 and 127.99.
+   * @throws {RangeError} The tuning program must be between 0 and 127.
+   * @throws {RangeError} The tuning bank must be between 0 and 127.
+   * @throws {RangeError} The device ID must be between 0 and 127.
+   *
+   * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
+   */
+  Output.prototype.sendTuningDump = function(tuning, options) {
+
+    options = options || {};
+
+    if (!Array.isArray(tuning) || tuning.length > 128) {
+      throw new TypeError("The tuning must be an array of up to 128 pitches.");
+    }
+
+    var data = this._getMtsProgram(options),
+      name = options.name === undefined ? "" : String(options.name);
 
-      /**
-       * [read-only] State of the MIDI port
-       *
-       * @property state
-       * @type String
-       */
-      state: {
-        enumerable: true,
-        get: function () {
-          return that._midiOutput.state;
-        }
-      },
+    // The name is padded with spaces. Characters that are not printable ASCII are replaced by "?".
+    for (var i = 0; i < 16; i++) {
+      var code = i < name.length ? name.charCodeAt(i) : 0x20;
+      data.push(code >= 0x20 && code <= 0x7E ? code : 0x3F);
+    }
 
-      /**
-       * [read-only] Type of the MIDI port (`output`)
-       *
-       * @property type
-       * @type String
-       */
-      type: {
-        enumerable: true,
-        get: function () {
-          return that._midiOutput.type;
-        }
-      }
+    for (var note = 0; note < 128; note++) {
+      data = data.concat(this._encodeMtsPitch(tuning[note], note, options.units));
+    }
 
-    });
+    return this._sendMts(false, options.bank === undefined ? 0x01 : 0x04, data, options);
 
-  }
+  };
 
   /**
-   * Sends a MIDI message on the MIDI output port, at the scheduled timestamp.
+   * Changes the tuning of individual notes with a *MIDI Tuning Standard* single note tuning change
+   * message. By default, the real-time form of the message is used so the change applies
+   * immediately, even to the notes that are sounding. Sysex messages must be enabled.
+   *
+   * The changes are an array of objects with `note` and `pitch` properties. By default, the pitch
+   * is a fractional MIDI note number. The `units` option makes it possible to use deviations from
+   * equal temperament (in cents) or frequencies instead.
+   *
+   * ```js
+   * // Raise E4 and B4 by a quarter tone
+   * WebMidi.outputs[0].sendNoteTuning(
+   *   [{note: 64, pitch: 50}, {note: 71, pitch: 50}],
+   *   {units: "cents"}
+   * );
+   * ```
+   *
+   * @method sendNoteTuning
+   * @chainable
    *
-   * Unless, you are familiar with the details of the MIDI message format, you should not use this
-   * method directly. Instead, use one of the simpler helper methods: `playNote()`, `stopNote()`,
-   * `sendControlChange()`, `sendSystemMessage()`, etc.
+   * @param changes {Array} An array of objects with `note` (0-127) and `pitch` properties.
    *
-   * @method send
-   * @chainable
+   * @param {Object} [options={}]
    *
-   * @param status {Number} The MIDI status byte of the message (128-255).
+   * @param {String} [options.units="notes"] The units of the pitches: `notes` (fractional MIDI
+   * note numbers), `cents` (deviation from equal temperament) or `hz` (frequencies, with A4 at
+   * 440 Hz).
    *
-   * @param [data=[]] {Array} An array of uints for the message. The number of data bytes varies
-   * depending on the status byte. It is perfectly legal to send no data for some message types (use
-   * undefined or an empty array in this case). Each byte must be between 0 and 255.
+   * @param {Number} [options.program=0] The tuning program to change (0-127).
    *
-   * @param [timestamp=0] {DOMHighResTimeStamp} The timestamp at which to send the message. You can
-   * use `WebMidi.time` to retrieve the current timestamp. To send immediately, leave blank or use
-   * 0.
+   * @param {Number} [options.bank=undefined] The tuning bank to change (0-127). If it is not
+   * specified, the older form of the real-time message (without bank) is used.
    *
-   * @throws {RangeError} The status byte must be an integer between 128 (0x80) and 255 (0xFF).
-   * @throws {RangeError} Data bytes must be integers between 0 (0x00) and 255 (0x7F).
+   * @param {Boolean} [options.realtime=true] Whether to send the real-time form of the message
+   * (applying to sounding notes) or the non-real-time form (applying to the next notes).
+   *
+   * @param {Number} [options.deviceId=127] The ID of the targeted device (127 means all devices).
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to send the message (see
+   * {{#crossLink "Output/send:method"}}send(){{/crossLink}}).
+   *
+   * @throws {Error} Sysex message support must first be activated.
+   * @throws {TypeError} The changes must be an array.
+   * @throws {TypeError} The units must be 'notes', 'cents' or 'hz'.
+   * @throws {RangeError} The note number must be between 0 and 127.
+   * @throws {RangeError} The pitches must be between MIDI notes 0 and 127.99.
+   * @throws {RangeError} The tuning program must be between 0 and 127.
+   * @throws {RangeError} The tuning bank must be between 0 and 127.
+   * @throws {RangeError} The device ID must be between 0 and 127.
    *
    * @return {Output} Returns the `Output` object so methods can be chained.
+   *
+   * @since 2.6.0
    */
-  Output.prototype.send = function(status, data, timestamp) {
+  Output.prototype.sendNoteTuning = function(changes, options) {
 
-    if ( !(status >= 128 && status <= 255) ) {
-      throw new RangeError("The status byte must be an integer between 128 (0x80) and 255 (0xFF).");
-    }
+    var that = this;
 
-    if (data === undefined) data = [];
-    if ( !Array.isArray(data) ) data = [data];
+    options = options || {};
 
-    var message = [];
+    if (!Array.isArray(changes)) throw new TypeError("The changes must be an array.");
 
-    data.forEach(function(item){
+    // The non-real-time message only exists in the form with a bank
+    var realtime = options.realtime !== false,
+      banked = options.bank !== undefined || !realtime,
+      program = this._getMtsProgram(
+        {program: options.program, bank: banked ? options.bank || 0 : undefined}
+      );
 
-      var parsed = Math.floor(item); // mandatory because of "null"
+    var bytes = changes.map(function(change) {
 
-      if (parsed >= 0 && parsed <= 255) {
-        message.push(parsed);
-      } else {
-        throw new RangeError("Data bytes must be integers between 0 (0x00) and 255 (0xFF).");
+      var note = Math.floor(change && change.note);
+
+      if ( !(note >= 0 && note <= 127) ) {
+        throw new RangeError("The note number must be between 0 and 127.");
       }
 
+      return [note].concat(that._encodeMtsPitch(change.pitch, note, options.units));
+
     });
 
-    this._midiOutput.send([status].concat(message), parseFloat(timestamp) || 0);
+    // A message holds 127 changes at most
+    for (var i = 0; i < bytes.length; i += 127) {
+
+      var chunk = bytes.slice(i, i + 127),
+        data = program.concat(chunk.length);
+
+      chunk.forEach(function(change) { data = data.concat(change); });
+
+      this._sendMts(realtime, banked ? 0x07 : 0x02, data, options);
+
+    }
 
     return this;
 
   };
 
   /**
-   * Sends a MIDI *system exclusive* (sysex) message. The generated message will automatically be
-   * prepended with the *sysex* byte (0xF0) and terminated with the *end of sysex* byte (0xF7).
+   * Tunes the 12 notes of the octave with a *MIDI Tuning Standard* scale/octave tuning message.
+   * The same offsets apply to every octave of the specified channels. Sysex messages must be
+   * enabled.
+   *
+   * The 1-byte form of the message has a resolution of 1 cent and a range of -64 to +63 cents. The
+   * 2-byte form has a resolution of about 0.012 cent and a range of -100 to +100 cents.
+   *
+   * ```js
+   * // Quarter-comma meantone, from C
+   * WebMidi.outputs[0].sendScaleTuning(
+   *   [10.3, -13.7, 3.4, 20.5, -3.4, 13.7, -10.3, 6.8, -17.1, 0, 17.1, -6.8],
+   *   "all",
+   *   {resolution: 2}
+   * );
+   * ```
+   *
+   * @method sendScaleTuning
+   * @chainable
    *
-   * To use the `sendSysex()` method, system exclusive message support must have been enabled. To
-   * do so, you must pass `true` as the second parameter to `WebMidi.enable()`:
+   * @param offsets {Array} The deviation from equal temperament of the 12 notes of the octave (C to
+   * B), in cents.
    *
-   *     WebMidi.enable(function (err) {
-   *         if (err) {
-   *             console.warn(err);
-   *         } else {
-   *             console.log("Sysex is enabled!");
-   *         }
-   *     }, true);
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the tuning applies to all 16
+   * channels.
    *
-   * Note that, depending on browser, version and platform, it may be necessary to serve the page
-   * over HTTPS to enable sysex support.
+   * @param {Object} [options={}]
    *
-   * #### Examples
+   * @param {Number} [options.resolution=1] The form of the message: 1 byte or 2 bytes per note.
    *
-   * If you want to send a sysex message to a Korg device connected to the first output, you would
-   * use the following code:
+   * @param {Boolean} [options.realtime=true] Whether to send the real-time form of the message
+   * (applying to sounding notes) or the non-real-time form (applying to the next notes).
    *
-   *     WebMidi.outputs[0].sendSysex(0x42, [0x1, 0x2, 0x3, 0x4, 0x5]);
+   * @param {Number} [options.deviceId=127] The ID of the targeted device (127 means all devices).
    *
-   * The parameters can be specified using any number notation (decimal, hex, binary, etc.).
-   * Therefore, the code below is equivalent to the code above:
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to send the message (see
+   * {{#crossLink "Output/send:method"}}send(){{/crossLink}}).
    *
-   *     WebMidi.outputs[0].sendSysex(66, [1, 2, 3, 4, 5]);
+   * @throws {Error} Sysex message support must first be activated.
+   * @throws {TypeError} The offsets must be an array of 12 numbers.
+   * @throws {RangeError} The resolution must be 1 or 2.
+   * @throws {RangeError} The offsets are out of range.
+   * @throws {RangeError} The device ID must be between 0 and 127.
    *
-   * The above code sends the byte values 1, 2, 3, 4 and 5 to Korg devices (hex 42 is the same as
-   * decimal 66).
+   * @return {Output} Returns the `Output` object so methods can be chained.
    *
-   * Some manufacturers are identified using 3 bytes. In this case, you would use a 3-position array
-   * as the first parameter. For example, to send the same sysex message to a
-   * *Native Instruments* device:
+   * @since 2.6.0
+   */
+  Output.prototype.sendScaleTuning = function(offsets, channel, options) {
+
+    options = options || {};
+
+    var resolution = options.resolution === undefined ? 1 : options.resolution,
+      mask = 0;
+
+    if (resolution !== 1 && resolution !== 2) {
+      throw new RangeError("The resolution must be 1 or 2.");
+    }
+
+    if (!Array.isArray(offsets) || offsets.length !== 12) {
+      throw new TypeError("The offsets must be an array of 12 numbers.");
+    }
+
+    wm.toMIDIChannels(channel).forEach(function(ch) { mask |= 1 << (ch - 1); });
+
+    // Channels 15-16, 8-14 and 1-7
+    var data = [(mask >> 14) & 0x03, (mask >> 7) & 0x7F, mask & 0x7F];
+
+    offsets.forEach(function(offset) {
+
+      var value = resolution === 1 ?
+        Math.round(offset) + 64 :
+        Math.round(offset / 100 * 8192) + 8192;
+
+      if ( !(value >= 0 && value <= (resolution === 1 ? 127 : 16383)) ) {
+        throw new RangeError("The offsets are out of range.");
+      }
+
+      if (resolution === 1) {
+        data.push(value);
+      } else {
+        data.push(value >> 7, value & 0x7F);
+      }
+
+    });
+
+    return this._sendMts(
+      options.realtime !== false, resolution === 1 ? 0x08 : 0x09, data, options
+    );
+
+  };
+
+  /**
+   * Returns the program (preceded by the bank, if any) of a *MIDI Tuning Standard* message.
    *
-   *     WebMidi.outputs[0].sendSysex([0x00, 0x21, 0x09], [0x1, 0x2, 0x3, 0x4, 0x5]);
+   * @method _getMtsProgram
+   * @param options {Object} An object with `program` and `bank` properties.
+   * @returns {Array}
+   * @protected
+   */
+  Output.prototype._getMtsProgram = function(options) {
+
+    var program = options.program === undefined ? 0 : Math.floor(options.program),
+      bank = options.bank === undefined ? undefined : Math.floor(options.bank);
+
+    if ( !(program >= 0 && program <= 127) ) {
+      throw new RangeError("The tuning program must be between 0 and 127.");
+    }
+
+    if (bank === undefined) return [program];
+
+    if ( !(bank >= 0 && bank <= 127) ) {
+      throw new RangeError("The tuning bank must be between 0 and 127.");
+    }
+
+    return [bank, program];
+
+  };
+
+  /**
+   * Returns the 3 bytes encoding a pitch in *MIDI Tuning Standard* messages: the semitone and a
+   * 14-bit fraction of semitone. `7F 7F 7F` (no change) is returned for `undefined` or `null`.
    *
-   * There is no limit for the length of the data array. However, it is generally suggested to keep
-   * system exclusive messages to 64Kb or less.
+   * @method _encodeMtsPitch
+   * @param pitch {Number} The pitch, in the specified units.
+   * @param note {Number} The note being tuned (used to convert deviations in cents).
+   * @param [units="notes"] {String} `notes`, `cents` or `hz`.
+   * @returns {Array}
+   * @protected
+   */
+  Output.prototype._encodeMtsPitch = function(pitch, note, units) {
+
+    if (units !== undefined && ["notes", "cents", "hz"].indexOf(units) < 0) {
+      throw new TypeError("The units must be 'notes', 'cents' or 'hz'.");
+    }
+
+    if (pitch === undefined || pitch === null) return [0x7F, 0x7F, 0x7F];
+
+    if (units === "cents") {
+      pitch = note + pitch / 100;
+    } else if (units === "hz") {
+      pitch = 69 + 12 * Math.log(pitch / 440) / Math.LN2;
+    }
+
+    var semitone = Math.floor(pitch),
+      fraction = Math.round((pitch - semitone) * 16384);
+
+    if (fraction === 16384) {
+      semitone++;
+      fraction = 0;
+    }
+
+    if ( !(semitone >= 0 && semitone <= 127) || (semitone === 127 && fraction === 16383) ) {
+      throw new RangeError("The pitches must be between MIDI notes 0 and 127.99.");
+    }
+
+    return [semitone, fraction >> 7, fraction & 0x7F];
+
+  };
+
+  /**
+   * Sends a *MIDI Tuning Standard* message. Bulk tuning dumps end with a checksum.
    *
-   * @method sendSysex
-   * @chainable
+   * @method _sendMts
+   * @param realtime {Boolean} Whether to send a real-time or a non-real-time message.
+   * @param subId2 {Number} The second sub-ID of the message.
+   * @param data {Array} The data following the sub-IDs.
+   * @param options {Object} The `deviceId` and `time` options.
+   * @returns {Output}
+   * @protected
+   */
+  Output.prototype._sendMts = function(realtime, subId2, data, options) {
+
+    var manufacturer = realtime ? 0x7F : 0x7E,
+      deviceId = options.deviceId === undefined ? 0x7F : Math.floor(options.deviceId);
+
+    if ( !(deviceId >= 0 && deviceId <= 127) ) {
+      throw new RangeError("The device ID must be between 0 and 127.");
+    }
+
+    data = [deviceId, 0x08, subId2].concat(data);
+
+    if (subId2 === 0x01 || subId2 === 0x04) {
+      data.push(data.reduce(function(checksum, byte) { return checksum ^ byte; }, manufacturer));
+    }
+
+    return this.sendSysex(manufacturer, data, this._copyOptions(options));
+
+  };
+
+  /**
+   * Sends a MIDI `channel mode` message to the specified channel(s). The channel mode message to
+   * send can be specified numerically or by using one of the following common names:
    *
-   * @param manufacturer {Number|Array} An unsigned integer or an array of three unsigned integers
-   * between 0 and 127 that identify the targeted manufacturer. The *MIDI Manufacturers Association*
-   * maintains a full list of
-   * [Manufacturer ID Numbers](https://www.midi.org/specifications-old/item/manufacturer-id-numbers)
-   * .
+   *   * `allsoundoff` (#120)
+   *   * `resetallcontrollers` (#121)
+   *   * `localcontrol` (#122)
+   *   * `allnotesoff` (#123)
+   *   * `omnimodeoff` (#124)
+   *   * `omnimodeon` (#125)
+   *   * `monomodeon` (#126)
+   *   * `polymodeon` (#127)
    *
-   * @param [data=[]] {Array} An array of uints between 0 and 127. This is the data you wish to
-   * transfer.
+   * It should be noted that, per the MIDI specification, only `localcontrol` and `monomodeon` may
+   * require a value that"s not zero. For that reason, the `value` parameter is optional and
+   * defaults to 0.
    *
-   * @param {Object} [options={}]
+   * @method sendChannelMode
+   * @chainable
    *
+   * @param command {Number|String} The numerical identifier of the channel mode message (integer
+   * between 120-127) or its name as a string.
+   * @param [value=0] {Number} The value to send (integer between 0-127).
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
+   * @param {Object} [options={}]
    * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
    * things. If the value is a string starting with the + sign and followed by a number, the request
    * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
    * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
    * is relative to the navigation start of the document. To retrieve the current time, you can use
    * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
    *
-   * @throw Sysex message support must first be activated.
-   * @throw The data bytes of a sysex message must be integers between 0 (0x00) and 127 (0x7F).
+   * @throws {TypeError} Invalid channel mode message name.
+   * @throws {RangeError} Channel mode controller numbers must be between 120 and 127.
+   * @throws {RangeError} Value must be an integer between 0 and 127.
    *
    * @return {Output} Returns the `Output` object so methods can be chained.
+   *
    */
-  Output.prototype.sendSysex = function(manufacturer, data, options) {
-
-    if (!wm.sysexEnabled) {
-      throw new Error("Sysex message support must first be activated.");
-    }
+  Output.prototype.sendChannelMode = function(command, value, channel, options) {
 
     options = options || {};
 
-    manufacturer = [].concat(manufacturer);
+    if (typeof command === "string") {
 
-    data.forEach(function(item){
-      if (item < 0 || item > 127) {
-        throw new RangeError(
-          "The data bytes of a sysex message must be integers between 0 (0x00) and 127 (0x7F)."
-        );
+      command = wm.MIDI_CHANNEL_MODE_MESSAGES[command];
+
+      if (!command) {
+        throw new TypeError("Invalid channel mode message name.");
       }
-    });
 
-    data = manufacturer.concat(data, wm.MIDI_SYSTEM_MESSAGES.sysexend);
-    this.send(wm.MIDI_SYSTEM_MESSAGES.sysex, data, this._parseTimeParameter(options.time));
+    } else {
+
+      command = Math.floor(command);
+
+      if ( !(command >= 120 && command <= 127) ) {
+        throw new RangeError("Channel mode numerical identifiers must be between 120 and 127.");
+      }
+
+    }
+
+    value = Math.floor(value) || 0;
+
+    if (value < 0 || value > 127) {
+      throw new RangeError("Value must be an integer between 0 and 127.");
+    }
+
+    wm.toMIDIChannels(channel).forEach(function(ch) {
+
+      this.send(
+        (wm.MIDI_CHANNEL_MESSAGES.channelmode << 4) + (ch - 1),
+        [command, value],
+        this._parseTimeParameter(options.time),
+        options
+      );
+
+    }.bind(this));
 
     return this;
 
   };
 
   /**
-   * Sends a *MIDI Timecode Quarter Frame* message. Please note that no processing is being done on
-   * the data. It is up to the developer to format the data according to the
-   * [MIDI Timecode](https://en.wikipedia.org/wiki/MIDI_timecode) format.
+   * Sends a MIDI `program change` message to the specified channel(s) at the scheduled time.
    *
-   * @method sendTimecodeQuarterFrame
+   * @method sendProgramChange
    * @chainable
    *
-   * @param value {Number} The quarter frame message content (integer between 0 and 127).
+   * @param program {Number} The MIDI patch (program) number (0-127)
+   *
+   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
    *
    * @param {Object} [options={}]
    *
@@ -2717,24 +10080,51 @@
    * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
    * is relative to the navigation start of the document. To retrieve the current time, you can use
    * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
+   *
+   * @throws {RangeError} Program numbers must be between 0 and 127.
    *
    * @return {Output} Returns the `Output` object so methods can be chained.
+   *
    */
-  Output.prototype.sendTimecodeQuarterFrame = function(value, options) {
+  Output.prototype.sendProgramChange = function(program, channel, options) {
+
+    var that = this;
+
     options = options || {};
-    this.send(wm.MIDI_SYSTEM_MESSAGES.timecode, value, this._parseTimeParameter(options.time));
+
+    program = Math.floor(program);
+    if (isNaN(program) || program < 0 || program > 127) {
+      throw new RangeError("Program numbers must be between 0 and 127.");
+    }
+
+    wm.toMIDIChannels(channel).forEach(function(ch) {
+      that.send(
+        (wm.MIDI_CHANNEL_MESSAGES.programchange << 4) + (ch - 1),
+        [program],
+        that._parseTimeParameter(options.time),
+        options
+      );
+    });
+
     return this;
+
   };
 
   /**
-   * Sends a *Song Position* MIDI message. The value is expressed in MIDI beats (between 0 and
-   * 16383) which are 16th note. Position 0 is always the start of the song.
+   * Sends a MIDI `channel aftertouch` message to the specified channel(s). For key-specific
+   * aftertouch, you should instead use `sendKeyAftertouch()`.
    *
-   * @method sendSongPosition
+   * @method sendChannelAftertouch
    * @chainable
    *
-   * @param [value=0] {Number} The MIDI beat to cue to (int between 0 and 16383).
+   * @param [pressure=0.5] {Number} The pressure level (between 0 and 1). An invalid pressure value
+   * will silently trigger the default behaviour.
+   *
+   * @param [channel=all] {Number|Array|String}  The MIDI channel number (between 1 and 16) or
+   * an array of channel numbers. If the special value "all" is used, the message will be sent to
+   * all 16 channels.
    *
    * @param {Object} [options={}]
    *
@@ -2744,36 +10134,47 @@
    * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
    * is relative to the navigation start of the document. To retrieve the current time, you can use
    * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
    *
    * @return {Output} Returns the `Output` object so methods can be chained.
    */
-  Output.prototype.sendSongPosition = function(value, options) {
+  Output.prototype.sendChannelAftertouch = function(pressure, channel, options) {
 
-    value = Math.floor(value) || 0;
+    var that = this;
 
     options = options || {};
 
-    var msb = (value >> 7) & 0x7F;
-    var lsb = value & 0x7F;
+    pressure = parseFloat(pressure);
+    if (isNaN(pressure) || pressure < 0 || pressure > 1) { pressure = 0.5; }
+
+    var nPressure = Math.round(pressure * 127);
+
+    wm.toMIDIChannels(channel).forEach(function(ch) {
+      that.send(
+        (wm.MIDI_CHANNEL_MESSAGES.channelaftertouch << 4) + (ch - 1),
+        [nPressure],
+        that._parseTimeParameter(options.time),
+        options
+      );
+    });
 
-    this.send(
-      wm.MIDI_SYSTEM_MESSAGES.songposition,
-      [msb, lsb],
-      this._parseTimeParameter(options.time)
-    );
     return this;
 
   };
 
   /**
-   * Sends a *Song Select* MIDI message. Beware that some devices will display position 0 as
-   * position 1 for user-friendlyness.
+   * Sends a MIDI `pitch bend` message to the specified channel(s) at the scheduled time.
    *
-   * @method sendSongSelect
+   * @method sendPitchBend
    * @chainable
    *
-   * @param value {Number} The number of the song to select (integer between 0 and 127).
+   * @param bend {Number} The intensity level of the bend (between -1 and 1). A value of zero means
+   * no bend.
+   *
+   * @param [channel=all] {Number|Array|String}  The MIDI channel number (between 1 and 16) or an
+   * array of channel numbers. If the special value "all" is used, the message will be sent to all
+   * 16 channels.
    *
    * @param {Object} [options={}]
    *
@@ -2783,661 +10184,897 @@
    * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
    * is relative to the navigation start of the document. To retrieve the current time, you can use
    * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * sent as soon as possible. The value can also be a musical time such as `"1:2:0"` or `"+8n"`
+   * (see {{#crossLink "Transport"}}Transport{{/crossLink}}).
    *
-   * @throws The song number must be between 0 and 127.
+   * @throws {RangeError} Pitch bend value must be between -1 and 1.
    *
    * @return {Output} Returns the `Output` object so methods can be chained.
    */
-  Output.prototype.sendSongSelect = function(value, options) {
+  Output.prototype.sendPitchBend = function(bend, channel, options) {
 
-    value = Math.floor(value);
+    var that = this;
 
     options = options || {};
 
-    if ( !(value >= 0 && value <= 127) ) {
-      throw new RangeError("The song number must be between 0 and 127.");
+    if (isNaN(bend) || bend < -1 || bend > 1) {
+      throw new RangeError("Pitch bend value must be between -1 and 1.");
     }
 
-    this.send(wm.MIDI_SYSTEM_MESSAGES.songselect, [value], this._parseTimeParameter(options.time));
+    var nLevel = Math.round((bend + 1) / 2 * 16383);
+    var msb = (nLevel >> 7) & 0x7F;
+    var lsb = nLevel & 0x7F;
+
+    wm.toMIDIChannels(channel).forEach(function(ch) {
+      that.send(
+        (wm.MIDI_CHANNEL_MESSAGES.pitchbend << 4) + (ch - 1),
+        [lsb, msb],
+        that._parseTimeParameter(options.time),
+        options
+      );
+    });
 
     return this;
 
   };
 
   /**
-   * Sends a *MIDI tuning request* real-time message.
-   *
-   * Note: there is currently a bug in Chrome"s MIDI implementation. If you try to use this
-   * function, Chrome will actually throw a "Message is incomplete" error. The bug is
-   * [scheduled to be fixed](https://bugs.chromium.org/p/chromium/issues/detail?id=610116).
-   *
-   * @method sendTuningRequest
-   * @chainable
-   *
-   * @param {Object} [options={}]
+   * Returns a timestamp, relative to the navigation start of the document, derived from the `time`
+   * parameter. If the parameter is a string starting with the "+" sign and followed by a number,
+   * the resulting value will be the sum of the current timestamp plus that number. If the parameter
+   * is a musical time (`"1:2:0"`, `"8n"`, etc.), it is resolved against `WebMidi.transport`.
+   * Otherwise, the value will be returned as is.
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * If the calculated return value is 0, less than zero or an otherwise invalid value, `undefined`
+   * will be returned.
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @method _parseTimeParameter
+   * @param [time] {Number|String}
+   * @return DOMHighResTimeStamp
+   * @protected
    */
-  Output.prototype.sendTuningRequest = function(options) {
-    options = options || {};
-    this.send(
-      wm.MIDI_SYSTEM_MESSAGES.tuningrequest,
-      undefined,
-      this._parseTimeParameter(options.time)
-    );
-    return this;
+  Output.prototype._parseTimeParameter = function(time) {
+
+    var value,
+      parsed = parseFloat(time);
+
+    if (wm.transport._parseMusicalTime(time) !== undefined) {
+      parsed = wm.transport.toTimestamp(time);
+      if (parsed > wm.time) value = parsed;
+    } else if (typeof time === "string" && time.substring(0, 1) === "+") {
+      if (parsed && parsed > 0) value = wm.time + parsed;
+    } else {
+      if (parsed > wm.time) value = parsed;
+    }
+
+    return value;
+
   };
 
   /**
-   * Sends a *MIDI Clock* real-time message. According to the standard, there are 24 MIDI Clocks
-   * for every quarter note.
-   *
-   * @method sendClock
-   * @chainable
-   *
-   * @param {Object} [options={}]
+   * Returns a copy of the specified options object with some properties overridden.
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
-   *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @method _copyOptions
+   * @param options {Object} The options to copy.
+   * @param overrides {Object} The properties to set on the copy.
+   * @returns {Object}
+   * @protected
    */
-  Output.prototype.sendClock = function(options) {
-    options = options || {};
-    this.send(wm.MIDI_SYSTEM_MESSAGES.clock, undefined, this._parseTimeParameter(options.time));
-    return this;
+  Output.prototype._copyOptions = function(options, overrides) {
+
+    var copy = {}, key;
+
+    for (key in options) {
+      if (Object.prototype.hasOwnProperty.call(options, key)) copy[key] = options[key];
+    }
+
+    for (key in overrides) {
+      if (Object.prototype.hasOwnProperty.call(overrides, key)) copy[key] = overrides[key];
+    }
+
+    return copy;
+
   };
 
   /**
-   * Sends a *Start* real-time message. A MIDI Start message starts the playback of the current
-   * song at beat 0. To start playback elsewhere in the song, use the `sendContinue()` function.
-   *
-   * @method sendStart
-   * @chainable
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * Converts an input value (which can be a uint, a string or an array of the previous two) to an
+   * array of MIDI note numbers.
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @method _convertNoteToArray
+   * @param [note] {Number|Array|String}
+   * @returns {Array}
+   * @protected
    */
-  Output.prototype.sendStart = function(options) {
-    options = options || {};
-    this.send(wm.MIDI_SYSTEM_MESSAGES.start, undefined, this._parseTimeParameter(options.time));
-    return this;
+  Output.prototype._convertNoteToArray = function(note) {
+
+    var notes = [];
+
+    if ( !Array.isArray(note) ) { note = [note]; }
+
+    note.forEach(function(item) {
+      notes.push(wm.guessNoteNumber(item));
+    });
+
+    return notes;
+
   };
 
   /**
-   * Sends a *Continue* real-time message. This resumes song playback where it was previously
-   * stopped or where it was last cued with a song position message. To start playback from the
-   * start, use the `sendStart()` function.
-   *
-   * @method sendContinue
-   * @chainable
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
-   *
-   * @return {WebMidi} Returns the `WebMidi` object so methods can be chained.
+   * The `ScheduleHandle` object identifies the messages sent by a call to
+   * {{#crossLink "Output/send:method"}}Output.send(){{/crossLink}} or
+   * {{#crossLink "Output/playNote:method"}}Output.playNote(){{/crossLink}} whose `handle` option is
+   * `true`. It makes it possible to cancel those messages (as long as they have not been sent)
+   * without having to come up with a tag. It cannot be instantiated directly.
+   *
+   * ```js
+   * var handle = WebMidi.outputs[0].playNote("C3", 1, {time: "+1000", handle: true});
+   * handle.cancel();
+   * ```
+   *
+   * @class ScheduleHandle
+   * @param output {Output} The output the messages are sent on.
+   * @param [tag] {*} The tag of the messages.
+   *
+   * @since 2.6.0
    */
-  Output.prototype.sendContinue = function(options) {
-    options = options || {};
-    this.send(wm.MIDI_SYSTEM_MESSAGES.continue, undefined, this._parseTimeParameter(options.time));
-    return this;
-  };
+  function ScheduleHandle(output, tag) {
+
+    var that = this;
+
+    this._output = output;
+
+    Object.defineProperties(this, {
+
+      /**
+       * [read-only] The output the messages are sent on.
+       *
+       * @property output
+       * @type Output
+       */
+      output: {
+        enumerable: true,
+        get: function() {
+          return that._output;
+        }
+      },
+
+      /**
+       * [read-only] Whether some of the messages are still waiting to be sent (and can therefore
+       * be cancelled).
+       *
+       * @property pending
+       * @type Boolean
+       */
+      pending: {
+        enumerable: true,
+        get: function() {
+          return that._output._queue.some(function(item) {
+            return that._output._matchesTag(item.tag, that);
+          });
+        }
+      },
+
+      /**
+       * [read-only] The `tag` option of the call that created the handle. Clearing this tag also
+       * cancels the messages of the handle.
+       *
+       * @property tag
+       * @type *
+       */
+      tag: {
+        enumerable: true,
+        get: function() {
+          return tag;
+        }
+      }
+
+    });
+
+  }
 
   /**
-   * Sends a *Stop* real-time message. This tells the device connected to this port to stop playback
-   * immediately (or at the scheduled time).
+   * Cancels the messages that have not been sent yet. The **note off** of a note that is playing
+   * is sent immediately (see {{#crossLink "Output/clear:method"}}Output.clear(){{/crossLink}}).
    *
-   * @method sendStop
+   * @method cancel
    * @chainable
    *
-   * @param {Object} [options={}]
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
-   *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @return {ScheduleHandle} Returns the `ScheduleHandle` object so methods can be chained.
    */
-  Output.prototype.sendStop = function(options) {
-    options = options || {};
-    this.send(wm.MIDI_SYSTEM_MESSAGES.stop, undefined, this._parseTimeParameter(options.time));
+  ScheduleHandle.prototype.cancel = function() {
+    this._output.clear(this);
     return this;
   };
 
   /**
-   * Sends an *Active Sensing* real-time message. This tells the device connected to this port that
-   * the connection is still good. Active sensing messages should be sent every 300 ms if there was
-   * no other activity on the MIDI port.
+   * The `MidiFile` object represents the content of a Standard MIDI File (SMF). It is created by
+   * {{#crossLink "WebMidi/parseMidiFile:method"}}WebMidi.parseMidiFile(){{/crossLink}} and cannot
+   * be instantiated directly.
    *
-   * @method sendActiveSensing
-   * @chainable
+   * Each track holds a list of events sorted in chronological order. Events are objects with the
+   * same properties as the ones dispatched by `Input` objects (`type`, `data`, `channel`, `note`,
+   * `value`, etc.) plus a `ticks` property (the position in ticks since the beginning of the track)
+   * and a `timestamp` property (the position in milliseconds since the beginning of the file,
+   * calculated from the tempo events). Their `target` is the `MidiFile` object.
    *
-   * @param {Object} [options={}]
+   * On top of MIDI messages, tracks contain meta events whose `meta` property is `true` and whose
+   * `type` is one of: `sequencenumber`, `text`, `copyright`, `trackname`, `instrumentname`,
+   * `lyrics`, `marker`, `cuepoint`, `channelprefix`, `port`, `endoftrack`, `tempo`, `smpteoffset`,
+   * `timesignature`, `keysignature`, `sequencerspecific` or `unknownmetaevent`. The `text` of text
+   * events is decoded as UTF-8 or, if it is not valid UTF-8, as Latin-1.
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * "Escaped" events (stored with the F7 prefix) can contain any bytes, including partial sysex
+   * messages. Their `type` is `escaped`, their `escaped` property is `true` and their `data` holds
+   * the bytes as they are stored in the file.
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @class MidiFile
+   *
+   * @since 2.6.0
    */
-  Output.prototype.sendActiveSensing = function(options) {
-    options = options || {};
-    this.send(
-      wm.MIDI_SYSTEM_MESSAGES.activesensing,
-      [],
-      this._parseTimeParameter(options.time)
-    );
-    return this;
-  };
+  function MidiFile() {
+
+    /**
+     * The format of the file: `0` (single track), `1` (simultaneous tracks) or `2` (independent
+     * tracks).
+     *
+     * @property format
+     * @type Number
+     */
+    this.format = 1;
+
+    /**
+     * The number of ticks per quarter note. This is `undefined` if the file uses SMPTE time
+     * division (see `smpte`).
+     *
+     * @property ppq
+     * @type Number
+     */
+    this.ppq = 96;
+
+    /**
+     * The SMPTE time division (an object with `fps` and `ticksPerFrame` properties) if the file
+     * uses one. Otherwise, it is `undefined`.
+     *
+     * @property smpte
+     * @type Object
+     */
+    this.smpte = undefined;
+
+    /**
+     * The tracks of the file. Each track is an object with a `name` property (the content of the
+     * first `trackname` event, if any) and an `events` array.
+     *
+     * @property tracks
+     * @type Array
+     */
+    this.tracks = [];
+
+  }
 
   /**
-   * Sends *Reset* real-time message. This tells the device connected to this port that is should
-   * reset itself to a default state.
-   *
-   * @method sendReset
-   * @chainable
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * The MIDI file meta event types (by number).
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @property META_EVENTS
+   * @type Object
+   * @static
    */
-  Output.prototype.sendReset = function(options) {
-    options = options || {};
-    this.send(wm.MIDI_SYSTEM_MESSAGES.reset, undefined, this._parseTimeParameter(options.time));
-    return this;
+  MidiFile.META_EVENTS = {
+    0x00: "sequencenumber",
+    0x01: "text",
+    0x02: "copyright",
+    0x03: "trackname",
+    0x04: "instrumentname",
+    0x05: "lyrics",
+    0x06: "marker",
+    0x07: "cuepoint",
+    0x20: "channelprefix",
+    0x21: "port",
+    0x2F: "endoftrack",
+    0x51: "tempo",
+    0x54: "smpteoffset",
+    0x58: "timesignature",
+    0x59: "keysignature",
+    0x7F: "sequencerspecific"
   };
 
   /**
-   * Sends a MIDI **note off** message to the specified channel(s) for a single note or multiple
-   * simultaneous notes (chord). You can delay the execution of the **note off** command by using
-   * the `time` property of the `options` parameter (in milliseconds).
-   *
-   * @method stopNote
-   * @chainable
-   *
-   * @param note {Number|Array|String}  The note(s) you wish to stop. The notes can be specified in
-   * one of three ways. The first way is by using the MIDI note number (an integer between `0` and
-   * `127`). The second way is by using the note name followed by the octave (C3, G#4, F-1, Db7).
-   * The octave range should be between -2 and 8. The lowest note is C-2 (MIDI note number 0) and
-   * the highest note is G8 (MIDI note number 127). It is also possible to specify an array of note
-   * numbers and/or names. The final way is to use the special value `all` to send an "allnotesoff"
-   * channel message.
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between `1` and `16`) or an
-   * array of channel numbers. If the special value `all` is used (default), the message will be
-   * sent to all 16 channels.
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {Boolean} [options.rawVelocity=false] Controls whether the release velocity is set using
-   * an integer between `0` and `127` (`true`) or a decimal number between `0` and `1` (`false`,
-   * default).
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
-   *
-   * @param {Number} [options.velocity=0.5] The velocity at which to release the note (between `0`
-   * and `1`). If the `rawVelocity` option is `true`, the value should be specified as an integer
-   * between `0` and `127`. An invalid velocity value will silently trigger the default of `0.5`.
-   * Note that when the first parameter to `stopNote()` is `all`, the release velocity is silently
-   * ignored.
+   * Parses the content of a Standard MIDI File and returns the matching `MidiFile` object.
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @method _parse
+   * @static
+   * @param bytes {Uint8Array} The content of the file.
+   * @returns {MidiFile}
+   * @protected
    */
-  Output.prototype.stopNote = function(note, channel, options) {
+  MidiFile._parse = function(bytes) {
 
-    if (note === "all") {
-      return this.sendChannelMode("allnotesoff", 0, channel, options);
-    }
+    var file = new MidiFile(),
+      position = 0,
+      tracks = 0;
 
-    var nVelocity = 64;
+    function readChunk() {
 
-    options = options || {};
+      if (position + 8 > bytes.length) {
+        throw new Error("Invalid MIDI file: unexpected end of file.");
+      }
 
-    if (options.rawVelocity) {
+      var id = String.fromCharCode.apply(null, bytes.subarray(position, position + 4));
+      var length = (
+        (bytes[position + 4] << 24 >>> 0) + (bytes[position + 5] << 16) +
+        (bytes[position + 6] << 8) + bytes[position + 7]
+      );
 
-      if (!isNaN(options.velocity) && options.velocity >= 0 && options.velocity <= 127) {
-        nVelocity = options.velocity;
+      if (position + 8 + length > bytes.length) {
+        throw new Error("Invalid MIDI file: unexpected end of file.");
       }
 
+      position += 8 + length;
+
+      return {id: id, data: bytes.subarray(position - length, position)};
+
+    }
+
+    var header = readChunk();
+
+    if (header.id !== "MThd" || header.data.length < 6) {
+      throw new Error("Invalid MIDI file: missing header chunk.");
+    }
+
+    file.format = (header.data[0] << 8) + header.data[1];
+    tracks = (header.data[2] << 8) + header.data[3];
+
+    if (header.data[4] & 0x80) {
+      file.ppq = undefined;
+      file.smpte = {
+        fps: {232: 24, 231: 25, 227: 29.97, 226: 30}[header.data[4]],
+        ticksPerFrame: header.data[5]
+      };
     } else {
+      file.ppq = (header.data[4] << 8) + header.data[5];
+    }
 
-      if (!isNaN(options.velocity) && options.velocity >= 0 && options.velocity <= 1) {
-        nVelocity = options.velocity * 127;
+    // Unknown chunks must be ignored
+    while (file.tracks.length < tracks && position < bytes.length) {
+      var chunk = readChunk();
+      if (chunk.id === "MTrk") file.tracks.push(file._parseTrack(chunk.data));
+    }
+
+    file._updateTimestamps();
+
+    return file;
+
+  };
+
+  /**
+   * Parses the content of a track chunk.
+   *
+   * @method _parseTrack
+   * @param bytes {Uint8Array} The content of the track chunk.
+   * @returns {Object} The track object.
+   * @protected
+   */
+  MidiFile.prototype._parseTrack = function(bytes) {
+
+    var track = {name: undefined, events: []},
+      position = 0,
+      ticks = 0,
+      runningStatus;
+
+    function readByte() {
+      if (position >= bytes.length) {
+        throw new Error("Invalid MIDI file: unexpected end of track.");
       }
+      return bytes[position++];
+    }
 
+    function readVariableLength() {
+      var value = 0, byte;
+      do {
+        byte = readByte();
+        value = (value << 7) + (byte & 0x7F);
+      } while (byte & 0x80);
+      return value;
     }
 
-    // Send note off messages
-    this._convertNoteToArray(note).forEach(function(item) {
+    function readBytes(length) {
+      if (position + length > bytes.length) {
+        throw new Error("Invalid MIDI file: unexpected end of track.");
+      }
+      position += length;
+      return bytes.slice(position - length, position);
+    }
 
-      wm.toMIDIChannels(channel).forEach(function(ch) {
+    while (position < bytes.length) {
 
-        this.send(
-          (wm.MIDI_CHANNEL_MESSAGES.noteoff << 4) + (ch - 1),
-          [item, Math.round(nVelocity)],
-          this._parseTimeParameter(options.time)
+      ticks += readVariableLength();
+
+      var status = readByte(),
+        event;
+
+      if (status === 0xFF) {
+
+        var metaType = readByte();
+        event = this._createMetaEvent(metaType, readBytes(readVariableLength()));
+        runningStatus = undefined;
+
+      } else if (status === 0xF0) {
+
+        var data = Array.prototype.slice.call(readBytes(readVariableLength()));
+
+        event = Input.prototype._createSystemEvent.call(
+          Input.prototype, {data: new Uint8Array([0xF0].concat(data))}
         );
+        runningStatus = undefined;
 
-      }.bind(this));
+      } else if (status === 0xF7) {
 
-    }.bind(this));
+        // "Escaped" event containing arbitrary bytes (not necessarily a complete MIDI message)
+        event = this._createEscapedEvent(readBytes(readVariableLength()));
+        runningStatus = undefined;
 
-    return this;
+      } else {
+
+        var message = [];
+
+        if (status & 0x80) {
+          runningStatus = status;
+        } else if (runningStatus !== undefined) {
+          message.push(status);
+        } else {
+          throw new Error("Invalid MIDI file: data byte found without running status.");
+        }
+
+        var length = [0xC, 0xD].indexOf(runningStatus >> 4) >= 0 ? 1 : 2;
+        while (message.length < length) message.push(readByte());
+
+        event = Input.prototype._createChannelEvent.call(
+          Input.prototype, {data: new Uint8Array([runningStatus].concat(message))}
+        );
+
+      }
+
+      event.target = this;
+      event.ticks = ticks;
+      track.events.push(event);
+
+      if (event.type === "trackname" && track.name === undefined) track.name = event.text;
+      if (event.type === "endoftrack") break;
+
+    }
+
+    return track;
 
   };
 
   /**
-   * Requests the playback of a single note or multiple notes on the specified channel(s). You can
-   * delay the execution of the **note on** command by using the `time` property of the `options`
-   * parameter (milliseconds).
-   *
-   * If no duration is specified in the `options`, the note will play until a matching **note off**
-   * is sent. If a duration is specified, a **note off** will be automatically sent after said
-   * duration.
-   *
-   * Note: As per the MIDI standard, a **note on** event with a velocity of `0` is considered to be
-   * a **note off**.
-   *
-   * @method playNote
-   * @chainable
-   *
-   * @param note {Number|String|Array}  The note(s) you wish to play. The notes can be specified in
-   * one of two ways. The first way is by using the MIDI note number (an integer between 0 and 127).
-   * The second way is by using the note name followed by the octave (C3, G#4, F-1, Db7). The octave
-   * range should be between -2 and 8. The lowest note is C-2 (MIDI note number 0) and the highest
-   * note is G8 (MIDI note number 127). It is also possible to specify an array of note numbers
-   * and/or names.
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between `1` and `16`) or an
-   * array of channel numbers. If the special value **all** is used (default), the message will be
-   * sent to all 16 channels.
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {Number} [options.duration=undefined] The number of milliseconds (integer) to wait
-   * before sending a matching **note off** event. If left undefined, only a **note on** message is
-   * sent.
-   *
-   * @param {Boolean} [options.rawVelocity=false] Controls whether the attack and release velocities
-   * are set using integers between `0` and `127` (`true`) or a decimal number between `0` and `1`
-   * (`false`, default).
-   *
-   * @param {Number} [options.release=0.5] The velocity at which to release the note (between `0`
-   * and `1`). If the `rawVelocity` option is `true`, the value should be specified as an integer
-   * between `0` and `127`. An invalid velocity value will silently trigger the default of `0.5`.
-   * This is only used with the **note off** event triggered when `options.duration` is set.
+   * Returns the event object matching the specified meta event.
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * @method _createMetaEvent
+   * @param metaType {Number} The type of meta event (between 0 and 127).
+   * @param data {Uint8Array} The data of the meta event.
+   * @returns {Object}
+   * @protected
+   */
+  MidiFile.prototype._createMetaEvent = function(metaType, data) {
+
+    var event = {
+      target: this,
+      data: data,
+      timestamp: undefined,
+      meta: true,
+      metaType: metaType,
+      type: MidiFile.META_EVENTS[metaType] || "unknownmetaevent"
+    };
+
+    if (metaType >= 0x01 && metaType <= 0x0F) {
+      event.text = MidiFile._decodeText(data);
+    } else if (event.type === "sequencenumber" || event.type === "tempo") {
+      event.value = 0;
+      for (var i = 0; i < data.length; i++) event.value = (event.value << 8) + data[i];
+      if (event.type === "tempo") event.bpm = 60000000 / event.value;
+    } else if (event.type === "channelprefix") {
+      event.channel = data[0] + 1;
+    } else if (event.type === "port") {
+      event.port = data[0];
+    } else if (event.type === "smpteoffset") {
+      event.fps = [24, 25, 29.97, 30][(data[0] >> 5) & 0x3];
+      event.hours = data[0] & 0x1F;
+      event.minutes = data[1];
+      event.seconds = data[2];
+      event.frames = data[3];
+      event.subframes = data[4];
+    } else if (event.type === "timesignature") {
+      event.numerator = data[0];
+      event.denominator = Math.pow(2, data[1]);
+      event.clocks = data[2];
+      event.notated32nds = data[3];
+    } else if (event.type === "keysignature") {
+      event.accidentals = data[0] > 127 ? data[0] - 256 : data[0];
+      event.scale = data[1] ? "minor" : "major";
+      event.key = (
+        data[1] ? MidiFile._MINOR_KEYS : MidiFile._MAJOR_KEYS
+      )[event.accidentals + 7];
+    }
+
+    return event;
+
+  };
+
+  /**
+   * Returns the event object matching the specified "escaped" event (F7). The bytes are kept as
+   * they are stored in the file.
    *
-   * @param {Number} [options.velocity=0.5] The velocity at which to play the note (between `0` and
-   * `1`). If the `rawVelocity` option is `true`, the value should be specified as an integer
-   * between `0` and `127`. An invalid velocity value will silently trigger the default of `0.5`.
+   * @method _createEscapedEvent
+   * @param data {Uint8Array} The bytes of the escaped event.
+   * @returns {Object}
+   * @protected
+   */
+  MidiFile.prototype._createEscapedEvent = function(data) {
+
+    return {
+      target: this,
+      data: data,
+      timestamp: undefined,
+      escaped: true,
+      type: "escaped"
+    };
+
+  };
+
+  /**
+   * Decodes the text of a meta event. Text is decoded as UTF-8, which is what most recent software
+   * writes. Older files often use Latin-1 (ISO-8859-1) instead, so the text falls back to Latin-1
+   * if it is not valid UTF-8.
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @method _decodeText
+   * @static
+   * @param data {Uint8Array} The bytes of the text.
+   * @returns {String}
+   * @protected
    */
-  Output.prototype.playNote = function(note, channel, options) {
+  MidiFile._decodeText = function(data) {
 
-    var time,
-      nVelocity = 64;
+    var codes = [];
 
-    options = options || {};
+    for (var i = 0; i < data.length; i++) {
 
-    if (options.rawVelocity) {
+      var byte = data[i];
+      var length = byte < 0x80 ? 0 : byte >= 0xC2 && byte < 0xE0 ? 1 :
+        byte >= 0xE0 && byte < 0xF0 ? 2 : byte >= 0xF0 && byte < 0xF5 ? 3 : -1;
+      if (length < 0 || i + length >= data.length) break;
 
-      if (!isNaN(options.velocity) && options.velocity >= 0 && options.velocity <= 127) {
-        nVelocity = options.velocity;
+      var code = length ? byte & (0x3F >> length) : byte;
+      for (var j = 1; j <= length; j++) {
+        if ((data[i + j] & 0xC0) !== 0x80) break;
+        code = (code << 6) | (data[i + j] & 0x3F);
       }
+      if (j <= length) break;
 
-    } else {
+      // Overlong sequences, surrogates and code points beyond U+10FFFF are invalid
+      if (
+        (length === 2 && (code < 0x800 || (code >= 0xD800 && code < 0xE000))) ||
+        (length === 3 && (code < 0x10000 || code > 0x10FFFF))
+      ) {
+        break;
+      }
 
-      if (!isNaN(options.velocity) && options.velocity >= 0 && options.velocity <= 1) {
-        nVelocity = options.velocity * 127;
+      if (code > 0xFFFF) {
+        code -= 0x10000;
+        codes.push(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+      } else {
+        codes.push(code);
       }
+      i += length;
 
     }
 
-    time = this._parseTimeParameter(options.time);
+    if (i < data.length) codes = data;
 
-    // Send note on messages
-    this._convertNoteToArray(note).forEach(function(item) {
+    var text = "";
+    for (var k = 0; k < codes.length; k += 4096) {
+      text += String.fromCharCode.apply(null, Array.prototype.slice.call(codes, k, k + 4096));
+    }
+    return text;
 
-      wm.toMIDIChannels(channel).forEach(function(ch) {
-        this.send(
-          (wm.MIDI_CHANNEL_MESSAGES.noteon << 4) + (ch - 1),
-          [item, Math.round(nVelocity)],
-          time
+  };
+
+  /**
+   * Encodes the text of a meta event in UTF-8.
+   *
+   * @method _encodeText
+   * @static
+   * @param text {String} The text to encode.
+   * @returns {Uint8Array}
+   * @protected
+   */
+  MidiFile._encodeText = function(text) {
+
+    var bytes = [];
+
+    for (var i = 0; i < text.length; i++) {
+
+      var code = text.charCodeAt(i);
+
+      // Combines surrogate pairs (lone surrogates are replaced by U+FFFD)
+      if (code >= 0xD800 && code < 0xE000) {
+        var next = text.charCodeAt(i + 1);
+        if (code < 0xDC00 && next >= 0xDC00 && next < 0xE000) {
+          code = 0x10000 + ((code - 0xD800) << 10) + (next - 0xDC00);
+          i++;
+        } else {
+          code = 0xFFFD;
+        }
+      }
+
+      if (code < 0x80) {
+        bytes.push(code);
+      } else if (code < 0x800) {
+        bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+      } else if (code < 0x10000) {
+        bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+      } else {
+        bytes.push(
+          0xF0 | (code >> 18),
+          0x80 | ((code >> 12) & 0x3F),
+          0x80 | ((code >> 6) & 0x3F),
+          0x80 | (code & 0x3F)
         );
-      }.bind(this));
+      }
 
-    }.bind(this));
+    }
 
+    return new Uint8Array(bytes);
 
-    // Send note off messages (only if a valid duration has been defined)
-    if (!isNaN(options.duration)) {
+  };
 
-      if (options.duration <= 0) { options.duration = 0; }
+  // Key names by number of accidentals (from 7 flats to 7 sharps)
+  MidiFile._MAJOR_KEYS = [
+    "Cb", "Gb", "Db", "Ab", "Eb", "Bb", "F", "C", "G", "D", "A", "E", "B", "F#", "C#"
+  ];
+  MidiFile._MINOR_KEYS = [
+    "Ab", "Eb", "Bb", "F", "C", "G", "D", "A", "E", "B", "F#", "C#", "G#", "D#", "A#"
+  ];
 
-      var nRelease = 64;
+  /**
+   * Calculates the timestamp (in milliseconds since the beginning of the file) of all events from
+   * their position in ticks. With format 0 and 1 files, tempo events apply to all tracks. With
+   * format 2 files, they only apply to the track they belong to.
+   *
+   * @method _updateTimestamps
+   * @protected
+   */
+  MidiFile.prototype._updateTimestamps = function() {
 
-      if (options.rawVelocity) {
+    var that = this;
 
-        if (!isNaN(options.release) && options.release >= 0 && options.release <= 127) {
-          nRelease = options.release;
-        }
+    function getTempoMap(tracks) {
 
-      } else {
+      var map = [];
 
-        if (!isNaN(options.release) && options.release >= 0 && options.release <= 1) {
-          nRelease = options.release * 127;
-        }
+      tracks.forEach(function(track) {
+        track.events.forEach(function(event) {
+          if (event.type === "tempo") map.push({ticks: event.ticks, value: event.value});
+        });
+      });
 
-      }
+      return map.sort(function(a, b) { return a.ticks - b.ticks; });
 
-      this._convertNoteToArray(note).forEach(function(item) {
+    }
 
-        wm.toMIDIChannels(channel).forEach(function(ch) {
+    function update(track, map) {
 
-          this.send(
-            (wm.MIDI_CHANNEL_MESSAGES.noteoff << 4) + (ch - 1),
-            [item, Math.round(nRelease)],
-            (time || wm.time) + options.duration
-          );
-        }.bind(this));
+      track.events.forEach(function(event) {
 
-      }.bind(this));
+        if (that.smpte) {
+          event.timestamp = event.ticks / (that.smpte.fps * that.smpte.ticksPerFrame) * 1000;
+          return;
+        }
+
+        var timestamp = 0, ticks = 0, tempo = 500000;
+
+        for (var i = 0; i < map.length && map[i].ticks < event.ticks; i++) {
+          timestamp += (map[i].ticks - ticks) * tempo / that.ppq / 1000;
+          ticks = map[i].ticks;
+          tempo = map[i].value;
+        }
+
+        event.timestamp = timestamp + (event.ticks - ticks) * tempo / that.ppq / 1000;
+
+      });
 
     }
 
-    return this;
+    if (this.format === 2) {
+      this.tracks.forEach(function(track) { update(track, getTempoMap([track])); });
+    } else {
+      var map = getTempoMap(this.tracks);
+      this.tracks.forEach(function(track) { update(track, map); });
+    }
 
   };
 
   /**
-   * Sends a MIDI `key aftertouch` message to the specified channel(s) at the scheduled time. This
-   * is a key-specific aftertouch. For a channel-wide aftertouch message, use
-   * {{#crossLink "WebMidi/sendChannelAftertouch:method"}}sendChannelAftertouch(){{/crossLink}}.
-   *
-   * @method sendKeyAftertouch
-   * @chainable
-   *
-   * @param note {Number|String|Array}  The note for which you are sending an aftertouch value. The
-   * notes can be specified in one of two ways. The first way is by using the MIDI note number (an
-   * integer between 0 and 127). The second way is by using the note name followed by the octave
-   * (C3, G#4, F-1, Db7). The octave range should be between -2 and 8. The lowest note is C-2 (MIDI
-   * note number 0) and the highest note is G8 (MIDI note number 127). It is also possible to use
-   * an array of note names and/or numbers.
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
-   *
-   * @param {Number} [pressure=0.5] The pressure level to send (between 0 and 1).
-   *
-   * @param {Object} [options={}]
+   * Returns the content of the file in the Standard MIDI File format. Running status is used to
+   * compress channel messages and each track is terminated with an `endoftrack` meta event (one is
+   * added if it is missing). Events are written in the order in which they appear in each track.
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
-   *
-   * @throws {RangeError} The channel must be between 1 and 16.
+   * @method toArrayBuffer
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @returns {ArrayBuffer}
    */
-  Output.prototype.sendKeyAftertouch = function(note, channel, pressure, options) {
+  MidiFile.prototype.toArrayBuffer = function() {
 
-    var that = this;
+    var bytes = [];
 
-    options = options || {};
+    // Bytes are copied one by one because passing a whole track as arguments to push() exceeds the
+    // maximum call stack size of some engines.
+    function append(output, values) {
+      for (var i = 0; i < values.length; i++) output.push(values[i]);
+    }
 
-    if (channel < 1 || channel > 16) {
-      throw new RangeError("The channel must be between 1 and 16.");
+    function writeVariableLength(output, value) {
+      var buffer = [value & 0x7F];
+      while ((value = Math.floor(value / 128)) > 0) buffer.unshift((value & 0x7F) | 0x80);
+      append(output, buffer);
     }
 
-    if (isNaN(pressure) || pressure < 0 || pressure > 1) {
-      pressure = 0.5;
+    function writeChunk(id, data) {
+      for (var i = 0; i < 4; i++) bytes.push(id.charCodeAt(i));
+      bytes.push((data.length >>> 24) & 0xFF, (data.length >> 16) & 0xFF);
+      bytes.push((data.length >> 8) & 0xFF, data.length & 0xFF);
+      append(bytes, data);
     }
 
-    var nPressure = Math.round(pressure * 127);
+    var division;
 
-    this._convertNoteToArray(note).forEach(function(item) {
+    if (this.smpte) {
+      division = [
+        {24: 0xE8, 25: 0xE7, 29.97: 0xE3, 30: 0xE2}[this.smpte.fps],
+        this.smpte.ticksPerFrame
+      ];
+    } else {
+      division = [(this.ppq >> 8) & 0x7F, this.ppq & 0xFF];
+    }
+
+    writeChunk(
+      "MThd",
+      [0, this.format, (this.tracks.length >> 8) & 0xFF, this.tracks.length & 0xFF].concat(division)
+    );
+
+    this.tracks.forEach(function(track) {
+
+      var data = [],
+        ticks = 0,
+        runningStatus;
+
+      track.events.forEach(function(event) {
+
+        var message = Array.prototype.slice.call(event.data);
+
+        // The end of track is always written last
+        if (event.type === "endoftrack") return;
+
+        writeVariableLength(data, Math.max(0, Math.round(event.ticks - ticks)));
+        ticks = Math.max(ticks, Math.round(event.ticks));
+
+        if (event.meta) {
+          data.push(0xFF, event.metaType);
+          writeVariableLength(data, message.length);
+          runningStatus = undefined;
+        } else if (event.escaped) {
+          data.push(0xF7);
+          writeVariableLength(data, message.length);
+          runningStatus = undefined;
+        } else if (message[0] === wm.MIDI_SYSTEM_MESSAGES.sysex) {
+          data.push(message.shift());
+          writeVariableLength(data, message.length);
+          runningStatus = undefined;
+        } else if (message[0] >= 0xF0) {
+          // Other system messages can only be stored as "escaped" events
+          data.push(0xF7);
+          writeVariableLength(data, message.length);
+          runningStatus = undefined;
+        } else if (message[0] === runningStatus) {
+          message.shift();
+        } else {
+          runningStatus = message[0];
+        }
+
+        append(data, message);
 
-      wm.toMIDIChannels(channel).forEach(function(ch) {
-        that.send(
-          (wm.MIDI_CHANNEL_MESSAGES.keyaftertouch << 4) + (ch - 1),
-          [item, nPressure],
-          that._parseTimeParameter(options.time)
-        );
       });
 
+      var end = track.events.filter(function(event) { return event.type === "endoftrack"; });
+      writeVariableLength(data, end.length ? Math.max(0, Math.round(end[0].ticks - ticks)) : 0);
+      data.push(0xFF, 0x2F, 0x00);
+
+      writeChunk("MTrk", data);
+
     });
 
-    return this;
+    return new Uint8Array(bytes).buffer;
 
   };
 
   /**
-   * Sends a MIDI `control change` message (a.k.a. CC message) to the specified channel(s) at the
-   * scheduled time. The control change message to send can be specified numerically or by using one
-   * of the following common names:
-   *
-   *  * `bankselectcoarse` (#0)
-   *  * `modulationwheelcoarse` (#1)
-   *  * `breathcontrollercoarse` (#2)
-   *  * `footcontrollercoarse` (#4)
-   *  * `portamentotimecoarse` (#5)
-   *  * `dataentrycoarse` (#6)
-   *  * `volumecoarse` (#7)
-   *  * `balancecoarse` (#8)
-   *  * `pancoarse` (#10)
-   *  * `expressioncoarse` (#11)
-   *  * `effectcontrol1coarse` (#12)
-   *  * `effectcontrol2coarse` (#13)
-   *  * `generalpurposeslider1` (#16)
-   *  * `generalpurposeslider2` (#17)
-   *  * `generalpurposeslider3` (#18)
-   *  * `generalpurposeslider4` (#19)
-   *  * `bankselectfine` (#32)
-   *  * `modulationwheelfine` (#33)
-   *  * `breathcontrollerfine` (#34)
-   *  * `footcontrollerfine` (#36)
-   *  * `portamentotimefine` (#37)
-   *  * `dataentryfine` (#38)
-   *  * `volumefine` (#39)
-   *  * `balancefine` (#40)
-   *  * `panfine` (#42)
-   *  * `expressionfine` (#43)
-   *  * `effectcontrol1fine` (#44)
-   *  * `effectcontrol2fine` (#45)
-   *  * `holdpedal` (#64)
-   *  * `portamento` (#65)
-   *  * `sustenutopedal` (#66)
-   *  * `softpedal` (#67)
-   *  * `legatopedal` (#68)
-   *  * `hold2pedal` (#69)
-   *  * `soundvariation` (#70)
-   *  * `resonance` (#71)
-   *  * `soundreleasetime` (#72)
-   *  * `soundattacktime` (#73)
-   *  * `brightness` (#74)
-   *  * `soundcontrol6` (#75)
-   *  * `soundcontrol7` (#76)
-   *  * `soundcontrol8` (#77)
-   *  * `soundcontrol9` (#78)
-   *  * `soundcontrol10` (#79)
-   *  * `generalpurposebutton1` (#80)
-   *  * `generalpurposebutton2` (#81)
-   *  * `generalpurposebutton3` (#82)
-   *  * `generalpurposebutton4` (#83)
-   *  * `reverblevel` (#91)
-   *  * `tremololevel` (#92)
-   *  * `choruslevel` (#93)
-   *  * `celestelevel` (#94)
-   *  * `phaserlevel` (#95)
-   *  * `databuttonincrement` (#96)
-   *  * `databuttondecrement` (#97)
-   *  * `nonregisteredparametercoarse` (#98)
-   *  * `nonregisteredparameterfine` (#99)
-   *  * `registeredparametercoarse` (#100)
-   *  * `registeredparameterfine` (#101)
-   *
-   * Note: as you can see above, not all control change message have a matching common name. This
-   * does not mean you cannot use the others. It simply means you will need to use their number
-   * instead of their name.
-   *
-   * @method sendControlChange
-   * @chainable
-   *
-   * @param controller {Number|String} The MIDI controller number (0-119) or name.
-   *
-   * @param [value=0] {Number} The value to send (0-127).
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
+   * The `Recorder` object captures the MIDI messages received by one or more `Input` objects so
+   * they can be exported as a Standard MIDI File. It is created with
+   * {{#crossLink "WebMidi/createRecorder:method"}}WebMidi.createRecorder(){{/crossLink}} and cannot
+   * be instantiated directly.
    *
-   * @param {Object} [options={}]
+   * ```js
+   * var recorder = WebMidi.createRecorder(WebMidi.inputs).start();
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * // Later on...
+   * var buffer = recorder.stop().toMidiFile({bpm: 100, ppq: 480}).toArrayBuffer();
+   * ```
    *
-   * @throws {RangeError} Controller numbers must be between 0 and 119.
-   * @throws {RangeError} Value must be between 0 and 127.
+   * @class Recorder
+   * @param inputs {Array} The `Input` objects to record.
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @since 2.6.0
    */
-  Output.prototype.sendControlChange = function(controller, value, channel, options) {
-
-    options = options || {};
-
-    if (typeof controller === "string") {
+  function Recorder(inputs) {
 
-      controller = wm.MIDI_CONTROL_CHANGE_MESSAGES[controller];
-      if (controller === undefined) throw new TypeError("Invalid controller name.");
-
-    } else {
+    this._inputs = inputs;
 
-      controller = Math.floor(controller);
-      if ( !(controller >= 0 && controller <= 119) ) {
-        throw new RangeError("Controller numbers must be between 0 and 119.");
-      }
+    // The captured messages (an object with `input`, `data` and `timestamp` properties for each)
+    this._messages = [];
+    this._startTime = undefined;
+    this._recording = false;
+    this._listener = this._onMidiMessage.bind(this);
 
-    }
+    Object.defineProperties(this, {
 
-    value = Math.floor(value) || 0;
-    if ( !(value >= 0 && value <= 127) ) {
-      throw new RangeError("Controller value must be between 0 and 127.");
-    }
+      /**
+       * [read-only] The `Input` objects being recorded.
+       *
+       * @property inputs
+       * @type Array
+       */
+      inputs: {
+        enumerable: true,
+        get: function() {
+          return this._inputs.slice();
+        }.bind(this)
+      },
 
-    wm.toMIDIChannels(channel).forEach(function(ch) {
-      this.send(
-        (wm.MIDI_CHANNEL_MESSAGES.controlchange << 4) + (ch - 1),
-        [controller, value],
-        this._parseTimeParameter(options.time)
-      );
-    }.bind(this));
+      /**
+       * [read-only] Indicates whether the recorder is currently capturing messages.
+       *
+       * @property recording
+       * @type Boolean
+       */
+      recording: {
+        enumerable: true,
+        get: function() {
+          return this._recording;
+        }.bind(this)
+      }
 
-    return this;
+    });
 
-  };
+  }
 
   /**
-   * Selects a MIDI registered parameter so it is affected by data entry, data increment and data
-   * decrement messages.
+   * Starts capturing the messages received by the inputs. Any previous capture is discarded.
    *
-   * @method _selectRegisteredParameter
-   * @protected
-   *
-   * @param parameter {Array} A two-position array specifying the two control bytes (0x65, 0x64)
-   * that identify the registered parameter.
-   * @param channel
-   * @param time
+   * @method start
+   * @chainable
    *
-   * @returns {Output}
+   * @return {Recorder} Returns the `Recorder` object so methods can be chained.
    */
-  Output.prototype._selectRegisteredParameter = function(parameter, channel, time) {
+  Recorder.prototype.start = function() {
 
     var that = this;
 
-    parameter[0] = Math.floor(parameter[0]);
-    if ( !(parameter[0] >= 0 && parameter[0] <= 127) ) {
-      throw new RangeError("The control65 value must be between 0 and 127");
-    }
-
-    parameter[1] = Math.floor(parameter[1]);
-    if ( !(parameter[1] >= 0 && parameter[1] <= 127) ) {
-      throw new RangeError("The control64 value must be between 0 and 127");
-    }
+    this.stop();
+    this._messages = [];
+    this._startTime = wm.time;
+    this._recording = true;
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that.sendControlChange(0x65, parameter[0], channel, {time: time});
-      that.sendControlChange(0x64, parameter[1], channel, {time: time});
+    this._inputs.forEach(function(input) {
+      input.addListener("midimessage", "all", that._listener);
     });
 
     return this;
@@ -3445,971 +11082,1136 @@
   };
 
   /**
-   * Selects a MIDI non-registered parameter so it is affected by data entry, data increment and
-   * data decrement messages.
+   * Stops capturing messages. The captured messages are kept until `start()` is called again.
    *
-   * @method _selectNonRegisteredParameter
-   * @protected
-   *
-   * @param parameter {Array} A two-position array specifying the two control bytes (0x63, 0x62)
-   * that identify the registered parameter.
-   * @param channel
-   * @param time
+   * @method stop
+   * @chainable
    *
-   * @returns {Output}
+   * @return {Recorder} Returns the `Recorder` object so methods can be chained.
    */
-  Output.prototype._selectNonRegisteredParameter = function(parameter, channel, time) {
+  Recorder.prototype.stop = function() {
 
     var that = this;
 
-    parameter[0] = Math.floor(parameter[0]);
-    if ( !(parameter[0] >= 0 && parameter[0] <= 127) ) {
-      throw new RangeError("The control63 value must be between 0 and 127");
-    }
-
-    parameter[1] = Math.floor(parameter[1]);
-    if ( !(parameter[1] >= 0 && parameter[1] <= 127) ) {
-      throw new RangeError("The control62 value must be between 0 and 127");
-    }
+    if (!this._recording) return this;
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that.sendControlChange(0x63, parameter[0], channel, {time: time});
-      that.sendControlChange(0x62, parameter[1], channel, {time: time});
+    this._inputs.forEach(function(input) {
+      input.removeListener("midimessage", "all", that._listener);
     });
 
+    this._recording = false;
+
     return this;
 
   };
 
   /**
-   * Sets the value of the currently selected MIDI registered parameter.
+   * Returns a {{#crossLink "MidiFile"}}MidiFile{{/crossLink}} object (format 1) holding the
+   * captured channel and system exclusive messages. The first track holds the tempo and time
+   * signature. The other tracks hold the messages, either one track per input or one track per
+   * channel. Time is counted from the moment `start()` was called.
    *
-   * @method _setCurrentRegisteredParameter
-   * @protected
+   * @method toMidiFile
    *
-   * @param data {int|Array}
-   * @param channel
-   * @param time
+   * @param {Object} [options={}]
    *
-   * @returns {Output}
+   * @param {Number} [options.bpm=WebMidi.transport.bpm] The tempo of the file in beats per minute.
+   *
+   * @param {Number} [options.ppq=WebMidi.transport.ppq] The resolution of the file in ticks per
+   * quarter note (between 1 and 32767).
+   *
+   * @param {Array} [options.timeSignature=WebMidi.transport.timeSignature] The time signature of
+   * the file (e.g. `[3, 4]`).
+   *
+   * @param {String} [options.tracks="input"] How messages are split into tracks: `"input"` (one
+   * track per input) or `"channel"` (one track per channel, system exclusive messages being stored
+   * in the first track).
+   *
+   * @throws {RangeError} The tempo must be a positive number.
+   * @throws {RangeError} The resolution must be an integer between 1 and 32767.
+   * @throws {TypeError} The 'tracks' option must be 'input' or 'channel'.
+   *
+   * @returns {MidiFile}
    */
-  Output.prototype._setCurrentRegisteredParameter = function(data, channel, time) {
+  Recorder.prototype.toMidiFile = function(options) {
 
-    var that = this;
+    options = options || {};
 
-    data = [].concat(data);
+    var file = new MidiFile(),
+      bpm = options.bpm !== undefined ? parseFloat(options.bpm) : wm.transport.bpm,
+      ppq = options.ppq !== undefined ? options.ppq : wm.transport.ppq,
+      signature = options.timeSignature || wm.transport.timeSignature,
+      split = options.tracks || "input";
 
-    data[0] = Math.floor(data[0]);
-    if ( !(data[0] >= 0 && data[0] <= 127) ) {
-      throw new RangeError("The msb value must be between 0 and 127");
+    if ( !(bpm > 0) ) {
+      throw new RangeError("The tempo must be a positive number.");
     }
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that.sendControlChange(0x06, data[0], channel, {time: time});
-    });
+    if ( !(Math.floor(ppq) === ppq && ppq >= 1 && ppq <= 0x7FFF) ) {
+      throw new RangeError("The resolution must be an integer between 1 and 32767.");
+    }
 
-    data[1] = Math.floor(data[1]);
-    if(data[1] >= 0 && data[1] <= 127) {
-      wm.toMIDIChannels(channel).forEach(function() {
-        that.sendControlChange(0x26, data[1], channel, {time: time});
+    if (split !== "input" && split !== "channel") {
+      throw new TypeError("The 'tracks' option must be 'input' or 'channel'.");
+    }
+
+    var tempo = Math.round(60000000 / bpm);
+    var conductor = {name: undefined, events: []};
+    var tracks = {};
+    var last = 0;
+
+    file.format = 1;
+    file.ppq = ppq;
+    file.tracks.push(conductor);
+
+    conductor.events.push(
+      file._createMetaEvent(0x51, new Uint8Array([tempo >> 16, (tempo >> 8) & 0xFF, tempo & 0xFF])),
+      file._createMetaEvent(0x58, new Uint8Array([
+        signature[0], Math.round(Math.log(signature[1]) / Math.LN2), 24, 8
+      ]))
+    );
+
+    if (split === "input") {
+      this._inputs.forEach(function(input) {
+        tracks[input.id] = {name: input.name, events: []};
       });
     }
 
-    return this;
+    this._messages.forEach(function(message) {
+
+      var event, track, status = message.data[0];
+
+      if (status < 0xF0) {
+        event = Input.prototype._createChannelEvent.call(Input.prototype, message);
+      } else if (status === wm.MIDI_SYSTEM_MESSAGES.sysex) {
+        event = Input.prototype._createSystemEvent.call(Input.prototype, message);
+      } else {
+        return;
+      }
+
+      event.target = file;
+      event.ticks = Math.max(
+        0, Math.round((message.timeStamp - this._startTime) * bpm * ppq / 60000)
+      );
+      last = Math.max(last, event.ticks);
+
+      if (split === "input") {
+        track = tracks[message.input.id];
+      } else if (status < 0xF0) {
+        track = tracks[event.channel] = tracks[event.channel] || {
+          name: "Channel " + event.channel,
+          events: []
+        };
+      } else {
+        track = conductor;
+      }
+
+      track.events.push(event);
+
+    }.bind(this));
+
+    // Tracks are ordered by input or by channel number
+    var keys = split === "input" ?
+      this._inputs.map(function(input) { return input.id; }) :
+      Object.keys(tracks).sort(function(a, b) { return a - b; });
+
+    keys.forEach(function(key) {
+      file.tracks.push(tracks[key]);
+    });
+
+    file.tracks.forEach(function(track) {
+
+      if (track.name !== undefined) {
+        var name = file._createMetaEvent(0x03, MidiFile._encodeText(track.name));
+        name.ticks = 0;
+        track.events.unshift(name);
+      }
+
+      var end = file._createMetaEvent(0x2F, new Uint8Array(0));
+      end.ticks = last;
+      track.events.push(end);
+
+    });
+
+    conductor.events.forEach(function(event) {
+      if (event.ticks === undefined) event.ticks = 0;
+    });
+
+    file._updateTimestamps();
+
+    return file;
 
   };
 
   /**
-   * Deselects the currently active MIDI registered parameter so it is no longer affected by data
-   * entry, data increment and data decrement messages.
+   * @method _onMidiMessage
+   * @param e {Object} The `midimessage` event received from an input.
+   * @protected
+   */
+  Recorder.prototype._onMidiMessage = function(e) {
+    this._messages.push({
+      input: e.target,
+      data: new Uint8Array(e.data),
+      timeStamp: e.timestamp
+    });
+  };
+
+  /**
+   * The `Player` object plays the content of a {{#crossLink "MidiFile"}}MidiFile{{/crossLink}}
+   * through an `Output`. It is created by
+   * {{#crossLink "Output/play:method"}}Output.play(){{/crossLink}} and cannot be instantiated
+   * directly.
    *
-   * Current best practice recommends doing that after each call to
-   * `_setCurrentRegisteredParameter()`.
+   * Messages are scheduled slightly ahead of time (see `lookahead`) so playback is not affected by
+   * timer jitter. The player follows the tempo events of the file unless a tempo is forced with the
+   * `bpm` property. Positions (`position`, `seek()`, `loop`) are expressed in milliseconds on the
+   * timeline of the file (as reported by the `timestamp` property of its events).
    *
-   * @method _deselectRegisteredParameter
-   * @protected
+   * The player dispatches two events that can be listened to with `addListener()`:
    *
-   * @param channel
-   * @param time
+   *    * `position`: when playback starts, when the position is changed and on every beat;
+   *    * `ended`: when the end of the file is reached (unless a loop is active).
    *
-   * @returns {Output}
+   * @class Player
+   * @param file {MidiFile} The file to play.
+   * @param output {Output} The output to play the file through.
+   *
+   * @since 2.6.0
    */
-  Output.prototype._deselectRegisteredParameter = function(channel, time) {
+  function Player(file, output) {
 
     var that = this;
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that.sendControlChange(0x65, 0x7F, channel, {time: time});
-      that.sendControlChange(0x64, 0x7F, channel, {time: time});
+    this._file = file;
+    this._output = output;
+
+    // Channel messages, sysex messages, tempo and end of track events of all tracks, sorted by
+    // position
+    this._events = [];
+
+    file.tracks.forEach(function(track) {
+      track.events.forEach(function(event) {
+        if (
+          event.type === "tempo" || event.type === "endoftrack" ||
+          (!event.meta && !event.escaped && event.data[0] <= 0xF0)
+        ) {
+          that._events.push(event);
+        }
+      });
     });
 
-    return this;
+    this._events = this._events
+      .map(function(event, index) { return {event: event, index: index}; })
+      .sort(function(a, b) { return a.event.ticks - b.event.ticks || a.index - b.index; })
+      .map(function(entry) { return entry.event; });
 
-  };
+    this._state = "stopped";
+    this._ticks = 0;
+    this._bpm = undefined;
+    this._loop = undefined;
 
-  /**
-   * Sets the specified MIDI registered parameter to the desired value. The value is defined with
-   * up to two bytes of data that each can go from 0 to 127.
-   *
-   * >Unless you are very familiar with the MIDI standard you probably should favour one of the
-   * >simpler to use functions such as: `setPitchbendRange()`, `setModulationRange()`,
-   * >`setMasterTuning()`, etc.
-   *
-   * MIDI registered parameters extend the original list of control change messages. Currently,
-   * there are only a limited number of them. Here are the original registered parameters with the
-   * identifier that can be used as the first parameter of this function:
-   *
-   *  * Pitchbend Range (0x00, 0x00): `pitchbendrange`
-   *  * Channel Fine Tuning (0x00, 0x01): `channelfinetuning`
-   *  * Channel Coarse Tuning (0x00, 0x02): `channelcoarsetuning`
-   *  * Tuning Program (0x00, 0x03): `tuningprogram`
-   *  * Tuning Bank (0x00, 0x04): `tuningbank`
-   *  * Modulation Range (0x00, 0x05): `modulationrange`
-   *
-   * Note that the **Tuning Program** and **Tuning Bank** parameters are part of the *MIDI Tuning
-   * Standard*, which is not widely implemented.
-   *
-   * Another set of extra parameters have been later added for 3D sound controllers. They are:
-   *
-   *  * Azimuth Angle (0x3D, 0x00): `azimuthangle`
-   *  * Elevation Angle (0x3D, 0x01): `elevationangle`
-   *  * Gain (0x3D, 0x02): `gain`
-   *  * Distance Ratio (0x3D, 0x03): `distanceratio`
-   *  * Maximum Distance (0x3D, 0x04): `maximumdistance`
-   *  * Maximum Distance Gain (0x3D, 0x05): `maximumdistancegain`
-   *  * Reference Distance Ratio (0x3D, 0x06): `referencedistanceratio`
-   *  * Pan Spread Angle (0x3D, 0x07): `panspreadangle`
-   *  * Roll Angle (0x3D, 0x08): `rollangle`
-   *
-   * @method setRegisteredParameter
-   * @chainable
-   *
-   * @param parameter {String|Array} A string identifying the parameter"s name (see above) or a
-   * two-position array specifying the two control bytes (0x65, 0x64) that identify the registered
-   * parameter.
-   *
-   * @param [data=[]] {Number|Array} An single integer or an array of integers with a maximum length
-   * of 2 specifying the desired data.
+    // Scheduling state: index of the next event, position up to which events have been scheduled,
+    // tempo in effect at that position and history of (ticks, time) reference points.
+    this._index = 0;
+    this._cursor = {ticks: 0, time: 0};
+    this._tempo = 500000;
+    this._timeline = [];
+    this._timeout = undefined;
+    this._lastBeat = undefined;
+
+    // Notes that have been started and not yet released (by "channel:note" key)
+    this._activeNotes = {};
+
+    this._userHandlers = {position: [], ended: []};
+
+    Object.defineProperties(this, {
+
+      /**
+       * The tempo (in beats per minute) used instead of the tempo events of the file. Set it to
+       * `undefined` to follow the tempo events again. This has no effect on files using SMPTE time
+       * division.
+       *
+       * @property bpm
+       * @type Number
+       */
+      bpm: {
+        enumerable: true,
+        get: function() {
+          return this._bpm;
+        }.bind(this),
+        set: function(value) {
+
+          if (value !== undefined && !(parseFloat(value) > 0)) {
+            throw new RangeError("The tempo must be a positive number.");
+          }
+
+          this._bpm = value === undefined ? undefined : parseFloat(value);
+
+          // The new tempo applies from the point up to which events have been scheduled
+          if (this._state === "playing") {
+            this._timeline.push({
+              ticks: this._cursor.ticks,
+              time: this._cursor.time,
+              msPerTick: this._getTickDuration()
+            });
+          }
+
+        }.bind(this)
+      },
+
+      /**
+       * [read-only] The duration of the file in milliseconds.
+       *
+       * @property duration
+       * @type Number
+       */
+      duration: {
+        enumerable: true,
+        get: function() {
+          var last = this._events[this._events.length - 1];
+          return last ? this._ticksToFileTime(last.ticks) : 0;
+        }.bind(this)
+      },
+
+      /**
+       * The region to loop, as an object with `start` and `end` properties (in milliseconds). Set
+       * it to `undefined` to disable looping.
+       *
+       * @property loop
+       * @type Object
+       */
+      loop: {
+        enumerable: true,
+        get: function() {
+          if (!this._loop) return;
+          return {
+            start: this._ticksToFileTime(this._loop.start),
+            end: this._ticksToFileTime(this._loop.end)
+          };
+        }.bind(this),
+        set: function(value) {
+
+          if (value === undefined || value === null) {
+            this._loop = undefined;
+            return;
+          }
+
+          var start = this._fileTimeToTicks(value.start || 0);
+          var end = this._fileTimeToTicks(value.end);
+
+          if ( !(start >= 0 && end > start) ) {
+            throw new RangeError("The loop end must be greater than the loop start.");
+          }
+
+          this._loop = {start: start, end: end};
+
+        }.bind(this)
+      },
+
+      /**
+       * [read-only] The `Output` the file is played through.
+       *
+       * @property output
+       * @type Output
+       */
+      output: {
+        enumerable: true,
+        get: function() {
+          return this._output;
+        }.bind(this)
+      },
+
+      /**
+       * [read-only] The current position in milliseconds.
+       *
+       * @property position
+       * @type Number
+       */
+      position: {
+        enumerable: true,
+        get: function() {
+          return this._ticksToFileTime(this._getTicks());
+        }.bind(this)
+      },
+
+      /**
+       * [read-only] The state of the player: `stopped`, `playing` or `paused`.
+       *
+       * @property state
+       * @type String
+       */
+      state: {
+        enumerable: true,
+        get: function() {
+          return this._state;
+        }.bind(this)
+      }
+
+    });
+
+    /**
+     * How far ahead (in milliseconds) messages are scheduled.
+     *
+     * @property lookahead
+     * @type Number
+     * @default 100
+     */
+    this.lookahead = 100;
+
+  }
+
+  /**
+   * Adds a listener for the specified event (`position` or `ended`).
    *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
+   * @method addListener
+   * @chainable
    *
-   * @param {Object} [options={}]
+   * @param type {String} The type of the event.
+   * @param listener {Function} A callback function to execute when the specified event happens.
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * @throws {TypeError} The specified event type is not supported.
+   * @throws {TypeError} The 'listener' parameter must be a function.
    *
-   * @returns {Output} Returns the `Output` object so methods can be chained.
+   * @return {Player} Returns the `Player` object so methods can be chained.
    */
-  Output.prototype.setRegisteredParameter = function(parameter, data, channel, options) {
-
-    var that = this;
+  Player.prototype.addListener = function(type, listener) {
 
-    options = options || {};
+    if (!this._userHandlers[type]) {
+      throw new TypeError("The specified event type is not supported.");
+    }
 
-    if ( !Array.isArray(parameter) ) {
-      if ( !wm.MIDI_REGISTERED_PARAMETER[parameter]) {
-        throw new Error("The specified parameter is not available.");
-      }
-      parameter = wm.MIDI_REGISTERED_PARAMETER[parameter];
+    if (typeof listener !== "function") {
+      throw new TypeError("The 'listener' parameter must be a function.");
     }
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that._selectRegisteredParameter(parameter, channel, options.time);
-      that._setCurrentRegisteredParameter(data, channel, options.time);
-      that._deselectRegisteredParameter(channel, options.time);
-    });
+    this._userHandlers[type].push(listener);
 
     return this;
 
   };
 
   /**
-   * Sets a non-registered parameter to the specified value. The NRPN is selected by passing in a
-   * two-position array specifying the values of the two control bytes. The value is specified by
-   * passing in an single integer (most cases) or an array of two integers.
-   *
-   * NRPNs are not standardized in any way. Each manufacturer is free to implement them any way
-   * they see fit. For example, according to the Roland GS specification, you can control the
-   * **vibrato rate** using NRPN (1, 8). Therefore, to set the **vibrato rate** value to **123** you
-   * would use:
-   *
-   *     WebMidi.outputs[0].setNonRegisteredParameter([1, 8], 123);
-   *
-   * Obviously, you should select a channel so the message is not sent to all channels. For
-   * instance, to send to channel 1 of the first output port, you would use:
-   *
-   *     WebMidi.outputs[0].setNonRegisteredParameter([1, 8], 123, 1);
-   *
-   * In some rarer cases, you need to send two values with your NRPN messages. In such cases, you
-   * would use a 2-position array. For example, for its **ClockBPM** parameter (2, 63), Novation
-   * uses a 14-bit value that combines an MSB and an LSB (7-bit values). So, for example, if the
-   * value to send was 10, you could use:
-   *
-   *     WebMidi.outputs[0].setNonRegisteredParameter([2, 63], [0, 10]);
-   *
-   * For further implementation details, refer to the manufacturer"s documentation.
+   * Removes the specified listener. If the `listener` parameter is left undefined, all listeners
+   * for the specified `type` are removed. If both parameters are omitted, all listeners are
+   * removed.
    *
-   * @method setNonRegisteredParameter
+   * @method removeListener
    * @chainable
    *
-   * @param parameter {Array} A two-position array specifying the two control bytes (0x63,
-   * 0x62) that identify the non-registered parameter.
-   *
-   * @param [data=[]] {Number|Array} An integer or an array of integers with a length of 1 or 2
-   * specifying the desired data.
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
-   *
-   * @param {Object} [options={}]
+   * @param [type] {String} The type of the event.
+   * @param [listener] {Function} The callback function to remove.
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * @throws {TypeError} The specified event type is not supported.
    *
-   * @returns {Output} Returns the `Output` object so methods can be chained.
+   * @return {Player} Returns the `Player` object so methods can be chained.
    */
-  Output.prototype.setNonRegisteredParameter = function(parameter, data, channel, options) {
-
-    var that = this;
+  Player.prototype.removeListener = function(type, listener) {
 
-    options = options || {};
-
-    if (
-      !(parameter[0] >= 0 && parameter[0] <= 127) ||
-      !(parameter[1] >= 0 && parameter[1] <= 127)
-    ) {
-      throw new Error(
-        "Position 0 and 1 of the 2-position parameter array must both be between 0 and 127."
-      );
+    if (type !== undefined && !this._userHandlers[type]) {
+      throw new TypeError("The specified event type is not supported.");
     }
 
-    data = [].concat(data);
-
-    wm.toMIDIChannels(channel).forEach(function() {
-      that._selectNonRegisteredParameter(parameter, channel, options.time);
-      that._setCurrentRegisteredParameter(data, channel, options.time);
-      that._deselectRegisteredParameter(channel, options.time);
-    });
+    for (var t in this._userHandlers) {
+      if (type === undefined || t === type) {
+        this._userHandlers[t] = this._userHandlers[t].filter(function(handler) {
+          return listener !== undefined && handler !== listener;
+        });
+      }
+    }
 
     return this;
 
   };
 
   /**
-   * Increments the specified MIDI registered parameter by 1.
-   *
-   * >Unless you are very familiar with the MIDI standard you probably should favour one of the
-   * >simpler to use functions such as: `setPitchbendRange()`, `setModulationRange()`,
-   * >`setMasterTuning()`, etc.
+   * Starts playback from the beginning of the file.
    *
-   * Here is the full list of parameter names that can be used with this function:
+   * @method start
+   * @chainable
    *
-   *  * Pitchbend Range (0x00, 0x00): `pitchbendrange`
-   *  * Channel Fine Tuning (0x00, 0x01): `channelfinetuning`
-   *  * Channel Coarse Tuning (0x00, 0x02): `channelcoarsetuning`
-   *  * Tuning Program (0x00, 0x03): `tuningprogram`
-   *  * Tuning Bank (0x00, 0x04): `tuningbank`
-   *  * Modulation Range (0x00, 0x05): `modulationrange`
-   *  * Azimuth Angle (0x3D, 0x00): `azimuthangle`
-   *  * Elevation Angle (0x3D, 0x01): `elevationangle`
-   *  * Gain (0x3D, 0x02): `gain`
-   *  * Distance Ratio (0x3D, 0x03): `distanceratio`
-   *  * Maximum Distance (0x3D, 0x04): `maximumdistance`
-   *  * Maximum Distance Gain (0x3D, 0x05): `maximumdistancegain`
-   *  * Reference Distance Ratio (0x3D, 0x06): `referencedistanceratio`
-   *  * Pan Spread Angle (0x3D, 0x07): `panspreadangle`
-   *  * Roll Angle (0x3D, 0x08): `rollangle`
+   * @return {Player} Returns the `Player` object so methods can be chained.
+   */
+  Player.prototype.start = function() {
+    this._halt();
+    this._play(0);
+    return this;
+  };
+
+  /**
+   * Pauses playback. The notes that are playing are released.
    *
-   * @method incrementRegisteredParameter
+   * @method pause
    * @chainable
    *
-   * @param parameter {String|Array} A string identifying the parameter"s name (see above) or a
-   * two-position array specifying the two control bytes (0x65, 0x64) that identify the registered
-   * parameter.
-   *
-   * @param [channel=all] {uint|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
+   * @return {Player} Returns the `Player` object so methods can be chained.
+   */
+  Player.prototype.pause = function() {
+
+    if (this._state !== "playing") return this;
+
+    this._ticks = this._getTicks();
+    this._halt();
+    this._state = "paused";
+
+    return this;
+
+  };
+
+  /**
+   * Resumes playback from the position where it was paused.
    *
-   * @param {Object} [options={}]
+   * @method resume
+   * @chainable
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * @return {Player} Returns the `Player` object so methods can be chained.
+   */
+  Player.prototype.resume = function() {
+    if (this._state === "paused") this._play(this._ticks);
+    return this;
+  };
+
+  /**
+   * Stops playback and goes back to the beginning of the file. An `allnotesoff` and a
+   * `resetallcontrollers` channel mode message are sent on all channels.
    *
-   * @throws Error The specified parameter is not available.
+   * @method stop
+   * @chainable
    *
-   * @returns {Output} Returns the `Output` object so methods can be chained.
+   * @return {Player} Returns the `Player` object so methods can be chained.
    */
-  Output.prototype.incrementRegisteredParameter = function(parameter, channel, options) {
-
-    var that = this;
+  Player.prototype.stop = function() {
 
-    options = options || {};
+    var time = this._halt();
 
-    if ( !Array.isArray(parameter) ) {
-      if ( !wm.MIDI_REGISTERED_PARAMETER[parameter]) {
-        throw new Error("The specified parameter is not available.");
-      }
-      parameter = wm.MIDI_REGISTERED_PARAMETER[parameter];
-    }
+    this._state = "stopped";
+    this._ticks = 0;
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that._selectRegisteredParameter(parameter, channel, options.time);
-      that.sendControlChange(0x60, 0, channel, {time: options.time});
-      that._deselectRegisteredParameter(channel, options.time);
-    });
+    this._output.sendChannelMode("allnotesoff", 0, "all", {time: time});
+    this._output.sendChannelMode("resetallcontrollers", 0, "all", {time: time});
 
     return this;
 
   };
 
   /**
-   * Decrements the specified MIDI registered parameter by 1.
-   *
-   * >Unless you are very familiar with the MIDI standard you probably should favour one of the
-   * >simpler to use functions such as: `setPitchbendRange()`, `setModulationRange()`,
-   * >`setMasterTuning()`, etc.
-   *
-   * Here is the full list of parameter names that can be used with this function:
-   *
-   *  * Pitchbend Range (0x00, 0x00): `pitchbendrange`
-   *  * Channel Fine Tuning (0x00, 0x01): `channelfinetuning`
-   *  * Channel Coarse Tuning (0x00, 0x02): `channelcoarsetuning`
-   *  * Tuning Program (0x00, 0x03): `tuningprogram`
-   *  * Tuning Bank (0x00, 0x04): `tuningbank`
-   *  * Modulation Range (0x00, 0x05): `modulationrange`
-   *  * Azimuth Angle (0x3D, 0x00): `azimuthangle`
-   *  * Elevation Angle (0x3D, 0x01): `elevationangle`
-   *  * Gain (0x3D, 0x02): `gain`
-   *  * Distance Ratio (0x3D, 0x03): `distanceratio`
-   *  * Maximum Distance (0x3D, 0x04): `maximumdistance`
-   *  * Maximum Distance Gain (0x3D, 0x05): `maximumdistancegain`
-   *  * Reference Distance Ratio (0x3D, 0x06): `referencedistanceratio`
-   *  * Pan Spread Angle (0x3D, 0x07): `panspreadangle`
-   *  * Roll Angle (0x3D, 0x08): `rollangle`
+   * Moves to the specified position. If the file is playing, playback continues from there.
    *
-   * @method decrementRegisteredParameter
+   * @method seek
    * @chainable
    *
-   * @param parameter {String|Array} A string identifying the parameter"s name (see above) or a
-   * two-position array specifying the two control bytes (0x65, 0x64) that identify the registered
-   * parameter.
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * @param position {Number} The position in milliseconds.
    *
-   * @throws TypeError The specified parameter is not available.
+   * @throws {RangeError} The position must be a positive number.
    *
-   * @returns {Output} Returns the `Output` object so methods can be chained.
+   * @return {Player} Returns the `Player` object so methods can be chained.
    */
-  Output.prototype.decrementRegisteredParameter = function(parameter, channel, options) {
+  Player.prototype.seek = function(position) {
 
-    options = options || {};
+    var ticks = this._fileTimeToTicks(position);
 
-    if ( !Array.isArray(parameter) ) {
-      if ( !wm.MIDI_REGISTERED_PARAMETER[parameter]) {
-        throw new TypeError("The specified parameter is not available.");
-      }
-      parameter = wm.MIDI_REGISTERED_PARAMETER[parameter];
+    if ( !(ticks >= 0) ) {
+      throw new RangeError("The position must be a positive number.");
     }
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      this._selectRegisteredParameter(parameter, channel, options.time);
-      this.sendControlChange(0x61, 0, channel, {time: options.time});
-      this._deselectRegisteredParameter(channel, options.time);
-    }.bind(this));
+    if (this._state === "playing") {
+      this._halt();
+      this._play(ticks);
+    } else {
+      this._ticks = ticks;
+      this._dispatchPosition(ticks);
+    }
 
     return this;
 
   };
 
   /**
-   * Sends a pitch bend range message to the specified channel(s) at the scheduled time so that they
-   * adjust the range used by their pitch bend lever. The range can be specified with the
-   * `semitones` parameter, the `cents` parameter or by specifying both parameters at the same time.
+   * Starts scheduling events from the specified position.
    *
-   * @method setPitchBendRange
-   * @chainable
-   *
-   * @param [semitones=0] {Number} The desired adjustment value in semitones (integer between
-   * 0-127). While nothing imposes that in the specification, it is very common for manufacturers to
-   * limit the range to 2 octaves (-12 semitones to 12 semitones).
-   *
-   * @param [cents=0] {Number} The desired adjustment value in cents (integer between 0-127).
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
-   *
-   * @throws {RangeError} The semitones value must be between 0 and 127.
-   * @throws {RangeError} The cents value must be between 0 and 127.
+   * @method _play
+   * @param ticks {Number}
+   * @protected
+   */
+  Player.prototype._play = function(ticks) {
+
+    var now = wm.time || 0;
+
+    this._state = "playing";
+    this._timeline = [];
+    this._moveCursor(ticks, now);
+    this._lastBeat = undefined;
+
+    this._run();
+
+  };
+
+  /**
+   * Moves the scheduling cursor to the specified position, skipping the events that precede it
+   * (but following their tempo changes).
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @method _moveCursor
+   * @param ticks {Number} The position to move to.
+   * @param time {DOMHighResTimeStamp} The time at which the position is reached.
+   * @protected
    */
-  Output.prototype.setPitchBendRange = function(semitones, cents, channel, options) {
+  Player.prototype._moveCursor = function(ticks, time) {
 
-    var that = this;
+    var event;
 
-    options = options || {};
+    this._index = 0;
+    this._tempo = 500000;
 
-    semitones = Math.floor(semitones) || 0;
-    if ( !(semitones >= 0 && semitones <= 127) ) {
-      throw new RangeError("The semitones value must be between 0 and 127");
+    while ((event = this._events[this._index]) && event.ticks < ticks) {
+      if (event.type === "tempo") this._tempo = event.value;
+      this._index++;
     }
 
-    cents = Math.floor(cents) || 0;
-    if ( !(cents >= 0 && cents <= 127) ) {
-      throw new RangeError("The cents value must be between 0 and 127");
-    }
+    this._cursor = {ticks: ticks, time: time};
+    this._timeline.push({ticks: ticks, time: time, msPerTick: this._getTickDuration()});
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that.setRegisteredParameter(
-        "pitchbendrange", [semitones, cents], channel, {time: options.time}
-      );
-    });
+  };
 
-    return this;
+  /**
+   * Cancels pending messages and releases the notes that are playing.
+   *
+   * @method _halt
+   * @returns {DOMHighResTimeStamp} The time at which the last note is released (0 if no note is
+   * released after the current time).
+   * @protected
+   */
+  Player.prototype._halt = function() {
+
+    clearTimeout(this._timeout);
+    this._timeout = undefined;
+
+    if (this._state !== "playing") return 0;
+
+    this._output.clear(this);
+    return this._releaseNotes(0);
 
   };
 
   /**
-   * Sends a modulation depth range message to the specified channel(s) so that they adjust the
-   * depth of their modulation wheel"s range. The range can be specified with the `semitones`
-   * parameter, the `cents` parameter or by specifying both parameters at the same time.
-   *
-   * @method setModulationRange
-   * @chainable
+   * Schedules the events that fall within the lookahead window and dispatches the `position` and
+   * `ended` events. This is called repeatedly while playing.
    *
-   * @param [semitones=0] {Number} The desired adjustment value in semitones (integer between
-   * 0-127).
-   *
-   * @param [cents=0] {Number} The desired adjustment value in cents (0-127).
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
-   *
-   * @throws {RangeError} The semitones value must be between 0 and 127.
-   * @throws {RangeError} The cents value must be between 0 and 127.
-   *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @method _run
+   * @protected
    */
-  Output.prototype.setModulationRange = function(semitones, cents, channel, options) {
+  Player.prototype._run = function() {
 
-    var that = this;
+    var now = wm.time || 0,
+      horizon = now + this.lookahead,
+      time;
 
-    options = options || {};
+    this._timeout = undefined;
 
-    semitones = Math.floor(semitones) || 0;
-    if ( !(semitones >= 0 && semitones <= 127) ) {
-      throw new RangeError("The semitones value must be between 0 and 127");
+    if (this._output._midiOutput.state === "disconnected") {
+      this._state = "stopped";
+      return;
     }
 
-    cents = Math.floor(cents) || 0;
-    if ( !(cents >= 0 && cents <= 127) ) {
-      throw new RangeError("The cents value must be between 0 and 127");
-    }
+    for (;;) {
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that.setRegisteredParameter(
-        "modulationrange", [semitones, cents], channel, {time: options.time}
-      );
-    });
+      var event = this._events[this._index];
+      var ticks = event ? event.ticks : Infinity;
 
-    return this;
+      if (this._loop && ticks >= this._loop.end) {
 
-  };
+        time = this._getTimeAt(this._loop.end);
+        if (time > horizon) break;
 
-  /**
-   * Sends a master tuning message to the specified channel(s). The value is decimal and must be
-   * larger than -65 semitones and smaller than 64 semitones.
-   *
-   * >Because of the way the MIDI specification works, the decimal portion of the value will be
-   * >encoded with a resolution of 14bit. The integer portion must be between -64 and 63
-   * >inclusively. For those familiar with the MIDI protocol, this function actually generates
-   * >**Master Coarse Tuning** and **Master Fine Tuning** RPN messages.
-   *
-   * @method setMasterTuning
-   * @chainable
-   *
-   * @param [value=0.0] {Number} The desired decimal adjustment value in semitones (-65 < x < 64)
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
-   *
-   * @throws {RangeError} The value must be a decimal number between larger than -65 and smaller
-   * than 64.
-   *
-   * @return {Output} Returns the `Output` object so methods can be chained.
-   */
-  Output.prototype.setMasterTuning = function(value, channel, options) {
+        this._releaseNotes(time);
+        this._moveCursor(this._loop.start, time);
+        continue;
 
-    var that = this;
+      }
 
-    options = options || {};
+      if (!event) {
 
-    value = parseFloat(value) || 0.0;
+        if (now >= this._cursor.time) {
+          this._state = "stopped";
+          this._ticks = 0;
+          this._dispatch("ended", {});
+          return;
+        }
+
+        break;
+
+      }
+
+      time = this._getTimeAt(ticks);
+      if (time > horizon) break;
+
+      this._cursor = {ticks: ticks, time: time};
+      this._index++;
+
+      if (event.type === "tempo") {
+        this._tempo = event.value;
+        this._timeline.push({ticks: ticks, time: time, msPerTick: this._getTickDuration()});
+      } else if (!event.meta) {
+        this._send(Array.prototype.slice.call(event.data), time);
+      }
 
-    if (value <= -65 || value >= 64) {
-      throw new RangeError(
-        "The value must be a decimal number larger than -65 and smaller than 64."
-      );
     }
 
-    var coarse = Math.floor(value) + 64;
-    var fine = value - Math.floor(value);
+    // Dispatch the position when starting and on every beat
+    var position = this._getTicks(),
+      ppq = this._file.ppq || 96,
+      beat = Math.floor(position / ppq);
 
-    // Calculate MSB and LSB for fine adjustment (14bit resolution)
-    fine = Math.round((fine + 1) / 2 * 16383);
-    var msb = (fine >> 7) & 0x7F;
-    var lsb = fine & 0x7F;
+    if (this._lastBeat === undefined) {
+      this._dispatchPosition(position);
+    } else if (beat !== this._lastBeat) {
+      this._dispatchPosition(beat * ppq);
+    }
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that.setRegisteredParameter("channelcoarsetuning", coarse, channel, {time: options.time});
-      that.setRegisteredParameter("channelfinetuning", [msb, lsb], channel, {time: options.time});
-    });
+    this._lastBeat = beat;
 
-    return this;
+    if (this._state === "playing") this._timeout = setTimeout(this._run.bind(this), 25);
 
   };
 
   /**
-   * Sets the MIDI tuning program to use. Note that the **Tuning Program** parameter is part of the
-   * *MIDI Tuning Standard*, which is not widely implemented.
-   *
-   * @method setTuningProgram
-   * @chainable
-   *
-   * @param value {Number} The desired tuning program (0-127).
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * Sends a message through the output and keeps track of the notes that are playing.
    *
-   * @throws {RangeError} The program value must be between 0 and 127.
-   *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @method _send
+   * @param message {Array} The MIDI message.
+   * @param time {DOMHighResTimeStamp} The time at which to send the message.
+   * @protected
    */
-  Output.prototype.setTuningProgram = function(value, channel, options) {
-
-    var that = this;
+  Player.prototype._send = function(message, time) {
 
-    options = options || {};
+    var command = message[0] >> 4,
+      key = (message[0] & 0xF) + ":" + message[1];
 
-    value = Math.floor(value);
-    if ( !(value >= 0 && value <= 127) ) {
-      throw new RangeError("The program value must be between 0 and 127");
+    if (command === wm.MIDI_CHANNEL_MESSAGES.noteon && message[2] > 0) {
+      this._activeNotes[key] = true;
+    } else if (
+      command === wm.MIDI_CHANNEL_MESSAGES.noteoff || command === wm.MIDI_CHANNEL_MESSAGES.noteon
+    ) {
+      delete this._activeNotes[key];
     }
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that.setRegisteredParameter("tuningprogram", value, channel, {time: options.time});
-    });
-
-    return this;
+    this._output.send(message[0], message.slice(1), time, {tag: this});
 
   };
 
   /**
-   * Sets the MIDI tuning bank to use. Note that the **Tuning Bank** parameter is part of the
-   * *MIDI Tuning Standard*, which is not widely implemented.
-   *
-   * @method setTuningBank
-   * @chainable
-   *
-   * @param value {Number} The desired tuning bank (0-127).
+   * Sends a note off for all the notes that are playing. A note whose note on has already been
+   * handed to the MIDI subsystem for a later time is released after it, so it does not hang.
    *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
-   *
-   * @param {Object} [options={}]
-   *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
-   *
-   * @throws {RangeError} The bank value must be between 0 and 127.
-   *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @method _releaseNotes
+   * @param time {DOMHighResTimeStamp} The time at which to release the notes.
+   * @returns {DOMHighResTimeStamp} The time at which the last note is released.
+   * @protected
    */
-  Output.prototype.setTuningBank = function(value, channel, options) {
+  Player.prototype._releaseNotes = function(time) {
+
+    var latest = time;
+
+    for (var key in this._activeNotes) {
+      if (Object.prototype.hasOwnProperty.call(this._activeNotes, key)) {
+        var parts = key.split(":");
+        var status = (wm.MIDI_CHANNEL_MESSAGES.noteoff << 4) + parseInt(parts[0]);
+        var message = [status, parseInt(parts[1]), 0];
+        var on = this._output._activeNotes[this._output._getNoteKey(message)];
+        var release = on > Math.max(time, wm.time) ? on : time;
+        this._send(message, release);
+        latest = Math.max(latest, release);
+      }
+    }
 
-    var that = this;
+    return latest;
 
-    options = options || {};
+  };
 
-    value = Math.floor(value) || 0;
-    if ( !(value >= 0 && value <= 127) ) {
-      throw new RangeError("The bank value must be between 0 and 127");
+  /**
+   * @method _getTickDuration
+   * @returns {Number} The duration of a tick (in milliseconds) at the current tempo.
+   * @protected
+   */
+  Player.prototype._getTickDuration = function() {
+
+    if (this._file.smpte) {
+      return 1000 / (this._file.smpte.fps * this._file.smpte.ticksPerFrame);
     }
 
-    wm.toMIDIChannels(channel).forEach(function() {
-      that.setRegisteredParameter("tuningbank", value, channel, {time: options.time});
-    });
+    return (this._bpm ? 60000 / this._bpm : this._tempo / 1000) / this._file.ppq;
 
-    return this;
+  };
 
+  /**
+   * @method _getTimeAt
+   * @param ticks {Number} A position (after the scheduling cursor).
+   * @returns {DOMHighResTimeStamp} The time at which the position will be reached.
+   * @protected
+   */
+  Player.prototype._getTimeAt = function(ticks) {
+    return this._cursor.time + (ticks - this._cursor.ticks) * this._getTickDuration();
   };
 
   /**
-   * Sends a MIDI `channel mode` message to the specified channel(s). The channel mode message to
-   * send can be specified numerically or by using one of the following common names:
-   *
-   *   * `allsoundoff` (#120)
-   *   * `resetallcontrollers` (#121)
-   *   * `localcontrol` (#122)
-   *   * `allnotesoff` (#123)
-   *   * `omnimodeoff` (#124)
-   *   * `omnimodeon` (#125)
-   *   * `monomodeon` (#126)
-   *   * `polymodeon` (#127)
-   *
-   * It should be noted that, per the MIDI specification, only `localcontrol` and `monomodeon` may
-   * require a value that"s not zero. For that reason, the `value` parameter is optional and
-   * defaults to 0.
-   *
-   * @method sendChannelMode
-   * @chainable
-   *
-   * @param command {Number|String} The numerical identifier of the channel mode message (integer
-   * between 120-127) or its name as a string.
-   * @param [value=0] {Number} The value to send (integer between 0-127).
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
-   * @param {Object} [options={}]
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
-   *
-   * @throws {TypeError} Invalid channel mode message name.
-   * @throws {RangeError} Channel mode controller numbers must be between 120 and 127.
-   * @throws {RangeError} Value must be an integer between 0 and 127.
-   *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @method _getTicks
+   * @returns {Number} The current position in ticks.
+   * @protected
+   */
+  Player.prototype._getTicks = function() {
+
+    if (this._state !== "playing") return this._ticks;
+
+    var now = wm.time || 0;
+
+    // Discard the reference points that are no longer needed
+    while (this._timeline.length > 1 && this._timeline[1].time <= now) this._timeline.shift();
+
+    var reference = this._timeline[0];
+    return reference.ticks + Math.max(0, now - reference.time) / reference.msPerTick;
+
+  };
+
+  /**
+   * Returns the time in milliseconds (on the timeline of the file) matching the specified position
+   * in ticks.
    *
+   * @method _ticksToFileTime
+   * @param ticks {Number}
+   * @returns {Number}
+   * @protected
    */
-  Output.prototype.sendChannelMode = function(command, value, channel, options) {
-
-    options = options || {};
+  Player.prototype._ticksToFileTime = function(ticks) {
 
-    if (typeof command === "string") {
+    if (this._file.smpte) {
+      return ticks / (this._file.smpte.fps * this._file.smpte.ticksPerFrame) * 1000;
+    }
 
-      command = wm.MIDI_CHANNEL_MODE_MESSAGES[command];
+    var time = 0, position = 0, tempo = 500000;
 
-      if (!command) {
-        throw new TypeError("Invalid channel mode message name.");
+    for (var i = 0; i < this._events.length && this._events[i].ticks < ticks; i++) {
+      if (this._events[i].type === "tempo") {
+        time += (this._events[i].ticks - position) * tempo / this._file.ppq / 1000;
+        position = this._events[i].ticks;
+        tempo = this._events[i].value;
       }
+    }
 
-    } else {
+    return time + (ticks - position) * tempo / this._file.ppq / 1000;
 
-      command = Math.floor(command);
+  };
 
-      if ( !(command >= 120 && command <= 127) ) {
-        throw new RangeError("Channel mode numerical identifiers must be between 120 and 127.");
-      }
+  /**
+   * Returns the position in ticks matching the specified time in milliseconds (on the timeline of
+   * the file).
+   *
+   * @method _fileTimeToTicks
+   * @param time {Number}
+   * @returns {Number}
+   * @protected
+   */
+  Player.prototype._fileTimeToTicks = function(time) {
+
+    time = parseFloat(time);
 
+    if (this._file.smpte) {
+      return time * this._file.smpte.fps * this._file.smpte.ticksPerFrame / 1000;
     }
 
-    value = Math.floor(value) || 0;
+    var elapsed = 0, position = 0, tempo = 500000;
+
+    for (var i = 0; i < this._events.length; i++) {
+
+      if (this._events[i].type !== "tempo") continue;
+
+      var next = elapsed + (this._events[i].ticks - position) * tempo / this._file.ppq / 1000;
+      if (next >= time) break;
+
+      elapsed = next;
+      position = this._events[i].ticks;
+      tempo = this._events[i].value;
 
-    if (value < 0 || value > 127) {
-      throw new RangeError("Value must be an integer between 0 and 127.");
     }
 
-    wm.toMIDIChannels(channel).forEach(function(ch) {
+    return position + (time - elapsed) * this._file.ppq * 1000 / tempo;
 
-      this.send(
-        (wm.MIDI_CHANNEL_MESSAGES.channelmode << 4) + (ch - 1),
-        [command, value],
-        this._parseTimeParameter(options.time)
-      );
+  };
 
-    }.bind(this));
+  /**
+   * @method _dispatchPosition
+   * @param ticks {Number}
+   * @protected
+   */
+  Player.prototype._dispatchPosition = function(ticks) {
 
-    return this;
+    /**
+     * Event emitted when playback starts, when the position is changed and on every beat.
+     *
+     * @event position
+     * @param {Object} event
+     * @param {Player} event.target The `Player` that triggered the event.
+     * @param {Number} event.timestamp The time when the event occurred (in milliseconds).
+     * @param {String} event.type The type of event that occurred.
+     * @param {Number} event.position The position in milliseconds.
+     * @param {Number} event.ticks The position in ticks.
+     */
+    this._dispatch("position", {position: this._ticksToFileTime(ticks), ticks: ticks});
 
   };
 
   /**
-   * Sends a MIDI `program change` message to the specified channel(s) at the scheduled time.
-   *
-   * @method sendProgramChange
-   * @chainable
-   *
-   * @param program {Number} The MIDI patch (program) number (0-127)
-   *
-   * @param [channel=all] {Number|Array|String} The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
-   *
-   * @param {Object} [options={}]
+   * Executes the listeners of the specified event.
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * @method _dispatch
+   * @param type {String} The type of event.
+   * @param event {Object} The properties specific to the event.
+   * @protected
+   */
+  Player.prototype._dispatch = function(type, event) {
+
+    /**
+     * Event emitted when the end of the file has been reached (unless a loop is active).
+     *
+     * @event ended
+     * @param {Object} event
+     * @param {Player} event.target The `Player` that triggered the event.
+     * @param {Number} event.timestamp The time when the event occurred (in milliseconds).
+     * @param {String} event.type The type of event that occurred.
+     */
+    event.target = this;
+    event.timestamp = wm.time;
+    event.type = type;
+
+    this._userHandlers[type].forEach(function(handler) {
+      handler(event);
+    });
+
+  };
+
+  /**
+   * The `MpeNote` object controls a note played in an MPE (MIDI Polyphonic Expression) zone. It is
+   * returned by {{#crossLink "Output/playNote:method"}}Output.playNote(){{/crossLink}} (with the
+   * `mpe` option) and {{#crossLink "Output/playMpeNote:method"}}Output.playMpeNote(){{/crossLink}}
+   * and cannot be instantiated directly.
    *
-   * @throws {RangeError} Program numbers must be between 0 and 127.
+   * Since the note has a member channel of its own, the pitch bend, channel pressure and timbre
+   * (CC74) messages sent through this object only affect this note. Once the channel has been given
+   * to another note, the methods of this object have no effect.
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @class MpeNote
+   * @param output {Output} The output the note is played on.
+   * @param allocation {Object} The member channel given to the note.
+   * @param zone {String} The zone of the note.
    *
+   * @since 2.6.0
    */
-  Output.prototype.sendProgramChange = function(program, channel, options) {
+  function MpeNote(output, allocation, zone) {
 
     var that = this;
 
-    options = options || {};
+    this._output = output;
+    this._allocation = allocation;
 
-    program = Math.floor(program);
-    if (isNaN(program) || program < 0 || program > 127) {
-      throw new RangeError("Program numbers must be between 0 and 127.");
-    }
+    Object.defineProperties(this, {
 
-    wm.toMIDIChannels(channel).forEach(function(ch) {
-      that.send(
-        (wm.MIDI_CHANNEL_MESSAGES.programchange << 4) + (ch - 1),
-        [program],
-        that._parseTimeParameter(options.time)
-      );
-    });
+      /**
+       * [read-only] The member channel the note is played on.
+       *
+       * @property channel
+       * @type Number
+       */
+      channel: {
+        enumerable: true,
+        get: function() {
+          return that._allocation.channel;
+        }
+      },
 
-    return this;
+      /**
+       * [read-only] The MIDI note number.
+       *
+       * @property number
+       * @type Number
+       */
+      number: {
+        enumerable: true,
+        get: function() {
+          return that._allocation.note;
+        }
+      },
 
-  };
+      /**
+       * [read-only] The output the note is played on.
+       *
+       * @property output
+       * @type Output
+       */
+      output: {
+        enumerable: true,
+        get: function() {
+          return that._output;
+        }
+      },
+
+      /**
+       * [read-only] Whether the note still owns its channel (it has not been given to another
+       * note). The note may have been stopped and still be releasing.
+       *
+       * @property owner
+       * @type Boolean
+       */
+      owner: {
+        enumerable: true,
+        get: function() {
+          return that._output._channelOwners[that._allocation.channel] === that._allocation;
+        }
+      },
+
+      /**
+       * [read-only] The zone of the note: `lower` or `upper`.
+       *
+       * @property zone
+       * @type String
+       */
+      zone: {
+        enumerable: true,
+        get: function() {
+          return zone;
+        }
+      }
+
+    });
+
+  }
 
   /**
-   * Sends a MIDI `channel aftertouch` message to the specified channel(s). For key-specific
-   * aftertouch, you should instead use `sendKeyAftertouch()`.
+   * Bends the note. The bend is relative to the note number and is scaled by the pitch bend range
+   * of the member channel (48 semitones by default in MPE).
    *
-   * @method sendChannelAftertouch
+   * @method bend
    * @chainable
    *
-   * @param [pressure=0.5] {Number} The pressure level (between 0 and 1). An invalid pressure value
-   * will silently trigger the default behaviour.
-   *
-   * @param [channel=all] {Number|Array|String}  The MIDI channel number (between 1 and 16) or
-   * an array of channel numbers. If the special value "all" is used, the message will be sent to
-   * all 16 channels.
+   * @param semitones {Number} The bend (in semitones).
    *
    * @param {Object} [options={}]
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to send the message (see
+   * {{#crossLink "Output/send:method"}}Output.send(){{/crossLink}}).
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @throws {RangeError} The bend exceeds the pitch bend range of the channel.
+   *
+   * @return {MpeNote} Returns the `MpeNote` object so methods can be chained.
    */
-  Output.prototype.sendChannelAftertouch = function(pressure, channel, options) {
-
-    var that = this;
+  MpeNote.prototype.bend = function(semitones, options) {
 
-    options = options || {};
-
-    pressure = parseFloat(pressure);
-    if (isNaN(pressure) || pressure < 0 || pressure > 1) { pressure = 0.5; }
+    var range = this._output._pitchBendRanges[this.channel] || 48,
+      bend = (parseFloat(semitones) || 0) / range;
 
-    var nPressure = Math.round(pressure * 127);
+    if (bend < -1 || bend > 1) {
+      throw new RangeError("The bend exceeds the pitch bend range of the channel.");
+    }
 
-    wm.toMIDIChannels(channel).forEach(function(ch) {
-      that.send(
-        (wm.MIDI_CHANNEL_MESSAGES.channelaftertouch << 4) + (ch - 1),
-        [nPressure],
-        that._parseTimeParameter(options.time)
-      );
-    });
+    if (this.owner) this._output.sendPitchBend(bend, this.channel, options);
 
     return this;
 
   };
 
   /**
-   * Sends a MIDI `pitch bend` message to the specified channel(s) at the scheduled time.
+   * Changes the pressure applied to the note (with a channel aftertouch message).
    *
-   * @method sendPitchBend
+   * @method press
    * @chainable
    *
-   * @param bend {Number} The intensity level of the bend (between -1 and 1). A value of zero means
-   * no bend.
-   *
-   * @param [channel=all] {Number|Array|String}  The MIDI channel number (between 1 and 16) or an
-   * array of channel numbers. If the special value "all" is used, the message will be sent to all
-   * 16 channels.
+   * @param pressure {Number} The pressure (between 0 and 1).
    *
    * @param {Object} [options={}]
    *
-   * @param {DOMHighResTimeStamp|String} [options.time=undefined] This value can be one of two
-   * things. If the value is a string starting with the + sign and followed by a number, the request
-   * will be delayed by the specified number (in milliseconds). Otherwise, the value is considered a
-   * timestamp and the request will be scheduled at that timestamp. The `DOMHighResTimeStamp` value
-   * is relative to the navigation start of the document. To retrieve the current time, you can use
-   * `WebMidi.time`. If `time` is not present or is set to a time in the past, the request is to be
-   * sent as soon as possible.
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to send the message (see
+   * {{#crossLink "Output/send:method"}}Output.send(){{/crossLink}}).
    *
-   * @throws {RangeError} Pitch bend value must be between -1 and 1.
+   * @throws {RangeError} The pressure must be between 0 and 1.
    *
-   * @return {Output} Returns the `Output` object so methods can be chained.
+   * @return {MpeNote} Returns the `MpeNote` object so methods can be chained.
    */
-  Output.prototype.sendPitchBend = function(bend, channel, options) {
-
-    var that = this;
+  MpeNote.prototype.press = function(pressure, options) {
 
-    options = options || {};
+    pressure = parseFloat(pressure);
 
-    if (isNaN(bend) || bend < -1 || bend > 1) {
-      throw new RangeError("Pitch bend value must be between -1 and 1.");
+    if ( !(pressure >= 0 && pressure <= 1) ) {
+      throw new RangeError("The pressure must be between 0 and 1.");
     }
 
-    var nLevel = Math.round((bend + 1) / 2 * 16383);
-    var msb = (nLevel >> 7) & 0x7F;
-    var lsb = nLevel & 0x7F;
-
-    wm.toMIDIChannels(channel).forEach(function(ch) {
-      that.send(
-        (wm.MIDI_CHANNEL_MESSAGES.pitchbend << 4) + (ch - 1),
-        [lsb, msb],
-        that._parseTimeParameter(options.time)
-      );
-    });
+    if (this.owner) this._output.sendChannelAftertouch(pressure, this.channel, options);
 
     return this;
 
   };
 
   /**
-   * Returns a timestamp, relative to the navigation start of the document, derived from the `time`
-   * parameter. If the parameter is a string starting with the "+" sign and followed by a number,
-   * the resulting value will be the sum of the current timestamp plus that number. Otherwise, the
-   * value will be returned as is.
+   * Changes the timbre of the note (with control change 74, the third dimension of MPE, usually
+   * controlled by sliding the finger along the key).
    *
-   * If the calculated return value is 0, less than zero or an otherwise invalid value, `undefined`
-   * will be returned.
+   * @method slide
+   * @chainable
    *
-   * @method _parseTimeParameter
-   * @param [time] {Number|String}
-   * @return DOMHighResTimeStamp
-   * @protected
+   * @param value {Number} The timbre (between 0 and 1).
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to send the message (see
+   * {{#crossLink "Output/send:method"}}Output.send(){{/crossLink}}).
+   *
+   * @throws {RangeError} The timbre must be between 0 and 1.
+   *
+   * @return {MpeNote} Returns the `MpeNote` object so methods can be chained.
    */
-  Output.prototype._parseTimeParameter = function(time) {
+  MpeNote.prototype.slide = function(value, options) {
 
-    var value,
-      parsed = parseFloat(time);
+    value = parseFloat(value);
 
-    if (typeof time === "string" && time.substring(0, 1) === "+") {
-      if (parsed && parsed > 0) value = wm.time + parsed;
-    } else {
-      if (parsed > wm.time) value = parsed;
+    if ( !(value >= 0 && value <= 1) ) {
+      throw new RangeError("The timbre must be between 0 and 1.");
     }
 
-    return value;
+    if (this.owner) {
+      this._output.sendControlChange(74, Math.round(value * 127), this.channel, options);
+    }
+
+    return this;
 
   };
 
   /**
-   * Converts an input value (which can be a uint, a string or an array of the previous two) to an
-   * array of MIDI note numbers.
+   * Stops the note. Its channel is released (it can still receive expression messages while the
+   * note is releasing, until the channel is given to another note).
    *
-   * @method _convertNoteToArray
-   * @param [note] {Number|Array|String}
-   * @returns {Array}
-   * @protected
+   * @method stop
+   * @chainable
+   *
+   * @param {Object} [options={}]
+   *
+   * @param {Boolean} [options.rawVelocity=false] See
+   * {{#crossLink "Output/stopNote:method"}}Output.stopNote(){{/crossLink}}.
+   *
+   * @param {Number} [options.velocity=0.5] The release velocity. See
+   * {{#crossLink "Output/stopNote:method"}}Output.stopNote(){{/crossLink}}.
+   *
+   * @param {DOMHighResTimeStamp|String} [options.time=undefined] When to stop the note (see
+   * {{#crossLink "Output/send:method"}}Output.send(){{/crossLink}}).
+   *
+   * @return {MpeNote} Returns the `MpeNote` object so methods can be chained.
    */
-  Output.prototype._convertNoteToArray = function(note) {
+  MpeNote.prototype.stop = function(options) {
 
-    var notes = [];
+    options = options || {};
 
-    if ( !Array.isArray(note) ) { note = [note]; }
+    var time = this._output._parseTimeParameter(options.time),
+      end = time || wm.time;
 
-    note.forEach(function(item) {
-      notes.push(wm.guessNoteNumber(item));
-    });
+    if (this.owner && !(this._allocation.end <= end)) {
+      this._output.stopNote(this.number, this.channel, options);
+    }
 
-    return notes;
+    return this;
 
   };
 
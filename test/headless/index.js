@@ -3,4 +3,8 @@ require("./virtual-midi.test.js");
 require("./webmidi.test.js");
 require("./input.test.js");
 require("./output.test.js");
+require("./player.test.js");
+require("./midifile.test.js");
+require("./recorder.test.js");
+require("./transport.test.js");
 require("./platform.test.js");
\ No newline at end of file
@@ -3,6 +3,7 @@ const WebMidi = require("../../src/webmidi");
 const JZZ = require("jzz");
 const mt = require("midi-test");
 const {expect} = require("chai");
+const Utils = require("./util.common");
 
 global.navigator = null;
 global.performance = null;
@@ -292,6 +293,12 @@ describe("Input", function() {
 
     });
 
+    it("should return the name of valid channel mode numbers", function () {
+      expect(WebMidi.inputs[0].getChannelModeByNumber(120)).to.equal("allsoundoff");
+      expect(WebMidi.inputs[0].getChannelModeByNumber(123)).to.equal("allnotesoff");
+      expect(WebMidi.inputs[0].getChannelModeByNumber(127)).to.equal("polymodeon");
+    });
+
     // it.skip("should return correct channel mode name", function () {
 
     //   for (var key in WebMidi.MIDI_CHANNEL_MODE_MESSAGES) {
@@ -306,4 +313,881 @@ describe("Input", function() {
 
   });
 
+  describe("getMmcCommandByNumber()", function() {
+
+    it("should throw an error when an invalid command number is provided", function () {
+      [-1, 128, undefined, "abc"].forEach(function (param) {
+        expect(() => WebMidi.inputs[0].getMmcCommandByNumber(param)).to.throw(RangeError);
+      });
+    });
+
+    it("should return the correct command name", function () {
+      for (let key in WebMidi.MIDI_MMC_COMMANDS) {
+        expect(
+          WebMidi.inputs[0].getMmcCommandByNumber(WebMidi.MIDI_MMC_COMMANDS[key])
+        ).to.equal(key);
+      }
+      expect(WebMidi.inputs[0].getMmcCommandByNumber(0x60)).to.equal(undefined);
+    });
+
+  });
+
+  describe("getActiveNotes()", function() {
+
+    function receive(input, data, timestamp) {
+      input._onMidiMessage({data: new Uint8Array(data), timeStamp: timestamp || 0});
+    }
+
+    function numbers(input, channel) {
+      return input.getActiveNotes(channel).map(note => note.number);
+    }
+
+    it("should throw an error when an invalid channel is provided", function () {
+
+      [0, 17, "abc", undefined].forEach(function (param) {
+        expect(function () {
+          WebMidi.inputs[0].getActiveNotes(param);
+        }).to.throw(RangeError);
+      });
+
+    });
+
+    it("should return the notes playing on the specified channel", function () {
+
+      const input = WebMidi.inputs[0];
+      receive(input, [0x90, 64, 127], 10);
+      receive(input, [0x90, 60, 64], 20);
+      receive(input, [0x91, 67, 64]);
+      receive(input, [0x90, 62, 64]);
+      receive(input, [0x90, 62, 0]);
+
+      expect(input.getActiveNotes(1)).to.deep.equal([
+        {
+          number: 60, name: "C", octave: 4, velocity: 64 / 127, rawVelocity: 64, timestamp: 20,
+          sustained: false
+        },
+        {
+          number: 64, name: "E", octave: 4, velocity: 1, rawVelocity: 127, timestamp: 10,
+          sustained: false
+        }
+      ]);
+      expect(numbers(input, 2)).to.deep.equal([67]);
+      expect(numbers(input, 3)).to.deep.equal([]);
+
+    });
+
+    it("should keep the notes held by the sustain pedal", function () {
+
+      const input = WebMidi.inputs[0];
+      receive(input, [0x90, 60, 64]);
+      receive(input, [0xB0, 64, 127]);
+      receive(input, [0x80, 60, 0]);
+      receive(input, [0x90, 62, 64]);
+      receive(input, [0x80, 62, 0]);
+
+      expect(numbers(input, 1)).to.deep.equal([60, 62]);
+      expect(input.getActiveNotes(1)[0].sustained).to.equal(true);
+
+      receive(input, [0xB0, 64, 0]);
+      expect(numbers(input, 1)).to.deep.equal([]);
+
+    });
+
+    it("should only keep the notes held when the sostenuto pedal was pressed", function () {
+
+      const input = WebMidi.inputs[0];
+      receive(input, [0x90, 60, 64]);
+      receive(input, [0xB0, 66, 127]);
+      receive(input, [0x90, 62, 64]);
+      receive(input, [0x80, 60, 0]);
+      receive(input, [0x80, 62, 0]);
+
+      expect(numbers(input, 1)).to.deep.equal([60]);
+
+      receive(input, [0xB0, 66, 0]);
+      expect(numbers(input, 1)).to.deep.equal([]);
+
+    });
+
+    it("should release the notes on 'allnotesoff' and 'allsoundoff'", function () {
+
+      const input = WebMidi.inputs[0];
+      receive(input, [0x90, 60, 64]);
+      receive(input, [0x90, 62, 64]);
+      receive(input, [0xB0, 123, 0]);
+      expect(numbers(input, 1)).to.deep.equal([]);
+
+      receive(input, [0x90, 60, 64]);
+      receive(input, [0xB0, 64, 127]);
+      receive(input, [0xB0, 123, 0]);
+      expect(numbers(input, 1)).to.deep.equal([60]);
+      receive(input, [0xB0, 120, 0]);
+      expect(numbers(input, 1)).to.deep.equal([]);
+
+    });
+
+    it("should dispatch 'notes' when the notes playing change", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("notes", 1, e => events.push(e.notes.map(note => note.number)));
+
+      receive(input, [0x90, 60, 64]);
+      receive(input, [0x90, 64, 64]);
+      receive(input, [0xB0, 64, 127]);
+      receive(input, [0x80, 60, 0]);
+      receive(input, [0xB0, 64, 0]);
+      receive(input, [0x91, 67, 64]);
+
+      expect(events).to.deep.equal([[60], [60, 64], [64]]);
+
+    });
+
+  });
+
+  describe("getControllerValue()", function() {
+
+    function receive(input, data) {
+      input._onMidiMessage({data: new Uint8Array(data), timeStamp: 0});
+    }
+
+    it("should throw an error when the controller or channel is invalid", function () {
+
+      const input = WebMidi.inputs[0];
+      expect(() => input.getControllerValue("abc", 1)).to.throw(TypeError);
+      expect(() => input.getControllerValue(120, 1)).to.throw(RangeError);
+      expect(() => input.getControllerValue(7, 0)).to.throw(RangeError);
+
+    });
+
+    it("should return undefined when no value has been received", function () {
+      expect(WebMidi.inputs[0].getControllerValue("volumecoarse", 1)).to.equal(undefined);
+      expect(WebMidi.inputs[0].getControllerValue("pitchbend", 1)).to.equal(undefined);
+    });
+
+    it("should return the last value received", function () {
+
+      const input = WebMidi.inputs[0];
+      receive(input, [0xB0, 7, 100]);
+      receive(input, [0xB0, 7, 90]);
+      receive(input, [0xB1, 7, 10]);
+      receive(input, [0xE0, 0, 0x60]);
+      receive(input, [0xD0, 127]);
+      receive(input, [0xC0, 5]);
+
+      expect(input.getControllerValue("volumecoarse", 1)).to.equal(90);
+      expect(input.getControllerValue(7, 2)).to.equal(10);
+      expect(input.getControllerValue("pitchbend", 1)).to.equal(0.5);
+      expect(input.getControllerValue("channelaftertouch", 1)).to.equal(1);
+      expect(input.getControllerValue("programchange", 1)).to.equal(5);
+
+    });
+
+    it("should reset the values on 'resetallcontrollers'", function () {
+
+      const input = WebMidi.inputs[0];
+      receive(input, [0xB0, 7, 100]);
+      receive(input, [0xE0, 0, 0x60]);
+      receive(input, [0xA0, 60, 127]);
+      receive(input, [0xC0, 5]);
+      receive(input, [0xB0, 121, 0]);
+
+      expect(input.getControllerValue("volumecoarse", 1)).to.equal(undefined);
+      expect(input.getControllerValue("pitchbend", 1)).to.equal(0);
+      expect(input.getKeyAftertouch(60, 1)).to.equal(undefined);
+      expect(input.getControllerValue("programchange", 1)).to.equal(5);
+
+    });
+
+  });
+
+  describe("getKeyAftertouch()", function() {
+
+    it("should return the last value received for the note", function () {
+
+      const input = WebMidi.inputs[0];
+      input._onMidiMessage({data: new Uint8Array([0xA2, 60, 127]), timeStamp: 0});
+
+      expect(input.getKeyAftertouch(60, 3)).to.equal(1);
+      expect(input.getKeyAftertouch("C4", 3)).to.equal(1);
+      expect(input.getKeyAftertouch(61, 3)).to.equal(undefined);
+
+    });
+
+  });
+
+  describe("controlchange14", function() {
+
+    function receive(input, data) {
+      input._onMidiMessage({data: new Uint8Array(data), timeStamp: 0});
+    }
+
+    it("should not be dispatched unless enabled", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("controlchange14", 1, e => events.push(e));
+      receive(input, [0xB0, 7, 93]);
+      receive(input, [0xB0, 39, 96]);
+
+      expect(input.controlChange14Enabled).to.equal(false);
+      expect(events.length).to.equal(0);
+
+    });
+
+    it("should combine the MSB and the LSB", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.controlChange14Enabled = true;
+      input.addListener("controlchange14", 1, e => events.push(e));
+
+      receive(input, [0xB0, 7, 93]);
+      receive(input, [0xB0, 39, 96]);
+      receive(input, [0xB0, 7, 127]);
+      receive(input, [0xB0, 39, 127]);
+      receive(input, [0xB0, 39, 0]);
+
+      expect(events.map(e => e.rawValue)).to.deep.equal([11904, 12000, 16383, 16256]);
+      expect(events[2].value).to.equal(1);
+      expect(events[2].controller).to.deep.equal({number: 7, name: "volumecoarse"});
+
+    });
+
+    it("should only wait for the LSB if the controller sent one before", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.controlChange14Enabled = true;
+      input.addListener("controlchange14", 1, e => events.push(e.rawValue));
+
+      receive(input, [0xB0, 7, 64]);
+      receive(input, [0xB0, 39, 1]);
+      receive(input, [0xB0, 7, 32]);
+
+      expect(events).to.deep.equal([8192, 8193]);
+
+    });
+
+  });
+
+  describe("rpn", function() {
+
+    function receive(input, messages) {
+      messages.forEach(data => input._onMidiMessage({data: new Uint8Array(data), timeStamp: 0}));
+    }
+
+    it("should be dispatched for a complete data entry sequence", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("rpn", 1, e => events.push(e));
+
+      receive(input, [[0xB0, 101, 0], [0xB0, 100, 0], [0xB0, 6, 2], [0xB0, 38, 0]]);
+      expect(events.length).to.equal(0);
+      receive(input, [[0xB0, 101, 127], [0xB0, 100, 127]]);
+
+      expect(events.length).to.equal(1);
+      expect(events[0].controller).to.deep.equal(
+        {number: 0, type: "entry", name: "pitchbendrange"}
+      );
+      expect(events[0].value).to.equal(256);
+      expect(events[0].data.length).to.equal(6);
+
+    });
+
+    it("should report the data entry as a 14-bit value when the LSB is not received", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("rpn", 1, e => events.push(e.value));
+
+      receive(input, [[0xB0, 101, 0], [0xB0, 100, 0], [0xB0, 6, 2]]);
+      receive(input, [[0xB0, 101, 127], [0xB0, 100, 127]]);
+      receive(input, [[0xB0, 101, 0], [0xB0, 100, 0], [0xB0, 6, 2], [0xB0, 38, 1]]);
+      receive(input, [[0xB0, 101, 127], [0xB0, 100, 127]]);
+      receive(input, [[0xB0, 101, 0], [0xB0, 100, 1], [0xB0, 96, 3]]);
+      receive(input, [[0xB0, 101, 127], [0xB0, 100, 127]]);
+
+      expect(events).to.deep.equal([256, 257, 3]);
+
+    });
+
+    it("should support increment and decrement and unnamed parameters", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("rpn", 1, e => events.push(e.controller));
+
+      receive(input, [[0xB0, 101, 0], [0xB0, 100, 1], [0xB0, 96, 0]]);
+      receive(input, [[0xB0, 101, 127], [0xB0, 100, 127]]);
+      receive(input, [[0xB0, 101, 1], [0xB0, 100, 2], [0xB0, 97, 0]]);
+      receive(input, [[0xB0, 101, 127], [0xB0, 100, 127]]);
+
+      expect(events).to.deep.equal([
+        {number: 1, type: "increment", name: "channelfinetuning"},
+        {number: 130, type: "decrement", name: "Registered Parameter 130"}
+      ]);
+
+    });
+
+    it("should discard incomplete sequences", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("rpn", "all", e => events.push(e));
+
+      receive(input, [[0xB0, 101, 0], [0xB0, 6, 2], [0xB0, 101, 127], [0xB0, 100, 127]]);
+      receive(input, [[0xB0, 101, 0], [0xB1, 100, 0], [0xB0, 6, 2]]);
+      receive(input, [[0xB0, 101, 127], [0xB0, 100, 127]]);
+
+      expect(events.length).to.equal(0);
+
+    });
+
+    it("should be dispatched for the messages sent by setRegisteredParameter()", function () {
+
+      const port = WebMidi.createVirtualPort("Loopback");
+      const events = [];
+      port.input.addListener("rpn", 3, e => events.push(e));
+      port.output.setRegisteredParameter("modulationrange", [1, 64], 3);
+
+      expect(events.length).to.equal(1);
+      expect(events[0].controller.name).to.equal("modulationrange");
+      expect(events[0].value).to.equal(192);
+
+    });
+
+  });
+
+  describe("mpe", function() {
+
+    const loopback = Utils.useLoopback(WebMidi);
+    let events;
+
+    beforeEach(function() {
+      loopback.port.input.mpeEnabled = true;
+      events = [];
+      ["noteon", "noteoff", "notebend", "notepressure", "notetimbre"].forEach(function(type) {
+        loopback.port.input.addListener(type, "all", e => events.push(e));
+      });
+    });
+
+    it("should configure the zones from the MPE configuration message", function () {
+      loopback.port.output.setMpeZone("lower", 4).setMpeZone("upper", 12);
+      expect(loopback.port.input.mpeZones).to.deep.equal({
+        lower: {master: 1, channels: [2, 3]},
+        upper: {master: 16, channels: [15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4]}
+      });
+    });
+
+    it("should identify the notes of the member channels", function () {
+      loopback.port.output.setMpeZone("lower", 15);
+      const note = loopback.port.output.playMpeNote(60, {bend: 1, pressure: 1});
+      loopback.port.output.playNote(62, 1);
+      note.stop();
+
+      const notes = events.filter(e => e.type === "noteon" || e.type === "noteoff");
+      expect(notes.map(e => [e.type, e.channel, e.note.id])).to.deep.equal([
+        ["noteon", 2, 1], ["noteon", 1, undefined], ["noteoff", 2, 1]
+      ]);
+      expect(notes[0].note).to.include({zone: "lower", pressure: 1});
+      expect(notes[0].note.bend).to.be.closeTo(1, 0.01);
+    });
+
+    it("should dispatch per-note expression events", function () {
+      loopback.port.output.setMpeZone("lower", 15);
+      const first = loopback.port.output.playMpeNote(60);
+      const second = loopback.port.output.playMpeNote(64);
+      events = [];
+      first.bend(-12);
+      second.press(0.5).slide(1);
+
+      expect(events.map(e => [e.type, e.channel, e.note.id])).to.deep.equal([
+        ["notebend", 2, 1], ["notepressure", 3, 2], ["notetimbre", 3, 2]
+      ]);
+      expect(events[0].value).to.be.closeTo(-12, 0.01);
+      expect(events[1].value).to.be.closeTo(0.5, 0.01);
+      expect(events[2].value).to.equal(1);
+    });
+
+    it("should apply the messages of the master channel to all the notes of the zone", function () {
+      loopback.port.output.setMpeZone("upper", 2);
+      loopback.port.output.playMpeNote(60, {bend: 1});
+      loopback.port.output.playMpeNote(64);
+      events = [];
+      loopback.port.output.sendPitchBend(1, 16).sendChannelAftertouch(1, 16);
+
+      expect(events.map(e => [e.type, e.channel, e.note.id])).to.deep.equal([
+        ["notebend", 15, 1], ["notebend", 14, 2], ["notepressure", 15, 1], ["notepressure", 14, 2]
+      ]);
+      expect(events[0].value).to.be.closeTo(3, 0.01);
+      expect(events[1].value).to.be.closeTo(2, 0.01);
+    });
+
+    it("should follow the pitch bend range of the member channels", function () {
+      loopback.port.output.setMpeZone("lower", 2, {pitchBendRange: 12});
+      loopback.port.output.playMpeNote(60).bend(6);
+      loopback.port.output.setPitchBendRange(24, 0, 3);
+      events = [];
+      loopback.port.output.sendPitchBend(0.5, 2);
+      expect(events[0].value).to.be.closeTo(12, 0.01);
+    });
+
+    it("should not track notes when MPE is disabled", function () {
+      loopback.port.input.mpeEnabled = false;
+      loopback.port.output.setMpeZone("lower", 15);
+      loopback.port.output.playMpeNote(60).bend(1);
+      expect(loopback.port.input.mpeZones.lower).to.equal(undefined);
+      expect(events.map(e => e.type)).to.deep.equal(["noteon"]);
+      expect(events[0].note.id).to.equal(undefined);
+    });
+
+  });
+
+  describe("nrpn", function() {
+
+    function receive(input, messages) {
+      messages.forEach(data => input._onMidiMessage({data: new Uint8Array(data), timeStamp: 0}));
+    }
+
+    it("should be dispatched for complete sequences in strict mode", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("nrpn", 1, e => events.push(e));
+
+      receive(input, [[0xB0, 99, 1], [0xB0, 98, 8], [0xB0, 6, 2], [0xB0, 38, 3]]);
+      receive(input, [[0xB0, 99, 127], [0xB0, 98, 127]]);
+      receive(input, [[0xB0, 99, 1], [0xB0, 98, 8], [0xB0, 6, 4]]);
+
+      expect(input.nrpnMode).to.equal("strict");
+      expect(events.length).to.equal(1);
+      expect(events[0].controller.number).to.equal(136);
+      expect(events[0].value).to.equal(259);
+
+    });
+
+    it("should report data entries as 14-bit values in strict mode", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("nrpn", 1, e => events.push([e.controller.type, e.value]));
+
+      receive(input, [[0xB0, 99, 1], [0xB0, 98, 8], [0xB0, 6, 4]]);
+      receive(input, [[0xB0, 99, 127], [0xB0, 98, 127]]);
+      receive(input, [[0xB0, 99, 1], [0xB0, 98, 8], [0xB0, 96, 1]]);
+      receive(input, [[0xB0, 99, 127], [0xB0, 98, 127]]);
+
+      expect(events).to.deep.equal([["entry", 512], ["increment", 1]]);
+
+    });
+
+    it("should keep a separate buffer for each input", function () {
+
+      const input = WebMidi.inputs[0];
+      const other = WebMidi.createVirtualPort("Other").input;
+      const events = [];
+      input.addListener("nrpn", 1, e => events.push(e));
+      other.addListener("nrpn", 1, e => events.push(e));
+
+      receive(input, [[0xB0, 99, 1], [0xB0, 98, 8]]);
+      receive(other, [[0xB0, 99, 2], [0xB0, 98, 9]]);
+      receive(input, [[0xB0, 6, 2], [0xB0, 99, 127], [0xB0, 98, 127]]);
+
+      expect(events.length).to.equal(1);
+      expect(events[0].target).to.equal(input);
+      expect(events[0].controller.number).to.equal(136);
+
+    });
+
+    it("should dispatch each data entry in lenient mode", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.nrpnMode = "lenient";
+      input.nrpnTimeout = 0;
+      input.addListener("nrpn", 1, e => events.push([e.controller.type, e.value]));
+
+      receive(input, [[0xB0, 6, 1]]);
+      receive(input, [[0xB0, 99, 1], [0xB0, 98, 8], [0xB0, 6, 2], [0xB0, 6, 3], [0xB0, 38, 1]]);
+      receive(input, [[0xB0, 96, 1], [0xB0, 97, 1]]);
+      receive(input, [[0xB0, 99, 127], [0xB0, 98, 127], [0xB0, 6, 4]]);
+
+      expect(events).to.deep.equal([
+        ["entry", 256], ["entry", 384], ["entry", 385], ["increment", 1], ["decrement", 1]
+      ]);
+
+    });
+
+    it("should wait for the data entry LSB in lenient mode", function (done) {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.nrpnMode = "lenient";
+      input.nrpnTimeout = 20;
+      input.addListener("nrpn", 1, e => events.push(e.value));
+
+      receive(input, [[0xB0, 99, 1], [0xB0, 98, 8], [0xB0, 6, 2], [0xB0, 38, 1], [0xB0, 6, 3]]);
+      expect(events).to.deep.equal([257]);
+
+      setTimeout(function() {
+        expect(events).to.deep.equal([257, 384]);
+        done();
+      }, 40);
+
+    });
+
+    it("should cancel the pending data entry when the input goes away", function () {
+
+      const port = WebMidi.createVirtualPort("Other");
+      const input = WebMidi.inputs[0];
+      [input, port.input].forEach(function(item) {
+        item.nrpnMode = "lenient";
+        item.nrpnTimeout = 20;
+        receive(item, [[0xB0, 99, 1], [0xB0, 98, 8], [0xB0, 6, 2]]);
+        expect(item._nrpnState[0].pending).to.not.equal(undefined);
+      });
+
+      WebMidi.removeVirtualPort(port);
+      expect(port.input._nrpnState[0]).to.deep.equal({});
+      WebMidi.disable();
+      expect(input._nrpnState[0]).to.deep.equal({});
+
+    });
+
+    it("should throw an error if the mode or the timeout is invalid", function () {
+      expect(() => WebMidi.inputs[0].nrpnMode = "abc").to.throw(TypeError);
+      expect(() => WebMidi.inputs[0].nrpnTimeout = -1).to.throw(RangeError);
+    });
+
+  });
+
+  describe("clock", function() {
+
+    // Sends the specified number of clock messages, by default at 125 bpm (20 ms per pulse)
+    function tick(input, count, start = 0, interval = 20) {
+      for (let i = 0; i < count; i++) {
+        input._onMidiMessage({data: new Uint8Array([0xF8]), timeStamp: start + i * interval});
+      }
+    }
+
+    function receive(input, data) {
+      input._onMidiMessage({data: new Uint8Array(data), timeStamp: 0});
+    }
+
+    it("should follow the position from start and clock messages", function () {
+
+      const input = WebMidi.inputs[0];
+      expect(input.clock.state).to.equal("stopped");
+      receive(input, [0xFA]);
+      tick(input, 24 * 5 + 1);
+
+      expect(input.clock.state).to.equal("running");
+      expect(input.clock).to.include({ticks: 120, bar: 1, beat: 1, tick: 0});
+
+    });
+
+    it("should follow the position from song position messages", function () {
+
+      const input = WebMidi.inputs[0];
+      receive(input, [0xF2, 5, 1]);
+      receive(input, [0xFB]);
+      tick(input, 3);
+
+      expect(input.clock.ticks).to.equal(133 * 6 + 2);
+
+    });
+
+    it("should not move the position while stopped", function () {
+
+      const input = WebMidi.inputs[0];
+      receive(input, [0xFA]);
+      tick(input, 10);
+      receive(input, [0xFC]);
+      tick(input, 10, 200);
+
+      expect(input.clock.state).to.equal("stopped");
+      expect(input.clock.ticks).to.equal(9);
+
+    });
+
+    it("should dispatch 'beat' and 'bar' events", function () {
+
+      const input = WebMidi.inputs[0];
+      const beats = [];
+      const bars = [];
+      input.addListener("beat", undefined, e => beats.push([e.bar, e.beat]));
+      input.addListener("bar", undefined, e => bars.push(e.bar));
+      receive(input, [0xFA]);
+      tick(input, 24 * 5 + 1);
+
+      expect(beats).to.deep.equal([[0, 0], [0, 1], [0, 2], [0, 3], [1, 0], [1, 1]]);
+      expect(bars).to.deep.equal([0, 1]);
+
+    });
+
+    it("should detect the tempo and dispatch 'tempochange' events", function () {
+
+      const input = WebMidi.inputs[0];
+      const tempos = [];
+      input.addListener("tempochange", undefined, e => tempos.push(e.bpm));
+      tick(input, 24);
+      expect(input.clock.bpm).to.equal(undefined);
+      tick(input, 30, 480);
+      expect(tempos).to.deep.equal([125]);
+      expect(input.clock.bpm).to.equal(125);
+      tick(input, 24, 1085, 25);
+      expect(tempos[tempos.length - 1]).to.equal(100);
+      expect(input.clock.bpm).to.equal(100);
+
+    });
+
+  });
+
+  describe("mmc", function() {
+
+    function receive(input, data) {
+      const events = [];
+      input.addListener("mmc", undefined, e => events.push(e));
+      input._onMidiMessage({data: new Uint8Array(data), timeStamp: 0});
+      return events;
+    }
+
+    it("should dispatch the command and the targeted device", function () {
+      const events = receive(WebMidi.inputs[0], [0xF0, 0x7F, 0x05, 0x06, 0x06, 0xF7]);
+      expect(events.length).to.equal(1);
+      expect(events[0]).to.include(
+        {type: "mmc", deviceId: 5, command: "recordstrobe", value: 6, timecode: undefined}
+      );
+    });
+
+    it("should dispatch the position of 'locate' commands", function () {
+      const events = receive(WebMidi.inputs[0], [
+        0xF0, 0x7F, 0x7F, 0x06, 0x44, 0x06, 0x01, 0x61, 0x02, 0x03, 0x04, 0x00, 0xF7
+      ]);
+      expect(events[0].command).to.equal("locate");
+      expect(events[0].timecode).to.deep.equal(
+        {hours: 1, minutes: 2, seconds: 3, frames: 4, fps: 30}
+      );
+    });
+
+    it("should ignore other sysex messages", function () {
+      const events = receive(WebMidi.inputs[0], [0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7]);
+      expect(events.length).to.equal(0);
+    });
+
+    it("should report an undefined command for truncated messages", function () {
+      const events = receive(WebMidi.inputs[0], [0xF0, 0x7F, 0x7F, 0x06, 0xF7]);
+      expect(events.length).to.equal(1);
+      expect(events[0]).to.include({command: undefined, value: undefined, timecode: undefined});
+    });
+
+  });
+
+  describe("mtc", function() {
+
+    function receive(input, messages) {
+      messages.forEach(data => input._onMidiMessage({data: new Uint8Array(data), timeStamp: 0}));
+    }
+
+    // Quarter frames for 01:02:03:04 at 25 fps
+    const pieces = [4, 0, 3, 0, 2, 0, 1, 2].map((nibble, piece) => [0xF1, (piece << 4) | nibble]);
+
+    it("should assemble quarter frames played forward", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("mtc", undefined, e => events.push(e));
+
+      expect(input.timecode).to.equal(undefined);
+      receive(input, pieces.slice(3));
+      receive(input, pieces);
+
+      expect(events.length).to.equal(1);
+      expect(events[0].direction).to.equal("forward");
+      expect(events[0].fullFrame).to.equal(false);
+      expect(events[0].timecode).to.deep.equal(
+        {hours: 1, minutes: 2, seconds: 3, frames: 6, fps: 25}
+      );
+      expect(input.timecode).to.deep.equal(events[0].timecode);
+
+    });
+
+    it("should assemble quarter frames played in reverse", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("mtc", undefined, e => events.push(e));
+      receive(input, pieces.slice().reverse());
+
+      expect(events.length).to.equal(1);
+      expect(events[0].direction).to.equal("reverse");
+      expect(events[0].timecode).to.deep.equal(
+        {hours: 1, minutes: 2, seconds: 3, frames: 2, fps: 25}
+      );
+
+    });
+
+    it("should ignore incomplete sequences", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("mtc", undefined, e => events.push(e));
+      receive(input, pieces.slice(0, 4).concat(pieces.slice(5)));
+
+      expect(events.length).to.equal(0);
+
+    });
+
+    it("should parse Full Frame messages", function () {
+
+      const input = WebMidi.inputs[0];
+      const events = [];
+      input.addListener("mtc", undefined, e => events.push(e));
+      receive(input, [[0xF0, 0x7F, 0x7F, 0x01, 0x01, 0x6A, 20, 30, 15, 0xF7]]);
+
+      expect(events.length).to.equal(1);
+      expect(events[0].fullFrame).to.equal(true);
+      expect(input.timecode).to.deep.equal(
+        {hours: 10, minutes: 20, seconds: 30, frames: 15, fps: 30}
+      );
+
+    });
+
+    it("should skip dropped frames at 29.97 fps", function () {
+
+      const tc = {hours: 0, minutes: 0, seconds: 59, frames: 29, fps: 29.97};
+      expect(WebMidi._framesToTimecode(WebMidi._timecodeToFrames(tc) + 1, 29.97)).to.deep.equal(
+        {hours: 0, minutes: 1, seconds: 0, frames: 2, fps: 29.97}
+      );
+      tc.minutes = 9;
+      expect(WebMidi._framesToTimecode(WebMidi._timecodeToFrames(tc) + 1, 29.97)).to.deep.equal(
+        {hours: 0, minutes: 10, seconds: 0, frames: 0, fps: 29.97}
+      );
+
+    });
+
+  });
+
+  describe("system messages", function() {
+
+    function receive(input, type, data) {
+      const events = [];
+      input.addListener(type, undefined, e => events.push(e));
+      input._onMidiMessage({data: new Uint8Array(data), timeStamp: 0});
+      return events[0];
+    }
+
+    it("should decode the position of 'songposition' events", function () {
+      const event = receive(WebMidi.inputs[0], "songposition", [0xF2, 0x05, 0x01]);
+      expect(event.beats).to.equal(133);
+      expect(event.quarterNotes).to.equal(33.25);
+    });
+
+    it("should decode the piece of 'timecode' events", function () {
+      const event = receive(WebMidi.inputs[0], "timecode", [0xF1, 0x7B]);
+      expect(event.messageType).to.equal(7);
+      expect(event.value).to.equal(11);
+    });
+
+    it("should decode the manufacturer of 'sysex' events", function () {
+      let event = receive(WebMidi.inputs[0], "sysex", [0xF0, 0x41, 0x10, 0x42, 0xF7]);
+      expect(event.manufacturerId).to.deep.equal([0x41]);
+      expect(event.manufacturer).to.equal("roland");
+      expect(event.universal).to.equal(undefined);
+      WebMidi.inputs[0].removeListener();
+      event = receive(WebMidi.inputs[0], "sysex", [0xF0, 0x00, 0x20, 0x3C, 0x01, 0xF7]);
+      expect(event.manufacturerId).to.deep.equal([0x00, 0x20, 0x3C]);
+      expect(event.manufacturer).to.equal("elektron");
+    });
+
+    it("should decode Identity Reply messages", function () {
+      const event = receive(WebMidi.inputs[0], "sysex", [
+        0xF0, 0x7E, 0x10, 0x06, 0x02, 0x43, 0x00, 0x41, 0x12, 0x01, 0x01, 0x02, 0x03, 0x04, 0xF7
+      ]);
+      expect(event).to.include(
+        {universal: "nonrealtime", deviceId: 0x10, subId1: 0x06, subId2: 0x02}
+      );
+      expect(event.message).to.equal("identityreply");
+      expect(event.payload).to.deep.equal({
+        manufacturerId: [0x43],
+        manufacturer: "yamaha",
+        family: 0x2080,
+        model: 0x92,
+        version: [1, 2, 3, 4]
+      });
+    });
+
+    it("should decode General MIDI and master volume messages", function () {
+      let event = receive(WebMidi.inputs[0], "sysex", [0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7]);
+      expect(event.message).to.equal("gmsystemon");
+      WebMidi.inputs[0].removeListener();
+      event = receive(WebMidi.inputs[0], "sysex", [0xF0, 0x7F, 0x7F, 0x04, 0x02, 0x00, 0x20, 0xF7]);
+      expect(event.message).to.equal("masterbalance");
+      expect(event.payload).to.deep.equal({value: -0.5, rawValue: 4096});
+    });
+
+    it("should decode MIDI Machine Control messages", function () {
+      const event = receive(WebMidi.inputs[0], "sysex", [
+        0xF0, 0x7F, 0x7F, 0x06, 0x44, 0x06, 0x01, 0x21, 0x02, 0x03, 0x04, 0x00, 0xF7
+      ]);
+      expect(event.message).to.equal("mmc");
+      expect(event.payload).to.deep.equal({
+        command: "locate",
+        timecode: {hours: 1, minutes: 2, seconds: 3, frames: 4, fps: 25}
+      });
+    });
+
+    it("should decode MIDI Tuning Standard messages", function () {
+      let event = receive(WebMidi.inputs[0], "sysex", [
+        0xF0, 0x7F, 0x7F, 0x08, 0x02, 0x05, 0x02,
+        0x3C, 0x3C, 0x40, 0x00,
+        0x3D, 0x7F, 0x7F, 0x7F,
+        0xF7
+      ]);
+      expect(event.message).to.equal("mtsnotechange");
+      expect(event.payload).to.deep.equal({
+        program: 5,
+        changes: [{note: 60, pitch: 60.5}, {note: 61, pitch: undefined}]
+      });
+      WebMidi.inputs[0].removeListener();
+      event = receive(WebMidi.inputs[0], "sysex", [
+        0xF0, 0x7E, 0x7F, 0x08, 0x08, 0x00, 0x00, 0x03,
+        64, 50, 64, 64, 64, 64, 64, 64, 64, 64, 64, 70, 0xF7
+      ]);
+      expect(event.message).to.equal("mtsscaleoctave");
+      expect(event.payload).to.deep.equal({
+        channels: [1, 2],
+        offsets: [0, -14, 0, 0, 0, 0, 0, 0, 0, 0, 0, 6]
+      });
+    });
+
+    it("should decode MIDI Tuning Standard dumps with a bank", function () {
+      const data = [0xF0, 0x7E, 0x7F, 0x08, 0x04, 0x02, 0x05, 0x41];
+      for (let i = 1; i < 16; i++) data.push(0x20);
+      for (let note = 0; note < 128; note++) data.push(note, 0x00, 0x00);
+      const event = receive(WebMidi.inputs[0], "sysex", data.concat(0x00, 0xF7));
+      expect(event.message).to.equal("mtsdump");
+      expect(event.payload.bank).to.equal(2);
+      expect(event.payload.program).to.equal(5);
+      expect(event.payload.name).to.equal("A");
+      expect(event.payload.tuning[127]).to.equal(127);
+      WebMidi.inputs[0].removeListener();
+      const request = receive(WebMidi.inputs[0], "sysex", [0xF0, 0x7E, 0x7F, 0x08, 0x03, 1, 2, 0xF7]);
+      expect(request.message).to.equal("mtsdumprequest");
+      expect(request.payload).to.deep.equal({bank: 1, program: 2});
+    });
+
+    it("should identify undefined status bytes in 'unknownsystemmessage' events", function () {
+      [0xF4, 0xF5, 0xF9, 0xFD].forEach(function(status) {
+        const event = receive(WebMidi.inputs[0], "unknownsystemmessage", [status]);
+        expect(event.status).to.equal(status);
+        expect(event.undefinedStatus).to.equal(true);
+        WebMidi.inputs[0].removeListener();
+      });
+    });
+
+  });
+
 });
@@ -0,0 +1,206 @@
+const WebMidi = require("../../src/webmidi");
+const { expect } = require("chai");
+
+// Builds the bytes of a chunk with the specified 4-character id
+function chunk(id, data) {
+  const length = [24, 16, 8, 0].map(shift => (data.length >> shift) & 0xff);
+  return Array.from(id, c => c.charCodeAt(0)).concat(length, data);
+}
+
+function text(value) {
+  return Array.from(value, c => c.charCodeAt(0));
+}
+
+describe("MidiFile", function() {
+  const conductor = [].concat(
+    [0x00, 0xff, 0x03, 0x05], text("Tempo"),
+    [0x00, 0xff, 0x51, 0x03, 0x07, 0xa1, 0x20], // 120 bpm
+    [0x00, 0xff, 0x58, 0x04, 0x06, 0x03, 0x18, 0x08], // 6/8
+    [0x00, 0xff, 0x59, 0x02, 0xfd, 0x01], // C minor
+    [0x60, 0xff, 0x51, 0x03, 0x0f, 0x42, 0x40], // 60 bpm
+    [0x00, 0xff, 0x2f, 0x00]
+  );
+
+  const notes = [].concat(
+    [0x00, 0x90, 0x3c, 0x64],
+    [0x60, 0x3c, 0x00], // running status
+    [0x00, 0xb1, 0x07, 0x7f],
+    [0x60, 0xf0, 0x03, 0x7e, 0x01, 0xf7],
+    [0x00, 0xe0, 0x00, 0x40],
+    [0x0a, 0xff, 0x05, 0x03], text("la!"),
+    [0x00, 0xff, 0x2f, 0x00]
+  );
+
+  const bytes = [].concat(
+    chunk("MThd", [0x00, 0x01, 0x00, 0x02, 0x00, 0x60]),
+    chunk("MTrk", conductor),
+    chunk("XFIH", [0x01, 0x02]), // unknown chunks must be ignored
+    chunk("MTrk", notes)
+  );
+
+  describe("parseMidiFile()", function() {
+    it("should throw error if the data is not an ArrayBuffer, a Uint8Array or an array", function() {
+      [undefined, null, "abc", 123, {}].forEach(function(param) {
+        expect(function() {
+          WebMidi.parseMidiFile(param);
+        }).to.throw(TypeError);
+      });
+    });
+
+    it("should throw error if the file is invalid", function() {
+      [[], [0x01, 0x02, 0x03], chunk("MTrk", []), bytes.slice(0, -1)].forEach(function(param) {
+        expect(function() {
+          WebMidi.parseMidiFile(param);
+        }).to.throw(Error);
+      });
+    });
+
+    it("should accept an ArrayBuffer, a Uint8Array or an array", function() {
+      expect(WebMidi.parseMidiFile(new Uint8Array(bytes).buffer).tracks.length).to.equal(2);
+      expect(WebMidi.parseMidiFile(new Uint8Array(bytes)).tracks.length).to.equal(2);
+      expect(WebMidi.parseMidiFile(bytes).tracks.length).to.equal(2);
+    });
+
+    it("should read the header", function() {
+      const file = WebMidi.parseMidiFile(bytes);
+      expect(file.format).to.equal(1);
+      expect(file.ppq).to.equal(96);
+      expect(file.smpte).to.equal(undefined);
+    });
+
+    it("should read the SMPTE time division", function() {
+      const header = chunk("MThd", [0x00, 0x00, 0x00, 0x01, 0xe7, 0x28]);
+      const file = WebMidi.parseMidiFile(header.concat(chunk("MTrk", notes)));
+      expect(file.ppq).to.equal(undefined);
+      expect(file.smpte).to.deep.equal({ fps: 25, ticksPerFrame: 40 });
+      expect(file.tracks[0].events[1].timestamp).to.equal(96);
+    });
+
+    it("should produce the same events as inputs", function() {
+      const events = WebMidi.parseMidiFile(bytes).tracks[1].events;
+
+      expect(events[0].type).to.equal("noteon");
+      expect(events[0].channel).to.equal(1);
+      expect(events[0].note.number).to.equal(60);
+      expect(events[0].rawVelocity).to.equal(100);
+      expect(events[1].type).to.equal("noteoff");
+      expect(Array.from(events[1].data)).to.deep.equal([0x90, 0x3c, 0x00]);
+      expect(events[2].type).to.equal("controlchange");
+      expect(events[2].channel).to.equal(2);
+      expect(events[2].controller.name).to.equal("volumecoarse");
+      expect(events[3].type).to.equal("sysex");
+      expect(Array.from(events[3].data)).to.deep.equal([0xf0, 0x7e, 0x01, 0xf7]);
+      expect(events[4].type).to.equal("pitchbend");
+      expect(events[4].value).to.equal(0);
+    });
+
+    it("should read meta events", function() {
+      const file = WebMidi.parseMidiFile(bytes);
+      const events = file.tracks[0].events;
+
+      expect(file.tracks[0].name).to.equal("Tempo");
+      expect(events[1]).to.include({ type: "tempo", meta: true, value: 500000, bpm: 120 });
+      expect(events[2]).to.include({ type: "timesignature", numerator: 6, denominator: 8 });
+      expect(events[3]).to.include({ type: "keysignature", key: "C", scale: "minor" });
+      expect(events[5].type).to.equal("endoftrack");
+      expect(file.tracks[1].events[5]).to.include({ type: "lyrics", text: "la!" });
+    });
+
+    it("should decode the text of meta events as UTF-8", function() {
+      const file = WebMidi.parseMidiFile([].concat(
+        chunk("MThd", [0x00, 0x00, 0x00, 0x01, 0x00, 0x60]),
+        chunk("MTrk", [].concat(
+          [0x00, 0xff, 0x03, 0x0e], // "Café ♫ 🎵"
+          [0x43, 0x61, 0x66, 0xc3, 0xa9, 0x20, 0xe2, 0x99, 0xab, 0x20, 0xf0, 0x9f, 0x8e, 0xb5],
+          [0x00, 0xff, 0x2f, 0x00]
+        ))
+      ));
+      expect(file.tracks[0].name).to.equal("Caf\u00e9 \u266b \ud83c\udfb5");
+    });
+
+    it("should fall back to Latin-1 when the text is not valid UTF-8", function() {
+      const file = WebMidi.parseMidiFile([].concat(
+        chunk("MThd", [0x00, 0x00, 0x00, 0x01, 0x00, 0x60]),
+        chunk("MTrk", [].concat(
+          [0x00, 0xff, 0x01, 0x04], [0x43, 0x61, 0x66, 0xe9], // "Café" in Latin-1
+          [0x00, 0xff, 0x2f, 0x00]
+        ))
+      ));
+      expect(file.tracks[0].events[0].text).to.equal("Caf\u00e9");
+    });
+
+    it("should keep the bytes of escaped events as they are", function() {
+      const file = WebMidi.parseMidiFile([].concat(
+        chunk("MThd", [0x00, 0x00, 0x00, 0x01, 0x00, 0x60]),
+        chunk("MTrk", [0x00, 0xf7, 0x02, 0xf8, 0xfa, 0x00, 0xff, 0x2f, 0x00])
+      ));
+      const event = file.tracks[0].events[0];
+      expect(event).to.include({ type: "escaped", escaped: true, ticks: 0 });
+      expect(Array.from(event.data)).to.deep.equal([0xf8, 0xfa]);
+    });
+
+    it("should calculate positions in ticks and milliseconds using the tempo map", function() {
+      const events = WebMidi.parseMidiFile(bytes).tracks[1].events;
+      expect(events.map(e => e.ticks)).to.deep.equal([0, 96, 96, 192, 192, 202, 202]);
+      expect(events[1].timestamp).to.equal(500);
+      expect(events[3].timestamp).to.equal(1500);
+    });
+
+    it("should apply tempo events to their own track only in format 2 files", function() {
+      const header = chunk("MThd", [0x00, 0x02, 0x00, 0x02, 0x00, 0x60]);
+      const file = WebMidi.parseMidiFile(
+        header.concat(chunk("MTrk", conductor), chunk("MTrk", notes))
+      );
+      expect(file.tracks[1].events[3].timestamp).to.equal(1000);
+    });
+  });
+
+  describe("toArrayBuffer()", function() {
+    it("should return an ArrayBuffer", function() {
+      expect(WebMidi.parseMidiFile(bytes).toArrayBuffer()).to.be.an.instanceOf(ArrayBuffer);
+    });
+
+    it("should write the same content as the one that was read", function() {
+      const header = chunk("MThd", [0x00, 0x01, 0x00, 0x02, 0x00, 0x60]);
+      const original = header.concat(chunk("MTrk", conductor), chunk("MTrk", notes));
+      const buffer = WebMidi.parseMidiFile(original).toArrayBuffer();
+      expect(Array.from(new Uint8Array(buffer))).to.deep.equal(original);
+    });
+
+    it("should write escaped events as they were read", function() {
+      const original = [].concat(
+        chunk("MThd", [0x00, 0x00, 0x00, 0x01, 0x00, 0x60]),
+        chunk("MTrk", [].concat(
+          [0x00, 0xf7, 0x02, 0xf8, 0xfa],
+          [0x10, 0xf7, 0x02, 0x43, 0xf7], // end of a sysex message sent in packets
+          [0x00, 0xff, 0x2f, 0x00]
+        ))
+      );
+      const buffer = WebMidi.parseMidiFile(original).toArrayBuffer();
+      expect(Array.from(new Uint8Array(buffer))).to.deep.equal(original);
+    });
+
+    it("should write large tracks", function() {
+      const file = WebMidi.parseMidiFile(bytes);
+      const events = file.tracks[1].events;
+      file.tracks[1].events = new Array(100000).fill(events[0]).concat(events.slice(1));
+      const track = WebMidi.parseMidiFile(file.toArrayBuffer()).tracks[1];
+      expect(track.events.length).to.equal(100006);
+    });
+
+    it("should add the end of track meta event if it is missing", function() {
+      const file = WebMidi.parseMidiFile(bytes);
+      file.tracks[1].events.pop();
+      const events = WebMidi.parseMidiFile(file.toArrayBuffer()).tracks[1].events;
+      expect(events[events.length - 1]).to.include({ type: "endoftrack", ticks: 202 });
+    });
+
+    it("should use running status", function() {
+      const file = WebMidi.parseMidiFile(bytes);
+      file.tracks = [file.tracks[1]];
+      file.tracks[0].events.splice(1, 0, file.tracks[0].events[0]);
+      const data = Array.from(new Uint8Array(file.toArrayBuffer()).slice(22, 29));
+      expect(data).to.deep.equal([0x00, 0x90, 0x3c, 0x64, 0x00, 0x3c, 0x64]);
+    });
+  });
+});
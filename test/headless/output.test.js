@@ -3,6 +3,7 @@ const WebMidi = require("../../src/webmidi");
 const JZZ = require("jzz");
 const mt = require("midi-test");
 const {expect} = require("chai");
+const Utils = require("./util.common");
 
 global.navigator = null;
 global.performance = null;
@@ -74,6 +75,120 @@ describe("Output", function() {
     jz= null;
     done();
   });
+  describe("clear()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi);
+
+    it("should cancel all pending messages", function(done) {
+      loopback.port.output.playNote(60, 1, {time: "+100"});
+      loopback.port.output.sendControlChange(7, 100, 1, {time: "+150"});
+      loopback.port.output.clear();
+      setTimeout(function() {
+        expect(loopback.received).to.deep.equal([]);
+        done();
+      }, 200);
+    });
+
+    it("should only cancel pending messages with the specified tag", function(done) {
+      loopback.port.output.playNote(60, 1, {time: "+100", tag: "a"});
+      loopback.port.output.playNote(62, 1, {time: "+100", tag: "b"});
+      loopback.port.output.clear("a");
+      setTimeout(function() {
+        expect(loopback.received).to.deep.equal([[0x90, 62, 64]]);
+        done();
+      }, 150);
+    });
+
+    it("should accept any value as tag", function(done) {
+      const handle = {};
+      loopback.port.output.playNote(60, 1, {time: "+100", tag: handle});
+      loopback.port.output.playNote(62, 1, {time: "+100", tag: {}});
+      loopback.port.output.clear(handle);
+      setTimeout(function() {
+        expect(loopback.received).to.deep.equal([[0x90, 62, 64]]);
+        done();
+      }, 150);
+    });
+
+    it("should cancel the messages identified by a handle", function(done) {
+      const options = {time: "+100", duration: 100, handle: true};
+      const handle = loopback.port.output.playNote(60, 1, options);
+      loopback.port.output.playNote(62, 1, {time: "+100"});
+      expect(handle.output).to.equal(loopback.port.output);
+      expect(handle.pending).to.equal(true);
+      expect(handle.cancel()).to.equal(handle);
+      expect(handle.pending).to.equal(false);
+      setTimeout(function() {
+        expect(loopback.received).to.deep.equal([[0x90, 62, 64]]);
+        done();
+      }, 250);
+    });
+
+    it("should cancel the messages of a handle with the tag of the handle", function() {
+      const options = {tag: "a", handle: true};
+      const handle = loopback.port.output.send(0x90, [60, 64], WebMidi.time + 100, options);
+      expect(handle.tag).to.equal("a");
+      loopback.port.output.clear("a");
+      expect(handle.pending).to.equal(false);
+    });
+
+    it("should immediately send the cancelled note off of a playing note", function() {
+      loopback.port.output.playNote(60, 1, {duration: 1000, release: 1, tag: "a"});
+      loopback.port.output.clear("a");
+      expect(loopback.received).to.deep.equal([[0x90, 60, 64], [0x80, 60, 127]]);
+    });
+
+    it("should not send note off for notes that are not playing", function() {
+      loopback.port.output.playNote(60, 1, {time: "+1000", duration: 1000});
+      loopback.port.output.clear();
+      expect(loopback.received).to.deep.equal([]);
+    });
+
+    it("should return the Output object for method chaining", function() {
+      expect(WebMidi.outputs[0].clear()).to.equal(WebMidi.outputs[0]);
+    });
+
+  });
+
+  describe("continueClock()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi);
+
+    it("should send a Continue message and resume from the stopped position", function(done) {
+      loopback.port.output.locateClock(4);
+      loopback.received = [];
+      loopback.port.output.continueClock();
+      expect(loopback.received).to.deep.equal([[0xFB], [0xF8]]);
+      expect(loopback.port.output.clock.state).to.equal("running");
+      setTimeout(function() {
+        expect(loopback.port.output.clock.position).to.be.within(4.7, 4.9);
+        done();
+      }, 100);
+    });
+
+    it("should not resume before the Stop message has been sent", function(done) {
+      loopback.port.output.startClock().stopClock().continueClock();
+      setTimeout(function() {
+        const index = loopback.received.findIndex(data => data[0] === 0xFC);
+        expect(loopback.received[index + 1]).to.deep.equal([0xFB]);
+        done();
+      }, 100);
+    });
+
+    it("should do nothing if the clock is running", function() {
+      loopback.port.output.startClock();
+      loopback.received = [];
+      loopback.port.output.continueClock();
+      expect(loopback.received).to.deep.equal([]);
+    });
+
+    it("should return the Output object for method chaining", function() {
+      expect(WebMidi.outputs[0].continueClock()).to.equal(WebMidi.outputs[0]);
+      WebMidi.outputs[0].stopClock();
+    });
+
+  });
+
   describe("decrementRegisteredParameter()", function () {
 
     it("should throw error if registered parameter is invalid", function() {
@@ -153,6 +268,234 @@ describe("Output", function() {
 
   });
 
+  describe("locateClock()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi);
+
+    it("should send a Song Position message if the clock is stopped", function() {
+      loopback.port.output.locateClock(300);
+      expect(loopback.received).to.deep.equal([[0xF2, 2, 44]]);
+      expect(loopback.port.output.clock.position).to.equal(300);
+      expect(loopback.port.output.clock.state).to.equal("stopped");
+    });
+
+    it("should send Stop, Song Position and Continue messages if the clock is running", function(done) {
+      loopback.port.output.startClock();
+      loopback.port.output.locateClock(16);
+      expect(loopback.port.output.clock.state).to.equal("running");
+      setTimeout(function() {
+        loopback.port.output.stopClock();
+        const index = loopback.received.findIndex(data => data[0] === 0xFC);
+        expect(loopback.received.slice(index, index + 4)).to.deep.equal(
+          [[0xFC], [0xF2, 0, 16], [0xFB], [0xF8]]
+        );
+        done();
+      }, 100);
+    });
+
+    it("should throw an error if the position is invalid", function() {
+      [-1, 16384, 1.5, "abc"].forEach(function(position) {
+        expect(() => loopback.port.output.locateClock(position)).to.throw(RangeError);
+      });
+    });
+
+    it("should return the Output object for method chaining", function() {
+      expect(WebMidi.outputs[0].locateClock(0)).to.equal(WebMidi.outputs[0]);
+    });
+
+  });
+
+  describe("locateTimecode()", function () {
+
+    it("should send a Full Frame message if sysex is enabled", function(done) {
+      WebMidi.disable();
+      WebMidi.enable(function() {
+        const port = WebMidi.createVirtualPort("Loopback");
+        const events = [];
+        port.input.addListener("mtc", undefined, e => events.push(e));
+        port.output.locateTimecode("10:20:30:15", {fps: 29.97});
+        expect(events.length).to.equal(1);
+        expect(events[0].fullFrame).to.equal(true);
+        expect(events[0].timecode).to.deep.equal(
+          {hours: 10, minutes: 20, seconds: 30, frames: 15, fps: 29.97}
+        );
+        done();
+      }, true);
+    });
+
+    it("should move the running generator", function() {
+      global.performance = { now: () => Date.now() };
+      const output = WebMidi.outputs[0];
+      output.startTimecode({fps: 25}).locateTimecode("02:00:00:00");
+      expect(output.timecode).to.deep.equal(
+        {hours: 2, minutes: 0, seconds: 0, frames: 0, fps: 25}
+      );
+      output.stopTimecode();
+    });
+
+    it("should throw an error if the position is invalid", function() {
+      expect(() => WebMidi.outputs[0].locateTimecode("abc")).to.throw(TypeError);
+      expect(() => WebMidi.outputs[0].locateTimecode("24:00:00:00")).to.throw(RangeError);
+      expect(() => WebMidi.outputs[0].locateTimecode("00:00:00:25", {fps: 25})).to.throw(
+        RangeError
+      );
+    });
+
+    it("should throw an error if the position is skipped by drop-frame time code", function() {
+      ["00:01:00:00", "00:01:00:01", "01:59:00:01"].forEach(function(position) {
+        expect(() => WebMidi.outputs[0].locateTimecode(position, {fps: 29.97})).to.throw(
+          RangeError
+        );
+      });
+      ["00:00:00:00", "00:10:00:01", "00:01:00:02", "00:01:01:00"].forEach(function(position) {
+        expect(() => WebMidi.outputs[0].locateTimecode(position, {fps: 29.97})).to.not.throw();
+      });
+      expect(() => WebMidi.outputs[0].locateTimecode("00:01:00:00", {fps: 30})).to.not.throw();
+    });
+
+  });
+
+  describe("mmcLocate()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi, {sysex: true});
+
+    it("should send a 'locate' command with the position", function() {
+      const received = [];
+      loopback.port.input.addListener("sysex", undefined, e => received.push(Array.from(e.data)));
+      loopback.port.output.mmcLocate("01:02:03:04", {fps: 25, deviceId: 0x10});
+      expect(received).to.deep.equal([
+        [0xF0, 0x7F, 0x10, 0x06, 0x44, 0x06, 0x01, 0x21, 0x02, 0x03, 0x04, 0x00, 0xF7]
+      ]);
+    });
+
+    it("should be cancelled by clear() with its tag", function() {
+      const output = loopback.port.output;
+      output.mmcLocate("01:02:03:04", {time: "+1000", tag: "locate"});
+      expect(output._queue.length).to.equal(1);
+      output.clear("locate");
+      expect(output._queue.length).to.equal(0);
+    });
+
+    it("should throw an error if the position or the frame rate is invalid", function() {
+      const output = loopback.port.output;
+      expect(() => output.mmcLocate("abc")).to.throw(TypeError);
+      expect(() => output.mmcLocate("00:00:00:00", {fps: 23})).to.throw(RangeError);
+    });
+
+  });
+
+  describe("playMpeNote()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi, {time: 1000});
+
+    beforeEach(function() {
+      loopback.port.output.setMpeZone("lower", 3);
+      loopback.received = [];
+    });
+
+    it("should send the initial expression before the note on the member channel", function() {
+      loopback.port.output.playMpeNote("C4", {bend: 12, pressure: 1, timbre: 0});
+      expect(loopback.received).to.deep.equal([
+        [0xE1, 127, 79], [0xD1, 127], [0xB1, 74, 0], [0x91, 60, 64]
+      ]);
+    });
+
+    it("should be called by playNote() with the 'mpe' option", function() {
+      const note = loopback.port.output.playNote("C4", 16, {mpe: true, bend: 12, pressure: 1});
+      expect(note.channel).to.equal(2);
+      expect(loopback.received).to.deep.equal([
+        [0xE1, 127, 79], [0xD1, 127], [0xB1, 74, 64], [0x91, 60, 64]
+      ]);
+      note.bend(0);
+      expect(loopback.received[4]).to.deep.equal([0xE1, 0, 64]);
+    });
+
+    it("should route the expression of each note to its own channel", function() {
+      const first = loopback.port.output.playMpeNote(60);
+      const second = loopback.port.output.playMpeNote(64);
+      loopback.received = [];
+      first.bend(-48);
+      second.press(0.5).slide(1);
+      expect(loopback.received).to.deep.equal([[0xE1, 0, 0], [0xD2, 64], [0xB2, 74, 127]]);
+      expect([first.channel, second.channel]).to.deep.equal([2, 3]);
+      expect(first.zone).to.equal("lower");
+    });
+
+    it("should reuse the channel released the longest ago", function() {
+      const notes = [60, 62, 64].map(note => loopback.port.output.playMpeNote(note));
+      loopback.now += 10;
+      notes[1].stop();
+      loopback.now += 10;
+      notes[0].stop();
+      loopback.now += 10;
+      expect(loopback.port.output.playMpeNote(67).channel).to.equal(3);
+    });
+
+    it("should stop the note even if the current time is not available", function() {
+      loopback.now = undefined;
+      const note = loopback.port.output.playMpeNote(60);
+      loopback.received = [];
+      note.stop();
+      expect(loopback.received).to.deep.equal([[0x81, 60, 64]]);
+    });
+
+    it("should steal the oldest note when all the member channels are taken", function() {
+      const notes = [60, 62, 64, 65].map(note => loopback.port.output.playMpeNote(note));
+      expect(notes[3].channel).to.equal(2);
+      expect(loopback.received.filter(data => data[0] >> 4 === 8)).to.deep.equal([[0x81, 60, 64]]);
+      expect(notes[0].owner).to.equal(false);
+      loopback.received = [];
+      notes[0].bend(1).stop();
+      expect(loopback.received).to.deep.equal([]);
+    });
+
+    it("should cancel the note off of a stolen note", function() {
+      const output = loopback.port.output;
+      [60, 62, 64].forEach(note => output.playMpeNote(note, {duration: 300}));
+      output.playMpeNote(65, {duration: 1000});
+      expect(output._queue.map(item => [Array.from(item.message), item.timestamp])).to.deep.equal(
+        [[[0x82, 62, 64], 1300], [[0x83, 64, 64], 1300], [[0x81, 65, 64], 2000]]
+      );
+      output.clear();
+    });
+
+    it("should cancel the initial expression along with the note", function() {
+      const output = loopback.port.output;
+      output.playMpeNote(60, {time: 1200, tag: "a"});
+      expect(output._queue.length).to.equal(4);
+      output.clear("a");
+      expect(output._queue).to.deep.equal([]);
+    });
+
+    it("should cancel the initial expression of a stolen note", function() {
+      const output = loopback.port.output;
+      [60, 62, 64, 65].forEach(note => output.playMpeNote(note, {time: 1200}));
+      expect(
+        output._queue
+          .map(item => Array.from(item.message))
+          .filter(message => (message[0] & 0xF) === 1)
+      ).to.deep.equal([[0x81, 60, 64], [0xE1, 0, 64], [0xD1, 0], [0xB1, 74, 64], [0x91, 65, 64]]);
+      output.clear();
+    });
+
+    it("should use the upper zone if the lower zone is not configured", function() {
+      loopback.port.output.setMpeZone("lower", 0).setMpeZone("upper", 2);
+      expect(loopback.port.output.playMpeNote(60).channel).to.equal(15);
+    });
+
+    it("should throw error if the zone is not configured", function() {
+      expect(() => loopback.port.output.playMpeNote(60, {zone: "upper"})).to.throw(Error);
+    });
+
+    it("should throw error if the expression is invalid", function() {
+      expect(() => loopback.port.output.playMpeNote(60, {bend: 49})).to.throw(RangeError);
+      const note = loopback.port.output.playMpeNote(60);
+      expect(() => note.press(2)).to.throw(RangeError);
+      expect(() => note.slide(-1)).to.throw(RangeError);
+    });
+
+  });
+
   describe("playNote()", function () {
 
     it("should throw error if note is invalid", function() {
@@ -171,6 +514,87 @@ describe("Output", function() {
       ).to.equal(WebMidi.outputs[0]);
     });
 
+    it("should accept musical times and durations", function() {
+      global.performance = { now: () => 1000 };
+      WebMidi.transport.start();
+      const port = WebMidi.createVirtualPort("Loopback");
+      port.output.playNote(60, 1, {time: "1:0:0", duration: "4n"});
+      expect(port.output._queue.map(item => item.timestamp)).to.deep.equal([3000, 3500]);
+      port.output.clear();
+    });
+
+    describe("detune & frequency", function() {
+
+      const loopback = Utils.useLoopback(WebMidi, {time: 1000});
+
+      function channels(status) {
+        return loopback.received
+          .filter(data => data[0] >> 4 === status)
+          .map(data => (data[0] & 0xF) + 1);
+      }
+
+      it("should bend the note on a single channel of the pool", function() {
+        loopback.port.output.setPitchBendRange(1, 0, [1, 2]);
+        loopback.received = [];
+        loopback.port.output.playNote("C4", [1, 2], {detune: 25});
+        expect(loopback.received).to.deep.equal([[0xE0, 127, 79], [0x90, 60, 64]]);
+      });
+
+      it("should play frequencies", function() {
+        loopback.port.output.playNote(undefined, 3, {frequency: 450});
+        const bend = ((loopback.received[0][2] << 7 | loopback.received[0][1]) - 8192) / 8192 * 2;
+        expect(bend).to.be.closeTo(12 * Math.log2(450 / 440), 0.001);
+        expect(loopback.received[1]).to.deep.equal([0x92, 69, 64]);
+      });
+
+      it("should use the channels in rotation", function() {
+        const pool = [1, 2, 3];
+        loopback.port.output.playNote(60, pool, {detune: 10}).playNote(64, pool, {detune: -10});
+        loopback.port.output.stopNote(60, pool, {detune: 10});
+        loopback.now += 10;
+        loopback.port.output.playNote(67, pool, {detune: 0});
+        loopback.now += 10;
+        loopback.port.output.stopNote(64, pool, {detune: -10});
+        loopback.now += 10;
+        loopback.port.output.playNote(72, pool, {detune: 5});
+        expect(channels(9)).to.deep.equal([1, 2, 3, 1]);
+        expect(channels(8)).to.deep.equal([1, 2]);
+      });
+
+      it("should release the channels after the duration", function() {
+        loopback.port.output.playNote(60, [1, 2], {detune: 10, duration: 100});
+        loopback.now += 200;
+        loopback.port.output.playNote(62, [1, 2], {detune: 10});
+        loopback.port.output.playNote(64, [1, 2], {detune: 10});
+        expect(channels(9)).to.deep.equal([1, 2, 1]);
+        expect(loopback.received.filter(data => data[0] === 0x80)).to.deep.equal([]);
+        loopback.port.output.clear();
+      });
+
+      it("should stop the oldest note when all the channels are taken", function() {
+        loopback.port.output.playNote([60, 62, 64], [1, 2], {detune: 10});
+        expect(channels(9)).to.deep.equal([1, 2, 1]);
+        expect(loopback.received.filter(data => data[0] === 0x80)).to.deep.equal([[0x80, 60, 64]]);
+      });
+
+      it("should cancel the note off of a stolen note", function() {
+        const output = loopback.port.output;
+        output.playNote(60, [1], {detune: 10, duration: 300});
+        output.playNote(60, [1], {detune: 20, duration: 1000});
+        expect(output._queue.map(item => [Array.from(item.message), item.timestamp])).to.deep.equal(
+          [[[0x80, 60, 64], 2000]]
+        );
+        output.clear();
+      });
+
+      it("should throw error if the detune or the frequency is invalid", function() {
+        expect(() => loopback.port.output.playNote(60, 1, {detune: "abc"})).to.throw(RangeError);
+        expect(() => loopback.port.output.playNote(60, 1, {frequency: -1})).to.throw(RangeError);
+        expect(() => loopback.port.output.playNote(127, 1, {detune: 60})).to.throw(RangeError);
+      });
+
+    });
+
     // it("should not throw error when playing a note", function() {
     //
     //   expect(function () {
@@ -308,6 +732,30 @@ describe("Output", function() {
 
   });
 
+  describe("sendControlChange14()", function () {
+
+    it("should send the MSB and then the LSB", function() {
+      const port = WebMidi.createVirtualPort("Loopback");
+      const received = [];
+      port.input.addListener("midimessage", "all", e => received.push(Array.from(e.data)));
+      port.output.sendControlChange14("volumecoarse", 12000, 2);
+      expect(received).to.deep.equal([[0xB1, 7, 93], [0xB1, 39, 96]]);
+    });
+
+    it("should throw an error if the controller or value is invalid", function() {
+      expect(() => WebMidi.outputs[0].sendControlChange14("abc", 0)).to.throw(TypeError);
+      expect(() => WebMidi.outputs[0].sendControlChange14(32, 0)).to.throw(RangeError);
+      expect(() => WebMidi.outputs[0].sendControlChange14(7, 16384)).to.throw(RangeError);
+    });
+
+    it("should return the Output object for method chaining", function() {
+      expect(
+        WebMidi.outputs[0].sendControlChange14("modulationwheelcoarse", 8192)
+      ).to.equal(WebMidi.outputs[0]);
+    });
+
+  });
+
   describe("sendKeyAftertouch()", function () {
 
     it("should return the Output object for method chaining", function() {
@@ -316,6 +764,102 @@ describe("Output", function() {
 
   });
 
+  describe("sendMmc()", function () {
+
+    it("should send the command to the specified device", function(done) {
+      WebMidi.disable();
+      WebMidi.enable(function() {
+        const port = WebMidi.createVirtualPort("Loopback");
+        const received = [];
+        port.input.addListener("sysex", undefined, e => received.push(Array.from(e.data)));
+        port.output
+          .mmcPlay()
+          .mmcStop({deviceId: 3})
+          .mmcRecordStrobe()
+          .mmcRewind()
+          .sendMmc(0x0A);
+        expect(received).to.deep.equal([
+          [0xF0, 0x7F, 0x7F, 0x06, 0x02, 0xF7],
+          [0xF0, 0x7F, 0x03, 0x06, 0x01, 0xF7],
+          [0xF0, 0x7F, 0x7F, 0x06, 0x06, 0xF7],
+          [0xF0, 0x7F, 0x7F, 0x06, 0x05, 0xF7],
+          [0xF0, 0x7F, 0x7F, 0x06, 0x0A, 0xF7]
+        ]);
+        done();
+      }, true);
+    });
+
+    it("should throw an error if the command or the device ID is invalid", function(done) {
+      WebMidi.disable();
+      WebMidi.enable(function() {
+        const output = WebMidi.outputs[0];
+        ["abc", -1, 128, undefined].forEach(function(param) {
+          expect(() => output.sendMmc(param)).to.throw(RangeError);
+        });
+        expect(() => output.mmcPlay({deviceId: 128})).to.throw(RangeError);
+        done();
+      }, true);
+    });
+
+  });
+
+  describe("sendNoteTuning()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi, {sysex: true});
+    let payloads;
+
+    beforeEach(function() {
+      payloads = [];
+      loopback.port.input.addListener("sysex", undefined, e => payloads.push(e));
+    });
+
+    it("should send a real-time single note tuning change", function() {
+      loopback.port.output.sendNoteTuning([{note: 60, pitch: 60.5}, {note: 61, pitch: undefined}]);
+      expect(Array.from(payloads[0].data)).to.deep.equal([
+        0xF0, 0x7F, 0x7F, 0x08, 0x02, 0x00, 0x02,
+        0x3C, 0x3C, 0x40, 0x00,
+        0x3D, 0x7F, 0x7F, 0x7F,
+        0xF7
+      ]);
+    });
+
+    it("should convert cents and frequencies", function() {
+      loopback.port.output
+        .sendNoteTuning([{note: 64, pitch: -25}], {units: "cents", program: 3, bank: 1})
+        .sendNoteTuning([{note: 69, pitch: 880}], {units: "hz", realtime: false});
+      expect(payloads[0].universal).to.equal("realtime");
+      expect(payloads[0].payload).to.deep.equal(
+        {bank: 1, program: 3, changes: [{note: 64, pitch: 63.75}]}
+      );
+      expect(payloads[1].universal).to.equal("nonrealtime");
+      expect(payloads[1].payload).to.deep.equal(
+        {bank: 0, program: 0, changes: [{note: 69, pitch: 81}]}
+      );
+    });
+
+    it("should split the changes in messages of 127 changes at most", function() {
+      const changes = [];
+      for (let note = 0; note < 128; note++) changes.push({note: note, pitch: note});
+      loopback.port.output.sendNoteTuning(changes);
+      expect(payloads.length).to.equal(2);
+      expect(payloads[0].payload.changes.length).to.equal(127);
+      expect(payloads[1].payload.changes).to.deep.equal([{note: 127, pitch: 127}]);
+    });
+
+    it("should throw an error if a parameter is invalid", function() {
+      const output = loopback.port.output;
+      expect(() => output.sendNoteTuning({note: 60, pitch: 60})).to.throw(TypeError);
+      expect(() => output.sendNoteTuning([{note: 128, pitch: 60}])).to.throw(RangeError);
+      expect(() => output.sendNoteTuning([{note: 60, pitch: 128}])).to.throw(RangeError);
+      expect(() => output.sendNoteTuning([{note: 60, pitch: 0}], {units: "abc"})).to.throw(
+        TypeError
+      );
+      expect(() => output.sendNoteTuning([], {program: 128})).to.throw(RangeError);
+      expect(payloads.length).to.equal(0);
+    });
+
+  });
+
   describe("sendPitchBend()", function () {
 
     it("should return the Output object for method chaining", function() {
@@ -334,6 +878,45 @@ describe("Output", function() {
 
   });
 
+  describe("sendScaleTuning()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi, {sysex: true});
+    let payloads;
+
+    beforeEach(function() {
+      payloads = [];
+      loopback.port.input.addListener("sysex", undefined, e => payloads.push(e));
+    });
+
+    it("should send the 1-byte form of the message", function() {
+      loopback.port.output.sendScaleTuning([0, -14, 0, 0, 0, 0, 0, 0, 0, 0, 0, 6], [1, 2, 16]);
+      expect(Array.from(payloads[0].data)).to.deep.equal([
+        0xF0, 0x7F, 0x7F, 0x08, 0x08, 0x02, 0x00, 0x03,
+        64, 50, 64, 64, 64, 64, 64, 64, 64, 64, 64, 70, 0xF7
+      ]);
+    });
+
+    it("should send the 2-byte form of the message", function() {
+      const offsets = [50, -50, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+      loopback.port.output.sendScaleTuning(offsets, "all", {resolution: 2, realtime: false});
+      expect(payloads[0].universal).to.equal("nonrealtime");
+      expect(payloads[0].subId2).to.equal(0x09);
+      expect(payloads[0].payload.offsets).to.deep.equal(offsets);
+      expect(payloads[0].payload.channels.length).to.equal(16);
+    });
+
+    it("should throw an error if a parameter is invalid", function() {
+      const zeros = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+      const output = loopback.port.output;
+      expect(() => output.sendScaleTuning([0, 0])).to.throw(TypeError);
+      expect(() => output.sendScaleTuning(zeros, 1, {resolution: 3})).to.throw(RangeError);
+      expect(() => output.sendScaleTuning([64].concat(zeros.slice(1)))).to.throw(RangeError);
+      expect(() => output.sendScaleTuning([101].concat(zeros.slice(1)), 1, {resolution: 2}))
+        .to.throw(RangeError);
+    });
+
+  });
+
   describe("sendSysex()", function () {
 
     it("should return the Output object for method chaining", done => done());
@@ -342,6 +925,126 @@ describe("Output", function() {
 
   });
 
+  describe("sendTuningDump()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi, {sysex: true});
+    let payloads;
+
+    beforeEach(function() {
+      payloads = [];
+      loopback.port.input.addListener("sysex", undefined, e => payloads.push(e));
+    });
+
+    it("should send a bulk tuning dump with a checksum", function() {
+      const tuning = [];
+      for (let note = 0; note < 128; note++) tuning.push(note);
+      tuning[69] = 69.5;
+      loopback.port.output.sendTuningDump(tuning, {program: 5, name: "Test"});
+      const data = Array.from(payloads[0].data);
+      expect(data.length).to.equal(408);
+      expect(data.slice(0, 7)).to.deep.equal([0xF0, 0x7E, 0x7F, 0x08, 0x01, 0x05, 0x54]);
+      expect(data.slice(1, 406).reduce((checksum, byte) => checksum ^ byte)).to.equal(data[406]);
+      expect(payloads[0].payload).to.deep.equal({program: 5, name: "Test", tuning: tuning});
+    });
+
+    it("should send a bank tuning dump from frequencies", function() {
+      const tuning = [];
+      tuning[69] = 440;
+      loopback.port.output.sendTuningDump(tuning, {bank: 2, program: 1, units: "hz", deviceId: 3});
+      expect(payloads[0].deviceId).to.equal(3);
+      expect(payloads[0].subId2).to.equal(0x04);
+      expect(payloads[0].payload.bank).to.equal(2);
+      expect(payloads[0].payload.program).to.equal(1);
+      expect(payloads[0].payload.tuning[69]).to.equal(69);
+      expect(payloads[0].payload.tuning[70]).to.equal(undefined);
+    });
+
+    it("should be cancelled by clear() with its tag", function() {
+      const output = loopback.port.output;
+      output.sendTuningDump([], {time: "+1000", tag: "dump"});
+      output.sendNoteTuning([{note: 60, pitch: 60.5}], {time: "+1000", tag: "dump"});
+      expect(output._queue.length).to.equal(2);
+      output.clear("dump");
+      expect(output._queue.length).to.equal(0);
+    });
+
+    it("should throw an error if a parameter is invalid", function() {
+      expect(() => loopback.port.output.sendTuningDump(60)).to.throw(TypeError);
+      expect(() => loopback.port.output.sendTuningDump([], {bank: 128})).to.throw(RangeError);
+      expect(() => loopback.port.output.sendTuningDump([], {deviceId: -1})).to.throw(RangeError);
+    });
+
+  });
+
+  describe("setClockTempo()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi);
+
+    it("should change the tempo of the running clock", function(done) {
+      loopback.port.output.startClock({bpm: 60});
+      loopback.port.output.setClockTempo(600);
+      expect(loopback.port.output.clock.bpm).to.equal(600);
+      setTimeout(function() {
+        loopback.port.output.stopClock();
+        expect(loopback.received.filter(data => data[0] === 0xF8).length).to.be.above(20);
+        done();
+      }, 250);
+    });
+
+    it("should throw an error if the tempo is invalid", function() {
+      [0, -120, "abc"].forEach(function(bpm) {
+        expect(() => loopback.port.output.setClockTempo(bpm)).to.throw(RangeError);
+      });
+    });
+
+    it("should return the Output object for method chaining", function() {
+      expect(WebMidi.outputs[0].setClockTempo(120)).to.equal(WebMidi.outputs[0]);
+    });
+
+  });
+
+  describe("setMpeZone()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi);
+
+    it("should send the MPE configuration message on the master channel", function() {
+      loopback.port.output.setMpeZone("upper", 5);
+      expect(loopback.received).to.deep.include.members(
+        [[0xBF, 101, 0], [0xBF, 100, 6], [0xBF, 6, 5]]
+      );
+      expect(loopback.port.output.mpeZones).to.deep.equal({
+        lower: undefined,
+        upper: {master: 16, channels: [15, 14, 13, 12, 11]}
+      });
+    });
+
+    it("should shrink the other zone if the zones overlap", function() {
+      loopback.port.output.setMpeZone("lower", 15).setMpeZone("upper", 3);
+      expect(loopback.port.output.mpeZones.lower.channels).to.deep.equal(
+        [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]
+      );
+      loopback.port.output.setMpeZone("lower", 14);
+      expect(loopback.port.output.mpeZones.upper).to.equal(undefined);
+    });
+
+    it("should send the pitch bend range to the member channels", function() {
+      loopback.port.output.setMpeZone("lower", 2, {pitchBendRange: 24});
+      expect(loopback.received).to.deep.include.members([[0xB1, 6, 24], [0xB2, 6, 24]]);
+    });
+
+    it("should throw an error if the zone or the number of channels is invalid", function() {
+      expect(() => loopback.port.output.setMpeZone("middle", 2)).to.throw(TypeError);
+      [-1, 16, NaN].forEach(function(param) {
+        expect(() => loopback.port.output.setMpeZone("lower", param)).to.throw(RangeError);
+      });
+    });
+
+    it("should return the Output object for method chaining", function() {
+      expect(WebMidi.outputs[0].setMpeZone("lower", 15)).to.equal(WebMidi.outputs[0]);
+    });
+
+  });
+
   describe("setTuningProgram()", function () {
 
     it("should return the Output object for method chaining", function() {
@@ -360,6 +1063,119 @@ describe("Output", function() {
 
   });
 
+  describe("startClock()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi);
+
+    it("should send a Start message followed by 24 clock messages per beat", function(done) {
+      loopback.port.output.startClock({bpm: 250});
+      expect(loopback.port.output.clock.state).to.equal("running");
+      expect(loopback.port.output.clock.bpm).to.equal(250);
+      setTimeout(function() {
+        expect(loopback.received[0]).to.deep.equal([0xFA]);
+        expect(loopback.received.slice(1).every(data => data[0] === 0xF8)).to.equal(true);
+        expect(loopback.received.length).to.be.within(10, 13);
+        done();
+      }, 105);
+    });
+
+    it("should send Song Position and Continue messages if the position is not 0", function() {
+      loopback.port.output.startClock({position: 8});
+      expect(loopback.received.slice(0, 3)).to.deep.equal([[0xF2, 0, 8], [0xFB], [0xF8]]);
+    });
+
+    it("should report the current position", function(done) {
+      loopback.port.output.startClock({bpm: 150, position: 4});
+      setTimeout(function() {
+        expect(loopback.port.output.clock.position).to.be.within(4.9, 5.1);
+        done();
+      }, 100);
+    });
+
+    it("should throw an error if the tempo is invalid", function() {
+      expect(() => loopback.port.output.startClock({bpm: 0})).to.throw(RangeError);
+    });
+
+    it("should throw an error if the position is invalid", function() {
+      expect(() => loopback.port.output.startClock({position: 16384})).to.throw(RangeError);
+    });
+
+    it("should return the Output object for method chaining", function() {
+      expect(loopback.port.output.startClock()).to.equal(loopback.port.output);
+    });
+
+  });
+
+  describe("startTimecode()", function () {
+
+    beforeEach(function() {
+      global.performance = { now: () => Date.now() };
+    });
+
+    it("should send quarter frames for the specified position", function(done) {
+      const port = WebMidi.createVirtualPort("Loopback");
+      const events = [];
+      port.input.addListener("mtc", undefined, e => {
+        if (!e.fullFrame) events.push(e.timecode);
+      });
+      port.output.startTimecode({fps: 25, start: "01:02:03:04"});
+      setTimeout(function() {
+        port.output.stopTimecode();
+        expect(events.slice(0, 2)).to.deep.equal([
+          {hours: 1, minutes: 2, seconds: 3, frames: 6, fps: 25},
+          {hours: 1, minutes: 2, seconds: 3, frames: 8, fps: 25}
+        ]);
+        done();
+      }, 200);
+    });
+
+    it("should report the current position", function(done) {
+      const output = WebMidi.outputs[0];
+      output.startTimecode({fps: 30, start: {hours: 1}});
+      setTimeout(function() {
+        expect(output.timecode.seconds).to.equal(0);
+        expect(output.timecode.frames).to.be.within(2, 5);
+        output.stopTimecode();
+        expect(output.timecode).to.equal(undefined);
+        done();
+      }, 100);
+    });
+
+    it("should throw an error if the frame rate is invalid", function() {
+      expect(() => WebMidi.outputs[0].startTimecode({fps: 60})).to.throw(RangeError);
+    });
+
+    it("should return the Output object for method chaining", function() {
+      expect(WebMidi.outputs[0].startTimecode()).to.equal(WebMidi.outputs[0]);
+      WebMidi.outputs[0].stopTimecode();
+    });
+
+  });
+
+  describe("stopClock()", function () {
+
+    const loopback = Utils.useLoopback(WebMidi);
+
+    it("should send a Stop message after the last clock message", function(done) {
+      loopback.port.output.startClock({bpm: 250});
+      setTimeout(function() {
+        loopback.port.output.stopClock();
+        expect(loopback.port.output.clock.state).to.equal("stopped");
+        setTimeout(function() {
+          const count = loopback.received.filter(data => data[0] === 0xF8).length;
+          expect(loopback.received[loopback.received.length - 1]).to.deep.equal([0xFC]);
+          expect(loopback.port.output.clock.position).to.equal(count / 6);
+          done();
+        }, 100);
+      }, 30);
+    });
+
+    it("should return the Output object for method chaining", function() {
+      expect(WebMidi.outputs[0].stopClock()).to.equal(WebMidi.outputs[0]);
+    });
+
+  });
+
   describe("stopNote()", function () {
 
     it("should return the Output object for method chaining", function() {
@@ -368,4 +1184,68 @@ describe("Output", function() {
 
   });
 
+  describe("syncClock()", function () {
+
+    let ports, received;
+
+    beforeEach(function() {
+      global.performance = { now: () => Date.now() };
+      ports = [WebMidi.createVirtualPort("A"), WebMidi.createVirtualPort("B")];
+      received = [[], []];
+      ports.forEach(function(port, index) {
+        port.input.addListener("midimessage", "all", function(e) {
+          received[index].push(Array.from(e.data));
+        });
+      });
+    });
+
+    afterEach(function() {
+      ports[0].output.stopClock();
+    });
+
+    it("should send the same clock to both outputs", function(done) {
+      ports[1].output.syncClock(ports[0].output);
+      ports[0].output.startClock({bpm: 250});
+      const clocks = [ports[0].output.clock, ports[1].output.clock];
+      expect(clocks[1].outputs).to.deep.equal(clocks[0].outputs);
+      expect(clocks[1].state).to.equal(clocks[0].state);
+      expect(clocks[1].bpm).to.equal(clocks[0].bpm);
+      expect(clocks[1].position).to.be.closeTo(clocks[0].position, 0.1);
+      setTimeout(() => ports[0].output.stopClock(), 50);
+      setTimeout(function() {
+        expect(received[0][received[0].length - 1]).to.deep.equal([0xFC]);
+        expect(received[1][0]).to.deep.equal([0xF2, 0, 0]);
+        expect(received[1].slice(1)).to.deep.equal(received[0]);
+        done();
+      }, 150);
+    });
+
+    it("should join a running clock on the next 16th note", function(done) {
+      ports[0].output.startClock({bpm: 250});
+      setTimeout(function() {
+        ports[1].output.syncClock(ports[0].output);
+        setTimeout(function() {
+          expect(received[1].slice(0, 3)).to.deep.equal([[0xF2, 0, 2], [0xFB], [0xF8]]);
+          done();
+        }, 150);
+      }, 20);
+    });
+
+    it("should leave the shared clock if no output is specified", function() {
+      ports[1].output.syncClock(ports[0].output).syncClock();
+      ports[0].output.startClock();
+      expect(ports[1].output.clock).to.equal(undefined);
+      expect(ports[0].output.clock.outputs).to.deep.equal([ports[0].output]);
+    });
+
+    it("should throw an error if the output is invalid", function() {
+      expect(() => ports[1].output.syncClock({})).to.throw(TypeError);
+    });
+
+    it("should return the Output object for method chaining", function() {
+      expect(ports[1].output.syncClock(ports[0].output)).to.equal(ports[1].output);
+    });
+
+  });
+
 });
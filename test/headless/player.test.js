@@ -0,0 +1,227 @@
+const sinon = require("sinon");
+const WebMidi = require("../../src/webmidi");
+const { expect } = require("chai");
+
+// Format 0 file, 96 ticks per quarter note, 120 bpm: C4 on beat 0, E4 on beat 1, G4 on beat 2 (all
+// lasting half a beat) and a tempo change to 60 bpm on beat 3.
+const bytes = [
+  0x4D, 0x54, 0x68, 0x64, 0x00, 0x00, 0x00, 0x06, 0x00, 0x00, 0x00, 0x01, 0x00, 0x60,
+  0x4D, 0x54, 0x72, 0x6B, 0x00, 0x00, 0x00, 0x2A,
+  0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20,
+  0x00, 0x90, 0x3C, 0x40,
+  0x30, 0x80, 0x3C, 0x00,
+  0x30, 0x90, 0x40, 0x40,
+  0x30, 0x80, 0x40, 0x00,
+  0x30, 0x90, 0x43, 0x40,
+  0x30, 0x80, 0x43, 0x00,
+  0x30, 0xFF, 0x51, 0x03, 0x0F, 0x42, 0x40,
+  0x60, 0xFF, 0x2F, 0x00
+];
+
+describe("Player", function() {
+  let now, clock, port, file, received;
+
+  // Moves the WebMidi clock and the timers forward together
+  function advance(ms) {
+    for (let i = 0; i < ms; i += 5) {
+      now += 5;
+      clock.tick(5);
+    }
+  }
+
+  function notes() {
+    return received
+      .filter(message => message[0] >> 4 === 9)
+      .map(message => message[1]);
+  }
+
+  beforeEach(function(done) {
+    now = 1000;
+    clock = sinon.useFakeTimers({ toFake: ["setTimeout", "clearTimeout"] });
+    WebMidi.setBackend(
+      () => Promise.resolve({ inputs: new Map(), outputs: new Map(), sysexEnabled: true }),
+      () => now
+    );
+    WebMidi.enable(function() {
+      port = WebMidi.createVirtualPort("Loopback");
+      file = WebMidi.parseMidiFile(bytes);
+      received = [];
+      port.input.addListener("midimessage", "all", e => received.push(Array.from(e.data)));
+      done();
+    });
+    clock.runAll();
+  });
+
+  afterEach(function() {
+    WebMidi.disable();
+    WebMidi.setBackend();
+    clock.restore();
+  });
+
+  describe("Output.play()", function() {
+    it("should throw error if the file is invalid", function() {
+      [undefined, {}, bytes].forEach(function(param) {
+        expect(function() {
+          port.output.play(param);
+        }).to.throw(TypeError);
+      });
+    });
+
+    it("should start playback by default", function() {
+      const player = port.output.play(file);
+      expect(player.state).to.equal("playing");
+      expect(notes()).to.deep.equal([0x3C]);
+    });
+
+    it("should not start playback if 'autostart' is false", function() {
+      const player = port.output.play(file, { autostart: false });
+      expect(player.state).to.equal("stopped");
+      expect(received.length).to.equal(0);
+    });
+
+    it("should stop the players when WebMidi is disabled", function() {
+      const player = port.output.play(file);
+      const paused = port.output.play(file).pause();
+      WebMidi.disable();
+      expect(player.state).to.equal("stopped");
+      expect(paused.state).to.equal("stopped");
+      expect(clock.countTimers()).to.equal(0);
+    });
+  });
+
+  describe("start()", function() {
+    it("should play the events following the tempo map", function() {
+      port.output.play(file);
+      advance(480);
+      expect(notes()).to.deep.equal([0x3C]);
+      advance(40);
+      expect(notes()).to.deep.equal([0x3C, 0x40]);
+      advance(500);
+      expect(notes()).to.deep.equal([0x3C, 0x40, 0x43]);
+    });
+
+    it("should dispatch 'ended' at the end of the file", function() {
+      const player = port.output.play(file);
+      const listener = sinon.fake();
+      player.addListener("ended", listener);
+      advance(2400);
+      expect(listener.called).to.equal(false);
+      advance(200);
+      expect(listener.calledOnce).to.equal(true);
+      expect(player.state).to.equal("stopped");
+    });
+
+    it("should dispatch 'position' on every beat", function() {
+      const player = port.output.play(file, { autostart: false });
+      const positions = [];
+      player.addListener("position", e => positions.push(e.position));
+      player.start();
+      advance(1020);
+      expect(positions).to.deep.equal([0, 500, 1000]);
+    });
+  });
+
+  describe("pause() & resume()", function() {
+    it("should release the notes and continue from the same position", function() {
+      const player = port.output.play(file);
+      advance(100);
+      player.pause();
+      expect(player.state).to.equal("paused");
+      expect(received[received.length - 1]).to.deep.equal([0x80, 0x3C, 0]);
+      expect(player.position).to.be.within(95, 105);
+      advance(1000);
+      expect(notes()).to.deep.equal([0x3C]);
+      player.resume();
+      advance(420);
+      expect(notes()).to.deep.equal([0x3C, 0x40]);
+    });
+
+    it("should release a note whose note on has already been sent when pausing", function() {
+      // Note on at tick 4 (within the lookahead of the output), note off at tick 96
+      const file = WebMidi.parseMidiFile([
+        0x4D, 0x54, 0x68, 0x64, 0x00, 0x00, 0x00, 0x06, 0x00, 0x00, 0x00, 0x01, 0x00, 0x60,
+        0x4D, 0x54, 0x72, 0x6B, 0x00, 0x00, 0x00, 0x0C,
+        0x04, 0x90, 0x3C, 0x64,
+        0x5C, 0x80, 0x3C, 0x00,
+        0x00, 0xFF, 0x2F, 0x00
+      ]);
+      const player = port.output.play(file);
+      player.pause();
+      advance(100);
+      expect(received).to.deep.equal([[0x90, 0x3C, 0x64], [0x80, 0x3C, 0]]);
+    });
+  });
+
+  describe("stop()", function() {
+    it("should send 'allnotesoff' and 'resetallcontrollers' and rewind", function() {
+      const player = port.output.play(file);
+      advance(100);
+      player.stop();
+      expect(player.state).to.equal("stopped");
+      expect(player.position).to.equal(0);
+      expect(received).to.deep.include([0xB0, 123, 0]);
+      expect(received).to.deep.include([0xBF, 121, 0]);
+    });
+
+    it("should send 'allnotesoff' after the notes that have already been sent", function() {
+      const player = port.output.play(file);
+      player.seek(480);
+      player.stop();
+      advance(100);
+      const index = message => received.findIndex(m => m.join() === message.join());
+      expect(index([0x90, 0x40, 0x40])).to.be.above(-1);
+      expect(index([0xB0, 123, 0])).to.be.above(index([0x90, 0x40, 0x40]));
+    });
+  });
+
+  describe("seek()", function() {
+    it("should move the position", function() {
+      const player = port.output.play(file);
+      player.seek(1000);
+      expect(player.position).to.equal(1000);
+      expect(notes()).to.deep.equal([0x3C, 0x43]);
+    });
+
+    it("should throw error if the position is invalid", function() {
+      const player = port.output.play(file);
+      expect(function() {
+        player.seek(-1);
+      }).to.throw(RangeError);
+    });
+  });
+
+  describe("loop", function() {
+    it("should repeat the specified region", function() {
+      const player = port.output.play(file, { loop: { start: 500, end: 1000 } });
+      advance(1520);
+      expect(notes()).to.deep.equal([0x3C, 0x40, 0x40, 0x40]);
+      expect(player.loop).to.deep.equal({ start: 500, end: 1000 });
+    });
+  });
+
+  describe("bpm", function() {
+    it("should override the tempo of the file", function() {
+      const player = port.output.play(file, { bpm: 60 });
+      advance(520);
+      expect(notes()).to.deep.equal([0x3C]);
+      advance(500);
+      expect(notes()).to.deep.equal([0x3C, 0x40]);
+      player.bpm = undefined;
+      expect(player.bpm).to.equal(undefined);
+    });
+
+    it("should throw error if the tempo is invalid", function() {
+      const player = port.output.play(file);
+      expect(function() {
+        player.bpm = 0;
+      }).to.throw(RangeError);
+    });
+  });
+
+  describe("duration", function() {
+    it("should return the duration of the file", function() {
+      const player = port.output.play(file, { autostart: false });
+      expect(player.duration).to.equal(2500);
+    });
+  });
+});
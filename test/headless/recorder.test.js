@@ -0,0 +1,148 @@
+const WebMidi = require("../../src/webmidi");
+const { expect } = require("chai");
+
+describe("Recorder", function() {
+  let now, port;
+
+  beforeEach(function(done) {
+    now = 1000;
+    WebMidi.setBackend(
+      () => Promise.resolve({ inputs: new Map(), outputs: new Map(), sysexEnabled: true }),
+      () => now
+    );
+    WebMidi.enable(function() {
+      port = WebMidi.createVirtualPort("Loopback");
+      done();
+    });
+  });
+
+  afterEach(function() {
+    WebMidi.disable();
+    WebMidi.setBackend();
+  });
+
+  describe("createRecorder()", function() {
+    it("should throw error if WebMidi is disabled", function() {
+      WebMidi.disable();
+      expect(function() {
+        WebMidi.createRecorder();
+      }).to.throw(Error);
+    });
+
+    it("should throw error if an input is invalid", function() {
+      ["abc", {}, [port.input, port.output]].forEach(function(param) {
+        expect(function() {
+          WebMidi.createRecorder(param);
+        }).to.throw(TypeError);
+      });
+    });
+
+    it("should record all inputs by default", function() {
+      expect(WebMidi.createRecorder().inputs).to.deep.equal(WebMidi.inputs);
+    });
+  });
+
+  describe("start()", function() {
+    it("should capture the messages received by the inputs", function() {
+      const recorder = WebMidi.createRecorder(port.input);
+      port.output.playNote(60, 1);
+      recorder.start();
+      expect(recorder.recording).to.equal(true);
+      port.output.playNote(62, 1);
+      expect(recorder._messages.length).to.equal(1);
+    });
+
+    it("should return the Recorder object for method chaining", function() {
+      const recorder = WebMidi.createRecorder(port.input);
+      expect(recorder.start()).to.equal(recorder);
+    });
+  });
+
+  describe("stop()", function() {
+    it("should stop capturing messages", function() {
+      const recorder = WebMidi.createRecorder(port.input).start();
+      port.output.playNote(60, 1);
+      recorder.stop();
+      expect(recorder.recording).to.equal(false);
+      port.output.playNote(62, 1);
+      expect(recorder._messages.length).to.equal(1);
+    });
+
+    it("should return the Recorder object for method chaining", function() {
+      const recorder = WebMidi.createRecorder(port.input);
+      expect(recorder.stop()).to.equal(recorder);
+    });
+  });
+
+  describe("toMidiFile()", function() {
+    let recorder, other;
+
+    beforeEach(function() {
+      other = WebMidi.createVirtualPort("Other");
+      recorder = WebMidi.createRecorder([port.input, other.input]).start();
+      port.output.playNote(60, 1);
+      now = 1500;
+      port.output.stopNote(60, 1);
+      other.output.sendControlChange(7, 100, 3);
+      now = 1750;
+      other.output.sendSysex(0x7e, [0x01]);
+      other.output.sendClock();
+      recorder.stop();
+    });
+
+    it("should throw error if an option is invalid", function() {
+      [{ bpm: 0 }, { ppq: 0 }, { ppq: 1.5 }, { ppq: 32768 }].forEach(function(param) {
+        expect(function() {
+          recorder.toMidiFile(param);
+        }).to.throw(RangeError);
+      });
+
+      expect(function() {
+        recorder.toMidiFile({ tracks: "abc" });
+      }).to.throw(TypeError);
+    });
+
+    it("should write the tempo and time signature in the first track", function() {
+      const file = recorder.toMidiFile({ bpm: 60, ppq: 480, timeSignature: [3, 4] });
+      expect(file.format).to.equal(1);
+      expect(file.ppq).to.equal(480);
+      expect(file.tracks[0].events[0]).to.include({ type: "tempo", value: 1000000 });
+      expect(file.tracks[0].events[1]).to.include({ type: "timesignature", numerator: 3 });
+    });
+
+    it("should create one track per input", function() {
+      const file = recorder.toMidiFile({ bpm: 120, ppq: 96 });
+      expect(file.tracks.map(track => track.name)).to.deep.equal([undefined, "Loopback", "Other"]);
+      expect(file.tracks[1].events.map(e => e.type + "@" + e.ticks)).to.deep.equal([
+        "trackname@0", "noteon@0", "noteoff@96", "endoftrack@144"
+      ]);
+      expect(file.tracks[2].events.map(e => e.type + "@" + e.ticks)).to.deep.equal([
+        "trackname@0", "controlchange@96", "sysex@144", "endoftrack@144"
+      ]);
+    });
+
+    it("should create one track per channel", function() {
+      const file = recorder.toMidiFile({ bpm: 120, ppq: 96, tracks: "channel" });
+      expect(file.tracks.map(track => track.name)).to.deep.equal([
+        undefined, "Channel 1", "Channel 3"
+      ]);
+      expect(file.tracks[0].events[2]).to.include({ type: "sysex", ticks: 144 });
+    });
+
+    it("should produce a file that can be read back", function() {
+      const buffer = recorder.toMidiFile({ bpm: 120, ppq: 96 }).toArrayBuffer();
+      const events = WebMidi.parseMidiFile(buffer).tracks[1].events;
+      expect(events[2]).to.include({ type: "noteoff", ticks: 96, timestamp: 500 });
+    });
+
+    it("should encode the track names in UTF-8", function() {
+      const named = WebMidi.createVirtualPort("Caf\u00e9 \u266b");
+      const file = WebMidi.createRecorder(named.input).start().stop().toMidiFile();
+      const track = WebMidi.parseMidiFile(file.toArrayBuffer()).tracks[1];
+      expect(Array.from(track.events[0].data)).to.deep.equal([
+        0x43, 0x61, 0x66, 0xc3, 0xa9, 0x20, 0xe2, 0x99, 0xab
+      ]);
+      expect(track.name).to.equal("Caf\u00e9 \u266b");
+    });
+  });
+});
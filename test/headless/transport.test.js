@@ -0,0 +1,146 @@
+const WebMidi = require("../../src/webmidi");
+const { expect } = require("chai");
+
+describe("Transport", function() {
+  let now;
+
+  beforeEach(function(done) {
+    now = 1000;
+    WebMidi.setBackend(
+      () => Promise.resolve({ inputs: new Map(), outputs: new Map(), sysexEnabled: false }),
+      () => now
+    );
+    WebMidi.enable(function() {
+      WebMidi.transport.start();
+      done();
+    });
+  });
+
+  afterEach(function() {
+    WebMidi.transport.bpm = 120;
+    WebMidi.transport.timeSignature = [4, 4];
+    WebMidi.transport.ppq = 96;
+    WebMidi.disable();
+    WebMidi.setBackend();
+  });
+
+  describe("bpm", function() {
+    it("should throw error if the tempo is invalid", function() {
+      [0, -1, "abc", NaN].forEach(function(param) {
+        expect(function() {
+          WebMidi.transport.bpm = param;
+        }).to.throw(RangeError);
+      });
+    });
+
+    it("should keep the position continuous when the tempo changes", function() {
+      now = 1500;
+      WebMidi.transport.bpm = 60;
+      expect(WebMidi.transport.position).to.equal("0:1:0");
+      now = 2500;
+      expect(WebMidi.transport.position).to.equal("0:2:0");
+    });
+
+    it("should retime pending messages scheduled with a musical time", function() {
+      const port = WebMidi.createVirtualPort("Loopback");
+      port.output.playNote(60, 1, { time: "1:0:0" });
+      port.output.playNote(62, 1, { time: 3000 });
+      WebMidi.transport.bpm = 60;
+      const timestamps = port.output._queue.map(item => item.timestamp);
+      expect(timestamps).to.deep.equal([3000, 5000]);
+      port.output.clear();
+    });
+  });
+
+  describe("ppq", function() {
+    it("should retime pending messages when the resolution changes", function() {
+      const port = WebMidi.createVirtualPort("Loopback");
+      port.output.playNote(60, 1, { time: "1:0:0", duration: "4n" });
+      WebMidi.transport.ppq = 480;
+      expect(port.output._queue.map(item => item.timestamp)).to.deep.equal([3000, 3500]);
+      WebMidi.transport.bpm = 60;
+      expect(port.output._queue.map(item => item.timestamp)).to.deep.equal([5000, 6000]);
+      port.output.clear();
+    });
+  });
+
+  describe("start()", function() {
+    it("should retime pending messages when the transport is started again", function() {
+      const port = WebMidi.createVirtualPort("Loopback");
+      port.output.playNote(60, 1, { time: "1:0:0" });
+      now = 1500;
+      WebMidi.transport.start();
+      expect(port.output._queue.map(item => item.timestamp)).to.deep.equal([3000]);
+      WebMidi.transport.bpm = 60;
+      expect(port.output._queue.map(item => item.timestamp)).to.deep.equal([4500]);
+      port.output.clear();
+    });
+  });
+
+  describe("position", function() {
+    it("should report the position since the transport was started", function() {
+      now = 1000 + 2000 + 500 + 125;
+      expect(WebMidi.transport.position).to.equal("1:1:24");
+    });
+  });
+
+  describe("timeSignature", function() {
+    it("should throw error if the time signature is invalid", function() {
+      [[0, 4], [4, 3], [4.5, 4], "abc", []].forEach(function(param) {
+        expect(function() {
+          WebMidi.transport.timeSignature = param;
+        }).to.throw(RangeError);
+      });
+    });
+
+    it("should count beats in time signature units", function() {
+      WebMidi.transport.timeSignature = [6, 8];
+      expect(WebMidi.transport.toTimestamp("1:1:0")).to.equal(1000 + 1500 + 250);
+    });
+  });
+
+  describe("toMilliseconds()", function() {
+    it("should convert note values", function() {
+      expect(WebMidi.transport.toMilliseconds("4n")).to.equal(500);
+      expect(WebMidi.transport.toMilliseconds("8n")).to.equal(250);
+      expect(WebMidi.transport.toMilliseconds("8n.")).to.equal(375);
+      expect(WebMidi.transport.toMilliseconds("4t")).to.be.closeTo(333.333, 0.001);
+    });
+
+    it("should convert measures, beats and ticks", function() {
+      expect(WebMidi.transport.toMilliseconds("1m")).to.equal(2000);
+      expect(WebMidi.transport.toMilliseconds("1.5b")).to.equal(750);
+      expect(WebMidi.transport.toMilliseconds("48i")).to.equal(250);
+      expect(WebMidi.transport.toMilliseconds("1:2:0")).to.equal(3000);
+    });
+
+    it("should return numbers as is", function() {
+      expect(WebMidi.transport.toMilliseconds(123)).to.equal(123);
+    });
+
+    it("should return NaN for invalid durations", function() {
+      ["abc", "4x", "1m."].forEach(function(param) {
+        expect(WebMidi.transport.toMilliseconds(param)).to.be.NaN;
+      });
+    });
+  });
+
+  describe("toTimestamp()", function() {
+    it("should resolve positions against the start of the transport", function() {
+      now = 1300;
+      expect(WebMidi.transport.toTimestamp("1:2:0")).to.equal(4000);
+    });
+
+    it("should resolve other formats relative to the current time", function() {
+      now = 1300;
+      expect(WebMidi.transport.toTimestamp("8n")).to.equal(1550);
+      expect(WebMidi.transport.toTimestamp("+1:0:0")).to.equal(3300);
+    });
+
+    it("should return undefined for invalid times", function() {
+      [undefined, 123, "+100", "abc"].forEach(function(param) {
+        expect(WebMidi.transport.toTimestamp(param)).to.equal(undefined);
+      });
+    });
+  });
+});
@@ -1,9 +1,75 @@
 var Utils = {
-  
+
   isNative: function(fn) {
     return (/\{\s*\[native code\]\s*\}/).test("" + fn);
+  },
+
+  /**
+   * Creates a virtual "Loopback" port before each test of the calling `describe()` block and
+   * removes it after each test (once its clock and time code generators are stopped). The messages
+   * received on its input are collected in `received`.
+   *
+   * WebMidi is enabled again with a backend (see `WebMidi.setBackend()`) that has no ports of its
+   * own and a clock following the system clock. If the `time` option is set, the clock starts at
+   * this value and only moves when `now` is changed. If the `sysex` option is `true`, sysex
+   * messages are enabled. The default backend is restored after each test.
+   *
+   * @param WebMidi The WebMidi object.
+   * @param [options]
+   * @param [options.time] The initial value of `WebMidi.time`.
+   * @param [options.sysex=false] Whether sysex messages must be enabled.
+   *
+   * @returns {{port: Object, received: Array, now: Number}} The loopback state, updated before
+   * each test.
+   */
+  useLoopback: function(WebMidi, options) {
+
+    options = options || {};
+
+    var loopback = {port: undefined, received: [], now: undefined};
+
+    beforeEach(function(done) {
+
+      loopback.now = options.time;
+      loopback.received = [];
+
+      WebMidi.disable();
+      WebMidi.setBackend(
+        function(request) {
+          return Promise.resolve({
+            inputs: new Map(),
+            outputs: new Map(),
+            sysexEnabled: !!request.sysex
+          });
+        },
+        function() {
+          return options.time === undefined ? Date.now() : loopback.now;
+        }
+      );
+
+      WebMidi.enable(function() {
+        loopback.port = WebMidi.createVirtualPort("Loopback");
+        loopback.port.input.addListener("midimessage", "all", function(e) {
+          loopback.received.push(Array.from(e.data));
+        });
+        done();
+      }, !!options.sysex);
+
+    });
+
+    afterEach(function() {
+      if (WebMidi.enabled && WebMidi.inputs.indexOf(loopback.port.input) >= 0) {
+        loopback.port.output.stopClock().stopTimecode();
+        WebMidi.removeVirtualPort(loopback.port);
+      }
+      WebMidi.disable();
+      WebMidi.setBackend();
+    });
+
+    return loopback;
+
   }
-  
+
 };
 
 module.exports = Utils;
\ No newline at end of file
@@ -96,6 +96,83 @@ describe("WebMidi", function() {
     });
   });
 
+  describe("createVirtualPort()", function() {
+    beforeEach("Enable WebMidi.js", function(done) {
+      WebMidi.disable();
+      WebMidi.enable(function() {
+        done();
+      });
+    });
+
+    it("should throw error if WebMidi is disabled", function() {
+      WebMidi.disable();
+      expect(function() {
+        WebMidi.createVirtualPort("Loopback");
+      }).to.throw(Error);
+    });
+
+    it("should return a connected input/output pair", function() {
+      const port = WebMidi.createVirtualPort("Loopback");
+      expect(port.input.name).to.equal("Loopback");
+      expect(port.input.type).to.equal("input");
+      expect(port.output.name).to.equal("Loopback");
+      expect(port.output.type).to.equal("output");
+      expect(port.output.id).to.equal(port.input.id);
+      expect(port.input.state).to.equal("connected");
+    });
+
+    it("should add the ports to the inputs and outputs arrays", function() {
+      const port = WebMidi.createVirtualPort("Loopback");
+      expect(WebMidi.inputs).to.include(port.input);
+      expect(WebMidi.outputs).to.include(port.output);
+    });
+
+    it("should dispatch 'connected' events", function() {
+      const listener = sinon.fake();
+      WebMidi.addListener("connected", listener);
+      const port = WebMidi.createVirtualPort("Loopback");
+      expect(listener.calledTwice).to.equal(true);
+      expect(listener.firstCall.args[0].port).to.equal(port.input);
+      expect(listener.secondCall.args[0].port).to.equal(port.output);
+    });
+
+    it("should deliver messages sent on the output to the input", function() {
+      const port = WebMidi.createVirtualPort("Loopback");
+      const listener = sinon.fake();
+      port.input.addListener("noteon", 3, listener);
+      port.output.playNote(60, 3, { velocity: 1 });
+      expect(listener.calledOnce).to.equal(true);
+      expect(listener.firstCall.args[0].note.number).to.equal(60);
+      expect(listener.firstCall.args[0].rawVelocity).to.equal(127);
+    });
+
+    it("should deliver messages at the specified time", function(done) {
+      global.performance = { now: () => Date.now() };
+      const port = WebMidi.createVirtualPort("Loopback");
+      const start = WebMidi.time;
+      port.input.addListener("noteon", "all", function(e) {
+        expect(e.timestamp - start).to.be.at.least(20);
+        done();
+      });
+      port.output.playNote("C3", 1, { time: "+30" });
+    });
+
+    it("should deliver scheduled messages in the order of their timestamps", function(done) {
+      global.performance = { now: () => Date.now() };
+      const port = WebMidi.createVirtualPort("Loopback");
+      const received = [];
+      const time = WebMidi.time;
+      port.input.addListener("midimessage", "all", e => received.push(e.data[0]));
+      port.output._midiOutput.send([0xFC], time + 20);
+      port.output._midiOutput.send([0xF8], time + 19);
+      port.output._midiOutput.send([0xFB], time + 20);
+      setTimeout(function() {
+        expect(received).to.deep.equal([0xF8, 0xFC, 0xFB]);
+        done();
+      }, 40);
+    });
+  });
+
   describe("disable()", function() {
     beforeEach("Enable WebMidi.js", function() {
       WebMidi.disable();
@@ -127,6 +204,79 @@ describe("WebMidi", function() {
     // }));
   });
 
+  describe("discoverDevices()", function() {
+    function createAccess() {
+      return { inputs: new Map(), outputs: new Map(), sysexEnabled: true };
+    }
+
+    beforeEach("Use a backend without hardware ports", function() {
+      WebMidi.disable();
+      global.performance = { now: () => Date.now() };
+      WebMidi.setBackend(() => Promise.resolve(createAccess()));
+    });
+
+    afterEach("Revert to the default backend", function() {
+      WebMidi.disable();
+      WebMidi.setBackend();
+    });
+
+    it("should pair the input and output of devices answering the request", function(done) {
+      WebMidi.enable(function() {
+        const a = WebMidi.createVirtualPort("A");
+        const b = WebMidi.createVirtualPort("B");
+
+        // Device listening on the output of port A and replying through the input of port B
+        a.input.addListener("sysex", undefined, function(e) {
+          if (e.message !== "identityrequest") return;
+          b.output.sendSysex(0x7E, [0x10, 0x06, 0x02, 0x43, 0x12, 0x34, 0x56, 0x78, 1, 2, 3, 4]);
+        });
+
+        WebMidi.discoverDevices({ timeout: 20 }).then(function(devices) {
+          expect(devices.length).to.equal(1);
+          expect(devices[0].input).to.equal(b.input);
+          expect(devices[0].output).to.equal(a.output);
+          expect(devices[0].deviceId).to.equal(0x10);
+          expect(devices[0].manufacturer).to.equal("yamaha");
+          expect(devices[0].family).to.equal(0x12 | 0x34 << 7);
+          expect(devices[0].model).to.equal(0x56 | 0x78 << 7);
+          expect(devices[0].version).to.deep.equal([1, 2, 3, 4]);
+          expect(b.input._userHandlers.system.sysex.length).to.equal(0);
+          done();
+        }).catch(done);
+      }, true);
+    });
+
+    it("should resolve with an empty array if no device answers", function() {
+      return WebMidi.enable({ sysex: true }).then(function() {
+        WebMidi.createVirtualPort("A");
+        return WebMidi.discoverDevices({ timeout: 0 });
+      }).then(function(devices) {
+        expect(devices).to.deep.equal([]);
+      });
+    });
+
+    it("should reject if sysex messages are not enabled", function() {
+      WebMidi.setBackend(() => Promise.resolve(
+        { inputs: new Map(), outputs: new Map(), sysexEnabled: false }
+      ));
+      return WebMidi.enable().then(function() {
+        return WebMidi.discoverDevices();
+      }).then(
+        () => Promise.reject(new Error("Should have been rejected")),
+        err => expect(err).to.be.an("error")
+      );
+    });
+
+    it("should reject if the timeout is invalid", function() {
+      return WebMidi.enable({ sysex: true }).then(function() {
+        return WebMidi.discoverDevices({ timeout: -1 });
+      }).then(
+        () => Promise.reject(new Error("Should have been rejected")),
+        err => expect(err).to.be.an.instanceof(RangeError)
+      );
+    });
+  });
+
   describe("enable()", function() {
     beforeEach("Make sure WebMidi is not already enabled.", function() {
       WebMidi.disable();
@@ -203,6 +353,83 @@ describe("WebMidi", function() {
     });
 
     it("should create as many inputs and outputs as are available on the host", (done) => done());
+
+    it("should return a promise fulfilled with WebMidi if no callback is specified", function() {
+      return WebMidi.enable().then(function(result) {
+        expect(result).to.equal(WebMidi);
+        expect(WebMidi.enabled).to.equal(true);
+      });
+    });
+
+    it("should accept an options object in place of positional parameters", function(done) {
+      WebMidi.enable({
+        sysex: true,
+        timeout: 500,
+        callback: function(err) {
+          expect(err).to.equal(undefined);
+          expect(WebMidi.enabled).to.equal(true);
+          done();
+        }
+      });
+    });
+
+    it("should list the ports that could not be opened in 'failedPorts'", function() {
+      const port = {
+        id: "busy", name: "Busy port", manufacturer: "", type: "input", state: "connected",
+        connection: "closed", onmidimessage: null, open: () => Promise.reject(new Error("busy"))
+      };
+      const warn = sinon.stub(console, "warn");
+      WebMidi.setBackend(() => Promise.resolve(
+        { inputs: new Map([["busy", port]]), outputs: new Map(), sysexEnabled: false }
+      ));
+
+      return WebMidi.enable().then(function(result) {
+        warn.restore();
+        expect(result.failedPorts).to.deep.equal(
+          [{ id: "busy", name: "Busy port", manufacturer: "", type: "input" }]
+        );
+        WebMidi.disable();
+        WebMidi.setBackend();
+        expect(WebMidi.failedPorts).to.deep.equal([]);
+      }, function(err) {
+        warn.restore();
+        WebMidi.setBackend();
+        throw err;
+      });
+    });
+
+    it("should reject with a WebMidiError if Web MIDI API access fails", function() {
+      const err = new Error("Simulated failure!");
+      err.name = "NotAllowedError";
+      sinon.stub(navigator, "requestMIDIAccess").returns(Promise.reject(err));
+
+      return WebMidi.enable().then(
+        function() {
+          throw new Error("The promise should have been rejected.");
+        },
+        function(err) {
+          expect(err).to.be.instanceof(WebMidi.WebMidiError);
+          expect(err.code).to.equal("permissiondenied");
+        }
+      );
+    });
+
+    it("should reject with a WebMidiError if Web MIDI API is not supported", function() {
+      const requestMIDIAccess = navigator.requestMIDIAccess;
+      delete navigator.requestMIDIAccess;
+      const promise = WebMidi.enable();
+      navigator.requestMIDIAccess = requestMIDIAccess;
+
+      return promise.then(
+        function() {
+          throw new Error("The promise should have been rejected.");
+        },
+        function(err) {
+          expect(err).to.be.instanceof(WebMidi.WebMidiError);
+          expect(err.code).to.equal("notsupported");
+        }
+      );
+    });
   });
 
   describe("getInputById()", function() {
@@ -537,6 +764,63 @@ describe("WebMidi", function() {
     });
   });
 
+  describe("parseScala()", function() {
+    const scl = [
+      "! meantone.scl",
+      "!",
+      "Quarter-comma meantone (partial)",
+      " 3",
+      "!",
+      " 193.157 ! whole tone",
+      " 5/4",
+      " 2/1"
+    ].join("\n");
+
+    function closeTo(actual, expected) {
+      expected.forEach(function(value, index) {
+        if (value === undefined) {
+          expect(actual[index]).to.equal(undefined);
+        } else {
+          expect(actual[index]).to.be.closeTo(value, 0.0001);
+        }
+      });
+    }
+
+    it("should read the description and the degrees of the scale", function() {
+      const scale = WebMidi.parseScala(scl);
+      expect(scale.description).to.equal("Quarter-comma meantone (partial)");
+      closeTo(scale.degrees, [193.157, 386.3137, 1200]);
+    });
+
+    it("should map the scale linearly from middle C by default", function() {
+      const tuning = WebMidi.parseScala(scl).tuning;
+      expect(tuning.length).to.equal(128);
+      closeTo(tuning.slice(59, 64), [48 + 3.863137, 60, 61.93157, 63.863137, 72]);
+    });
+
+    it("should apply the keyboard mapping", function() {
+      const kbm = [
+        "! Map the 3 degrees on C, D and E with A4 at 432 Hz",
+        "12", "0", "127", "60", "69", "432.0", "3",
+        "! Mapping",
+        "0", "x", "1", "x", "2", "x", "x", "x", "x", "2", "x", "x"
+      ].join("\n");
+      const tuning = WebMidi.parseScala(scl, kbm).tuning;
+      const c4 = 69 + 12 * Math.log2(432 / 440) - 3.863137;
+      closeTo(tuning.slice(60, 73), [
+        c4, undefined, c4 + 1.93157, undefined, c4 + 3.863137, undefined, undefined, undefined,
+        undefined, c4 + 3.863137, undefined, undefined, c4 + 12
+      ]);
+    });
+
+    it("should throw an error if a file is invalid", function() {
+      expect(() => WebMidi.parseScala()).to.throw(TypeError);
+      expect(() => WebMidi.parseScala("Test\n2\n100.0")).to.throw(TypeError);
+      expect(() => WebMidi.parseScala("Test\n1\nabc")).to.throw(TypeError);
+      expect(() => WebMidi.parseScala(scl, "12\n0\n127")).to.throw(TypeError);
+    });
+  });
+
   describe("removeListener()", function() {
     beforeEach("Enable WebMidi.js", function(done) {
       WebMidi.disable();
@@ -598,6 +882,137 @@ describe("WebMidi", function() {
     });
   });
 
+  describe("removeVirtualPort()", function() {
+    beforeEach("Enable WebMidi.js", function(done) {
+      WebMidi.disable();
+      WebMidi.enable(function() {
+        done();
+      });
+    });
+
+    it("should throw error if the port is not a virtual port", function() {
+      [undefined, null, {}, WebMidi.outputs[0]].forEach(function(param) {
+        expect(function() {
+          WebMidi.removeVirtualPort(param);
+        }).to.throw(TypeError);
+      });
+    });
+
+    it("should remove the ports from the inputs and outputs arrays", function() {
+      const port = WebMidi.createVirtualPort("Loopback");
+      WebMidi.removeVirtualPort(port);
+      expect(WebMidi.inputs).to.not.include(port.input);
+      expect(WebMidi.outputs).to.not.include(port.output);
+    });
+
+    it("should dispatch 'disconnected' events", function() {
+      const listener = sinon.fake();
+      const port = WebMidi.createVirtualPort("Loopback");
+      WebMidi.addListener("disconnected", listener);
+      WebMidi.removeVirtualPort(port.output);
+      expect(listener.calledTwice).to.equal(true);
+      expect(listener.firstCall.args[0].port.id).to.equal(port.input.id);
+      expect(listener.firstCall.args[0].port.state).to.equal("disconnected");
+    });
+
+    it("should discard messages scheduled for future delivery", function(done) {
+      global.performance = { now: () => Date.now() };
+      const port = WebMidi.createVirtualPort("Loopback");
+      const listener = sinon.fake();
+      port.input.addListener("noteon", "all", listener);
+      port.output.playNote("C3", 1, { time: "+10" });
+      WebMidi.removeVirtualPort(port);
+      setTimeout(function() {
+        expect(listener.called).to.equal(false);
+        done();
+      }, 30);
+    });
+  });
+
+  describe("setBackend()", function() {
+    function createAccess() {
+      const port = {
+        id: "fake-output",
+        name: "Fake Output",
+        manufacturer: "",
+        type: "output",
+        state: "connected",
+        connection: "closed",
+        open: () => Promise.resolve(port),
+        send: () => {}
+      };
+
+      return {
+        inputs: new Map(),
+        outputs: new Map([[port.id, port]]),
+        sysexEnabled: false
+      };
+    }
+
+    beforeEach("Make sure WebMidi is not already enabled.", function() {
+      WebMidi.disable();
+    });
+
+    afterEach("Revert to the default backend", function() {
+      WebMidi.disable();
+      WebMidi.setBackend();
+    });
+
+    it("should throw error if a parameter is not a function", function() {
+      ["abc", 123, {}].forEach(function(param) {
+        expect(function() {
+          WebMidi.setBackend(param);
+        }).to.throw(TypeError);
+        expect(function() {
+          WebMidi.setBackend(undefined, param);
+        }).to.throw(TypeError);
+      });
+    });
+
+    it("should throw error if WebMidi is enabled", function(done) {
+      WebMidi.setBackend(() => Promise.resolve(createAccess()));
+      WebMidi.enable(function() {
+        expect(function() {
+          WebMidi.setBackend(createAccess);
+        }).to.throw(Error);
+        done();
+      });
+    });
+
+    it("should use the specified function to request MIDI access", function(done) {
+      const requestAccess = sinon.fake(() => Promise.resolve(createAccess()));
+
+      WebMidi.setBackend(requestAccess);
+      expect(WebMidi.supported).to.equal(true);
+
+      WebMidi.enable(function(err) {
+        expect(err).to.equal(undefined);
+        expect(requestAccess.calledOnce).to.equal(true);
+        expect(requestAccess.firstCall.args[0].sysex).to.equal(true);
+        expect(WebMidi.outputs.length).to.equal(1);
+        expect(WebMidi.outputs[0].name).to.equal("Fake Output");
+        done();
+      }, true);
+    });
+
+    it("should use the specified function to report time", function() {
+      global.performance = null;
+      WebMidi.setBackend(undefined, () => 1234);
+      expect(WebMidi.time).to.equal(1234);
+    });
+
+    it("should revert to the default functions when called without parameters", function() {
+      WebMidi.setBackend(createAccess, () => 1234);
+      WebMidi.setBackend();
+      global.performance = { now: () => 5678 };
+      expect(WebMidi.time).to.equal(5678);
+    });
+
+    it("should return the WebMidi object for method chaining", function() {
+      expect(WebMidi.setBackend()).to.equal(WebMidi);
+    });
+  });
+
   describe("toMIDIChannels()", function() {
     it("should return only valid MIDI channel numbers", function() {
       // Valid values are 1, 8 and 16
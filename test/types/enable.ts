@@ -0,0 +1,22 @@
+// Type checks for `WebMidi.enable()`, compiled by `npm run types` (never executed)
+import WebMidi, { WebMidi as IWebMidi } from "../../webmidi";
+
+function enableWithPromise(): Promise<void> {
+  WebMidi.enable().then(function(webmidi: IWebMidi) {
+    webmidi.inputs.forEach(input => input.name);
+  });
+  WebMidi.enable().then(webmidi => webmidi.outputs.forEach(output => output.name));
+  return WebMidi.enable({ sysex: true, timeout: 500 }).then(function(webmidi) {
+    webmidi.failedPorts.forEach(port => port.id);
+  });
+}
+
+function enableWithCallback(): void {
+  const result: void = WebMidi.enable(function(err) {
+    if (err) console.log(err.message);
+  }, true);
+  WebMidi.enable({ sysex: true, callback: err => console.log(err) });
+  return result;
+}
+
+export { enableWithPromise, enableWithCallback };
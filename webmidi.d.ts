@@ -98,6 +98,50 @@ export interface InputEventControlchange extends InputEventChannelBase<"controlc
   value: number
 }
 
+/**
+ * Event emitted when the value of a high-resolution controller (0-31 paired with its LSB 32-63)
+ * has been received. Only dispatched if `Input.controlChange14Enabled` is `true`.
+ */
+export interface InputEventControlchange14 extends InputEventChannelBase<"controlchange14"> {
+  /** The controller `name` and `number` (between 0 and 31) information. */
+  controller: IEventController
+
+  /** The value received (between 0 and 1). */
+  value: number
+
+  /** The value expressed as a 14-bit integer (between 0 and 16383). */
+  rawValue: number
+}
+
+/**
+ * Event emitted when a valid RPN message sequence (parameter selection, data entry, increment or
+ * decrement and null parameter) has been received on a specific device and channel.
+ */
+export interface InputEventRpn extends Pick<
+  InputEventChannelBase<"rpn">, Exclude<keyof InputEventChannelBase<"rpn">, "data">
+> {
+  /** The raw MIDI messages that make up the sequence. */
+  data: Uint8Array[]
+
+  controller: {
+    /** The number of the RPN (between 0 and 16383). */
+    number: number
+
+    /** The type of message. */
+    type: "entry" | "increment" | "decrement"
+
+    /** The name of the parameter or "Registered Parameter" followed by its number. */
+    name: keyof MidiRegisteredParameters | string
+  }
+
+  /**
+   * The value received. For a data entry, this is the 14-bit value made of the MSB and LSB
+   * (between 0 and 16383, the LSB being 0 when it was not received). For an increment or
+   * decrement, this is the data byte of the message (between 0 and 127).
+   */
+  value: number
+}
+
 /** Event emitted when a key-specific aftertouch MIDI message has been received on a specific
           device and channel. */
 export interface InputEventKeyaftertouch extends InputEventChannelBase<"keyaftertouch"> {
@@ -114,13 +158,105 @@ export interface InputEventKeyaftertouch extends InputEventChannelBase<"keyafter
  */
 export type InputEventMidimessage = InputEventBase<"midimessage">
 
+/** A MIDI Time Code position. */
+export interface ITimecode {
+  hours: number
+  minutes: number
+  seconds: number
+  frames: number
+
+  /** The frame rate (29.97 is drop-frame). */
+  fps: 24 | 25 | 29.97 | 30
+}
+
+/**
+ * Event emitted when a complete MIDI Time Code position has been decoded from eight quarter frames
+ * or from a Full Frame message.
+ */
+export interface InputEventMtc extends InputEventBase<"mtc"> {
+  /** The position. */
+  timecode: ITimecode
+
+  /** The direction of playback or `undefined` for Full Frame messages. */
+  direction: "forward" | "reverse" | undefined
+
+  /** Whether the position comes from a Full Frame message. */
+  fullFrame: boolean
+}
+
+/** Event emitted when a MIDI Machine Control command is received. */
+export interface InputEventMmc extends InputEventBase<"mmc"> {
+  /** The ID of the targeted device (127 means all devices). */
+  deviceId: number
+
+  /** The name of the command or `undefined` if it is unknown. */
+  command: keyof MidiMmcCommands | undefined
+
+  /** The number of the command (`undefined` if the message is truncated). */
+  value: number | undefined
+
+  /** The target position of `locate` commands. */
+  timecode: ITimecode | undefined
+}
+
+/** The state of the MIDI clock received by an `Input`. */
+export interface IInputClock {
+  /** The tempo in beats (quarter notes) per minute or `undefined` if it is not known yet. */
+  bpm: number | undefined
+
+  state: "running" | "stopped"
+
+  /** The position in clock pulses (24 per quarter note) since the start of the song. */
+  ticks: number
+
+  /** The bar (counted from 0), following the time signature of the transport. */
+  bar: number
+
+  /** The beat within the bar (counted from 0). */
+  beat: number
+
+  /** The pulse within the beat (counted from 0). */
+  tick: number
+}
+
+/**
+ * Base of the events emitted by the MIDI clock follower of an `Input`: `beat` on every beat,
+ * `bar` on the first beat of every bar and `tempochange` when the tempo changes.
+ */
+export interface InputEventClockPosition<T extends "beat" | "bar" | "tempochange">
+  extends InputEventBase<T> {
+  /** The tempo in beats (quarter notes) per minute or `undefined` if it is not known yet. */
+  bpm: number | undefined
+
+  /** The position in clock pulses (24 per quarter note). */
+  ticks: number
+
+  /** The bar (counted from 0). */
+  bar: number
+
+  /** The beat within the bar (counted from 0). */
+  beat: number
+}
+
+/** Event emitted on every beat of the incoming MIDI clock. */
+export type InputEventBeat = InputEventClockPosition<"beat">
+
+/** Event emitted on the first beat of every bar of the incoming MIDI clock. */
+export type InputEventBar = InputEventClockPosition<"bar">
+
+/** Event emitted when the tempo of the incoming MIDI clock is detected or changes. */
+export type InputEventTempochange = InputEventClockPosition<"tempochange">
+
 /**
  * Event emitted when a note off MIDI message has been received on a
  * specific device and channel.
  */
 export interface InputEventNoteoff extends InputEventChannelBase<"noteoff"> {
-  /** The note information for a given event. */
-  note: IEventNote
+  /**
+   * The note information for a given event. In MPE mode, the notes of the member channels also
+   * have the properties of `IMpeNoteInfo`.
+   */
+  note: IEventNote & Partial<IMpeNoteInfo>
 
   /** The release velocity (between 0 and 1). */
   velocity: number
@@ -134,8 +270,11 @@ export interface InputEventNoteoff extends InputEventChannelBase<"noteoff"> {
  * specific device and channel.
  */
 export interface InputEventNoteon extends InputEventChannelBase<"noteon"> {
-  /** The note information for a given event. */
-  note: IEventNote
+  /**
+   * The note information for a given event. In MPE mode, the notes of the member channels also
+   * have the properties of `IMpeNoteInfo`.
+   */
+  note: IEventNote & Partial<IMpeNoteInfo>
 
   /** The attack velocity (between 0 and 1). */
   velocity: number
@@ -144,6 +283,62 @@ export interface InputEventNoteon extends InputEventChannelBase<"noteon"> {
   rawVelocity: number
 }
 
+/** The information about a note of an MPE zone, when `Input.mpeEnabled` is `true`. */
+export interface IMpeNoteInfo {
+  /** An identifier shared by the `noteon`, `noteoff` and expression events of the note. */
+  id: number
+
+  /** The zone of the note. */
+  zone: "lower" | "upper"
+
+  /** The pitch bend of the note (in semitones), including the pitch bend of the master channel. */
+  bend: number
+
+  /** The pressure of the note (between 0 and 1). */
+  pressure: number
+
+  /** The timbre of the note (control change 74), between 0 and 1. */
+  timbre: number
+}
+
+/**
+ * Event emitted in MPE mode (see `Input.mpeEnabled`) when the pitch bend (`notebend`), pressure
+ * (`notepressure`) or timbre (`notetimbre`) of a note changes. It is dispatched on the member
+ * channel of the note, for messages received on that channel or on the master channel of the zone.
+ */
+export interface InputEventMpeNote<T extends "notebend" | "notepressure" | "notetimbre">
+  extends InputEventChannelBase<T> {
+  /** The note affected by the message. */
+  note: IEventNote & IMpeNoteInfo
+
+  /** The new pitch bend (in semitones), pressure or timbre (between 0 and 1) of the note. */
+  value: number
+}
+
+/** A note playing on an `Input`, as returned by `Input.getActiveNotes()`. */
+export interface IActiveNote extends IEventNote {
+  /** The attack velocity (between 0 and 1). */
+  velocity: number
+
+  /** The attack velocity expressed as a 7-bit integer (between 0 and 127). */
+  rawVelocity: number
+
+  /** The time when the note started (in milliseconds). */
+  timestamp: number
+
+  /** Whether the key has been released and the note is held by a pedal. */
+  sustained: boolean
+}
+
+/**
+ * Event emitted when the list of notes playing on a specific device and channel changes, taking
+ * into account the sustain and sostenuto pedals.
+ */
+export interface InputEventNotes extends InputEventChannelBase<"notes"> {
+  /** The notes playing on the channel, sorted by note number. */
+  notes: IActiveNote[]
+}
+
 /**
  * Event emitted when a pitch bend MIDI message has been received on a
  * specific device and channel.
@@ -166,7 +361,13 @@ export interface InputEventProgramchange extends InputEventChannelBase<"programc
 export type InputEventReset = InputEventBase<"reset">
 
 /** Event emitted when a system song position pointer MIDI message has been received. */
-export type InputEventSongposition = InputEventBase<"songposition">
+export interface InputEventSongposition extends InputEventBase<"songposition"> {
+  /** The position in MIDI beats (16th notes) since the start of the song (0-16383). */
+  beats: number
+
+  /** The same position in quarter notes. */
+  quarterNotes: number
+}
 
 /** Event emitted when a system song select MIDI message has been received. */
 export interface InputEventSongselect extends InputEventBase<"songselect"> {
@@ -195,10 +396,80 @@ export type InputEventStop = InputEventBase<"stop">
  *        });
  *      }, true);
  **/
-export type InputEventSysex = InputEventBase<"sysex">
+export interface InputEventSysex extends InputEventBase<"sysex"> {
+  /** The manufacturer ID (one or three bytes). It is `[0x7E]` or `[0x7F]` for universal messages. */
+  manufacturerId: number[]
+
+  /** The name of the manufacturer or `undefined` if it is unknown. */
+  manufacturer: keyof MidiManufacturers | undefined
+
+  /** The type of universal message (only for manufacturer IDs 0x7E and 0x7F). */
+  universal?: "nonrealtime" | "realtime"
+
+  /** The ID of the target device (only for universal messages). */
+  deviceId?: number
+
+  /** The first sub-ID (only for universal messages long enough to hold it). */
+  subId1?: number
+
+  /** The second sub-ID (only for universal messages long enough to hold it). */
+  subId2?: number
+
+  /** The name of the universal message if it is known. */
+  message?: keyof UniversalSysexPayloads
+
+  /** The decoded content of the universal message if it is known. */
+  payload?: UniversalSysexPayloads[keyof UniversalSysexPayloads]
+}
+
+/**
+ * A MIDI Tuning Standard pitch expressed as a fractional MIDI note number (e.g. 60.5 is a quarter
+ * tone above middle C) or `undefined` when the tuning of the note is left unchanged.
+ */
+export type MtsPitch = number | undefined
+
+/** The decoded content of the known universal system exclusive messages, by message name. */
+export interface UniversalSysexPayloads {
+  identityrequest: {}
+  identityreply: {
+    manufacturerId: number[]
+    manufacturer: keyof MidiManufacturers | undefined
+    family: number
+    model: number
+    version: number[]
+  }
+  gmsystemon: {}
+  gmsystemoff: {}
+  gm2systemon: {}
+  /** The volume, between 0 and 1 (`value`) or 0 and 16383 (`rawValue`). */
+  mastervolume: { value: number, rawValue: number }
+  /** The balance, between -1 and 1 (`value`) or 0 and 16383 (`rawValue`). */
+  masterbalance: { value: number, rawValue: number }
+  mtcfullframe: { timecode: ITimecode }
+  /** The `timecode` is only present for the `locate` command. */
+  mmc: { command: keyof MidiMmcCommands | undefined, timecode?: ITimecode }
+  mtsdumprequest: { bank?: number, program: number }
+  mtsdump: { bank?: number, program: number, name: string, tuning: MtsPitch[] }
+  mtsnotechange: {
+    bank?: number
+    program: number
+    changes: Array<{ note: number, pitch: MtsPitch }>
+  }
+  /** The offsets (in cents) of the 12 notes of the octave on the specified channels. */
+  mtsscaleoctave: { channels: number[], offsets: number[] }
+}
 
 /** Event emitted when a system MIDI time code quarter frame message has been received. */
-export type InputEventTimecode = InputEventBase<"timecode">
+export interface InputEventTimecode extends InputEventBase<"timecode"> {
+  /**
+   * The piece of the time code carried by the quarter frame (0-7): frames (0-1), seconds (2-3),
+   * minutes (4-5) and hours and rate (6-7), least significant nibble first.
+   */
+  messageType: 0 | 1 | 2 | 3 | 4 | 5 | 6 | 7
+
+  /** The value of the nibble (0-15). */
+  value: number
+}
 
 /** Event emitted when a system tune request MIDI message has been received. */
 export type InputEventTuningrequest = InputEventBase<"tuningrequest">
@@ -207,28 +478,45 @@ export type InputEventTuningrequest = InputEventBase<"tuningrequest">
  * Event emitted when an unknown system MIDI message has been received.
  * It could be, for example, one of the undefined/reserved messages.
  */
-export type InputEventUnknownsystemmessage = InputEventBase<"unknownsystemmessage">
+export interface InputEventUnknownsystemmessage extends InputEventBase<"unknownsystemmessage"> {
+  /** The status byte of the message. */
+  status: number
+
+  /** Whether the status byte is undefined in the MIDI specification (0xF4, 0xF5, 0xF9, 0xFD). */
+  undefinedStatus: boolean
+}
 
 /** All events one can listen to on an `Input`. */
 export interface InputEvents {
   activesensing: InputEventActivesensing
+  bar: InputEventBar
+  beat: InputEventBeat
   channelaftertouch: InputEventChannelaftertouch
   channelmode: InputEventChannelmode
   clock: InputEventClock
   continue: InputEventContinue
   controlchange: InputEventControlchange
+  controlchange14: InputEventControlchange14
   keyaftertouch: InputEventKeyaftertouch
   midimessage: InputEventMidimessage
+  mmc: InputEventMmc
+  mtc: InputEventMtc
   noteoff: InputEventNoteoff
   noteon: InputEventNoteon
+  notebend: InputEventMpeNote<"notebend">
+  notepressure: InputEventMpeNote<"notepressure">
+  notes: InputEventNotes
+  notetimbre: InputEventMpeNote<"notetimbre">
   pitchbend: InputEventPitchbend
   programchange: InputEventProgramchange
   reset: InputEventReset
+  rpn: InputEventRpn
   songposition: InputEventSongposition
   songselect: InputEventSongselect
   start: InputEventStart
   stop: InputEventStop
   sysex: InputEventSysex
+  tempochange: InputEventTempochange
   timecode: InputEventTimecode
   tuningrequest: InputEventTuningrequest
   unknownsystemmessage: InputEventUnknownsystemmessage
@@ -274,6 +562,12 @@ export interface MidiChannelMessages {
   keyaftertouch: 0xA
   controlchange: 0xB
   channelmode: 0xB
+  notes: 0x9
+  controlchange14: 0xB
+  notebend: 0xE
+  notepressure: 0xD
+  notetimbre: 0xB
+  rpn: 0xB
   programchange: 0xC
   channelaftertouch: 0xD
   pitchbend: 0xE
@@ -329,6 +623,7 @@ export interface MidiRegisteredParameters {
   tuningprogram: [0x00, 0x03]
   tuningbank: [0x00, 0x04]
   modulationrange: [0x00, 0x05]
+  mpeconfiguration: [0x00, 0x06]
   azimuthangle: [0x3D, 0x00]
   elevationangle: [0x3D, 0x01]
   gain: [0x3D, 0x02]
@@ -340,6 +635,67 @@ export interface MidiRegisteredParameters {
   rollangle: [0x3D, 0x08]
 }
 
+/** Control change messages that make up RPN messages. */
+export interface MidiRpnMessages {
+  entrymsb: 6
+  entrylsb: 38
+  increment: 96
+  decrement: 97
+  paramlsb: 100
+  parammsb: 101
+  nullactiveparameter: 127
+}
+
+/** System exclusive ID of some manufacturers. */
+export interface MidiManufacturers {
+  sequential: [0x01]
+  moog: [0x04]
+  lexicon: [0x06]
+  kurzweil: [0x07]
+  ensoniq: [0x0F]
+  oberheim: [0x10]
+  apple: [0x11]
+  emu: [0x18]
+  clavia: [0x33]
+  waldorf: [0x3E]
+  kawai: [0x40]
+  roland: [0x41]
+  korg: [0x42]
+  yamaha: [0x43]
+  casio: [0x44]
+  akai: [0x47]
+  noncommercial: [0x7D]
+  alesis: [0x00, 0x00, 0x0E]
+  mackie: [0x00, 0x00, 0x66]
+  novation: [0x00, 0x20, 0x29]
+  behringer: [0x00, 0x20, 0x32]
+  access: [0x00, 0x20, 0x33]
+  elektron: [0x00, 0x20, 0x3C]
+  arturia: [0x00, 0x20, 0x6B]
+  nativeinstruments: [0x00, 0x21, 0x09]
+  roli: [0x00, 0x21, 0x10]
+}
+
+/** Commands of MIDI Machine Control. */
+export interface MidiMmcCommands {
+  stop: 0x01
+  play: 0x02
+  deferredplay: 0x03
+  fastforward: 0x04
+  rewind: 0x05
+  recordstrobe: 0x06
+  recordexit: 0x07
+  recordpause: 0x08
+  pause: 0x09
+  eject: 0x0A
+  chase: 0x0B
+  commanderrorreset: 0x0C
+  mmcreset: 0x0D
+  write: 0x40
+  locate: 0x44
+  shuttle: 0x47
+}
+
 /**
  * List of MIDI channel mode messages as defined in the official MIDI
  * specification.
@@ -453,6 +809,11 @@ export interface MidiSystemMessages {
   // Custom WebMidi.js messages
   midimessage: 0
   unknownsystemmessage: -1
+  mtc: 0xF1
+  mmc: 0xF0
+  beat: 0xF8
+  bar: 0xF8
+  tempochange: 0xF8
 }
 
 /**
@@ -471,8 +832,619 @@ export interface OutputBaseOptions {
    * To retrieve the current time, you can use `WebMidi.time`.
    * If time is not present or is set to a time in the past,
    * the request is to be sent as soon as possible.
+   *
+   * The value can also be a musical time such as `"1:2:0"` or `"+8n"` (see `Transport`).
    */
   time?: DOMHighResTimeStamp | string
+
+  /**
+   * A value identifying the message(s) so that, as long as they have not been sent, they can be
+   * cancelled by passing the same value to `Output.clear()`.
+   */
+  tag?: any
+}
+
+/** Options accepted by `Output.playMpeNote()` (and `Output.playNote()` with the `mpe` option) */
+export interface MpeNoteOptions extends OutputBaseOptions {
+  /** The zone to play the note in. Defaults to the lower zone if it is configured. */
+  zone?: "lower" | "upper"
+
+  /** The initial pitch bend (in semitones). Defaults to 0. */
+  bend?: number
+
+  /** The initial pressure (between 0 and 1). Defaults to 0. */
+  pressure?: number
+
+  /** The initial timbre (CC74), between 0 and 1. Defaults to 0.5. */
+  timbre?: number
+
+  /** The duration of the note. If it is not specified, the note plays until it is stopped. */
+  duration?: number | string
+
+  /** Whether the velocities are integers between 0 and 127 (`true`) or between 0 and 1. */
+  rawVelocity?: boolean
+
+  /** The release velocity (only used when `duration` is set). */
+  release?: number
+
+  /** The attack velocity. */
+  velocity?: number
+}
+
+/** Options accepted by `Output.playNote()` */
+export interface PlayNoteOptions extends OutputBaseOptions {
+  /**
+   * The number of milliseconds (integer) to wait before sending a matching **note off** event.
+   * If left undefined, only a **note on** message is sent. A musical duration such as `"8n"`
+   * or `"1m"` can also be used (see `Transport`).
+   */
+  duration?: number | string
+
+  /**
+   * Controls whether the attack and release velocities are set using integers between
+   * `0` and `127` (`true`) or a decimal number between `0` and `1` (`false`, default).
+   */
+  rawVelocity?: boolean
+
+  /**
+   * The velocity at which to release the note (between `0`
+   * and `1`). If the `rawVelocity` option is `true`, the value should be specified as an integer
+   * between `0` and `127`. An invalid velocity value will silently trigger the default of `0.5`.
+   * This is only used with the **note off** event triggered when `options.duration` is set.
+   */
+  release?: number
+
+  /**
+   * The velocity at which to play the note (between `0` and
+   * `1`). If the `rawVelocity` option is `true`, the value should be specified as an integer
+   * between `0` and `127`. An invalid velocity value will silently trigger the default of `0.5`.
+   */
+  velocity?: number
+
+  /** A deviation (in cents) to apply to the note(s). */
+  detune?: number
+
+  /** The frequency (in Hz) of the note to play. The `note` parameter is then ignored. */
+  frequency?: number
+
+  /** Whether to return a `ScheduleHandle` instead of the `Output`. Defaults to `false`. */
+  handle?: boolean
+}
+
+/** Options accepted by the MIDI Tuning Standard methods of `Output` */
+export interface MtsOptions extends OutputBaseOptions {
+  /** The ID of the targeted device (between 0 and 127). Defaults to 127 (all devices). */
+  deviceId?: number
+
+  /** The tuning program (0-127). Defaults to 0. */
+  program?: number
+
+  /** The tuning bank (0-127). If it is not specified, the form without bank is used. */
+  bank?: number
+
+  /**
+   * The units of the pitches: fractional MIDI note numbers (default), deviation from equal
+   * temperament in cents or frequencies (with A4 at 440 Hz).
+   */
+  units?: "notes" | "cents" | "hz"
+}
+
+/** A tuning read by `WebMidi.parseScala()` */
+export interface ScalaTuning {
+  /** The description found in the scale file. */
+  description: string
+
+  /** The pitch of the degrees of the scale in cents (the last one being the period). */
+  degrees: number[]
+
+  /** The pitch of the 128 MIDI notes (`undefined` for unmapped notes). */
+  tuning: MtsPitch[]
+}
+
+/** Options accepted by the MIDI Machine Control methods of `Output` */
+export interface MmcOptions extends OutputBaseOptions {
+  /** The ID of the targeted device (between 0 and 127). Defaults to 127 (all devices). */
+  deviceId?: number
+}
+
+/**
+ * Error used to reject the promise returned by `WebMidi.enable()`.
+ */
+export interface WebMidiError extends Error {
+  name: "WebMidiError"
+
+  /**
+   * Identifies the type of failure: the Web MIDI API is not supported, access was denied or access
+   * failed for another reason.
+   */
+  code: "notsupported" | "permissiondenied" | "accessfailed"
+
+  /** The underlying error (if any). */
+  cause?: Error
+}
+
+export interface WebMidiErrorConstructor {
+  new (message: string, code: WebMidiError["code"], cause?: Error): WebMidiError
+  readonly prototype: WebMidiError
+}
+
+/** Options accepted by `WebMidi.enable()` */
+export interface WebMidiEnableOptions {
+  /** Whether to enable MIDI system exclusive messages or not. */
+  sysex?: boolean
+
+  /** Whether to request access to software synthesizers (when supported). */
+  software?: boolean
+
+  /**
+   * The number of milliseconds to wait for all ports to be opened. Ports that fail to open or are
+   * not opened in time are listed in `WebMidi.failedPorts`. Defaults to 200.
+   */
+  timeout?: number
+}
+
+/** A port listed in `WebMidi.failedPorts` */
+export interface IFailedPort {
+  /** The ID of the port. */
+  id: string
+
+  /** The name of the port. */
+  name: string
+
+  /** The manufacturer of the device that makes the port available. */
+  manufacturer: string
+
+  /** The type of the port. */
+  type: "input" | "output"
+}
+
+/**
+ * The `Transport` object keeps track of musical time (tempo, time signature and resolution). It
+ * resolves musical times in the following formats:
+ *
+ *  - `"bars:beats:ticks"` (e.g. `"1:2:0"`): an absolute position since the transport was started;
+ *  - `"4n"`, `"8n."`, `"4t"`: a note value (optionally dotted) or a triplet note value;
+ *  - `"2m"`, `"1.5b"`, `"96i"`: a number of measures, beats (quarter notes) or ticks.
+ *
+ * All formats but the first are relative to the current time. Any format can be prefixed with `+`
+ * to make it relative. Messages scheduled with a musical time follow tempo changes until they are
+ * sent.
+ */
+export interface Transport {
+  /** The tempo in beats (quarter notes) per minute. Default is 120. */
+  bpm: number
+
+  /** The resolution in ticks per quarter note. Default is 96. */
+  ppq: number
+
+  /** The number of beats per bar and the note value of the beat. Default is `[4, 4]`. */
+  timeSignature: [number, number]
+
+  /** The current position in the `"bars:beats:ticks"` format. */
+  readonly position: string
+
+  /**
+   * Sets the origin of musical positions (`"0:0:0"`) to the specified time.
+   *
+   * @param time The time of the origin. Defaults to `WebMidi.time`.
+   *
+   * @return The `Transport` object so methods can be chained.
+   */
+  start(time?: DOMHighResTimeStamp): Transport
+
+  /**
+   * Converts a musical duration to a number of milliseconds at the current tempo. Numbers are
+   * returned as is.
+   */
+  toMilliseconds(duration: number | string): number
+
+  /**
+   * Converts a musical time to a timestamp. Returns `undefined` if the time is not a valid musical
+   * time.
+   */
+  toTimestamp(time: string): DOMHighResTimeStamp | undefined
+}
+
+/** The types of Input events that match a single MIDI message and can be read from a MIDI file. */
+export type MidiFileMessageType = Exclude<
+  keyof InputEvents,
+  "notes" | "controlchange14" | "rpn" | "mtc" | "mmc" | "beat" | "bar" | "tempochange" |
+  "notebend" | "notepressure" | "notetimbre"
+>
+
+/** A MIDI message read from a MIDI file. It has the same properties as the matching Input event. */
+export type MidiFileMessageEvent = {
+  [T in MidiFileMessageType]: {
+    [P in Exclude<keyof InputEvents[T], "target">]: InputEvents[T][P]
+  } & {
+    /** The `MidiFile` the event belongs to. */
+    target: MidiFile
+
+    /** The position of the event in ticks since the beginning of the track. */
+    ticks: number
+  }
+}[MidiFileMessageType]
+
+/** A meta event read from a MIDI file. Properties that do not apply to its type are undefined. */
+export interface MidiFileMetaEvent {
+  /** The `MidiFile` the event belongs to. */
+  target: MidiFile
+
+  /** The data of the meta event. */
+  data: Uint8Array
+
+  /** The time of the event in milliseconds since the beginning of the file. */
+  timestamp: number
+
+  /** The position of the event in ticks since the beginning of the track. */
+  ticks: number
+
+  meta: true
+
+  /** The meta event type number. */
+  metaType: number
+
+  type: "sequencenumber" | "text" | "copyright" | "trackname" | "instrumentname" | "lyrics" |
+    "marker" | "cuepoint" | "channelprefix" | "port" | "endoftrack" | "tempo" | "smpteoffset" |
+    "timesignature" | "keysignature" | "sequencerspecific" | "unknownmetaevent"
+
+  /**
+   * The text of text-based events (`text`, `trackname`, `lyrics`, `marker`, etc.), decoded as
+   * UTF-8 or, if it is not valid UTF-8, as Latin-1.
+   */
+  text?: string
+
+  /** The sequence number (`sequencenumber`) or microseconds per quarter note (`tempo`). */
+  value?: number
+
+  /** The tempo in beats per minute (`tempo`). */
+  bpm?: number
+
+  /** The channel (`channelprefix`). */
+  channel?: number
+
+  /** The port number (`port`). */
+  port?: number
+
+  /** The SMPTE offset (`smpteoffset`). */
+  fps?: number
+  hours?: number
+  minutes?: number
+  seconds?: number
+  frames?: number
+  subframes?: number
+
+  /** The time signature (`timesignature`). */
+  numerator?: number
+  denominator?: number
+  clocks?: number
+  notated32nds?: number
+
+  /** The key signature (`keysignature`). */
+  accidentals?: number
+  scale?: "major" | "minor"
+  key?: string
+}
+
+/** An "escaped" event (F7) read from a MIDI file. It can contain any bytes. */
+export interface MidiFileEscapedEvent {
+  /** The `MidiFile` the event belongs to. */
+  target: MidiFile
+
+  /** The bytes of the event, as they are stored in the file. */
+  data: Uint8Array
+
+  /** The time of the event in milliseconds since the beginning of the file. */
+  timestamp: number
+
+  /** The position of the event in ticks since the beginning of the track. */
+  ticks: number
+
+  escaped: true
+
+  type: "escaped"
+}
+
+export type MidiFileEvent = MidiFileMessageEvent | MidiFileMetaEvent | MidiFileEscapedEvent
+
+/** A track of a MIDI file */
+export interface MidiFileTrack {
+  /** The name of the track (from its first `trackname` event). */
+  name: string | undefined
+
+  /** The events of the track in chronological order. */
+  events: MidiFileEvent[]
+}
+
+/** The content of a Standard MIDI File as returned by `WebMidi.parseMidiFile()` */
+export interface MidiFile {
+  /** The format of the file (0, 1 or 2). */
+  format: number
+
+  /** The number of ticks per quarter note (undefined if the file uses SMPTE time division). */
+  ppq: number | undefined
+
+  /** The SMPTE time division (if the file uses one). */
+  smpte: { fps: number, ticksPerFrame: number } | undefined
+
+  /** The tracks of the file. */
+  tracks: MidiFileTrack[]
+
+  /**
+   * Returns the content of the file in the Standard MIDI File format (using running status and
+   * terminating each track with an `endoftrack` meta event).
+   */
+  toArrayBuffer(): ArrayBuffer
+}
+
+/** Options accepted by `Recorder.toMidiFile()` */
+export interface RecorderMidiFileOptions {
+  /** The tempo of the file in beats per minute. Defaults to `WebMidi.transport.bpm`. */
+  bpm?: number
+
+  /** The resolution of the file in ticks per quarter note. Defaults to `WebMidi.transport.ppq`. */
+  ppq?: number
+
+  /** The time signature of the file. Defaults to `WebMidi.transport.timeSignature`. */
+  timeSignature?: [number, number]
+
+  /** Whether to create one track per input (default) or one track per channel. */
+  tracks?: "input" | "channel"
+}
+
+/** Captures the messages received by inputs. Created with `WebMidi.createRecorder()`. */
+export interface Recorder {
+  /** The `Input` objects being recorded. */
+  readonly inputs: Input[]
+
+  /** Whether the recorder is currently capturing messages. */
+  readonly recording: boolean
+
+  /**
+   * Starts capturing the messages received by the inputs. Any previous capture is discarded.
+   *
+   * @return The `Recorder` object so methods can be chained.
+   */
+  start(): Recorder
+
+  /**
+   * Stops capturing messages.
+   *
+   * @return The `Recorder` object so methods can be chained.
+   */
+  stop(): Recorder
+
+  /**
+   * Returns a format 1 `MidiFile` holding the captured channel and system exclusive messages.
+   *
+   * @throws {RangeError} The tempo must be a positive number.
+   * @throws {RangeError} The resolution must be an integer between 1 and 32767.
+   * @throws {TypeError} The 'tracks' option must be 'input' or 'channel'.
+   */
+  toMidiFile(options?: RecorderMidiFileOptions): MidiFile
+}
+
+export interface PlayerOptions {
+  /** Whether to start playback immediately (defaults to `true`). */
+  autostart?: boolean
+
+  /** A tempo (in beats per minute) to use instead of the tempo events of the file. */
+  bpm?: number
+
+  /** The region to loop (in milliseconds). */
+  loop?: PlayerLoop
+}
+
+export interface PlayerLoop {
+  start: number
+  end: number
+}
+
+export interface PlayerEvent {
+  /** The `Player` that triggered the event. */
+  target: Player
+
+  /** The time when the event occurred (in milliseconds). */
+  timestamp: number
+
+  /** The type of event that occurred. */
+  type: "position" | "ended"
+
+  /** The position in milliseconds (`position` events only). */
+  position?: number
+
+  /** The position in ticks (`position` events only). */
+  ticks?: number
+}
+
+/**
+ * Plays the content of a `MidiFile` through an `Output`. Created by `Output.play()`.
+ */
+export interface Player {
+  /**
+   * The tempo (in beats per minute) used instead of the tempo events of the file, or `undefined`
+   * to follow them.
+   *
+   * @throws {RangeError} The tempo must be a positive number.
+   */
+  bpm: number | undefined
+
+  /** The duration of the file in milliseconds. */
+  readonly duration: number
+
+  /** How far ahead (in milliseconds) messages are scheduled. */
+  lookahead: number
+
+  /**
+   * The region to loop (in milliseconds), or `undefined` to disable looping.
+   *
+   * @throws {RangeError} The loop end must be greater than the loop start.
+   */
+  loop: PlayerLoop | undefined
+
+  /** The `Output` the file is played through. */
+  readonly output: Output
+
+  /** The current position in milliseconds. */
+  readonly position: number
+
+  /** The state of the player. */
+  readonly state: "stopped" | "playing" | "paused"
+
+  /**
+   * Adds a listener for the specified event.
+   *
+   * @throws {TypeError} The specified event type is not supported.
+   * @throws {TypeError} The 'listener' parameter must be a function.
+   */
+  addListener(type: "position" | "ended", listener: (event: PlayerEvent) => void): Player
+
+  /** Pauses playback and releases the notes that are playing. */
+  pause(): Player
+
+  /**
+   * Removes the specified listener, all listeners of the specified type or all listeners.
+   *
+   * @throws {TypeError} The specified event type is not supported.
+   */
+  removeListener(
+    type?: "position" | "ended",
+    listener?: (event: PlayerEvent) => void
+  ): Player
+
+  /** Resumes playback from the position where it was paused. */
+  resume(): Player
+
+  /**
+   * Moves to the specified position (in milliseconds).
+   *
+   * @throws {RangeError} The position must be a positive number.
+   */
+  seek(position: number): Player
+
+  /** Starts playback from the beginning of the file. */
+  start(): Player
+
+  /**
+   * Stops playback, sends `allnotesoff` and `resetallcontrollers` on all channels and goes back to
+   * the beginning of the file.
+   */
+  stop(): Player
+}
+
+/**
+ * Identifies the messages sent by a call to `Output.send()` or `Output.playNote()` whose `handle`
+ * option is `true`, so they can be cancelled as long as they have not been sent.
+ */
+export interface ScheduleHandle {
+  /** The `Output` the messages are sent on. */
+  readonly output: Output
+
+  /** Whether some of the messages are still waiting to be sent. */
+  readonly pending: boolean
+
+  /** The `tag` option of the call that created the handle. */
+  readonly tag: any
+
+  /** Cancels the messages that have not been sent yet (see `Output.clear()`). */
+  cancel(): ScheduleHandle
+}
+
+/** An MPE zone configured with `Output.setMpeZone()` */
+export interface IMpeZone {
+  /** The master channel of the zone (1 for the lower zone, 16 for the upper zone). */
+  master: 1 | 16
+
+  /** The member channels of the zone. */
+  channels: number[]
+}
+
+/**
+ * A note played in an MPE zone. Created by `Output.playNote()` with the `mpe` option or by
+ * `Output.playMpeNote()`. Once the member channel of the note has been given to another note, the
+ * methods have no effect.
+ */
+export interface MpeNote {
+  /** The member channel the note is played on. */
+  readonly channel: number
+
+  /** The MIDI note number. */
+  readonly number: number
+
+  /** The `Output` the note is played on. */
+  readonly output: Output
+
+  /** Whether the note still owns its channel (it has not been given to another note). */
+  readonly owner: boolean
+
+  /** The zone of the note. */
+  readonly zone: "lower" | "upper"
+
+  /**
+   * Bends the note (in semitones, scaled by the pitch bend range of the channel).
+   *
+   * @throws {RangeError} The bend exceeds the pitch bend range of the channel.
+   */
+  bend(semitones: number, options?: OutputBaseOptions): MpeNote
+
+  /**
+   * Changes the pressure applied to the note (between 0 and 1) with a channel aftertouch message.
+   *
+   * @throws {RangeError} The pressure must be between 0 and 1.
+   */
+  press(pressure: number, options?: OutputBaseOptions): MpeNote
+
+  /**
+   * Changes the timbre of the note (between 0 and 1) with control change 74.
+   *
+   * @throws {RangeError} The timbre must be between 0 and 1.
+   */
+  slide(value: number, options?: OutputBaseOptions): MpeNote
+
+  /** Stops the note and releases its channel. */
+  stop(options?: OutputBaseOptions & {
+    /** Whether the velocity is an integer between 0 and 127 (`true`) or between 0 and 1. */
+    rawVelocity?: boolean
+
+    /** The release velocity. */
+    velocity?: number
+  }): MpeNote
+}
+
+/** The pair of ports returned by `WebMidi.createVirtualPort()` */
+export interface VirtualPortPair {
+  /** The `Input` receiving whatever is sent through `output`. */
+  input: Input
+
+  /** The `Output` whose messages are received by `input`. */
+  output: Output
+}
+
+/** A device found by `WebMidi.discoverDevices()` */
+export interface IDiscoveredDevice {
+  /** The `Input` the *Identity Reply* was received on. */
+  input: Input
+
+  /** The `Output` the *Identity Request* was sent through. */
+  output: Output
+
+  /** The device ID (channel) of the device. */
+  deviceId: number
+
+  /** The manufacturer ID (one byte or three bytes). */
+  manufacturerId: number[]
+
+  /** The name of the manufacturer (see `WebMidi.MIDI_MANUFACTURERS`), if known. */
+  manufacturer: keyof MidiManufacturers | undefined
+
+  /** The device family code. */
+  family: number
+
+  /** The device model code. */
+  model: number
+
+  /** The software revision level (4 bytes). */
+  version: number[]
 }
 
 /**
@@ -481,6 +1453,50 @@ export interface OutputBaseOptions {
  * You will find all available `Input` objects in the `WebMidi.inputs` array.
  */
 export interface Input extends MidiPort<"input"> {
+  /**
+   * The state of the incoming MIDI clock: tempo and position. The position is set by *Start* and
+   * *Song Position* messages and moves forward with every clock message while the clock is running.
+   */
+  readonly clock: IInputClock
+
+  /**
+   * Whether to dispatch `controlchange14` events combining the MSB (controllers 0 to 31) and LSB
+   * (controllers 32 to 63) of high-resolution controllers. Defaults to `false`.
+   */
+  controlChange14Enabled: boolean
+
+  /**
+   * Whether to track the MPE zones (configured by the *MPE Configuration Message*) and the notes
+   * of their member channels. In MPE mode, the `noteon` and `noteoff` events of the member channels
+   * identify the note and `notebend`, `notepressure` and `notetimbre` events are dispatched.
+   * Changing this property forgets the zones and notes. Defaults to `false`.
+   */
+  mpeEnabled: boolean
+
+  /** The MPE zones received in MPE mode (`undefined` if a zone is not configured). */
+  readonly mpeZones: {lower: IMpeZone | undefined, upper: IMpeZone | undefined}
+
+  /**
+   * How NRPN messages are parsed. In `strict` mode (the default), `nrpn` events are only
+   * dispatched for complete sequences ending with the null parameter. In `lenient` mode, an event
+   * is dispatched for each data entry, increment or decrement message received after a parameter
+   * has been selected.
+   *
+   * @throws {TypeError} The NRPN mode must be 'strict' or 'lenient'.
+   */
+  nrpnMode: "strict" | "lenient"
+
+  /**
+   * In `lenient` NRPN mode, how long (in milliseconds) to wait for the data entry LSB before
+   * dispatching the MSB alone (with a LSB of 0). Defaults to 10.
+   *
+   * @throws {RangeError} The timeout must be a positive number.
+   */
+  nrpnTimeout: number
+
+  /** The last MIDI Time Code position received or `undefined`. */
+  readonly timecode: ITimecode | undefined
+
   /**
    * Adds an event listener to the Input that will trigger a function
    * callback when the specified event happens.
@@ -488,12 +1504,13 @@ export interface Input extends MidiPort<"input"> {
    * 
    * Channel-specific MIDI events:
    *   noteoff, noteon, keyaftertouch, controlchange, channelmode,
-   *   programchange, channelaftertouch, pitchbend
+   *   programchange, channelaftertouch, pitchbend, notes, controlchange14, rpn,
+   *   notebend, notepressure, notetimbre
    * 
    * Input-wide MIDI events:
    *   sysex, timecode, songposition, songselect, tuningrequest,
    *   clock, start, continue, stop, activesensing, reset,
-   *   midimessage, unknownsystemmessage
+   *   midimessage, unknownsystemmessage, mtc, mmc, beat, bar, tempochange
    * 
    * For device-wide events, the channel parameter will be silently ignored.
    * You can simply use `undefined` in that case.
@@ -541,6 +1558,48 @@ export interface Input extends MidiPort<"input"> {
    */
   getChannelModeByNumber(number: number): string | undefined
 
+  /**
+   * Returns the name of the MIDI Machine Control command matching the specified number.
+   * If no match is found, the function returns `undefined`.
+   * @param number The number of the command.
+   * @returns The matching command name or `undefined`.
+   * @throws {RangeError} The MMC command number must be between 0 and 127.
+   */
+  getMmcCommandByNumber(number: number): keyof MidiMmcCommands | undefined
+
+  /**
+   * Returns the notes currently playing on the specified channel, sorted by note number. Notes
+   * held by the sustain or sostenuto pedal after their key is released are included.
+   * @param channel The MIDI channel (between 1 and 16).
+   * @throws {RangeError} The 'channel' parameter is invalid.
+   */
+  getActiveNotes(channel: number): IActiveNote[]
+
+  /**
+   * Returns the last value received on the specified channel for a control change (by name or
+   * number), the pitch bend, the channel aftertouch or the program, or `undefined` if no value
+   * has been received yet.
+   * @param controller The name or number (between 0 and 119) of the control change or one of
+   * `pitchbend`, `channelaftertouch` and `programchange`.
+   * @param channel The MIDI channel (between 1 and 16).
+   * @throws {TypeError} Invalid controller name.
+   * @throws {RangeError} Controller numbers must be between 0 and 119.
+   * @throws {RangeError} The 'channel' parameter is invalid.
+   */
+  getControllerValue(
+    controller: number | string | "pitchbend" | "channelaftertouch" | "programchange",
+    channel: number
+  ): number | undefined
+
+  /**
+   * Returns the last key aftertouch value (between 0 and 1) received for the specified note on
+   * the specified channel, or `undefined` if none has been received yet.
+   * @param note The note number (between 0 and 127) or name (C3, F#4, etc.).
+   * @param channel The MIDI channel (between 1 and 16).
+   * @throws {RangeError} The 'channel' parameter is invalid.
+   */
+  getKeyAftertouch(note: number | string, channel: number): number | undefined
+
   /**
    * Checks if the specified event type is already defined to 
    * trigger the listener function on the specified channel(s).
@@ -585,12 +1644,60 @@ export interface Input extends MidiPort<"input"> {
   ): Input
 }
 
+/** The state of the MIDI clock generator of an `Output`. */
+export interface IOutputClock {
+  /** The tempo in beats (quarter notes) per minute. */
+  bpm: number
+
+  /** The current position in MIDI beats (16th notes). */
+  position: number
+
+  state: "running" | "stopped"
+
+  /** The outputs that receive this clock. */
+  outputs: Output[]
+}
+
 /**
  * The Output object represents a MIDI output port on the host system.
  * This object is created by the MIDI subsystem and cannot be instantiated directly.
  * You will find all available `Output` objects in the `WebMidi.outputs` array.
  */
 export interface Output extends MidiPort<"output"> {
+  /** The state of the MIDI clock generator or `undefined` if it has never been started. */
+  readonly clock: IOutputClock | undefined
+
+  /** The MPE zones configured with `setMpeZone()` (`undefined` if a zone is not configured). */
+  readonly mpeZones: {lower: IMpeZone | undefined, upper: IMpeZone | undefined}
+
+  /** The current position of the MIDI Time Code generator or `undefined` if it is stopped. */
+  readonly timecode: ITimecode | undefined
+
+  /**
+   * Cancels messages scheduled for a future time that have not been sent yet. If a `tag` is
+   * specified, only the messages sent with the same `tag` option are cancelled. A `ScheduleHandle`
+   * can also be passed to cancel only the messages it identifies. When the note off
+   * of a playing note is cancelled, it is sent immediately so the note does not hang.
+   *
+   * @param tag The tag (or `ScheduleHandle`) of the messages to cancel.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  clear(tag?: any): Output
+
+  /**
+   * Resumes the MIDI clock from the position where it was stopped (or located) and sends a
+   * *Continue* message. This has no effect if the clock is already running.
+   *
+   * @param options
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  continueClock(options?: {
+    /** When to resume. By default, the clock resumes immediately. */
+    time?: DOMHighResTimeStamp | string
+  }): Output
+
   /**
    * Decrements the specified MIDI registered parameter by 1. For more specific MIDI usage
    * information, check out [RP-18](http://dev.midi.org/techspecs/rp18.php) regarding the usage of
@@ -651,6 +1758,116 @@ export interface Output extends MidiPort<"output"> {
     options?: OutputBaseOptions
   ): Output
 
+  /**
+   * Moves the MIDI clock to the specified position and sends a *Song Position* message. If the
+   * clock is running, a *Stop* message is sent first and a *Continue* message after.
+   *
+   * @param position The position in MIDI beats (16th notes, between 0 and 16383).
+   *
+   * @throws {RangeError} The position must be between 0 and 16383.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  locateClock(position: number): Output
+
+  /**
+   * Moves the MIDI Time Code generator to the specified position. If sysex messages are enabled, a
+   * Full Frame message is sent so the receivers can locate to the new position. If the generator
+   * is running, quarter frames resume from there.
+   *
+   * @param position The position as a string in the "HH:MM:SS:FF" format or as an object.
+   * @param options
+   *
+   * @throws {RangeError} The frame rate must be 24, 25, 29.97 or 30.
+   * @throws {TypeError} The time code position is invalid.
+   * @throws {RangeError} The time code position is out of range.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  locateTimecode(
+    position: string | Partial<ITimecode>,
+    options?: {
+      /** The frame rate to use if the generator is not running (defaults to 30). */
+      fps?: ITimecode["fps"]
+    }
+  ): Output
+
+  /**
+   * Sends an MMC *Deferred Play* command. Playback starts once the device has reached the position
+   * it was locating to.
+   */
+  mmcDeferredPlay(options?: MmcOptions): Output
+
+  /** Sends an MMC *Fast Forward* command. */
+  mmcFastForward(options?: MmcOptions): Output
+
+  /**
+   * Sends an MMC *Locate* command asking the device to move to the specified SMPTE position.
+   *
+   * @param position The position as a string in the "HH:MM:SS:FF" format or as an object.
+   * @param options
+   *
+   * @throws {RangeError} The frame rate must be 24, 25, 29.97 or 30.
+   * @throws {TypeError} The time code position is invalid.
+   * @throws {RangeError} The time code position is out of range.
+   */
+  mmcLocate(
+    position: string | Partial<ITimecode>,
+    options?: MmcOptions & {
+      /** The frame rate of the position (defaults to 30). */
+      fps?: ITimecode["fps"]
+    }
+  ): Output
+
+  /** Sends an MMC *Pause* command. */
+  mmcPause(options?: MmcOptions): Output
+
+  /** Sends an MMC *Play* command. */
+  mmcPlay(options?: MmcOptions): Output
+
+  /** Sends an MMC *Record Exit* command (punch out). */
+  mmcRecordExit(options?: MmcOptions): Output
+
+  /** Sends an MMC *Record Strobe* command (punch in). */
+  mmcRecordStrobe(options?: MmcOptions): Output
+
+  /** Sends an MMC *Rewind* command. */
+  mmcRewind(options?: MmcOptions): Output
+
+  /** Sends an MMC *Stop* command. */
+  mmcStop(options?: MmcOptions): Output
+
+  /**
+   * Plays a `MidiFile` through this output.
+   *
+   * @param file The file to play.
+   * @param options
+   *
+   * @throws {TypeError} The 'file' parameter must be a MidiFile.
+   *
+   * @return The `Player` object controlling playback.
+   */
+  play(file: MidiFile, options?: PlayerOptions): Player
+
+  /**
+   * Plays a note in an MPE zone configured with `setMpeZone()`. The note is given a member channel
+   * of its own (the channel released the longest ago or, when they are all taken, the channel of
+   * the oldest note, which is stopped). The initial pitch bend, pressure and timbre are sent to the
+   * channel before the **note on**. This is the same as `playNote()` with the `mpe` option.
+   *
+   * @param note The note to play (a MIDI note number or a note name).
+   * @param options
+   *
+   * @throws {Error} The MPE zone must first be configured with setMpeZone().
+   * @throws {RangeError} The bend exceeds the pitch bend range of the channel.
+   *
+   * @return The `MpeNote` object controlling the note.
+   */
+  playMpeNote(
+    note: number | string,
+    options?: MpeNoteOptions
+  ): MpeNote
+
   /**
    * Requests the playback of a single note or multiple notes on the specified channel(s). You can
    * delay the execution of the **note on** command by using the `time` property of the `options`
@@ -676,41 +1893,43 @@ export interface Output extends MidiPort<"output"> {
    *
    * @param options
    *
-   * @return Returns the `Output` object so methods can be chained.
+   * When the `detune` or `frequency` option is used, each note is played on a single channel taken
+   * from the specified channels (the pool) and bent to the exact pitch with a pitch bend message
+   * scaled by the range set with `setPitchBendRange()` (2 semitones by default). The channel is
+   * released by the **note off**. When all the channels are taken, the oldest note is stopped.
+   *
+   * When the `handle` option is `true`, a `ScheduleHandle` is returned instead of the `Output`. It
+   * identifies the **note on** and **note off** messages so they can be cancelled.
+   *
+   * When the `mpe` option is `true`, the note is played in an MPE zone configured with
+   * `setMpeZone()` (see `playMpeNote()`) and the `MpeNote` object controlling it is returned. The
+   * `channel` parameter is then ignored.
+   *
+   * @throws {RangeError} The detune value must be a number.
+   * @throws {RangeError} The frequency must be a positive number.
+   * @throws {RangeError} The pitch is out of the MIDI note range.
+   * @throws {Error} The MPE zone must first be configured with setMpeZone().
+   *
+   * @return Returns the `Output` object so methods can be chained (or a `ScheduleHandle` if the
+   * `handle` option is `true` and an `MpeNote` if the `mpe` option is `true`).
    */
   playNote(
-    note: INoteParam,
-    channel?: IMidiChannel,
-    options?: OutputBaseOptions & {
-      /**
-       * The number of milliseconds (integer) to wait before sending a matching **note off** event.
-       * If left undefined, only a **note on** message is sent.
-       */
-      duration?: number
-
-      /**
-       * Controls whether the attack and release velocities are set using integers between
-       * `0` and `127` (`true`) or a decimal number between `0` and `1` (`false`, default).
-       */
-      rawVelocity?: boolean
-
-
-      /**
-       * The velocity at which to release the note (between `0`
-       * and `1`). If the `rawVelocity` option is `true`, the value should be specified as an integer
-       * between `0` and `127`. An invalid velocity value will silently trigger the default of `0.5`.
-       * This is only used with the **note off** event triggered when `options.duration` is set.
-       */
-      release?: number
-
-      /**
-       * The velocity at which to play the note (between `0` and
-       * `1`). If the `rawVelocity` option is `true`, the value should be specified as an integer
-       * between `0` and `127`. An invalid velocity value will silently trigger the default of `0.5`.
-       */
-      velocity?: number
+    note: number | string,
+    channel: IMidiChannel | undefined,
+    options: MpeNoteOptions & {
+      /** Plays the note in an MPE zone (the `channel` parameter is ignored). */
+      mpe: true
     }
-  ): Output
+  ): MpeNote
+  playNote(
+    note: INoteParam | undefined,
+    channel: IMidiChannel | undefined,
+    options: PlayNoteOptions & {
+      /** Returns a `ScheduleHandle` identifying the messages (the call cannot be chained). */
+      handle: true
+    }
+  ): ScheduleHandle
+  playNote(note: INoteParam | undefined, channel?: IMidiChannel, options?: PlayNoteOptions): Output
 
   /**
    * Sends a MIDI message on the MIDI output port, at the scheduled timestamp.
@@ -731,15 +1950,27 @@ export interface Output extends MidiPort<"output"> {
    * use `WebMidi.time` to retrieve the current timestamp. To send immediately, leave blank or use
    * 0.
    *
+   * @param options.tag A value identifying the message so it can be cancelled with `clear()`.
+   * @param options.handle Whether to return a `ScheduleHandle` identifying the message (instead of
+   * the `Output`, so the call cannot be chained).
+   *
    * @throws {RangeError} The status byte must be an integer between 128 (0x80) and 255 (0xFF).
    * @throws {RangeError} Data bytes must be integers between 0 (0x00) and 255 (0x7F).
    *
-   * @return Returns the `Output` object so methods can be chained.
+   * @return Returns the `Output` object so methods can be chained (or a `ScheduleHandle` if the
+   * `handle` option is `true`).
    */
+  send(
+    status: number,
+    data: number[] | undefined,
+    timestamp: DOMHighResTimeStamp | undefined,
+    options: { tag?: any, time?: DOMHighResTimeStamp | string, handle: true }
+  ): ScheduleHandle
   send(
     status: number,
     data?: number[],
-    timestamp?: DOMHighResTimeStamp
+    timestamp?: DOMHighResTimeStamp,
+    options?: { tag?: any, time?: DOMHighResTimeStamp | string, handle?: false }
   ): Output
 
   /**
@@ -852,6 +2083,29 @@ export interface Output extends MidiPort<"output"> {
     options?: OutputBaseOptions
   ): Output
 
+  /**
+   * Sends a high-resolution (14-bit) value to a controller between 0 and 31: the MSB to the
+   * controller itself and then the LSB to its partner between 32 and 63.
+   *
+   * @param controller The MIDI controller number (0-31) or name.
+   * @param value The value to send (0-16383).
+   * @param channel The MIDI channel number (between 1 and 16) or an array of channel numbers.
+   * If the special value "all" is used, the message will be sent to all 16 channels.
+   * @param options
+   *
+   * @throws {TypeError} Invalid controller name.
+   * @throws {RangeError} Controller numbers must be between 0 and 31.
+   * @throws {RangeError} Controller value must be between 0 and 16383.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  sendControlChange14(
+    controller: keyof MidiControlChangeMessages | number,
+    value?: number,
+    channel?: IMidiChannel,
+    options?: OutputBaseOptions
+  ): Output
+
   /**
    * Sends a MIDI `key aftertouch` message to the specified channel(s) at the scheduled time. This
    * is a key-specific aftertouch. For a channel-wide aftertouch message, use
@@ -880,6 +2134,50 @@ export interface Output extends MidiPort<"output"> {
     options?: OutputBaseOptions
   ): Output
 
+  /**
+   * Sends a MIDI Machine Control (MMC) command (universal real-time system exclusive message).
+   * Sysex messages must be enabled.
+   *
+   * @param command The name of the command or its number (between 0 and 127).
+   * @param options
+   *
+   * @throws {Error} Sysex message support must first be activated.
+   * @throws {RangeError} The MMC command is invalid.
+   * @throws {RangeError} The device ID must be between 0 and 127.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  sendMmc(
+    command: keyof MidiMmcCommands | number,
+    options?: MmcOptions & {
+      /** The information fields following the command, if any. */
+      data?: number[]
+    }
+  ): Output
+
+  /**
+   * Changes the tuning of individual notes with a *MIDI Tuning Standard* single note tuning change
+   * message. Sysex messages must be enabled.
+   *
+   * @param changes The notes to tune and their pitch (in the specified units).
+   * @param options
+   *
+   * @throws {Error} Sysex message support must first be activated.
+   * @throws {TypeError} The changes must be an array.
+   * @throws {TypeError} The units must be 'notes', 'cents' or 'hz'.
+   * @throws {RangeError} The note number must be between 0 and 127.
+   * @throws {RangeError} The pitches must be between MIDI notes 0 and 127.99.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  sendNoteTuning(
+    changes: Array<{ note: number, pitch: number | null | undefined }>,
+    options?: MtsOptions & {
+      /** Whether to send the real-time form of the message (default) or the non-real-time one. */
+      realtime?: boolean
+    }
+  ): Output
+
   /**
    * Sends a MIDI `pitch bend` message to the specified channel(s) at the scheduled time.
    *
@@ -919,6 +2217,38 @@ export interface Output extends MidiPort<"output"> {
     options?: OutputBaseOptions
   ): Output
 
+  /**
+   * Tunes the 12 notes of the octave with a *MIDI Tuning Standard* scale/octave tuning message.
+   * Sysex messages must be enabled.
+   *
+   * @param offsets The deviation from equal temperament of the 12 notes (C to B), in cents. The
+   * range is -64 to +63 cents with the 1-byte form and -100 to +100 cents with the 2-byte form.
+   * @param channel The MIDI channel number (between 1 and 16) or an array of channel numbers. If
+   * the special value "all" is used, the tuning applies to all 16 channels.
+   * @param options
+   *
+   * @throws {Error} Sysex message support must first be activated.
+   * @throws {TypeError} The offsets must be an array of 12 numbers.
+   * @throws {RangeError} The resolution must be 1 or 2.
+   * @throws {RangeError} The offsets are out of range.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  sendScaleTuning(
+    offsets: number[],
+    channel?: IMidiChannel,
+    options?: OutputBaseOptions & {
+      /** The form of the message: 1 byte (default) or 2 bytes per note. */
+      resolution?: 1 | 2
+
+      /** Whether to send the real-time form of the message (default) or the non-real-time one. */
+      realtime?: boolean
+
+      /** The ID of the targeted device (between 0 and 127). Defaults to 127 (all devices). */
+      deviceId?: number
+    }
+  ): Output
+
   /**
    * Sends *Reset* real-time message. This tells the device connected to this port that is should
    * reset itself to a default state.
@@ -1045,6 +2375,29 @@ export interface Output extends MidiPort<"output"> {
     options?: OutputBaseOptions
   ): Output
 
+  /**
+   * Uploads a complete tuning with a *MIDI Tuning Standard* bulk tuning dump. Sysex messages must
+   * be enabled.
+   *
+   * @param tuning The pitch of the 128 MIDI notes (in the specified units). Notes whose pitch is
+   * `undefined` or `null` keep their tuning.
+   * @param options
+   *
+   * @throws {Error} Sysex message support must first be activated.
+   * @throws {TypeError} The tuning must be an array of up to 128 pitches.
+   * @throws {TypeError} The units must be 'notes', 'cents' or 'hz'.
+   * @throws {RangeError} The pitches must be between MIDI notes 0 and 127.99.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  sendTuningDump(
+    tuning: Array<number | null | undefined>,
+    options?: MtsOptions & {
+      /** The name of the tuning (up to 16 ASCII characters). */
+      name?: string
+    }
+  ): Output
+
   /**
    * Sends a *MIDI tuning request* real-time message.
    *
@@ -1058,6 +2411,18 @@ export interface Output extends MidiPort<"output"> {
    */
   sendTuningRequest(options?: OutputBaseOptions): Output
 
+  /**
+   * Changes the tempo of the MIDI clock. The new tempo applies from the first clock message that
+   * has not been scheduled yet (at most 100 milliseconds later).
+   *
+   * @param bpm The tempo in beats (quarter notes) per minute.
+   *
+   * @throws {RangeError} The tempo must be a positive number.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  setClockTempo(bpm: number): Output
+
   /**
    * Sends a master tuning message to the specified channel(s). The value is decimal and must be
    * larger than -65 semitones and smaller than 64 semitones.
@@ -1178,6 +2543,29 @@ export interface Output extends MidiPort<"output"> {
     options?: OutputBaseOptions
   ): Output
 
+  /**
+   * Configures an MPE zone with the *MPE Configuration Message* (registered parameter 6) sent on
+   * the master channel of the zone (1 for the lower zone, 16 for the upper zone). If the zones
+   * overlap, the other zone is shrunk or disabled.
+   *
+   * @param zone The zone to configure.
+   * @param channels The number of member channels (between 0 and 15). 0 disables the zone.
+   * @param options
+   *
+   * @throws {TypeError} The zone must be 'lower' or 'upper'.
+   * @throws {RangeError} The number of member channels must be between 0 and 15.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  setMpeZone(
+    zone: "lower" | "upper",
+    channels: number,
+    options?: OutputBaseOptions & {
+      /** The pitch bend range (in semitones) to send to the member channels. */
+      pitchBendRange?: number
+    }
+  ): Output
+
   /**
    * Sets the specified MIDI registered parameter to the desired value. The value is defined with
    * up to two bytes of data that each can go from 0 to 127.
@@ -1248,6 +2636,61 @@ export interface Output extends MidiPort<"output"> {
     options?: OutputBaseOptions
   ): Output
 
+  /**
+   * Starts generating MIDI clock messages (24 per quarter note) at the specified tempo. A *Start*
+   * message is sent first or, if the position is not 0, a *Song Position* message followed by a
+   * *Continue* message. If the clock was already running, it is stopped and restarted. The clock
+   * is sent to all the outputs synced with this one.
+   *
+   * @param options
+   *
+   * @throws {RangeError} The tempo must be a positive number.
+   * @throws {RangeError} The position must be between 0 and 16383.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  startClock(options?: {
+    /** The tempo in beats per minute (defaults to the last tempo or 120). */
+    bpm?: number
+
+    /** The position to start from in MIDI beats (16th notes, defaults to 0). */
+    position?: number
+
+    /** When to start. By default, the clock starts immediately. */
+    time?: DOMHighResTimeStamp | string
+  }): Output
+
+  /**
+   * Starts generating MIDI Time Code. If sysex messages are enabled, a Full Frame message is sent
+   * first. If the generator was already running, it is restarted.
+   *
+   * @param options
+   *
+   * @throws {RangeError} The frame rate must be 24, 25, 29.97 or 30.
+   * @throws {TypeError} The time code position is invalid.
+   * @throws {RangeError} The time code position is out of range.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  startTimecode(options?: {
+    /** The frame rate (defaults to 30). */
+    fps?: ITimecode["fps"]
+
+    /** The start position as a string in the "HH:MM:SS:FF" format or as an object. */
+    start?: string | Partial<ITimecode>
+
+    /** When to start. By default, the generator starts immediately. */
+    time?: DOMHighResTimeStamp | string
+  }): Output
+
+  /**
+   * Stops the MIDI clock and sends a *Stop* message after the last clock message already handed to
+   * the MIDI subsystem. The position is kept so the clock can be resumed with `continueClock()`.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  stopClock(): Output
+
   /**
    * Sends a MIDI **note off** message to the specified channel(s) for a single note or multiple
    * simultaneous notes (chord). You can delay the execution of the **note off** command by using
@@ -1270,7 +2713,7 @@ export interface Output extends MidiPort<"output"> {
    * @return Returns the `Output` object so methods can be chained.
    */
   stopNote(
-    note: INoteParam,
+    note: INoteParam | undefined,
     channel?: IMidiChannel,
     options?: OutputBaseOptions & {
       /** 
@@ -1287,8 +2730,34 @@ export interface Output extends MidiPort<"output"> {
        * ignored.
        */
       velocity: number
+
+      /** The detune value (in cents) the note was played with. */
+      detune?: number
+
+      /** The frequency (in Hz) the note was played with. The `note` parameter is then ignored. */
+      frequency?: number
     }
   ): Output
+
+  /**
+   * Stops the MIDI Time Code generator. The quarter frames that have been scheduled are cancelled.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  stopTimecode(): Output
+
+  /**
+   * Makes this output receive the same MIDI clock as the specified output. If the clock is
+   * running, this output joins it on the next 16th note with a *Song Position* message followed by
+   * a *Continue* message. If `output` is omitted, this output leaves the clock it shares.
+   *
+   * @param output The output whose clock should be followed.
+   *
+   * @throws {TypeError} The 'output' parameter must be an Output.
+   *
+   * @return Returns the `Output` object so methods can be chained.
+   */
+  syncClock(output?: Output): Output
 }
 
 /**
@@ -1360,6 +2829,12 @@ export interface WebMidi {
    */
   readonly MIDI_CONTROL_CHANGE_MESSAGES: MidiControlChangeMessages
 
+  /** System exclusive ID of some manufacturers. */
+  readonly MIDI_MANUFACTURERS: MidiManufacturers
+
+  /** Commands of MIDI Machine Control. */
+  readonly MIDI_MMC_COMMANDS: MidiMmcCommands
+
   /**
    * List of valid MIDI registered parameters and their matching pair of hexadecimal
    * values. MIDI registered parameters extend the original list of control change messages.
@@ -1367,6 +2842,9 @@ export interface WebMidi {
    */
   readonly MIDI_REGISTERED_PARAMETER: MidiRegisteredParameters
 
+  /** Control change messages that make up RPN messages. */
+  readonly MIDI_RPN_MESSAGES: MidiRpnMessages
+
   /**
    * List of valid MIDI system messages and matching hexadecimal values.
    *
@@ -1382,6 +2860,12 @@ export interface WebMidi {
    */
   readonly enabled: boolean
 
+  /**
+   * The MIDI ports that could not be opened (or not within the `timeout` delay) when `WebMidi` was
+   * enabled. The array is empty if all the ports were opened.
+   */
+  readonly failedPorts: IFailedPort[]
+
   /**
    * An array of all currently available MIDI input ports.
    */
@@ -1414,6 +2898,11 @@ export interface WebMidi {
    */
   readonly time: DOMHighResTimeStamp
 
+  /**
+   * The `Transport` object used to resolve musical times (`"1:2:0"`, `"8n"`, etc.).
+   */
+  readonly transport: Transport
+
   /**
    * An integer to offset the octave both in inbound and outbound messages. By default, middle C
    * (MIDI note number 60) is placed on the 4th octave (C4).
@@ -1444,13 +2933,53 @@ export interface WebMidi {
     listener: (event: WebMidiEvents[T]) => void
   ): WebMidi
 
+  /**
+   * Creates a `Recorder` object that captures the MIDI messages received by the specified inputs
+   * (all inputs by default).
+   *
+   * @throws {Error} WebMidi is not enabled.
+   * @throws {TypeError} The 'inputs' parameter must be an Input or an array of Input objects.
+   */
+  createRecorder(inputs?: Input | Input[]): Recorder
+
+  /**
+   * Creates an in-memory virtual port and returns the matching `Input` and `Output` objects. Any
+   * message sent through the output is received by the input (at the specified time, if any). Both
+   * are added to the `inputs` and `outputs` arrays and trigger the `connected` event.
+   *
+   * @param name The name of the virtual port.
+   *
+   * @throws {Error} WebMidi must be enabled before creating virtual ports.
+   */
+  createVirtualPort(name?: string): VirtualPortPair
+
   /**
    * Completely disables `WebMidi` by unlinking the MIDI subsystem's interface and destroying all
    * `Input` and `Output` objects that may be available. This also means that any listener that may
-   * have been defined on `Input` or `Output` objects will be destroyed.
+   * have been defined on `Input` or `Output` objects will be destroyed. The players created with
+   * `Output.play()` are stopped.
    */
   disable(): void
 
+  /**
+   * Finds the devices connected to the system by sending a universal *Identity Request* system
+   * exclusive message through each output and listening for *Identity Reply* messages on all the
+   * inputs. The outputs are queried one after the other, so discovery takes `timeout`
+   * milliseconds per output.
+   *
+   * @param options.timeout How long to wait for replies (in milliseconds) after sending the
+   * request through each output. Defaults to 250.
+   *
+   * @returns A promise fulfilled with the devices found. It is rejected if WebMidi is not enabled,
+   * if sysex messages are not enabled or if the timeout is invalid.
+   */
+  discoverDevices(options?: { timeout?: number }): Promise<IDiscoveredDevice[]>
+
+  /**
+   * The constructor of the errors used to reject the promise returned by `enable()`.
+   */
+  readonly WebMidiError: WebMidiErrorConstructor
+
   /**
    * Checks if the Web MIDI API is available and then tries to connect to the host's MIDI subsystem.
    * This is an asynchronous operation. When it's done, the specified handler callback will be
@@ -1470,10 +2999,20 @@ export interface WebMidi {
    * @throws Error Jazz-Plugin must be installed to use WebMIDIAPIShim.
    */
   enable(
-    callback?: (err?: Error) => void,
+    callback: (err?: Error) => void,
     sysex?: boolean
   ): void
 
+  /**
+   * Same as above but using an `options` object. If no `callback` is specified, a promise is
+   * returned. It is fulfilled with the `WebMidi` object upon success and rejected with a
+   * `WebMidiError` upon failure.
+   *
+   * @param options
+   */
+  enable(options: WebMidiEnableOptions & { callback: (err?: Error) => void }): void
+  enable(options?: WebMidiEnableOptions): Promise<WebMidi>
+
   /**
    *
    * Returns an `Input` object representing the input port with the specified id.
@@ -1594,6 +3133,60 @@ export interface WebMidi {
    */
   noteNameToNumber(name: string): number
 
+  /**
+   * Reads the content of a Standard MIDI File (format 0, 1 or 2). The events have the same
+   * properties as the ones dispatched by `Input` objects. Meta events are also reported.
+   *
+   * @param data The content of the file.
+   *
+   * @throws {TypeError} The data must be an ArrayBuffer, a Uint8Array or an array of bytes.
+   * @throws {Error} Invalid MIDI file.
+   */
+  parseMidiFile(data: ArrayBuffer | Uint8Array | number[]): MidiFile
+
+  /**
+   * Reads a tuning in the Scala format: a scale file (`.scl`) and, optionally, a keyboard mapping
+   * file (`.kbm`). Without keyboard mapping, the first degree of the scale is mapped to middle C
+   * (note 60), which keeps its frequency in equal temperament.
+   *
+   * @param scl The content of the scale file.
+   * @param kbm The content of the keyboard mapping file.
+   *
+   * @throws {TypeError} The Scala scale file is invalid.
+   * @throws {TypeError} The Scala keyboard mapping file is invalid.
+   */
+  parseScala(scl: string, kbm?: string): ScalaTuning
+
+  /**
+   * Removes a virtual port created with `createVirtualPort()`. Both the input and the output are
+   * removed and trigger the `disconnected` event.
+   *
+   * @param port The object returned by `createVirtualPort()` or either one of its ports.
+   *
+   * @throws {Error} WebMidi is not enabled.
+   * @throws {TypeError} The specified port is not a virtual port.
+   */
+  removeVirtualPort(port: VirtualPortPair | Input | Output): void
+
+  /**
+   * Defines the backend that `WebMidi` uses to access the MIDI subsystem and to tell time. By
+   * default, the environment's `navigator.requestMIDIAccess()` and `performance.now()` functions
+   * are used. Passing `undefined` reverts to the default function.
+   *
+   * @param requestAccess A function returning a promise fulfilled with a `MIDIAccess` object.
+   * @param clock A function returning the current time in milliseconds.
+   *
+   * @throws {Error} The backend cannot be changed while WebMidi is enabled.
+   * @throws {TypeError} The 'requestAccess' parameter must be a function.
+   * @throws {TypeError} The 'clock' parameter must be a function.
+   *
+   * @return The `WebMidi` object for easy method chaining.
+   */
+  setBackend(
+    requestAccess?: (options: { sysex: boolean, software?: boolean }) => PromiseLike<any>,
+    clock?: () => DOMHighResTimeStamp
+  ): WebMidi
+
   /**
    * Removes the specified listener(s). If the `listener` parameter is left undefined, all listeners
    * for the specified `type` will be removed. If both the `listener` and the `type` parameters are